@@ -0,0 +1,182 @@
+// Search Agent
+// Holonic Travel Planner - Fans leg searches out to every enabled provider and merges the offers
+
+const { v4: uuidv4 } = require('uuid');
+const { normalizeSearchCriteria } = require('../../shared/itinerary-legs');
+const { PROVIDER_CATEGORIES } = require('../providers/provider-adapter');
+const { normalizeOffer, dedupeOffers } = require('../search/offer-normalizer');
+const { rankOffers, DEFAULT_WEIGHTS } = require('../search/offer-ranking');
+const { MemoryCacheBackend } = require('../cache/memory-cache-backend');
+
+/**
+ * Reject when a promise does not settle within the given time
+ */
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run tasks with at most `limit` in flight, preserving result order
+ */
+async function runWithConcurrency(tasks, limit) {
+    const results = new Array(tasks.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < tasks.length) {
+            const index = next++;
+            results[index] = await tasks[index]();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+    return results;
+}
+
+/**
+ * Search Agent
+ * For every leg, flights are searched from origin to destination; stays,
+ * cars and activities are searched at the destination until the next leg
+ * departs. Provider failures are reported per leg instead of failing the search.
+ * Offers are normalized, deduplicated across providers and ranked per leg.
+ * Recent results stay retrievable by their searchId, so a results page can
+ * be reloaded or shared.
+ */
+class SearchAgent {
+    constructor({ config, providers, cache = null, scorer = undefined, exchangeRates = null }) {
+        this.config = config;
+        this.providers = providers;
+        this.cache = cache;
+        this.scorer = scorer;
+        this.exchangeRates = exchangeRates;
+        this.timeout = config.get('holonic.agents.search.searchTimeout', 15000);
+        this.concurrency = config.get('holonic.agents.search.maxConcurrentSearches', 5);
+        this.resultRetention = config.get('holonic.agents.search.resultRetention', 3600);
+        this.recentSearches = new MemoryCacheBackend({ maxKeys: config.get('cache.strategies.search.maxKeys', 1000) });
+    }
+
+    /**
+     * Normalize, merge and rank the raw offers of one leg
+     */
+    rankLegOffers(rawOffers, preferences) {
+        // Offers in different currencies are compared in the ranking currency
+        const comparablePrice = this.exchangeRates ? price => this.exchangeRates.comparablePrice(price) : undefined;
+        const offers = dedupeOffers(rawOffers.map(normalizeOffer), comparablePrice);
+
+        return rankOffers(offers, {
+            weights: this.config.get('holonic.agents.search.ranking.weights', DEFAULT_WEIGHTS),
+            preferences,
+            scorer: this.scorer,
+            comparablePrice
+        });
+    }
+
+    /**
+     * Build the per-category provider request for a leg
+     */
+    buildLegRequest(criteria, legIndex) {
+        const leg = criteria.legs[legIndex];
+        const nextLeg = criteria.legs[legIndex + 1];
+
+        return {
+            legIndex,
+            origin: leg.origin,
+            destination: leg.destination,
+            departureDate: leg.departureDate,
+            // The stay at a destination lasts until the next leg leaves from it
+            checkIn: nextLeg ? leg.departureDate : null,
+            checkOut: nextLeg ? nextLeg.departureDate : null,
+            travelers: criteria.travelers || 1,
+            preferences: criteria.preferences || {}
+        };
+    }
+
+    /**
+     * Search all legs, answering from the search cache unless bypassCache is set
+     */
+    async search(rawCriteria, { bypassCache = false } = {}) {
+        const criteria = normalizeSearchCriteria(rawCriteria);
+
+        const results = this.cache && !bypassCache
+            ? await this.cache.getOrLoad(criteria, () => this.searchProviders(criteria))
+            : await this.searchProviders(criteria);
+
+        await this.recentSearches.set(results.searchId, results, this.resultRetention);
+        return results;
+    }
+
+    /**
+     * Results of a recent search, or null once they are no longer retained
+     */
+    getSearch(searchId) {
+        return this.recentSearches.get(searchId);
+    }
+
+    async searchProviders(criteria) {
+        const categories = (criteria.categories || PROVIDER_CATEGORIES)
+            .filter(category => PROVIDER_CATEGORIES.includes(category));
+
+        const tasks = [];
+        criteria.legs.forEach((_, legIndex) => {
+            const request = this.buildLegRequest(criteria, legIndex);
+            for (const category of categories) {
+                for (const adapter of this.providers.getEnabled(category)) {
+                    tasks.push(async () => {
+                        try {
+                            const offers = await withTimeout(
+                                adapter.search(category, request),
+                                this.timeout,
+                                `${adapter.key} ${category} search`
+                            );
+                            return { legIndex, offers };
+                        } catch (error) {
+                            return { legIndex, error: { provider: adapter.key, category, message: error.message } };
+                        }
+                    });
+                }
+            }
+        });
+
+        const outcomes = await runWithConcurrency(tasks, this.concurrency);
+
+        return {
+            searchId: uuidv4(),
+            tripType: criteria.tripType,
+            criteria,
+            providers: this.providers.getEnabled().map(adapter => adapter.key),
+            legs: criteria.legs.map((leg, legIndex) => ({
+                ...leg,
+                legIndex,
+                results: this.rankLegOffers(
+                    outcomes
+                        .filter(outcome => outcome.legIndex === legIndex && outcome.offers)
+                        .flatMap(outcome => outcome.offers.map(offer => ({ ...offer, legIndex }))),
+                    criteria.preferences || {}
+                ),
+                errors: outcomes
+                    .filter(outcome => outcome.legIndex === legIndex && outcome.error)
+                    .map(outcome => outcome.error)
+            }))
+        };
+    }
+
+    /**
+     * Re-price an offer with the provider that issued it. Only the offer's
+     * reference is passed on, so a price sent by a client is never used.
+     */
+    async price({ provider, offerId }) {
+        return withTimeout(this.providers.get(provider).price({ provider, offerId }), this.timeout, `${provider} pricing`);
+    }
+
+    getStatus() {
+        return {
+            providers: this.providers.getEnabled().map(adapter => adapter.key)
+        };
+    }
+}
+
+module.exports = { SearchAgent, withTimeout, runWithConcurrency };
@@ -0,0 +1,133 @@
+// Analytics Aggregator
+// Holonic Travel Planner - Conversion funnel, top routes, failure rates and flag variants over stored analytics events
+
+// Each step counts the sessions that also reached every step before it
+const FUNNEL_STEPS = [
+    { step: 'search', event: 'search:initiated' },
+    { step: 'results', event: 'search:completed' },
+    { step: 'booking', event: 'booking:initiated' },
+    { step: 'booked', event: 'booking:completed' }
+];
+
+const FAILURE_FLOWS = ['search', 'booking'];
+
+function rate(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+function sessionsByEvent(events) {
+    const sessions = new Map();
+    for (const event of events) {
+        if (!sessions.has(event.name)) {
+            sessions.set(event.name, new Set());
+        }
+        sessions.get(event.name).add(event.sessionId);
+    }
+    return sessions;
+}
+
+/**
+ * Sessions per funnel step, with the conversion from the previous step and
+ * from the first
+ */
+function computeFunnel(events) {
+    const sessions = sessionsByEvent(events);
+    let reached = null;
+
+    return FUNNEL_STEPS.map(({ step, event }, index) => {
+        const previous = reached;
+        const atStep = sessions.get(event) || new Set();
+        reached = previous ? new Set([...atStep].filter(id => previous.has(id))) : atStep;
+        return {
+            step,
+            event,
+            sessions: reached.size,
+            conversion: index === 0 ? null : rate(reached.size, previous.size)
+        };
+    }).map((step, index, steps) => ({ ...step, overall: rate(step.sessions, steps[0].sessions) }));
+}
+
+/**
+ * The most visited app routes. Navigation events carry the route pattern,
+ * so `/trips/:tripId` is one route however many trips are opened.
+ */
+function computeTopRoutes(events, limit = 10) {
+    const routes = new Map();
+    for (const event of events) {
+        if (event.name !== 'navigation') {
+            continue;
+        }
+        const route = event.properties.route || event.properties.view;
+        const entry = routes.get(route) || { route, view: event.properties.view, views: 0, sessions: new Set() };
+        entry.views += 1;
+        entry.sessions.add(event.sessionId);
+        routes.set(route, entry);
+    }
+
+    return [...routes.values()]
+        .map(({ sessions, ...entry }) => ({ ...entry, sessions: sessions.size }))
+        .sort((a, b) => b.views - a.views || a.route.localeCompare(b.route))
+        .slice(0, limit);
+}
+
+/**
+ * Failed attempts per flow, and client errors by name
+ */
+function computeFailureRates(events) {
+    const counts = new Map();
+    const errors = new Map();
+    for (const event of events) {
+        counts.set(event.name, (counts.get(event.name) || 0) + 1);
+        if (event.name === 'error') {
+            const name = event.properties.name || 'Error';
+            errors.set(name, (errors.get(name) || 0) + 1);
+        }
+    }
+
+    const flows = FAILURE_FLOWS.map(flow => {
+        const attempts = counts.get(`${flow}:initiated`) || 0;
+        const failures = counts.get(`${flow}:failed`) || 0;
+        return { flow, attempts, failures, rate: rate(failures, attempts) };
+    });
+
+    return {
+        flows,
+        errors: [...errors.entries()]
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count)
+    };
+}
+
+/**
+ * Sessions that saw each value of each feature flag, and how many of them
+ * went on to book. A session that saw both values of a flag counts for both.
+ */
+function computeFlagVariants(events) {
+    const booked = sessionsByEvent(events).get('booking:completed') || new Set();
+    const variants = new Map();
+    for (const event of events) {
+        if (event.name !== 'flag:evaluated') {
+            continue;
+        }
+        const { flag, value } = event.properties;
+        const key = `${flag}:${value}`;
+        const entry = variants.get(key) || { flag, value, sessions: new Set() };
+        entry.sessions.add(event.sessionId);
+        variants.set(key, entry);
+    }
+
+    return [...variants.values()]
+        .map(({ flag, value, sessions }) => {
+            const bookings = [...sessions].filter(id => booked.has(id)).length;
+            return { flag, value, sessions: sessions.size, booked: bookings, conversion: rate(bookings, sessions.size) };
+        })
+        .sort((a, b) => a.flag.localeCompare(b.flag) || Number(b.value) - Number(a.value));
+}
+
+module.exports = {
+    FUNNEL_STEPS,
+    computeFunnel,
+    computeTopRoutes,
+    computeFailureRates,
+    computeFlagVariants
+};
@@ -0,0 +1,163 @@
+// Analytics Service
+// Holonic Travel Planner - Ingests client analytics batches under the analytics config and reports on them
+
+const crypto = require('crypto');
+const net = require('net');
+const { HttpError } = require('../api/http-error');
+const { validateEvent, isValidSessionId } = require('./event-schema');
+const { computeFunnel, computeTopRoutes, computeFailureRates, computeFlagVariants } = require('./analytics-aggregator');
+
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Drop the host part of an address: the last octet of IPv4, everything
+ * after the /48 prefix of IPv6
+ */
+function anonymizeIp(ip) {
+    if (!ip) {
+        return null;
+    }
+    const mapped = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+    if (net.isIPv4(mapped)) {
+        return mapped.replace(/\.\d+$/, '.0');
+    }
+    if (!net.isIPv6(ip)) {
+        return null;
+    }
+
+    const [head, tail = ''] = ip.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = ip.includes('::')
+        ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+        : headGroups;
+    return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+}
+
+/**
+ * Analytics Service
+ * Batches are dropped whole when analytics are disabled, when the browser
+ * sends Do Not Track or Global Privacy Control and `analytics.respectDnt`
+ * is set, or when the session falls outside `analytics.sampleRate`.
+ * Sampling is by session, so a sampled session is kept complete and the
+ * funnel stays consistent. Invalid events are rejected one by one; the
+ * rest of the batch is stored. The user id comes from the request's
+ * session, never from the payload.
+ */
+class AnalyticsService {
+    constructor({ config, stores }) {
+        this.stores = stores;
+        this.store = null;
+        this.enabled = config.get('analytics.enabled', false);
+        this.sampleRate = config.get('analytics.sampleRate', 1.0);
+        this.anonymizeIp = config.get('analytics.anonymizeIp', true);
+        this.respectDnt = config.get('analytics.respectDnt', true);
+    }
+
+    async initialize() {
+        this.store = await this.stores.getStore('analyticsEvents');
+    }
+
+    /**
+     * Whether a session is in the sample; the same session always gets the same answer
+     */
+    isSampled(sessionId) {
+        if (this.sampleRate >= 1) {
+            return true;
+        }
+        const bucket = crypto.createHash('sha256').update(sessionId).digest().readUInt32BE(0) / 0x100000000;
+        return bucket < this.sampleRate;
+    }
+
+    async ingest({ sessionId, events } = {}, { userId = null, ip = null, doNotTrack = false } = {}) {
+        if (!isValidSessionId(sessionId)) {
+            throw HttpError.badRequest('A sessionId is required');
+        }
+        if (!Array.isArray(events) || events.length === 0) {
+            throw HttpError.badRequest('events must be a non-empty array');
+        }
+        if (events.length > MAX_BATCH_SIZE) {
+            throw HttpError.badRequest(`A batch holds at most ${MAX_BATCH_SIZE} events`);
+        }
+
+        const dropped = !this.enabled ? 'disabled'
+            : this.respectDnt && doNotTrack ? 'do-not-track'
+                : !this.isSampled(sessionId) ? 'sampled-out'
+                    : null;
+        if (dropped) {
+            return { accepted: 0, rejected: [], dropped };
+        }
+
+        const now = Date.now();
+        const rejected = [];
+        const valid = [];
+        events.forEach((event, index) => {
+            const error = validateEvent(event, now);
+            if (error) {
+                rejected.push({ index, error });
+            } else {
+                valid.push(event);
+            }
+        });
+
+        const clientIp = this.anonymizeIp ? anonymizeIp(ip) : ip;
+        if (valid.length > 0) {
+            await this.store.createMany(valid.map(event => ({
+                sessionId,
+                userId,
+                ip: clientIp,
+                name: event.name,
+                properties: event.properties || {},
+                occurredAt: new Date(event.timestamp).toISOString()
+            })));
+        }
+
+        return { accepted: valid.length, rejected, dropped: null };
+    }
+
+    /**
+     * Funnel, top routes and failure rates for events that occurred in [from, to)
+     */
+    async getReport({ from, to }) {
+        const events = await this.store.list(event => event.occurredAt >= from && event.occurredAt < to);
+        return {
+            from,
+            to,
+            totals: {
+                events: events.length,
+                sessions: new Set(events.map(event => event.sessionId)).size
+            },
+            funnel: computeFunnel(events),
+            topRoutes: computeTopRoutes(events),
+            failureRates: computeFailureRates(events),
+            flagVariants: computeFlagVariants(events),
+            sampleRate: this.sampleRate
+        };
+    }
+
+    async exportUserData(userId) {
+        const events = await this.store.list(event => event.userId === userId);
+        return events.sort((a, b) => a.occurredAt.localeCompare(b.occurredAt));
+    }
+
+    async eraseUserData(userId) {
+        const events = await this.store.list(event => event.userId === userId);
+        await Promise.all(events.map(event => this.store.delete(event.id)));
+        return { deleted: events.length };
+    }
+
+    async purgeBefore(cutoff) {
+        const stale = await this.store.list(event => event.createdAt < cutoff);
+        await Promise.all(stale.map(event => this.store.delete(event.id)));
+        return { deleted: stale.length };
+    }
+
+    getStatus() {
+        if (!this.store) {
+            return 'uninitialized';
+        }
+        return this.enabled ? 'ready' : 'disabled';
+    }
+}
+
+module.exports = { AnalyticsService, anonymizeIp };
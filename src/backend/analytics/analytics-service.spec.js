@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { StoreRegistry } from '../data/store-registry';
+import { AnalyticsService, anonymizeIp } from './analytics-service';
+
+function createConfig(values) {
+    return { get: (key, fallback) => (key in values ? values[key] : fallback) };
+}
+
+const SESSION = 'session-0001';
+
+function event(name, properties = {}, timestamp = new Date().toISOString()) {
+    return { name, properties, timestamp };
+}
+
+describe('AnalyticsService', () => {
+    let stores;
+
+    async function createService(values = {}) {
+        const service = new AnalyticsService({ config: createConfig({ 'analytics.enabled': true, ...values }), stores });
+        await service.initialize();
+        return service;
+    }
+
+    beforeEach(() => {
+        stores = new StoreRegistry(createConfig({ 'storage.driver': 'memory' }));
+    });
+
+    describe('ingest', () => {
+        it('stores the valid events of a batch and rejects the others one by one', async () => {
+            const service = await createService();
+            const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+            const result = await service.ingest({
+                sessionId: SESSION,
+                events: [
+                    event('search:completed', { resultsCount: 12 }),
+                    event('search:completed', { resultsCount: 'many' }),
+                    event('Search Completed'),
+                    event('navigation', { view: 'trips', nested: { a: 1 } }),
+                    event('booking:completed', {}, future),
+                    event('booking:initiated', { offerCount: 2 })
+                ]
+            }, { userId: 'ana', ip: '203.0.113.42' });
+
+            expect(result.accepted).toBe(2);
+            expect(result.rejected.map(rejection => rejection.index)).toEqual([1, 2, 3, 4]);
+            expect(result.rejected[0].error).toBe('property resultsCount of search:completed must be a number');
+            const stored = await service.store.list();
+            expect(stored.map(entry => entry.name)).toEqual(['search:completed', 'booking:initiated']);
+            expect(stored[0]).toMatchObject({ sessionId: SESSION, userId: 'ana', ip: '203.0.113.0' });
+        });
+
+        it('takes the user from the session, not from the payload', async () => {
+            const service = await createService();
+
+            await service.ingest({ sessionId: SESSION, userId: 'mallory', events: [event('navigation', { view: 'home', userId: 'bob' })] });
+
+            const [stored] = await service.store.list();
+            expect(stored.userId).toBeNull();
+        });
+
+        it('keeps the full address when anonymizeIp is off', async () => {
+            const service = await createService({ 'analytics.anonymizeIp': false });
+
+            await service.ingest({ sessionId: SESSION, events: [event('navigation', { view: 'home' })] }, { ip: '203.0.113.42' });
+
+            expect((await service.store.list())[0].ip).toBe('203.0.113.42');
+        });
+
+        it('drops whole batches when disabled, under Do Not Track or outside the sample', async () => {
+            const batch = { sessionId: SESSION, events: [event('navigation', { view: 'home' })] };
+
+            expect(await (await createService({ 'analytics.enabled': false })).ingest(batch))
+                .toEqual({ accepted: 0, rejected: [], dropped: 'disabled' });
+            expect((await (await createService()).ingest(batch, { doNotTrack: true })).dropped).toBe('do-not-track');
+            expect((await (await createService({ 'analytics.respectDnt': false })).ingest(batch, { doNotTrack: true })).dropped).toBeNull();
+            expect((await (await createService({ 'analytics.sampleRate': 0 })).ingest(batch)).dropped).toBe('sampled-out');
+        });
+
+        it('samples by session, so a session is kept or dropped as a whole', async () => {
+            const service = await createService({ 'analytics.sampleRate': 0.5 });
+            const sessions = Array.from({ length: 400 }, (_, index) => `session-${String(index).padStart(4, '0')}`);
+
+            const sampled = sessions.filter(sessionId => service.isSampled(sessionId));
+
+            expect(sampled.length / sessions.length).toBeGreaterThan(0.4);
+            expect(sampled.length / sessions.length).toBeLessThan(0.6);
+            expect(sessions.every(sessionId => service.isSampled(sessionId) === sampled.includes(sessionId))).toBe(true);
+        });
+
+        it('refuses malformed batches', async () => {
+            const service = await createService();
+
+            await expect(service.ingest({ sessionId: 'short', events: [event('navigation', { view: 'home' })] })).rejects.toMatchObject({ statusCode: 400 });
+            await expect(service.ingest({ sessionId: SESSION, events: [] })).rejects.toMatchObject({ statusCode: 400 });
+            await expect(service.ingest({ sessionId: SESSION, events: Array(101).fill(event('navigation', { view: 'home' })) }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+
+    describe('report', () => {
+        it('counts sessions through the funnel in order', async () => {
+            const service = await createService();
+            const steps = ['search:initiated', 'search:completed', 'booking:initiated', 'booking:completed'];
+            const properties = { 'search:completed': { resultsCount: 3 } };
+            const reached = { 'session-a001': 4, 'session-a002': 2, 'session-a003': 1 };
+            for (const [sessionId, count] of Object.entries(reached)) {
+                await service.ingest({ sessionId, events: steps.slice(0, count).map(name => event(name, properties[name])) });
+            }
+            // Booked without searching first: not counted past the first step it missed
+            await service.ingest({ sessionId: 'session-a004', events: [event('booking:completed')] });
+
+            const from = new Date(Date.now() - 60000).toISOString();
+            const to = new Date(Date.now() + 60000).toISOString();
+            const { funnel, totals } = await service.getReport({ from, to });
+
+            expect(totals).toEqual({ events: 8, sessions: 4 });
+            expect(funnel.map(step => [step.step, step.sessions, step.conversion])).toEqual([
+                ['search', 3, null],
+                ['results', 2, 0.6667],
+                ['booking', 1, 0.5],
+                ['booked', 1, 1]
+            ]);
+            expect(funnel[3].overall).toBe(0.3333);
+        });
+    });
+});
+
+describe('anonymizeIp', () => {
+    it.each([
+        ['203.0.113.42', '203.0.113.0'],
+        ['::ffff:203.0.113.42', '203.0.113.0'],
+        ['2001:db8:85a3:8d3:1319:8a2e:370:7348', '2001:db8:85a3::'],
+        ['2001:db8::1', '2001:db8:0::'],
+        ['not an address', null],
+        [null, null]
+    ])('%s becomes %s', (ip, expected) => {
+        expect(anonymizeIp(ip)).toBe(expected);
+    });
+});
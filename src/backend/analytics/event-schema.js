@@ -0,0 +1,103 @@
+// Analytics Event Schema
+// Holonic Travel Planner - What an ingested analytics event may contain
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*(:[a-z][a-z0-9_]*)*$/;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+const MAX_PROPERTIES = 25;
+const MAX_STRING_LENGTH = 256;
+
+// Clocks drift; events stamped further ahead than this are refused
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Property types of the events the aggregations read. Other events only
+ * have to pass the general rules: flat properties of short strings,
+ * finite numbers, booleans or null.
+ */
+const EVENT_SCHEMAS = {
+    navigation: { required: ['view'], properties: { view: 'string', route: 'string' } },
+    'search:initiated': { properties: { legCount: 'number', travelers: 'number', tripType: 'string' } },
+    'search:completed': { required: ['resultsCount'], properties: { resultsCount: 'number', legCount: 'number', tripType: 'string' } },
+    'search:failed': { properties: { error: 'string' } },
+    'booking:initiated': { properties: { offerCount: 'number' } },
+    'booking:completed': { properties: { bookingId: 'string' } },
+    'booking:failed': { properties: { bookingId: 'string', error: 'string', status: 'string' } },
+    error: { properties: { name: 'string', view: 'string' } },
+    'flag:evaluated': { required: ['flag', 'value'], properties: { flag: 'string', value: 'boolean', reason: 'string' } }
+};
+
+function typeOf(value) {
+    return value === null ? 'null' : typeof value;
+}
+
+function validateProperties(name, properties) {
+    if (typeOf(properties) !== 'object' || Array.isArray(properties)) {
+        return 'properties must be an object';
+    }
+
+    const entries = Object.entries(properties);
+    if (entries.length > MAX_PROPERTIES) {
+        return `at most ${MAX_PROPERTIES} properties are allowed`;
+    }
+    for (const [key, value] of entries) {
+        const type = typeOf(value);
+        if (!['string', 'number', 'boolean', 'null'].includes(type)) {
+            return `property ${key} must be a string, number, boolean or null`;
+        }
+        if (type === 'number' && !Number.isFinite(value)) {
+            return `property ${key} must be a finite number`;
+        }
+        if (type === 'string' && value.length > MAX_STRING_LENGTH) {
+            return `property ${key} is longer than ${MAX_STRING_LENGTH} characters`;
+        }
+    }
+
+    const schema = EVENT_SCHEMAS[name];
+    if (!schema) {
+        return null;
+    }
+    const missing = (schema.required || []).filter(key => properties[key] === undefined || properties[key] === null);
+    if (missing.length > 0) {
+        return `${name} requires ${missing.join(', ')}`;
+    }
+    for (const [key, expected] of Object.entries(schema.properties)) {
+        const value = properties[key];
+        if (value !== undefined && value !== null && typeOf(value) !== expected) {
+            return `property ${key} of ${name} must be a ${expected}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * The reason an event is invalid, or null when it is valid
+ */
+function validateEvent(event, now = Date.now()) {
+    if (typeOf(event) !== 'object' || Array.isArray(event)) {
+        return 'event must be an object';
+    }
+    if (typeof event.name !== 'string' || event.name.length > 64 || !NAME_PATTERN.test(event.name)) {
+        return 'name must be a lowercase event name such as search:completed';
+    }
+
+    const occurredAt = typeof event.timestamp === 'string' ? Date.parse(event.timestamp) : NaN;
+    if (Number.isNaN(occurredAt)) {
+        return 'timestamp must be an ISO 8601 date';
+    }
+    if (occurredAt > now + MAX_CLOCK_SKEW_MS) {
+        return 'timestamp is in the future';
+    }
+
+    return validateProperties(event.name, event.properties ?? {});
+}
+
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+module.exports = {
+    EVENT_SCHEMAS,
+    validateEvent,
+    isValidSessionId
+};
@@ -0,0 +1,8 @@
+// Async Handler
+// Holonic Travel Planner - Forwards rejected promises from route handlers to the error middleware
+
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = { asyncHandler };
@@ -0,0 +1,37 @@
+// HTTP Error
+// Holonic Travel Planner - Errors carrying a status code for the global error handler
+
+class HttpError extends Error {
+    constructor(statusCode, message, details = undefined) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+
+    static badRequest(message, details) {
+        return new HttpError(400, message, details);
+    }
+
+    static unauthorized(message = 'Authentication required') {
+        return new HttpError(401, message);
+    }
+
+    static forbidden(message = 'You do not have permission to do this') {
+        return new HttpError(403, message);
+    }
+
+    static notFound(message = 'Resource not found') {
+        return new HttpError(404, message);
+    }
+
+    static conflict(message, details) {
+        return new HttpError(409, message, details);
+    }
+
+    static tooManyRequests(message = 'Too many requests, please try again later') {
+        return new HttpError(429, message);
+    }
+}
+
+module.exports = { HttpError };
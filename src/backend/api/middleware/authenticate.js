@@ -0,0 +1,64 @@
+// Authenticate
+// Holonic Travel Planner - Resolves req.user from a bearer access token
+
+const { HttpError } = require('../http-error');
+const { hasPermission } = require('../../../shared/permissions');
+
+function bearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (match) {
+        return match[1];
+    }
+    // EventSource cannot send headers, so event streams pass the token in the query
+    if ((req.get('Accept') || '').includes('text/event-stream') && typeof req.query.access_token === 'string') {
+        return req.query.access_token;
+    }
+    return null;
+}
+
+/**
+ * Requests without a token continue anonymously; an invalid or expired
+ * token is a 401, so the client knows to refresh it. Tokens issued to staff
+ * impersonating a user name them in the `act` claim (RFC 8693).
+ * `req.accessToken` holds the session the token belongs to and when it
+ * expires, for connections that outlive the request.
+ */
+function createAuthenticate({ tokenService }) {
+    return (req, res, next) => {
+        const token = bearerToken(req);
+        if (!token) {
+            return next();
+        }
+
+        try {
+            const claims = tokenService.verifyAccessToken(token);
+            req.user = { id: claims.sub, role: claims.role, name: claims.name, email: claims.email };
+            if (claims.act?.sub) {
+                req.user.impersonatedBy = claims.act.sub;
+            }
+            req.accessToken = { sessionId: claims.sid || null, expiresAt: claims.exp * 1000 };
+            next();
+        } catch (error) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            next(error);
+        }
+    };
+}
+
+function requireAuth(req, res, next) {
+    next(req.user ? undefined : HttpError.unauthorized());
+}
+
+/**
+ * Only let through users whose role grants the permission
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return next(HttpError.unauthorized());
+        }
+        next(hasPermission(req.user.role, permission) ? undefined : HttpError.forbidden(`Requires the ${permission} permission`));
+    };
+}
+
+module.exports = { createAuthenticate, requireAuth, requirePermission };
@@ -0,0 +1,50 @@
+// Search Leg Normalization Middleware
+// Holonic Travel Planner - Rewrites search requests into the multi-leg itinerary model
+
+const { normalizeSearchCriteria, validateLegs } = require('../../../shared/itinerary-legs');
+const { PROVIDER_CATEGORIES } = require('../../providers/provider-adapter');
+
+/**
+ * Problems with the optional `categories` filter: a non-empty array of provider categories
+ */
+function validateCategories(categories) {
+    if (categories === undefined || categories === null) {
+        return [];
+    }
+    if (!Array.isArray(categories) || categories.length === 0) {
+        return [{ field: 'categories', message: `Categories must be a non-empty list of: ${PROVIDER_CATEGORIES.join(', ')}` }];
+    }
+    return categories
+        .filter(category => !PROVIDER_CATEGORIES.includes(category))
+        .map(category => ({ field: 'categories', message: `Unknown category: ${category}` }));
+}
+
+/**
+ * Normalize the search request body into legs and reject invalid itineraries
+ */
+function normalizeSearchLegs(req, res, next) {
+    const categoryErrors = validateCategories(req.body?.categories);
+    if (categoryErrors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid search categories',
+            details: categoryErrors,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const criteria = normalizeSearchCriteria(req.body || {});
+    const errors = validateLegs(criteria.legs);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid itinerary legs',
+            details: errors,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    req.body = criteria;
+    next();
+}
+
+module.exports = { normalizeSearchLegs };
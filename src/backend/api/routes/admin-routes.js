@@ -0,0 +1,94 @@
+// Admin Routes
+// Holonic Travel Planner - Staff console: users, bookings, price watches, system health, the audit log and analytics
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+const { requirePermission } = require('../middleware/authenticate');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORT_DAYS = 90;
+
+/**
+ * Every route checks its own permission; actions that change something
+ * are written to the audit log with the acting staff member.
+ */
+function createAdminRouter({ authService, auditLog, bookingService, priceWatchService, analyticsService, getHealthStatus }) {
+    const router = express.Router();
+
+    const audit = (req, action, targetType, targetId, details = {}) =>
+        auditLog.record({ actorId: req.user.id, action, targetType, targetId, details });
+
+    router.get('/users', requirePermission('users:read'), asyncHandler(async (req, res) => {
+        res.json(await authService.listUsers());
+    }));
+
+    router.put('/users/:id/role', requirePermission('users:manage'), asyncHandler(async (req, res) => {
+        const before = await authService.getUser(req.params.id);
+        const user = await authService.setRole(req.params.id, req.body?.role);
+        await audit(req, 'user.role_changed', 'user', user.id, { from: before.role, to: user.role });
+        res.json(user);
+    }));
+
+    router.post('/users/:id/impersonate', requirePermission('users:impersonate'), asyncHandler(async (req, res) => {
+        const session = await authService.impersonate(req.params.id, req.user);
+        await audit(req, 'user.impersonated', 'user', session.user.id, {
+            reason: req.body?.reason || null,
+            expiresAt: session.accessTokenExpiresAt
+        });
+        res.set('Cache-Control', 'no-store');
+        res.json(session);
+    }));
+
+    router.get('/bookings', requirePermission('bookings:read'), asyncHandler(async (req, res) => {
+        res.json(await bookingService.listBookings({ status: req.query.status || null }));
+    }));
+
+    router.post('/bookings/:id/cancel', requirePermission('bookings:cancel'), asyncHandler(async (req, res) => {
+        const reason = req.body?.reason || null;
+        const booking = await bookingService.cancel(req.params.id, { actor: req.user.id, reason, staff: true });
+        await audit(req, 'booking.cancelled', 'booking', booking.id, { reason, userId: booking.userId });
+        res.json(booking);
+    }));
+
+    router.post('/bookings/:id/refund', requirePermission('bookings:refund'), asyncHandler(async (req, res) => {
+        const reason = req.body?.reason || null;
+        const booking = await bookingService.refund(req.params.id, { actor: req.user.id, reason });
+        await audit(req, 'booking.refunded', 'booking', booking.id, {
+            reason,
+            userId: booking.userId,
+            amount: booking.refund.amount,
+            currency: booking.refund.currency,
+            reference: booking.refund.reference
+        });
+        res.json(booking);
+    }));
+
+    router.get('/watches', requirePermission('watches:read'), asyncHandler(async (req, res) => {
+        res.json(await priceWatchService.listAllWatches());
+    }));
+
+    router.get('/health', requirePermission('system:read'), asyncHandler(async (req, res) => {
+        res.json(await getHealthStatus());
+    }));
+
+    router.get('/audit', requirePermission('audit:read'), asyncHandler(async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        res.json(await auditLog.list({
+            action: req.query.action || null,
+            targetId: req.query.targetId || null,
+            limit
+        }));
+    }));
+
+    // Report over the last `days` days, up to now
+    router.get('/analytics', requirePermission('analytics:read'), asyncHandler(async (req, res) => {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), MAX_REPORT_DAYS);
+        const to = new Date();
+        const from = new Date(to.getTime() - days * DAY_MS);
+        res.json(await analyticsService.getReport({ from: from.toISOString(), to: to.toISOString() }));
+    }));
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
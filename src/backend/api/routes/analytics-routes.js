@@ -0,0 +1,27 @@
+// Analytics Routes
+// Holonic Travel Planner - Ingestion endpoint for client analytics batches
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+
+/**
+ * Open to anonymous visitors. Batches are answered with 202 whether or not
+ * they were kept, so clients never retry a batch that was dropped on purpose.
+ */
+function createAnalyticsRouter({ analyticsService }) {
+    const router = express.Router();
+
+    router.post('/events', asyncHandler(async (req, res) => {
+        const result = await analyticsService.ingest(req.body || {}, {
+            // What staff do while acting as a user is not the user's behaviour
+            userId: req.user && !req.user.impersonatedBy ? req.user.id : null,
+            ip: req.ip,
+            doNotTrack: req.get('DNT') === '1' || req.get('Sec-GPC') === '1'
+        });
+        res.status(202).json(result);
+    }));
+
+    return router;
+}
+
+module.exports = { createAnalyticsRouter };
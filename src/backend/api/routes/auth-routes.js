@@ -0,0 +1,75 @@
+// Auth Routes
+// Holonic Travel Planner - Registration, sign-in and session refresh
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+const { requireAuth } = require('../middleware/authenticate');
+const { presentUser } = require('../../auth/auth-service');
+
+// Only the auth endpoints ever see the refresh cookie
+const COOKIE_PATH = '/api/auth';
+
+function readCookie(req, name) {
+    for (const part of (req.get('Cookie') || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * The refresh token is set as an httpOnly cookie and left out of the body,
+ * so scripts never see it. Clients without cookies may send it as
+ * `refreshToken` in the body of /refresh and /logout.
+ */
+function createAuthRouter({ authService, config }) {
+    const router = express.Router();
+    const cookieName = config.get('security.auth.refreshCookie', 'holonic_refresh');
+
+    const sendSession = (req, res, status, { refreshToken, refreshTokenExpiresAt, ...session }) => {
+        res.cookie(cookieName, refreshToken, {
+            httpOnly: true,
+            secure: req.secure,
+            sameSite: 'strict',
+            path: COOKIE_PATH,
+            expires: new Date(refreshTokenExpiresAt)
+        });
+        res.set('Cache-Control', 'no-store');
+        res.status(status).json(session);
+    };
+
+    const refreshTokenOf = req => readCookie(req, cookieName) || req.body?.refreshToken || null;
+
+    router.post('/register', asyncHandler(async (req, res) => {
+        sendSession(req, res, 201, await authService.register(req.body || {}));
+    }));
+
+    router.post('/login', asyncHandler(async (req, res) => {
+        sendSession(req, res, 200, await authService.login(req.body || {}));
+    }));
+
+    router.post('/refresh', asyncHandler(async (req, res) => {
+        try {
+            sendSession(req, res, 200, await authService.refresh(refreshTokenOf(req)));
+        } catch (error) {
+            res.clearCookie(cookieName, { path: COOKIE_PATH });
+            throw error;
+        }
+    }));
+
+    router.post('/logout', asyncHandler(async (req, res) => {
+        await authService.logout(refreshTokenOf(req));
+        res.clearCookie(cookieName, { path: COOKIE_PATH });
+        res.status(204).end();
+    }));
+
+    router.get('/me', requireAuth, asyncHandler(async (req, res) => {
+        res.json(presentUser(await authService.getUser(req.user.id)));
+    }));
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,49 @@
+// Booking Routes
+// Holonic Travel Planner - Booking lifecycle endpoints
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+
+function createBookingRouter({ bookingService }) {
+    const router = express.Router();
+
+    // Clients send an Idempotency-Key so retried creates return the same booking
+    router.post('/', asyncHandler(async (req, res) => {
+        const { booking, replayed } = await bookingService.createBooking(req.body || {}, {
+            userId: req.user?.id,
+            idempotencyKey: req.get('Idempotency-Key') || null
+        });
+        res.status(replayed ? 200 : 201).json(booking);
+    }));
+
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const booking = await bookingService.getBooking(req.params.id);
+        bookingService.assertOwner(booking, req.user?.id);
+        res.json(booking);
+    }));
+
+    router.post('/:id/payment', asyncHandler(async (req, res) => {
+        res.json(await bookingService.startPayment(req.params.id, {
+            userId: req.user?.id,
+            method: req.body?.method
+        }));
+    }));
+
+    router.post('/:id/confirm', asyncHandler(async (req, res) => {
+        res.json(await bookingService.confirm(req.params.id, {
+            userId: req.user?.id,
+            paymentReference: req.body?.paymentReference
+        }));
+    }));
+
+    router.post('/:id/cancel', asyncHandler(async (req, res) => {
+        res.json(await bookingService.cancel(req.params.id, {
+            userId: req.user?.id,
+            reason: req.body?.reason
+        }));
+    }));
+
+    return router;
+}
+
+module.exports = { createBookingRouter };
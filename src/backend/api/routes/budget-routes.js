@@ -0,0 +1,38 @@
+// Budget Routes
+// Holonic Travel Planner - Trip budgets, expense ledger and settlements
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+
+function createBudgetRouter({ budgetService }) {
+    const router = express.Router();
+
+    router.get('/budgets', asyncHandler(async (req, res) => {
+        res.json(await budgetService.listBudgets(req.user?.id));
+    }));
+
+    router.get('/trips/:id/budget', asyncHandler(async (req, res) => {
+        res.json(await budgetService.getBudget(req.params.id, req.user?.id));
+    }));
+
+    router.put('/trips/:id/budget', asyncHandler(async (req, res) => {
+        res.json(await budgetService.updateBudget(req.params.id, req.body, req.user?.id));
+    }));
+
+    router.post('/trips/:id/expenses', asyncHandler(async (req, res) => {
+        res.status(201).json(await budgetService.addExpense(req.params.id, req.body, req.user?.id));
+    }));
+
+    router.put('/trips/:id/expenses/:expenseId', asyncHandler(async (req, res) => {
+        res.json(await budgetService.updateExpense(req.params.id, req.params.expenseId, req.body, req.user?.id));
+    }));
+
+    router.delete('/trips/:id/expenses/:expenseId', asyncHandler(async (req, res) => {
+        await budgetService.deleteExpense(req.params.id, req.params.expenseId, req.user?.id);
+        res.status(204).end();
+    }));
+
+    return router;
+}
+
+module.exports = { createBudgetRouter };
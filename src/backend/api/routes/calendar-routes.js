@@ -0,0 +1,48 @@
+// Calendar Routes
+// Holonic Travel Planner - iCalendar export and import for trips
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+const { HttpError } = require('../http-error');
+const { CalendarError, exportCalendar, importCalendar } = require('../../../shared/ical');
+const { presentTrip } = require('../../trips/trip-access');
+
+function createCalendarRouter({ tripService }) {
+    const router = express.Router();
+
+    router.get('/:id/calendar.ics', asyncHandler(async (req, res) => {
+        const trip = await tripService.getTrip(req.params.id, req.user?.id);
+        const filename = trip.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'trip';
+
+        res.type('text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}.ics"`);
+        res.send(exportCalendar({ name: trip.name, items: trip.itinerary || [], legs: trip.legs }));
+    }));
+
+    router.post(
+        '/:id/calendar',
+        express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }),
+        asyncHandler(async (req, res) => {
+            if (typeof req.body !== 'string' || !req.body.includes('BEGIN:VCALENDAR')) {
+                throw HttpError.badRequest('Expected an iCalendar (text/calendar) document');
+            }
+
+            let items;
+            try {
+                items = importCalendar(req.body);
+            } catch (error) {
+                if (error instanceof CalendarError) {
+                    throw HttpError.badRequest(error.message);
+                }
+                throw error;
+            }
+            const trip = await tripService.mergeItineraryItems(req.params.id, items, req.user?.id);
+
+            res.json({ imported: items.length, trip: presentTrip(trip, req.user?.id) });
+        })
+    );
+
+    return router;
+}
+
+module.exports = { createCalendarRouter };
@@ -0,0 +1,28 @@
+// Consent Routes
+// Holonic Travel Planner - The consent policy and the caller's recorded consent
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+
+/**
+ * Open to anonymous visitors, who are identified by their `subjectId`
+ */
+function createConsentRouter({ consentService }) {
+    const router = express.Router();
+
+    router.get('/', asyncHandler(async (req, res) => {
+        const subjectId = typeof req.query.subjectId === 'string' ? req.query.subjectId : null;
+        res.json({
+            policy: consentService.getPolicy(),
+            consent: await consentService.getConsent({ subjectId, userId: req.user?.id })
+        });
+    }));
+
+    router.put('/', asyncHandler(async (req, res) => {
+        res.status(201).json(await consentService.recordConsent(req.body || {}, { userId: req.user?.id }));
+    }));
+
+    return router;
+}
+
+module.exports = { createConsentRouter };
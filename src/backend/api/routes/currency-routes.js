@@ -0,0 +1,24 @@
+// Currency Routes
+// Holonic Travel Planner - Exchange-rate snapshots for client-side conversion
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+const { HttpError } = require('../http-error');
+
+function createCurrencyRouter({ exchangeRates }) {
+    const router = express.Router();
+
+    // ?at=<ISO date> returns the snapshot that was in effect at that time
+    router.get('/', asyncHandler(async (req, res) => {
+        const at = req.query.at || null;
+        if (at && Number.isNaN(Date.parse(at))) {
+            throw HttpError.badRequest('at must be an ISO date');
+        }
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.json(exchangeRates.getRates(at));
+    }));
+
+    return router;
+}
+
+module.exports = { createCurrencyRouter };
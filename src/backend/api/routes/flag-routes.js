@@ -0,0 +1,33 @@
+// Feature Flag Routes
+// Holonic Travel Planner - The feature flags as evaluated for the caller
+
+const express = require('express');
+
+const SUBJECT_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Open to anonymous visitors. The browser's consent `subjectId` places
+ * visitors in percentage rollouts; `locale` is the language the app shows.
+ */
+function createFlagRouter({ featureFlagService }) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const { subjectId, locale } = req.query;
+        const flags = featureFlagService.evaluateAll({
+            userId: req.user?.id || null,
+            role: req.user?.role || null,
+            locale: typeof locale === 'string' && LOCALE_PATTERN.test(locale) ? locale : null,
+            subjectId: typeof subjectId === 'string' && SUBJECT_ID_PATTERN.test(subjectId) ? subjectId : null
+        });
+
+        // Evaluated per user, so never shared by caches
+        res.set('Cache-Control', 'private, no-store');
+        res.json({ flags });
+    });
+
+    return router;
+}
+
+module.exports = { createFlagRouter };
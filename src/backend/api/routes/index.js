@@ -0,0 +1,58 @@
+// API Routes
+// Holonic Travel Planner - Resource routers served ahead of the holonic API gateway
+
+const express = require('express');
+const { createTripRouter } = require('./trip-routes');
+const { createTripCollaborationRouter } = require('./trip-collaboration-routes');
+const { createCalendarRouter } = require('./calendar-routes');
+const { createSearchRouter } = require('./search-routes');
+const { createBookingRouter } = require('./booking-routes');
+const { createPriceWatchRouter } = require('./price-watch-routes');
+const { createBudgetRouter } = require('./budget-routes');
+const { createCurrencyRouter } = require('./currency-routes');
+const { createRealtimeRouter } = require('./realtime-routes');
+const { createAuthRouter } = require('./auth-routes');
+const { createAdminRouter } = require('./admin-routes');
+const { createMeRouter } = require('./me-routes');
+const { createConsentRouter } = require('./consent-routes');
+const { createAnalyticsRouter } = require('./analytics-routes');
+const { createFlagRouter } = require('./flag-routes');
+const { createAuthenticate, requireAuth, requirePermission } = require('../middleware/authenticate');
+
+/**
+ * Build the router for resources handled in-process. Requests it does not
+ * match fall through to the API gateway. Bearer tokens are verified and
+ * `security.auth.protectedRoutes` enforced here for both, so gateway
+ * handlers see the same `req.user` and access rules.
+ */
+function createApiRouter(services) {
+    const router = express.Router();
+
+    router.use(createAuthenticate(services));
+    for (const { path, permission } of services.config.get('security.auth.protectedRoutes', [])) {
+        router.use(path, permission ? requirePermission(permission) : requireAuth);
+    }
+
+    router.use('/auth', createAuthRouter(services));
+    router.use('/admin', createAdminRouter(services));
+    router.use('/me', createMeRouter(services));
+    router.use('/consent', createConsentRouter(services));
+    router.use('/analytics', createAnalyticsRouter(services));
+    router.use('/flags', createFlagRouter(services));
+    router.use(createSearchRouter(services));
+    router.use('/bookings', createBookingRouter(services));
+    router.use('/trips', createCalendarRouter(services));
+    router.use('/trips', createTripCollaborationRouter(services));
+    router.use('/trips', createTripRouter(services));
+    router.use('/watches', createPriceWatchRouter(services));
+    router.use(createBudgetRouter(services));
+    router.use('/rates', createCurrencyRouter(services));
+
+    if (services.realtimeHub) {
+        router.use('/realtime', createRealtimeRouter(services));
+    }
+
+    return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,45 @@
+// Me Routes
+// Holonic Travel Planner - The signed-in user's data export and account deletion
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+const { HttpError } = require('../http-error');
+const { requireAuth } = require('../middleware/authenticate');
+const { verifyPassword } = require('../../auth/password-hasher');
+
+/**
+ * Deleting the account asks for the password again, and is refused to
+ * staff acting as the user. Every route needs a signed-in user, whatever
+ * `security.auth.protectedRoutes` says.
+ */
+function createMeRouter({ privacyService, authService, config }) {
+    const router = express.Router();
+    const cookieName = config.get('security.auth.refreshCookie', 'holonic_refresh');
+
+    router.get('/export', requireAuth, asyncHandler(async (req, res) => {
+        const archive = await privacyService.exportUserData(req.user.id);
+        res.set('Cache-Control', 'no-store');
+        res.attachment(`holonic-travel-export-${archive.exportedAt.slice(0, 10)}.json`);
+        res.json(archive);
+    }));
+
+    router.delete('/', requireAuth, asyncHandler(async (req, res) => {
+        if (req.user.impersonatedBy) {
+            throw HttpError.forbidden('Accounts cannot be deleted while impersonating');
+        }
+
+        const user = await authService.getUser(req.user.id);
+        // 403 rather than 401: the session is fine, the confirmation is not
+        if (!(await verifyPassword(String(req.body?.password ?? ''), user.passwordHash))) {
+            throw HttpError.forbidden('Password is incorrect');
+        }
+
+        const result = await privacyService.eraseUser(user.id);
+        res.clearCookie(cookieName, { path: '/api/auth' });
+        res.json(result);
+    }));
+
+    return router;
+}
+
+module.exports = { createMeRouter };
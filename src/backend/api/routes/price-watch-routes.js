@@ -0,0 +1,39 @@
+// Price Watch Routes
+// Holonic Travel Planner - Manage saved price watches and their history
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+
+function createPriceWatchRouter({ priceWatchService }) {
+    const router = express.Router();
+
+    router.get('/', asyncHandler(async (req, res) => {
+        res.json(await priceWatchService.listWatches(req.user?.id));
+    }));
+
+    router.post('/', asyncHandler(async (req, res) => {
+        res.status(201).json(await priceWatchService.createWatch(req.body || {}, req.user?.id));
+    }));
+
+    router.get('/:id', asyncHandler(async (req, res) => {
+        res.json(await priceWatchService.getWatch(req.params.id, req.user?.id));
+    }));
+
+    router.put('/:id', asyncHandler(async (req, res) => {
+        res.json(await priceWatchService.updateWatch(req.params.id, req.body || {}, req.user?.id));
+    }));
+
+    router.delete('/:id', asyncHandler(async (req, res) => {
+        await priceWatchService.deleteWatch(req.params.id, req.user?.id);
+        res.status(204).end();
+    }));
+
+    // Check a watch now instead of waiting for the scheduler
+    router.post('/:id/check', asyncHandler(async (req, res) => {
+        res.json(await priceWatchService.checkNow(req.params.id, req.user?.id));
+    }));
+
+    return router;
+}
+
+module.exports = { createPriceWatchRouter };
@@ -0,0 +1,72 @@
+// Realtime Routes
+// Holonic Travel Planner - Server-sent events push channel
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+const { HttpError } = require('../http-error');
+
+/**
+ * GET /realtime?topics=trip:<id>,booking:<id>
+ * Streams events for the requested topics plus `system` and, for signed-in
+ * users, `user:<id>`. Topics are authorized against `req.user` like the REST
+ * routes. Reconnects resume from the `Last-Event-ID` header (sent by
+ * EventSource automatically) or the `lastEventId` query parameter.
+ * The stream closes when the access token expires or its session ends.
+ */
+function createRealtimeRouter({ realtimeHub, authService }) {
+    const router = express.Router();
+
+    router.get('/', asyncHandler(async (req, res) => {
+        const userId = req.user?.id || null;
+        const sessionId = req.accessToken?.sessionId || null;
+        // The token outlives a logout; its session does not
+        if (sessionId && !(await authService.isSessionActive(sessionId))) {
+            throw HttpError.unauthorized('Session has ended');
+        }
+        const requested = String(req.query.topics || '').split(',').map(topic => topic.trim()).filter(Boolean);
+        const topics = new Set(['system', ...(userId ? [`user:${userId}`] : []), ...requested]);
+
+        await realtimeHub.authorizeTopics([...topics], userId);
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const client = {
+            userId,
+            sessionId,
+            expiresAt: req.accessToken?.expiresAt || null,
+            topics,
+            send({ id, event, data }) {
+                res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+                // compression() buffers writes unless flushed explicitly
+                res.flush?.();
+            },
+            close() {
+                res.end();
+            }
+        };
+
+        res.write('retry: 3000\n\n');
+
+        let detach = null;
+        let closed = false;
+        req.on('close', () => {
+            closed = true;
+            detach?.();
+        });
+
+        detach = await realtimeHub.attach(client, req.get('Last-Event-ID') || req.query.lastEventId || null);
+        if (closed) {
+            detach();
+        }
+    }));
+
+    return router;
+}
+
+module.exports = { createRealtimeRouter };
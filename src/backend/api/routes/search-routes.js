@@ -0,0 +1,39 @@
+// Search Routes
+// Holonic Travel Planner - Multi-leg search and offer pricing through the search agent
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+const { HttpError } = require('../http-error');
+const { normalizeSearchLegs } = require('../middleware/search-legs');
+
+function createSearchRouter({ searchAgent, searchHistory = null }) {
+    const router = express.Router();
+
+    router.post('/search', normalizeSearchLegs, asyncHandler(async (req, res) => {
+        const results = await searchAgent.search(req.body);
+        if (searchHistory && req.user) {
+            await searchHistory.record(req.user.id, results);
+        }
+        res.json(results);
+    }));
+
+    router.get('/search/:searchId', asyncHandler(async (req, res) => {
+        const results = await searchAgent.getSearch(req.params.searchId);
+        if (!results) {
+            throw HttpError.notFound('Search results are no longer available');
+        }
+        res.json(results);
+    }));
+
+    router.post('/offers/price', asyncHandler(async (req, res) => {
+        const { offer } = req.body || {};
+        if (!offer || !offer.provider || !offer.offerId) {
+            throw HttpError.badRequest('An offer with provider and offerId is required');
+        }
+        res.json(await searchAgent.price(offer));
+    }));
+
+    return router;
+}
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,62 @@
+// Trip Collaboration Routes
+// Holonic Travel Planner - Invites, members, votes and comments on shared trips
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+const { presentTrip } = require('../../trips/trip-access');
+const { displayNameOf } = require('./trip-routes');
+
+function createTripCollaborationRouter({ tripCollaborationService }) {
+    const router = express.Router();
+    const identity = req => ({ userId: req.user?.id, displayName: displayNameOf(req.user) });
+
+    router.post('/join/:token', asyncHandler(async (req, res) => {
+        const trip = await tripCollaborationService.joinTrip(req.params.token, identity(req));
+        res.json(presentTrip(trip, req.user?.id));
+    }));
+
+    router.post('/:id/invites', asyncHandler(async (req, res) => {
+        const invite = await tripCollaborationService.createInvite(req.params.id, req.user?.id, req.body);
+        res.status(201).json(invite);
+    }));
+
+    router.delete('/:id/invites/:token', asyncHandler(async (req, res) => {
+        await tripCollaborationService.revokeInvite(req.params.id, req.params.token, req.user?.id);
+        res.status(204).end();
+    }));
+
+    router.put('/:id/members/:userId', asyncHandler(async (req, res) => {
+        const trip = await tripCollaborationService.updateMemberRole(
+            req.params.id, req.params.userId, req.body.role, req.user?.id
+        );
+        res.json(presentTrip(trip, req.user?.id));
+    }));
+
+    router.delete('/:id/members/:userId', asyncHandler(async (req, res) => {
+        await tripCollaborationService.removeMember(req.params.id, req.params.userId, req.user?.id);
+        res.status(204).end();
+    }));
+
+    router.put('/:id/votes', asyncHandler(async (req, res) => {
+        const trip = await tripCollaborationService.vote(
+            req.params.id, req.body.optionId, Number(req.body.value), req.user?.id
+        );
+        res.json(presentTrip(trip, req.user?.id));
+    }));
+
+    router.post('/:id/comments', asyncHandler(async (req, res) => {
+        const comment = await tripCollaborationService.addComment(
+            req.params.id, req.body.itemId, req.body.text, identity(req)
+        );
+        res.status(201).json(comment);
+    }));
+
+    router.delete('/:id/comments/:commentId', asyncHandler(async (req, res) => {
+        await tripCollaborationService.deleteComment(req.params.id, req.params.commentId, req.user?.id);
+        res.status(204).end();
+    }));
+
+    return router;
+}
+
+module.exports = { createTripCollaborationRouter };
@@ -0,0 +1,42 @@
+// Trip Routes
+// Holonic Travel Planner - REST endpoints for the trip workspace
+
+const express = require('express');
+const { asyncHandler } = require('../async-handler');
+const { presentTrip } = require('../../trips/trip-access');
+
+function createTripRouter({ tripService }) {
+    const router = express.Router();
+
+    router.get('/', asyncHandler(async (req, res) => {
+        const trips = await tripService.listTrips(req.user?.id);
+        res.json(trips.map(trip => presentTrip(trip, req.user?.id)));
+    }));
+
+    router.post('/', asyncHandler(async (req, res) => {
+        const trip = await tripService.createTrip(req.body, req.user?.id, displayNameOf(req.user));
+        res.status(201).json(presentTrip(trip, req.user?.id));
+    }));
+
+    router.get('/:id', asyncHandler(async (req, res) => {
+        res.json(presentTrip(await tripService.getTrip(req.params.id, req.user?.id), req.user?.id));
+    }));
+
+    router.put('/:id', asyncHandler(async (req, res) => {
+        const trip = await tripService.updateTrip(req.params.id, req.body, req.user?.id);
+        res.json(presentTrip(trip, req.user?.id));
+    }));
+
+    router.delete('/:id', asyncHandler(async (req, res) => {
+        await tripService.deleteTrip(req.params.id, req.user?.id);
+        res.status(204).end();
+    }));
+
+    return router;
+}
+
+function displayNameOf(user) {
+    return user ? user.name || user.email || null : null;
+}
+
+module.exports = { createTripRouter, displayNameOf };
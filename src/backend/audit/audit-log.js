@@ -0,0 +1,43 @@
+// Audit Log
+// Holonic Travel Planner - Append-only record of what staff did and to whom
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Audit Log
+ * One entry per staff action: who acted (`actorId`), what they did
+ * (`action`, e.g. `booking.refunded`), the affected resource and any
+ * details such as the reason given. Entries are never changed.
+ */
+class AuditLog {
+    constructor({ stores }) {
+        this.stores = stores;
+        this.store = null;
+    }
+
+    async initialize() {
+        this.store = await this.stores.getStore('auditLog');
+    }
+
+    async record({ actorId, action, targetType, targetId, details = {} }) {
+        return this.store.create({ actorId, action, targetType, targetId, details });
+    }
+
+    /**
+     * Newest entries first, optionally for one action or resource
+     */
+    async list({ action = null, targetId = null, limit = DEFAULT_LIMIT } = {}) {
+        const entries = await this.store.list(entry =>
+            (!action || entry.action === action) && (!targetId || entry.targetId === targetId)
+        );
+        return entries
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+
+    getStatus() {
+        return this.store ? 'ready' : 'uninitialized';
+    }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,355 @@
+// Auth Service
+// Holonic Travel Planner - Accounts, password sign-in and rotating refresh-token sessions
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { HttpError } = require('../api/http-error');
+const { hashPassword, verifyPassword } = require('./password-hasher');
+const { parseDuration } = require('./token-service');
+const { DuplicateKeyError } = require('../data/stores/document-store');
+const { isRole } = require('../../shared/permissions');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Two tabs refreshing at once both present the same token; the slower one is refused without ending the session
+const REUSE_GRACE_MS = 10000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Auth Service
+ * A session is a short-lived access token plus a refresh token. Refresh
+ * tokens are opaque (`<id>.<secret>`, only a hash of the secret is stored)
+ * and single-use: each refresh revokes the presented token and issues the
+ * next one of the same family. Presenting a token that was already rotated
+ * means it leaked, so the whole family is revoked and the user signs in again.
+ * Refreshes of one family run one at a time, so two concurrent requests
+ * with the same token cannot both rotate it.
+ * Accounts are created as travelers. The only admin the service creates is
+ * the one seeded from `security.auth.admin` on start; further admins are
+ * promoted from the admin console.
+ * Access tokens name their family in the `sid` claim. Emits `session:ended`
+ * ({ userId, sessionId }) when a family is revoked, with a null sessionId
+ * when every session of the user ended.
+ */
+class AuthService extends EventEmitter {
+    constructor({ config, stores, tokenService }) {
+        super();
+        this.config = config;
+        this.stores = stores;
+        this.tokenService = tokenService;
+        this.users = null;
+        this.refreshTokens = null;
+        this.refreshExpiresIn = parseDuration(config.get('security.jwt.refreshExpiresIn', '30d'));
+        this.passwordMinLength = config.get('security.auth.passwordMinLength', 10);
+        this.admin = config.get('security.auth.admin', {});
+        this.dummyHash = null;
+        this.locks = new Map();
+    }
+
+    async initialize() {
+        this.users = await this.stores.getStore('users', { unique: ['email'] });
+        this.refreshTokens = await this.stores.getStore('refreshTokens');
+        // Compared against when an email is unknown, so sign-in takes as long either way
+        this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+        await this.seedAdmin();
+    }
+
+    /**
+     * Create the configured admin account, or promote an existing account
+     * with that email when it signs in with the configured password. An
+     * account someone else registered under the email is never promoted.
+     */
+    async seedAdmin() {
+        const { email, password } = this.admin || {};
+        if (!email || !password) {
+            return;
+        }
+
+        const normalizedEmail = this.normalizeEmail(email);
+        const existing = await this.findByEmail(normalizedEmail);
+        if (!existing) {
+            await this.users.create({
+                email: normalizedEmail,
+                name: normalizedEmail.split('@')[0],
+                role: 'admin',
+                passwordHash: await hashPassword(password),
+                lastLoginAt: null
+            });
+            return;
+        }
+        if (existing.role === 'admin') {
+            return;
+        }
+        if (!await verifyPassword(password, existing.passwordHash)) {
+            throw new Error(`The account ${normalizedEmail} exists and its password is not the configured admin password; promote it from the admin console instead`);
+        }
+        await this.users.update(existing.id, { role: 'admin' });
+    }
+
+    async register({ email, password, name } = {}) {
+        const normalizedEmail = this.normalizeEmail(email);
+        if (typeof password !== 'string' || password.length < this.passwordMinLength) {
+            throw HttpError.badRequest(`Password must be at least ${this.passwordMinLength} characters`);
+        }
+        // Answers early without hashing; the store's unique email check is what decides
+        if (await this.findByEmail(normalizedEmail)) {
+            throw HttpError.conflict('An account with this email already exists');
+        }
+
+        let user;
+        try {
+            user = await this.users.create({
+                email: normalizedEmail,
+                name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : normalizedEmail.split('@')[0],
+                role: 'traveler',
+                passwordHash: await hashPassword(password),
+                lastLoginAt: new Date().toISOString()
+            });
+        } catch (error) {
+            if (error instanceof DuplicateKeyError) {
+                throw HttpError.conflict('An account with this email already exists');
+            }
+            throw error;
+        }
+
+        return this.startSession(user);
+    }
+
+    async login({ email, password } = {}) {
+        const user = typeof email === 'string' ? await this.findByEmail(email.trim().toLowerCase()) : null;
+        const valid = await verifyPassword(String(password ?? ''), user ? user.passwordHash : this.dummyHash);
+        if (!user || !valid) {
+            throw HttpError.unauthorized('Email or password is incorrect');
+        }
+
+        return this.startSession(await this.users.update(user.id, { lastLoginAt: new Date().toISOString() }));
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and the next refresh token
+     */
+    async refresh(refreshToken) {
+        const found = await this.findRefreshToken(refreshToken);
+        if (!found) {
+            throw HttpError.unauthorized('Invalid refresh token');
+        }
+
+        return this.withLock(found.familyId, async () => {
+            // Read again: a refresh that held the lock may have rotated it
+            const record = await this.refreshTokens.get(found.id);
+            if (!record) {
+                throw HttpError.unauthorized('Invalid refresh token');
+            }
+            return this.rotate(record);
+        });
+    }
+
+    /**
+     * Revoke a refresh token and issue its successor; runs under the family lock
+     */
+    async rotate(record) {
+        if (record.revokedAt) {
+            const rotatedAgo = Date.now() - Date.parse(record.revokedAt);
+            if (record.replacedBy && rotatedAgo > REUSE_GRACE_MS) {
+                await this.revokeFamily(record.familyId);
+            }
+            throw HttpError.unauthorized('Refresh token is no longer valid');
+        }
+        if (Date.parse(record.expiresAt) <= Date.now()) {
+            throw HttpError.unauthorized('Refresh token has expired');
+        }
+
+        const user = await this.users.get(record.userId);
+        if (!user) {
+            await this.revokeFamily(record.familyId);
+            throw HttpError.unauthorized('Account no longer exists');
+        }
+
+        const next = await this.issueRefreshToken(user.id, record.familyId);
+        await this.refreshTokens.update(record.id, { revokedAt: new Date().toISOString(), replacedBy: next.record.id });
+        return this.session(user, next);
+    }
+
+    /**
+     * Run refreshes one at a time per token family
+     */
+    withLock(familyId, task) {
+        const previous = this.locks.get(familyId) || Promise.resolve();
+        const run = previous.catch(() => {}).then(task);
+        const tail = run.catch(() => {});
+        this.locks.set(familyId, tail);
+        tail.then(() => {
+            if (this.locks.get(familyId) === tail) {
+                this.locks.delete(familyId);
+            }
+        });
+        return run;
+    }
+
+    /**
+     * End the session a refresh token belongs to; unknown tokens are ignored
+     */
+    async logout(refreshToken) {
+        const record = await this.findRefreshToken(refreshToken);
+        if (record) {
+            await this.revokeFamily(record.familyId);
+        }
+    }
+
+    /**
+     * Whether the session an access token was issued for can still be refreshed
+     */
+    async isSessionActive(sessionId) {
+        const now = Date.now();
+        const live = await this.refreshTokens.list(t => t.familyId === sessionId && !t.revokedAt && Date.parse(t.expiresAt) > now);
+        return live.length > 0;
+    }
+
+    /**
+     * Every account, most recently active first
+     */
+    async listUsers() {
+        const users = await this.users.list();
+        return users
+            .map(presentUser)
+            .sort((a, b) => (b.lastLoginAt || '').localeCompare(a.lastLoginAt || ''));
+    }
+
+    /**
+     * Change a user's role. It applies to their access tokens from the next
+     * refresh on.
+     */
+    async setRole(id, role) {
+        if (!isRole(role)) {
+            throw HttpError.badRequest(`Unknown role ${role}`);
+        }
+        await this.getUser(id);
+        return presentUser(await this.users.update(id, { role }));
+    }
+
+    /**
+     * An access token letting a staff member act as another user. There is
+     * no refresh token: the staff member's own session resumes on refresh.
+     */
+    async impersonate(id, actor) {
+        const user = await this.getUser(id);
+        if (user.id === actor.id) {
+            throw HttpError.badRequest('You cannot impersonate yourself');
+        }
+        if (user.role === 'admin') {
+            throw HttpError.forbidden('Admins cannot be impersonated');
+        }
+
+        const access = this.tokenService.signAccessToken(user, { actor });
+        return {
+            user: presentUser(user),
+            impersonatedBy: actor.id,
+            accessToken: access.token,
+            accessTokenExpiresAt: access.expiresAt
+        };
+    }
+
+    /**
+     * Delete an account and end all its sessions
+     */
+    async deleteUser(id) {
+        const tokens = await this.refreshTokens.list(t => t.userId === id);
+        await Promise.all(tokens.map(t => this.refreshTokens.delete(t.id)));
+        await this.users.delete(id);
+        this.emit('session:ended', { userId: id, sessionId: null });
+    }
+
+    async getUser(id) {
+        const user = id ? await this.users.get(id) : null;
+        if (!user) {
+            throw HttpError.notFound('User not found');
+        }
+        return user;
+    }
+
+    async findByEmail(email) {
+        const [user] = await this.users.list(u => u.email === email);
+        return user || null;
+    }
+
+    normalizeEmail(email) {
+        const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+        if (!EMAIL_PATTERN.test(normalized)) {
+            throw HttpError.badRequest('A valid email address is required');
+        }
+        return normalized;
+    }
+
+    async startSession(user) {
+        return this.session(user, await this.issueRefreshToken(user.id, crypto.randomUUID()));
+    }
+
+    session(user, { token, record }) {
+        const access = this.tokenService.signAccessToken(user, { sessionId: record.familyId });
+        return {
+            user: presentUser(user),
+            accessToken: access.token,
+            accessTokenExpiresAt: access.expiresAt,
+            refreshToken: token,
+            refreshTokenExpiresAt: record.expiresAt
+        };
+    }
+
+    async issueRefreshToken(userId, familyId) {
+        await this.pruneRefreshTokens(userId);
+
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const record = await this.refreshTokens.create({
+            userId,
+            familyId,
+            tokenHash: sha256(secret),
+            expiresAt: new Date(Date.now() + this.refreshExpiresIn * 1000).toISOString(),
+            revokedAt: null,
+            replacedBy: null
+        });
+        return { token: `${record.id}.${secret}`, record };
+    }
+
+    async findRefreshToken(refreshToken) {
+        const [id, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+        const record = id && secret ? await this.refreshTokens.get(id) : null;
+        if (!record) {
+            return null;
+        }
+
+        const expected = Buffer.from(record.tokenHash, 'hex');
+        const actual = Buffer.from(sha256(secret), 'hex');
+        return crypto.timingSafeEqual(actual, expected) ? record : null;
+    }
+
+    async revokeFamily(familyId) {
+        const now = new Date().toISOString();
+        const tokens = await this.refreshTokens.list(t => t.familyId === familyId && !t.revokedAt);
+        await Promise.all(tokens.map(t => this.refreshTokens.update(t.id, { revokedAt: now })));
+        if (tokens.length > 0) {
+            this.emit('session:ended', { userId: tokens[0].userId, sessionId: familyId });
+        }
+    }
+
+    // Expired tokens are of no further use, not even for reuse detection
+    async pruneRefreshTokens(userId) {
+        const now = Date.now();
+        const expired = await this.refreshTokens.list(t => t.userId === userId && Date.parse(t.expiresAt) <= now);
+        await Promise.all(expired.map(t => this.refreshTokens.delete(t.id)));
+    }
+
+    getStatus() {
+        return this.users ? 'ready' : 'uninitialized';
+    }
+}
+
+/**
+ * The account as shown to its owner, without credentials
+ */
+function presentUser(user) {
+    const { passwordHash, ...visible } = user;
+    return visible;
+}
+
+module.exports = { AuthService, presentUser };
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StoreRegistry } from '../data/store-registry';
+import { TokenService } from './token-service';
+import { AuthService } from './auth-service';
+
+function createConfig(values) {
+    return { get: (key, fallback) => (key in values ? values[key] : fallback) };
+}
+
+const SECRET = 'a-test-secret-that-is-long-enough-for-hs256';
+
+describe('AuthService', () => {
+    let stores;
+    let tokenService;
+
+    async function createAuthService(values = {}) {
+        const config = createConfig({ 'storage.driver': 'memory', 'security.jwt.secret': SECRET, ...values });
+        tokenService = new TokenService(config);
+        const authService = new AuthService({ config, stores, tokenService });
+        await authService.initialize();
+        return authService;
+    }
+
+    beforeEach(() => {
+        stores = new StoreRegistry(createConfig({ 'storage.driver': 'memory' }));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('accounts', () => {
+        it('registers travelers, even under the configured admin email', async () => {
+            const authService = await createAuthService({ 'security.auth.admin': { email: 'root@example.com', password: 'operator-password' } });
+            await authService.deleteUser((await authService.findByEmail('root@example.com')).id);
+
+            const { user } = await authService.register({ email: 'Root@Example.com', password: 'attacker-password' });
+            const signedIn = await authService.login({ email: 'root@example.com', password: 'attacker-password' });
+
+            expect(user.role).toBe('traveler');
+            expect(signedIn.user.role).toBe('traveler');
+        });
+
+        it('lets only one of two concurrent registrations for an email succeed', async () => {
+            const authService = await createAuthService();
+
+            const results = await Promise.allSettled([
+                authService.register({ email: 'ana@example.com', password: 'first-password' }),
+                authService.register({ email: 'ana@example.com', password: 'second-password' })
+            ]);
+
+            expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+            expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+            expect(await authService.listUsers()).toHaveLength(1);
+        });
+
+        it('seeds the configured admin account', async () => {
+            const authService = await createAuthService({ 'security.auth.admin': { email: 'root@example.com', password: 'operator-password' } });
+
+            const { user } = await authService.login({ email: 'root@example.com', password: 'operator-password' });
+
+            expect(user.role).toBe('admin');
+        });
+
+        it('does not promote an account registered under the admin email by someone else', async () => {
+            const first = await createAuthService();
+            await first.register({ email: 'root@example.com', password: 'attacker-password' });
+
+            await expect(createAuthService({ 'security.auth.admin': { email: 'root@example.com', password: 'operator-password' } }))
+                .rejects.toThrow(/admin console/);
+            expect((await first.findByEmail('root@example.com')).role).toBe('traveler');
+        });
+    });
+
+    describe('access tokens', () => {
+        it('carry the user and verify until they expire', async () => {
+            const authService = await createAuthService({ 'security.jwt.expiresIn': '15m' });
+            const { user, accessToken } = await authService.register({ email: 'ana@example.com', password: 'a-long-password' });
+
+            expect(tokenService.verifyAccessToken(accessToken)).toMatchObject({ sub: user.id, role: 'traveler' });
+
+            vi.useFakeTimers({ now: Date.now() + 16 * 60 * 1000 });
+            expect(() => tokenService.verifyAccessToken(accessToken)).toThrow(/expired/);
+        });
+
+        it('are rejected when the payload was changed', async () => {
+            const authService = await createAuthService();
+            const { accessToken } = await authService.register({ email: 'ana@example.com', password: 'a-long-password' });
+            const [header, payload, signature] = accessToken.split('.');
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            const forged = Buffer.from(JSON.stringify({ ...claims, role: 'admin' })).toString('base64url');
+
+            expect(() => tokenService.verifyAccessToken(`${header}.${forged}.${signature}`)).toThrow(/Invalid access token/);
+        });
+    });
+
+    describe('refresh tokens', () => {
+        it('are single-use: each refresh issues the next token of the family', async () => {
+            const authService = await createAuthService();
+            const { refreshToken } = await authService.register({ email: 'ana@example.com', password: 'a-long-password' });
+
+            const next = await authService.refresh(refreshToken);
+
+            expect(next.refreshToken).not.toBe(refreshToken);
+            await expect(authService.refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+            await expect(authService.refresh(next.refreshToken)).resolves.toHaveProperty('accessToken');
+        });
+
+        it('revoke the whole family when a rotated token is presented again', async () => {
+            const authService = await createAuthService();
+            const { refreshToken } = await authService.register({ email: 'ana@example.com', password: 'a-long-password' });
+            const next = await authService.refresh(refreshToken);
+
+            vi.useFakeTimers({ now: Date.now() + 60 * 1000 });
+            await expect(authService.refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+            await expect(authService.refresh(next.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+        });
+
+        it('rotate once when the same token is refreshed concurrently', async () => {
+            const authService = await createAuthService();
+            const { refreshToken } = await authService.register({ email: 'ana@example.com', password: 'a-long-password' });
+
+            const results = await Promise.allSettled([authService.refresh(refreshToken), authService.refresh(refreshToken)]);
+
+            expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+            const { refreshToken: next } = results.find(result => result.status === 'fulfilled').value;
+            await expect(authService.refresh(next)).resolves.toHaveProperty('accessToken');
+        });
+
+        it('end on logout', async () => {
+            const authService = await createAuthService();
+            const { refreshToken } = await authService.register({ email: 'ana@example.com', password: 'a-long-password' });
+
+            await authService.logout(refreshToken);
+
+            await expect(authService.refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+        });
+    });
+});
@@ -0,0 +1,41 @@
+// Password Hasher
+// Holonic Travel Planner - Salted scrypt password hashes in a self-describing format
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored with the hash, so raising the cost later keeps existing hashes verifiable
+const DEFAULT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Hash a password as `scrypt$N$r$p$<salt>$<hash>` (base64 salt and hash)
+ */
+async function hashPassword(password, params = DEFAULT_PARAMS) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const hash = await scrypt(password, salt, KEY_LENGTH, params);
+    return ['scrypt', params.N, params.r, params.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, expected] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+
+    const expectedHash = Buffer.from(expected, 'base64');
+    const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+    return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,115 @@
+// Token Service
+// Holonic Travel Planner - Signs and verifies JWT access tokens with the security.jwt settings
+
+const crypto = require('crypto');
+const { HttpError } = require('../api/http-error');
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Seconds in a duration such as 900, '900', '15m', '24h' or '30d'
+ */
+function parseDuration(value) {
+    const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid duration: ${value}`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+/**
+ * Token Service
+ * Access tokens are compact HS256 JWTs carrying the user id (`sub`), role
+ * and display name, bound to the configured issuer and audience. They are
+ * short-lived: sessions are kept alive with refresh tokens (AuthService).
+ */
+class TokenService {
+    constructor(config) {
+        this.secret = config.get('security.jwt.secret');
+        this.algorithm = config.get('security.jwt.algorithm', 'HS256');
+        this.expiresIn = parseDuration(config.get('security.jwt.expiresIn', '15m'));
+        this.issuer = config.get('security.jwt.issuer', 'holonic-travel-planner');
+        this.audience = config.get('security.jwt.audience', 'holonic-travel-users');
+
+        if (typeof this.secret !== 'string' || this.secret.length === 0) {
+            throw new Error('security.jwt.secret is not configured');
+        }
+        if (this.algorithm !== 'HS256') {
+            throw new Error(`Unsupported JWT algorithm ${this.algorithm}`);
+        }
+    }
+
+    /**
+     * `actor` is the staff member when the token lets them act as `user`;
+     * `sessionId` is the refresh-token family the token was issued for
+     * @returns {{ token: string, expiresAt: string }}
+     */
+    signAccessToken(user, { actor = null, sessionId = null } = {}) {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const payload = {
+            sub: user.id,
+            role: user.role,
+            name: user.name,
+            email: user.email,
+            iss: this.issuer,
+            aud: this.audience,
+            iat: issuedAt,
+            exp: issuedAt + this.expiresIn,
+            jti: crypto.randomUUID()
+        };
+        if (actor) {
+            payload.act = { sub: actor.id };
+        }
+        if (sessionId) {
+            payload.sid = sessionId;
+        }
+
+        const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+        return {
+            token: `${unsigned}.${this.sign(unsigned)}`,
+            expiresAt: new Date(payload.exp * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Claims of a valid access token; anything else is a 401
+     */
+    verifyAccessToken(token) {
+        const [header, payload, signature] = String(token || '').split('.');
+        if (!header || !payload || !signature) {
+            throw HttpError.unauthorized('Malformed access token');
+        }
+
+        const expected = Buffer.from(this.sign(`${header}.${payload}`));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw HttpError.unauthorized('Invalid access token');
+        }
+
+        let claims;
+        try {
+            if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') {
+                throw new Error('Unexpected algorithm');
+            }
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        } catch (error) {
+            throw HttpError.unauthorized('Invalid access token');
+        }
+
+        if (claims.iss !== this.issuer || claims.aud !== this.audience) {
+            throw HttpError.unauthorized('Access token was issued for another service');
+        }
+        if (!Number.isFinite(claims.exp) || claims.exp <= Math.floor(Date.now() / 1000)) {
+            throw HttpError.unauthorized('Access token has expired');
+        }
+        return claims;
+    }
+
+    sign(data) {
+        return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+    }
+}
+
+module.exports = { TokenService, parseDuration };
@@ -0,0 +1,456 @@
+// Booking Service
+// Holonic Travel Planner - Booking lifecycle from draft through hold and payment to confirmation
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { HttpError } = require('../api/http-error');
+const { isCurrencyCode, sumMoney } = require('../../shared/money');
+const {
+    BOOKING_STATES,
+    EXPIRING_STATES,
+    isTerminal,
+    transition
+} = require('./booking-state-machine');
+
+const { DRAFT, HELD, PAYMENT_PENDING, CONFIRMED, EXPIRED, CANCELLED, FAILED, REFUNDED } = BOOKING_STATES;
+
+/**
+ * Booking Service
+ * A booking is created as a draft and immediately held: its offers are
+ * re-priced and the price is kept for `holonic.agents.booking.paymentTimeout`.
+ * Payment must start and be confirmed before the hold runs out, otherwise
+ * the booking expires. Offers are only booked with their providers on
+ * confirmation; when one of them fails, those already booked are cancelled
+ * and the booking fails. Offers priced in other currencies are converted into the
+ * payment currency (the first offer's unless one is requested) at hold time. Every state change is recorded in the booking history
+ * and emitted as a `booking:changed` event.
+ */
+class BookingService extends EventEmitter {
+    constructor({ config, stores, providers, searchAgent, exchangeRates = null }) {
+        super();
+        this.config = config;
+        this.stores = stores;
+        this.providers = providers;
+        this.searchAgent = searchAgent;
+        this.exchangeRates = exchangeRates;
+        this.store = null;
+        this.paymentTimeout = config.get('holonic.agents.booking.paymentTimeout', 300000);
+        this.confirmationRequired = config.get('holonic.agents.booking.confirmationRequired', true);
+        this.expiryTimers = new Map();
+        this.locks = new Map();
+    }
+
+    async initialize() {
+        this.store = await this.stores.getStore('bookings');
+
+        // Re-arm holds that were running when the process stopped
+        for (const booking of await this.store.list(b => EXPIRING_STATES.includes(b.status))) {
+            this.scheduleExpiry(booking);
+        }
+    }
+
+    /**
+     * Run booking changes one at a time per booking
+     */
+    withLock(id, task) {
+        const previous = this.locks.get(id) || Promise.resolve();
+        const run = previous.catch(() => {}).then(task);
+        const tail = run.catch(() => {});
+        this.locks.set(id, tail);
+        tail.then(() => {
+            if (this.locks.get(id) === tail) {
+                this.locks.delete(id);
+            }
+        });
+        return run;
+    }
+
+    async applyTransition(id, to, options) {
+        const booking = await this.getBooking(id);
+        const updated = await this.store.update(id, transition(booking, to, options));
+
+        if (isTerminal(updated.status) || !EXPIRING_STATES.includes(updated.status)) {
+            this.clearExpiry(id);
+        }
+        this.emit('booking:changed', { bookingId: id, from: booking.status, booking: updated });
+        return updated;
+    }
+
+    /**
+     * Create and hold a booking. Replaying a request with the same
+     * idempotency key returns the original booking instead of a new one;
+     * requests with the same key run one at a time, so concurrent retries
+     * cannot both create a booking.
+     * @returns {Promise<{ booking: object, replayed: boolean }>}
+     */
+    async createBooking({ offers, travelers = [], contact = {}, tripId = null, currency = null }, { userId = null, idempotencyKey = null } = {}) {
+        if (!Array.isArray(offers) || offers.length === 0) {
+            throw HttpError.badRequest('At least one offer is required');
+        }
+        if (!offers.every(isOfferReference)) {
+            throw HttpError.badRequest('Every offer needs a provider and an offerId');
+        }
+        if (currency !== null && !isCurrencyCode(currency)) {
+            throw HttpError.badRequest('currency must be a 3-letter ISO code');
+        }
+
+        const requestHash = crypto.createHash('sha256')
+            .update(JSON.stringify({
+                offers: offers.map(offer => [offer.provider, offer.offerId]),
+                travelers,
+                tripId,
+                currency: currency || undefined
+            }))
+            .digest('hex');
+
+        const place = () => this.placeBooking({ offers, travelers, contact, tripId, currency }, { userId, idempotencyKey, requestHash });
+        if (!idempotencyKey) {
+            return place();
+        }
+
+        return this.withLock(`idempotency:${userId || ''}:${idempotencyKey}`, async () => {
+            const [existing] = await this.store.list(b => b.idempotencyKey === idempotencyKey && b.userId === userId);
+            if (existing) {
+                if (existing.requestHash !== requestHash) {
+                    throw HttpError.conflict('Idempotency key was already used for a different booking request');
+                }
+                return { booking: existing, replayed: true };
+            }
+            return place();
+        });
+    }
+
+    async placeBooking({ offers, travelers, contact, tripId, currency }, { userId, idempotencyKey, requestHash }) {
+        const draft = await this.store.create({
+            userId,
+            tripId,
+            status: DRAFT,
+            // Only the references are kept; hold prices them with the provider
+            offers: offers.map(({ provider, offerId }) => ({ provider, offerId })),
+            items: [],
+            travelers,
+            contact,
+            totalAmount: null,
+            currency,
+            priceConversions: [],
+            holdExpiresAt: null,
+            payment: null,
+            idempotencyKey,
+            requestHash,
+            history: [{ from: null, to: DRAFT, at: new Date().toISOString(), actor: userId || 'system', reason: null }]
+        });
+
+        let booking = await this.hold(draft.id, userId);
+
+        if (!this.confirmationRequired) {
+            booking = await this.startPayment(booking.id, { userId });
+            booking = await this.confirm(booking.id, { userId, paymentReference: booking.payment.reference });
+        }
+
+        return { booking, replayed: false };
+    }
+
+    /**
+     * Re-price the offers and hold them for the payment timeout
+     */
+    hold(id, actor) {
+        return this.withLock(id, async () => {
+            const booking = await this.getBooking(id);
+            let priced;
+
+            try {
+                priced = await Promise.all(booking.offers.map(offer => this.searchAgent.price(offer)));
+            } catch (error) {
+                return this.applyTransition(id, FAILED, { actor: 'system', reason: `Pricing failed: ${error.message}` });
+            }
+
+            const currency = booking.currency || priced[0].price.currency;
+            let amounts;
+            try {
+                amounts = priced.map(offer => this.toPaymentCurrency(offer.price, currency));
+            } catch (error) {
+                await this.applyTransition(id, FAILED, { actor: 'system', reason: error.message });
+                throw error;
+            }
+
+            const held = await this.applyTransition(id, HELD, {
+                actor,
+                changes: {
+                    offers: priced,
+                    totalAmount: sumMoney(amounts, currency).amount,
+                    currency,
+                    priceConversions: amounts
+                        .map((amount, index) => ({ offerId: priced[index].offerId, ...amount }))
+                        .filter(conversion => conversion.original),
+                    holdExpiresAt: new Date(Date.now() + this.paymentTimeout).toISOString()
+                }
+            });
+
+            this.scheduleExpiry(held);
+            return held;
+        });
+    }
+
+    /**
+     * Begin payment for a held booking
+     */
+    startPayment(id, { userId = null, method = 'card' } = {}) {
+        return this.withLock(id, async () => {
+            const booking = await this.getBooking(id);
+            this.assertOwner(booking, userId);
+            this.assertHoldActive(booking);
+
+            return this.applyTransition(id, PAYMENT_PENDING, {
+                actor: userId || 'system',
+                changes: {
+                    payment: {
+                        reference: `PAY-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+                        method,
+                        amount: booking.totalAmount,
+                        currency: booking.currency,
+                        startedAt: new Date().toISOString()
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Confirm a paid booking by booking every offer with its provider
+     */
+    confirm(id, { userId = null, paymentReference } = {}) {
+        return this.withLock(id, async () => {
+            const booking = await this.getBooking(id);
+            this.assertOwner(booking, userId);
+
+            if (booking.status !== PAYMENT_PENDING) {
+                transition(booking, CONFIRMED);
+            }
+            this.assertHoldActive(booking);
+
+            if (!paymentReference || paymentReference !== booking.payment?.reference) {
+                throw HttpError.badRequest('Payment reference does not match this booking');
+            }
+
+            const items = [];
+            try {
+                for (const offer of booking.offers) {
+                    const confirmation = await this.providers.get(offer.provider).book(offer, {
+                        travelers: booking.travelers,
+                        contact: booking.contact,
+                        reference: booking.id
+                    });
+                    items.push({ ...offer, ...confirmation });
+                }
+            } catch (error) {
+                // Release what was already booked instead of leaving part of the trip booked
+                const released = await this.cancelProviderBookings(items, booking.id);
+                const unreleased = released.filter(item => item.cancellationError).length;
+                return this.applyTransition(id, FAILED, {
+                    actor: 'system',
+                    reason: `Provider booking failed: ${error.message}`
+                        + (unreleased > 0 ? `; ${unreleased} booked item(s) could not be cancelled` : ''),
+                    changes: { items: released }
+                });
+            }
+
+            return this.applyTransition(id, CONFIRMED, {
+                actor: userId || 'system',
+                changes: {
+                    items,
+                    confirmationNumber: items.map(item => item.confirmationNumber).join('/'),
+                    payment: { ...booking.payment, completedAt: new Date().toISOString() }
+                }
+            });
+        });
+    }
+
+    /**
+     * Cancel the provider bookings of a confirmation that failed part-way.
+     * Items the provider would not cancel keep their confirmation and carry
+     * the error, so staff can settle them with the provider.
+     */
+    async cancelProviderBookings(items, reference) {
+        const released = [];
+        for (const item of items) {
+            try {
+                await this.providers.get(item.provider).cancel(item, { reference });
+                released.push({ ...item, status: 'cancelled', cancelledAt: new Date().toISOString() });
+            } catch (error) {
+                released.push({ ...item, cancellationError: error.message });
+            }
+        }
+        return released;
+    }
+
+    /**
+     * Cancel a booking. Staff cancel on the owner's behalf with `staff` set
+     * and are recorded as the `actor`.
+     */
+    cancel(id, { userId = null, reason = null, actor = userId || 'system', staff = false } = {}) {
+        return this.withLock(id, async () => {
+            const booking = await this.getBooking(id);
+            if (!staff) {
+                this.assertOwner(booking, userId);
+            }
+            return this.applyTransition(id, CANCELLED, { actor, reason });
+        });
+    }
+
+    /**
+     * Refund the full payment of a confirmed or cancelled booking
+     */
+    refund(id, { actor, reason = null } = {}) {
+        return this.withLock(id, async () => {
+            const booking = await this.getBooking(id);
+            if (!booking.payment?.completedAt) {
+                throw HttpError.conflict('Only paid bookings can be refunded', { status: booking.status });
+            }
+
+            return this.applyTransition(id, REFUNDED, {
+                actor,
+                reason,
+                changes: {
+                    refund: {
+                        reference: `REF-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+                        amount: booking.payment.amount,
+                        currency: booking.payment.currency,
+                        paymentReference: booking.payment.reference,
+                        refundedAt: new Date().toISOString()
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Expire a booking whose hold ran out; a no-op once it has moved on
+     */
+    expire(id) {
+        return this.withLock(id, async () => {
+            const booking = await this.store.get(id);
+            if (!booking || !EXPIRING_STATES.includes(booking.status)) {
+                return booking;
+            }
+            return this.applyTransition(id, EXPIRED, { actor: 'system', reason: 'Payment timeout reached' });
+        });
+    }
+
+    scheduleExpiry(booking) {
+        this.clearExpiry(booking.id);
+
+        const delay = Math.max(0, Date.parse(booking.holdExpiresAt) - Date.now());
+        const timer = setTimeout(() => {
+            this.expiryTimers.delete(booking.id);
+            this.expire(booking.id).catch(() => {});
+        }, delay);
+        timer.unref?.();
+
+        this.expiryTimers.set(booking.id, timer);
+    }
+
+    clearExpiry(id) {
+        clearTimeout(this.expiryTimers.get(id));
+        this.expiryTimers.delete(id);
+    }
+
+    /**
+     * Offer price in the payment currency; conversions keep the rate used
+     */
+    toPaymentCurrency(price, currency) {
+        if (price.currency === currency) {
+            return { amount: price.amount, currency };
+        }
+        if (!this.exchangeRates) {
+            throw HttpError.badRequest('All offers in a booking must be priced in the same currency');
+        }
+        return this.exchangeRates.convert(price, currency);
+    }
+
+    assertHoldActive(booking) {
+        if (booking.holdExpiresAt && Date.parse(booking.holdExpiresAt) <= Date.now()) {
+            throw HttpError.conflict('The hold on this booking has expired', { holdExpiresAt: booking.holdExpiresAt });
+        }
+    }
+
+    /**
+     * Bookings made while signed in belong to that user alone; anonymous
+     * callers only reach bookings made anonymously
+     */
+    assertOwner(booking, userId) {
+        if (booking.userId && booking.userId !== userId) {
+            throw HttpError.notFound(`Booking ${booking.id} not found`);
+        }
+    }
+
+    /**
+     * Bookings of every user, newest first, optionally in one state
+     */
+    async listBookings({ status = null } = {}) {
+        const bookings = await this.store.list(b => !status || b.status === status);
+        return bookings.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    exportUserData(userId) {
+        return this.store.list(b => b.userId === userId);
+    }
+
+    /**
+     * Paid bookings are records the business must keep: they are detached
+     * from the account and lose the contact details, but keep the travelers,
+     * items and payment. Unpaid bookings are deleted, ending any hold.
+     */
+    async eraseUserData(userId) {
+        const result = { deleted: 0, anonymized: 0 };
+
+        for (const booking of await this.store.list(b => b.userId === userId)) {
+            await this.withLock(booking.id, async () => {
+                if (booking.payment?.completedAt) {
+                    await this.store.update(booking.id, { userId: null, contact: {}, anonymizedAt: new Date().toISOString() });
+                    result.anonymized += 1;
+                } else {
+                    this.clearExpiry(booking.id);
+                    await this.store.delete(booking.id);
+                    result.deleted += 1;
+                }
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Delete unpaid bookings that ended before the cutoff; paid ones are kept
+     */
+    async purgeBefore(cutoff) {
+        const stale = await this.store.list(b =>
+            [EXPIRED, CANCELLED, FAILED].includes(b.status) && !b.payment?.completedAt && b.updatedAt < cutoff
+        );
+        await Promise.all(stale.map(b => this.store.delete(b.id)));
+        return { deleted: stale.length };
+    }
+
+    async getBooking(id) {
+        const booking = await this.store.get(id);
+        if (!booking) {
+            throw HttpError.notFound(`Booking ${id} not found`);
+        }
+        return booking;
+    }
+
+    async shutdown() {
+        for (const id of [...this.expiryTimers.keys()]) {
+            this.clearExpiry(id);
+        }
+    }
+
+    getStatus() {
+        return this.store ? { status: 'ready', activeHolds: this.expiryTimers.size } : 'uninitialized';
+    }
+}
+
+function isOfferReference(offer) {
+    return !!offer && typeof offer.provider === 'string' && typeof offer.offerId === 'string';
+}
+
+module.exports = { BookingService };
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StoreRegistry } from '../data/store-registry';
+import { ProviderRegistry } from '../providers/provider-registry';
+import { MockProviderAdapter } from '../providers/adapters/mock-provider';
+import { SearchAgent } from '../agents/search-agent';
+import { BookingService } from './booking-service';
+
+function createConfig(values) {
+    return { get: (key, fallback) => (key in values ? values[key] : fallback) };
+}
+
+describe('search to booking', () => {
+    let bookingService;
+    let searchAgent;
+    let providers;
+
+    beforeEach(async () => {
+        const config = createConfig({ 'storage.driver': 'memory', 'apis.mock': { enabled: true } });
+        const stores = new StoreRegistry(config);
+        providers = new ProviderRegistry(config).register('mock', MockProviderAdapter);
+        await providers.initialize();
+
+        searchAgent = new SearchAgent({ config, providers });
+        bookingService = new BookingService({ config, stores, providers, searchAgent });
+        await bookingService.initialize();
+    });
+
+    afterEach(() => bookingService.shutdown());
+
+    async function searchOffers() {
+        const results = await searchAgent.search({ origin: 'PAR', destination: 'ROM', departureDate: '2026-05-01', returnDate: '2026-05-04' });
+        const offers = results.legs[0].results;
+        const flight = offers.find(offer => offer.type === 'flight');
+        return [flight, offers.find(offer => offer.type === 'hotel' && offer.price.currency === flight.price.currency)];
+    }
+
+    it('holds offers from a search at the price the provider quoted', async () => {
+        const offers = await searchOffers();
+
+        const { booking } = await bookingService.createBooking({ offers }, { userId: 'alice' });
+
+        expect(booking.status).toBe('held');
+        expect(booking.offers.map(offer => offer.offerId)).toEqual(offers.map(offer => offer.offerId));
+        expect(booking.totalAmount).toBeCloseTo(offers[0].price.amount + offers[1].price.amount, 2);
+    });
+
+    it('ignores prices and details sent with the offers', async () => {
+        const offers = await searchOffers();
+        const tampered = offers.map(offer => ({ ...offer, name: 'Free stay', price: { amount: 0.01, currency: offer.price.currency } }));
+
+        const { booking } = await bookingService.createBooking({ offers: tampered }, { userId: 'alice' });
+
+        expect(booking.totalAmount).toBeCloseTo(offers[0].price.amount + offers[1].price.amount, 2);
+        expect(booking.offers[1].name).not.toBe('Free stay');
+    });
+
+    it('fails the booking for an offer the provider never issued', async () => {
+        const { booking } = await bookingService.createBooking(
+            { offers: [{ provider: 'mock', offerId: 'mock-flight-XX999-2026-05-01', price: { amount: 1, currency: 'EUR' } }] },
+            { userId: 'alice' }
+        );
+
+        expect(booking.status).toBe('failed');
+        expect(booking.totalAmount).toBeNull();
+    });
+
+    it('rejects offers without a provider or offerId', async () => {
+        await expect(bookingService.createBooking({ offers: [{ price: { amount: 1, currency: 'EUR' } }] }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    async function payFor(offers) {
+        const { booking } = await bookingService.createBooking({ offers }, { userId: 'alice' });
+        return bookingService.startPayment(booking.id, { userId: 'alice' });
+    }
+
+    it('books every offer with its provider on confirmation', async () => {
+        const pending = await payFor(await searchOffers());
+
+        const confirmed = await bookingService.confirm(pending.id, { userId: 'alice', paymentReference: pending.payment.reference });
+
+        expect(confirmed.status).toBe('confirmed');
+        expect(confirmed.items.map(item => item.status)).toEqual(['confirmed', 'confirmed']);
+    });
+
+    it('cancels the offers already booked when a later one fails', async () => {
+        const mock = providers.get('mock');
+        const book = mock.book.bind(mock);
+        vi.spyOn(mock, 'book').mockImplementation((offer, details) => (
+            offer.type === 'hotel' ? Promise.reject(new Error('No rooms left')) : book(offer, details)
+        ));
+        const cancel = vi.spyOn(mock, 'cancel');
+        const pending = await payFor(await searchOffers());
+
+        const failed = await bookingService.confirm(pending.id, { userId: 'alice', paymentReference: pending.payment.reference });
+
+        expect(failed.status).toBe('failed');
+        expect(cancel).toHaveBeenCalledTimes(1);
+        expect(failed.items).toHaveLength(1);
+        expect(failed.items[0]).toMatchObject({ type: 'flight', status: 'cancelled' });
+        expect(mock.bookings.has(failed.items[0].confirmationNumber)).toBe(false);
+        expect(failed.history.at(-1).reason).toBe('Provider booking failed: No rooms left');
+    });
+
+    it('records booked offers the provider would not cancel', async () => {
+        const mock = providers.get('mock');
+        const book = mock.book.bind(mock);
+        vi.spyOn(mock, 'book').mockImplementation((offer, details) => (
+            offer.type === 'hotel' ? Promise.reject(new Error('No rooms left')) : book(offer, details)
+        ));
+        vi.spyOn(mock, 'cancel').mockRejectedValue(new Error('Ticket already issued'));
+        const pending = await payFor(await searchOffers());
+
+        const failed = await bookingService.confirm(pending.id, { userId: 'alice', paymentReference: pending.payment.reference });
+
+        expect(failed.status).toBe('failed');
+        expect(failed.items[0]).toMatchObject({ status: 'confirmed', cancellationError: 'Ticket already issued' });
+        expect(failed.history.at(-1).reason).toMatch(/1 booked item\(s\) could not be cancelled/);
+    });
+});
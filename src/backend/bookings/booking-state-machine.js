@@ -0,0 +1,80 @@
+// Booking State Machine
+// Holonic Travel Planner - Allowed booking transitions and their audit trail
+//
+//   draft ──> held ──> payment_pending ──> confirmed ──> cancelled ──> refunded
+//     │        │  └──────────┤                  └──────────────────────────┘
+//     │        └─> expired <─┤
+//     └────────┴─> cancelled <┤
+//                   failed  <─┘  (from any non-terminal state)
+//
+// Only a paid booking can be refunded; the service checks the payment.
+
+const { HttpError } = require('../api/http-error');
+
+const BOOKING_STATES = {
+    DRAFT: 'draft',
+    HELD: 'held',
+    PAYMENT_PENDING: 'payment_pending',
+    CONFIRMED: 'confirmed',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed',
+    REFUNDED: 'refunded'
+};
+
+const { DRAFT, HELD, PAYMENT_PENDING, CONFIRMED, EXPIRED, CANCELLED, FAILED, REFUNDED } = BOOKING_STATES;
+
+const TRANSITIONS = {
+    [DRAFT]: [HELD, CANCELLED, FAILED],
+    [HELD]: [PAYMENT_PENDING, EXPIRED, CANCELLED, FAILED],
+    [PAYMENT_PENDING]: [CONFIRMED, EXPIRED, CANCELLED, FAILED],
+    [CONFIRMED]: [CANCELLED, REFUNDED],
+    [EXPIRED]: [],
+    [CANCELLED]: [REFUNDED],
+    [FAILED]: [],
+    [REFUNDED]: []
+};
+
+// States in which a hold is running and may expire
+const EXPIRING_STATES = [HELD, PAYMENT_PENDING];
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+function isTerminal(state) {
+    return (TRANSITIONS[state] || []).length === 0;
+}
+
+/**
+ * Apply a transition, returning the changes to store: the new status, any
+ * extra fields and the booking history with an audit entry appended.
+ * Transitions that are not allowed are rejected with 409 Conflict.
+ */
+function transition(booking, to, { actor = 'system', reason = null, changes = {} } = {}) {
+    if (!canTransition(booking.status, to)) {
+        throw HttpError.conflict(`Cannot move booking from ${booking.status} to ${to}`, {
+            from: booking.status,
+            to,
+            allowed: TRANSITIONS[booking.status] || []
+        });
+    }
+
+    return {
+        ...changes,
+        status: to,
+        history: [
+            ...(booking.history || []),
+            { from: booking.status, to, at: new Date().toISOString(), actor, reason }
+        ]
+    };
+}
+
+module.exports = {
+    BOOKING_STATES,
+    TRANSITIONS,
+    EXPIRING_STATES,
+    canTransition,
+    isTerminal,
+    transition
+};
@@ -0,0 +1,376 @@
+// Budget Service
+// Holonic Travel Planner - Per-trip budgets, shared expense ledger and settlements
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { HttpError } = require('../api/http-error');
+const { Logger } = require('../../utils/logger');
+const { isCurrencyCode, roundAmount } = require('../../shared/money');
+const {
+    BUDGET_CATEGORIES,
+    categoryForOfferType,
+    validateExpense,
+    computeBalances,
+    ledgerCurrency,
+    settle,
+    summarizeBudget
+} = require('../../shared/expense-ledger');
+
+const logger = Logger.getInstance();
+
+const EXPENSE_FIELDS = ['description', 'category', 'status', 'amount', 'currency', 'date', 'paidBy', 'split'];
+
+// Booking expenses follow the booking; only their category and split can be edited
+const BOOKING_EXPENSE_FIELDS = ['category', 'split'];
+
+/**
+ * Budget Service
+ * The budget (currency and per-category caps) lives on the trip; expenses
+ * are kept in the `expenses` collection. Items of confirmed bookings for a
+ * trip are added to its ledger automatically and removed again when the
+ * booking is cancelled. A ledger is kept in one currency: the budget's, or
+ * without a budget the currency of its first expense. Expenses in other
+ * currencies keep their original amount and are converted into the ledger
+ * currency at the expense date. Ledger changes are emitted as `budget:changed`.
+ */
+class BudgetService extends EventEmitter {
+    constructor({ stores, tripService, bookingService, exchangeRates = null }) {
+        super();
+        this.stores = stores;
+        this.tripService = tripService;
+        this.bookingService = bookingService;
+        this.exchangeRates = exchangeRates;
+        this.store = null;
+        this.handleBookingChanged = this.handleBookingChanged.bind(this);
+    }
+
+    async initialize() {
+        this.store = await this.stores.getStore('expenses');
+        this.bookingService.on('booking:changed', this.handleBookingChanged);
+    }
+
+    /**
+     * Budget, ledger, per-category summary and settlement of a trip
+     */
+    async getBudget(tripId, userId = null) {
+        const trip = await this.tripService.getTrip(tripId, userId);
+        return this.describe(trip, await this.listExpenses(tripId));
+    }
+
+    /**
+     * Budget summaries of every trip the user can see that has a budget or expenses
+     */
+    async listBudgets(userId = null) {
+        const trips = await this.tripService.listTrips(userId);
+        const tripIds = new Set(trips.map(trip => trip.id));
+        const expenses = await this.store.list(expense => tripIds.has(expense.tripId));
+
+        return trips
+            .map(trip => ({ trip, expenses: expenses.filter(expense => expense.tripId === trip.id) }))
+            .filter(({ trip, expenses: tripExpenses }) => trip.budget || tripExpenses.length > 0)
+            .map(({ trip, expenses: tripExpenses }) => {
+                const { summary, balances } = this.describe(trip, tripExpenses);
+                return { tripId: trip.id, tripName: trip.name, summary, balance: balances[userId] ?? 0 };
+            });
+    }
+
+    async updateBudget(tripId, data, userId = null) {
+        const trip = await this.tripService.getTrip(tripId, userId, 'editor');
+        const budget = sanitizeBudget(data);
+
+        if (budget.currency !== trip.budget?.currency) {
+            // Convert everything first so an unknown currency leaves the ledger untouched
+            const expenses = await this.listExpenses(tripId);
+            const converted = expenses.map(expense => this.convertExpense(expense, budget.currency));
+            for (const [index, expense] of expenses.entries()) {
+                await this.store.update(expense.id, { converted: converted[index] });
+            }
+        }
+
+        await this.tripService.saveChanges(tripId, { budget }, { type: 'budget', by: userId });
+        this.emit('budget:changed', { tripId, by: userId });
+        return this.getBudget(tripId, userId);
+    }
+
+    async addExpense(tripId, data, userId = null) {
+        const trip = await this.tripService.getTrip(tripId, userId, 'editor');
+        const currency = await this.ledgerCurrencyOf(trip);
+        const expense = await this.store.create({
+            ...this.sanitizeExpense({ status: 'actual', paidBy: userId, ...data }, trip, currency),
+            tripId,
+            source: { type: 'manual' },
+            createdBy: userId
+        });
+        this.emit('budget:changed', { tripId, by: userId });
+        return expense;
+    }
+
+    async updateExpense(tripId, expenseId, data, userId = null) {
+        const trip = await this.tripService.getTrip(tripId, userId, 'editor');
+        const expense = await this.getExpense(tripId, expenseId);
+        const fields = expense.source.type === 'booking' ? BOOKING_EXPENSE_FIELDS : EXPENSE_FIELDS;
+        const changes = pick(data, fields);
+
+        const currency = await this.ledgerCurrencyOf(trip, expenseId);
+        const updated = await this.store.update(expenseId, this.sanitizeExpense({ ...expense, ...changes }, trip, currency));
+        this.emit('budget:changed', { tripId, by: userId });
+        return updated;
+    }
+
+    async deleteExpense(tripId, expenseId, userId = null) {
+        await this.tripService.getTrip(tripId, userId, 'editor');
+        const expense = await this.getExpense(tripId, expenseId);
+        if (expense.source.type === 'booking') {
+            throw HttpError.conflict('Booking expenses are removed by cancelling the booking');
+        }
+        await this.store.delete(expenseId);
+        this.emit('budget:changed', { tripId, by: userId });
+    }
+
+    async getExpense(tripId, expenseId) {
+        const expense = await this.store.get(expenseId);
+        if (!expense || expense.tripId !== tripId) {
+            throw HttpError.notFound(`Expense ${expenseId} not found`);
+        }
+        return expense;
+    }
+
+    async listExpenses(tripId) {
+        const expenses = await this.store.list(expense => expense.tripId === tripId);
+        return expenses.sort((a, b) => (a.date || a.createdAt).localeCompare(b.date || b.createdAt));
+    }
+
+    /**
+     * Currency a trip's ledger is kept in: the budget's, or the one its
+     * expenses (other than `exceptId`) are kept in; null for an empty ledger
+     */
+    async ledgerCurrencyOf(trip, exceptId = null) {
+        if (trip.budget?.currency) {
+            return trip.budget.currency;
+        }
+        const [expense] = await this.store.list(candidate => candidate.tripId === trip.id && candidate.id !== exceptId);
+        return expense ? ledgerCurrency(expense) : null;
+    }
+
+    describe(trip, expenses) {
+        const memberIds = (trip.members || []).map(member => member.userId);
+        const currency = trip.budget?.currency || (expenses.length ? ledgerCurrency(expenses[0]) : null);
+        const balances = computeBalances(expenses, memberIds, currency);
+        return {
+            tripId: trip.id,
+            budget: trip.budget || null,
+            expenses,
+            summary: summarizeBudget(trip.budget || {}, expenses),
+            balances,
+            settlement: settle(balances, currency)
+        };
+    }
+
+    sanitizeExpense(data, trip, ledgerCurrencyCode = null) {
+        const currency = typeof data.currency === 'string' && data.currency
+            ? data.currency.trim().toUpperCase()
+            : ledgerCurrencyCode;
+        const expense = {
+            ...pick(data, EXPENSE_FIELDS),
+            description: typeof data.description === 'string' ? data.description.trim() : '',
+            category: data.category || 'other',
+            amount: roundAmount(data.amount, currency),
+            currency,
+            date: data.date || null,
+            split: data.split || { method: 'equal', participants: [] }
+        };
+
+        const errors = validateExpense(expense, (trip.members || []).map(member => member.userId));
+        if (currency !== null && !isCurrencyCode(currency)) {
+            errors.push({ field: 'currency', message: 'Currency must be a 3-letter ISO code' });
+        }
+        if (expense.date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(expense.date)) {
+            errors.push({ field: 'date', message: 'Date must be YYYY-MM-DD' });
+        }
+        if (errors.length > 0) {
+            throw HttpError.badRequest('Invalid expense', errors);
+        }
+        return { ...expense, converted: this.convertExpense(expense, ledgerCurrencyCode) };
+    }
+
+    /**
+     * The expense amount in the ledger currency at the rate of the expense
+     * date, or null when no conversion is needed
+     */
+    convertExpense(expense, ledgerCurrencyCode) {
+        if (!ledgerCurrencyCode || !expense.currency || expense.currency === ledgerCurrencyCode) {
+            return null;
+        }
+        if (!this.exchangeRates) {
+            throw HttpError.badRequest('Invalid expense', [
+                { field: 'currency', message: `Expenses must be in the trip's currency (${ledgerCurrencyCode})` }
+            ]);
+        }
+        const { amount, currency, rate, ratesAsOf } = this.exchangeRates.convert(
+            { amount: expense.amount, currency: expense.currency },
+            ledgerCurrencyCode,
+            { at: expense.date }
+        );
+        return { amount, currency, rate, ratesAsOf };
+    }
+
+    /**
+     * Keep booking items in the ledger of the booking's trip
+     */
+    async handleBookingChanged({ booking, from }) {
+        if (!booking.tripId) {
+            return;
+        }
+
+        try {
+            if (booking.status === 'confirmed') {
+                await this.recordBooking(booking);
+            } else if (['cancelled', 'refunded'].includes(booking.status) && from === 'confirmed') {
+                await this.removeBooking(booking);
+            }
+        } catch (error) {
+            logger.error(`Updating the ledger for booking ${booking.id} failed:`, error);
+        }
+    }
+
+    async recordBooking(booking) {
+        const trip = await this.tripService.store.get(booking.tripId);
+        if (!trip) {
+            return;
+        }
+
+        const existing = await this.store.list(expense => expense.source.bookingId === booking.id);
+        const items = booking.items.length > 0 ? booking.items : booking.offers;
+        let currency = await this.ledgerCurrencyOf(trip);
+
+        for (const [index, item] of items.entries()) {
+            if (existing.some(expense => expense.source.itemIndex === index)) {
+                continue;
+            }
+            const expense = {
+                tripId: trip.id,
+                description: item.title || item.type,
+                category: categoryForOfferType(item.type),
+                status: 'actual',
+                amount: item.price.amount,
+                currency: item.price.currency,
+                date: item.start ? item.start.slice(0, 10) : null,
+                paidBy: booking.userId || trip.ownerId,
+                split: { method: 'equal', participants: [] },
+                source: { type: 'booking', bookingId: booking.id, itemIndex: index },
+                createdBy: booking.userId
+            };
+            await this.store.create({ ...expense, converted: this.convertExpense(expense, currency) });
+            currency = currency || expense.currency;
+        }
+        this.emit('budget:changed', { tripId: trip.id, by: booking.userId });
+    }
+
+    async removeBooking(booking) {
+        const expenses = await this.store.list(expense => expense.source.bookingId === booking.id);
+        for (const expense of expenses) {
+            await this.store.delete(expense.id);
+        }
+        this.emit('budget:changed', { tripId: booking.tripId, by: booking.userId });
+    }
+
+    /**
+     * Expenses the user paid, entered or has a share in, for their data export
+     */
+    exportUserData(userId) {
+        return this.store.list(expense => involves(expense, userId));
+    }
+
+    /**
+     * Remove a user from the ledgers. Expenses of trips that no longer exist
+     * are deleted. On shared trips the user becomes an anonymous former
+     * member, so the others' balances still add up, and the descriptions
+     * they entered are cleared.
+     */
+    async eraseUserData(userId) {
+        const result = { deleted: 0, anonymized: 0 };
+        const formerMember = `former-member-${crypto.randomBytes(4).toString('hex')}`;
+        const replace = (id) => (id === userId ? formerMember : id);
+        const replaceKeys = (values) => values && Object.fromEntries(Object.entries(values).map(([id, value]) => [replace(id), value]));
+
+        for (const expense of await this.store.list(candidate => involves(candidate, userId))) {
+            if (!(await this.tripService.store.get(expense.tripId))) {
+                await this.store.delete(expense.id);
+                result.deleted += 1;
+                continue;
+            }
+
+            const split = expense.split || {};
+            await this.store.update(expense.id, {
+                paidBy: replace(expense.paidBy),
+                createdBy: replace(expense.createdBy),
+                description: expense.createdBy === userId ? '' : expense.description,
+                split: {
+                    ...split,
+                    ...(split.participants ? { participants: split.participants.map(replace) } : {}),
+                    ...(split.shares ? { shares: replaceKeys(split.shares) } : {}),
+                    ...(split.amounts ? { amounts: replaceKeys(split.amounts) } : {})
+                }
+            });
+            result.anonymized += 1;
+        }
+
+        return result;
+    }
+
+    async shutdown() {
+        this.bookingService.off('booking:changed', this.handleBookingChanged);
+    }
+
+    getStatus() {
+        return this.store ? 'ready' : 'uninitialized';
+    }
+}
+
+function sanitizeBudget({ currency, caps = {} } = {}) {
+    const errors = [];
+    const code = typeof currency === 'string' ? currency.trim().toUpperCase() : '';
+
+    if (!/^[A-Z]{3}$/.test(code)) {
+        errors.push({ field: 'currency', message: 'Currency must be a 3-letter ISO code' });
+    }
+
+    const sanitizedCaps = {};
+    for (const [category, cap] of Object.entries(caps || {})) {
+        if (!BUDGET_CATEGORIES.includes(category)) {
+            errors.push({ field: `caps.${category}`, message: `Unknown category ${category}` });
+        } else if (cap === null || cap === '') {
+            sanitizedCaps[category] = null;
+        } else if (!(Number(cap) >= 0)) {
+            errors.push({ field: `caps.${category}`, message: 'Caps must be zero or more' });
+        } else {
+            sanitizedCaps[category] = roundAmount(cap, code);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw HttpError.badRequest('Invalid budget', errors);
+    }
+    return { currency: code, caps: sanitizedCaps };
+}
+
+function involves(expense, userId) {
+    const split = expense.split || {};
+    return expense.paidBy === userId ||
+        expense.createdBy === userId ||
+        (split.participants || []).includes(userId) ||
+        Object.keys(split.shares || {}).includes(userId) ||
+        Object.keys(split.amounts || {}).includes(userId);
+}
+
+function pick(source, fields) {
+    const result = {};
+    for (const field of fields) {
+        if (source[field] !== undefined) {
+            result[field] = source[field];
+        }
+    }
+    return result;
+}
+
+module.exports = { BudgetService };
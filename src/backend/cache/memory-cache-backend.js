@@ -0,0 +1,61 @@
+// Memory Cache Backend
+// Holonic Travel Planner - In-process LRU cache bounded by a maximum key count
+
+/**
+ * Memory Cache Backend
+ * A Map keeps insertion order, so re-inserting on every read keeps the
+ * least recently used key first and eviction simply drops the head.
+ */
+class MemoryCacheBackend {
+    constructor({ maxKeys = 1000 } = {}) {
+        this.maxKeys = maxKeys;
+        this.entries = new Map();
+        this.evictions = 0;
+    }
+
+    async initialize() {}
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value, ttlSeconds) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+        while (this.entries.size > this.maxKeys) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    async shutdown() {
+        this.entries.clear();
+    }
+
+    async getStats() {
+        return { backend: 'memory', size: this.entries.size, maxKeys: this.maxKeys, evictions: this.evictions };
+    }
+}
+
+module.exports = { MemoryCacheBackend };
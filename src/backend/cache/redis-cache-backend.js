@@ -0,0 +1,105 @@
+// Redis Cache Backend
+// Holonic Travel Planner - Shared cache in Redis with LRU eviction bounded by a maximum key count
+
+/**
+ * Redis Cache Backend
+ * Values are stored as JSON strings with a TTL. A sorted set of keys scored
+ * by last access time lets the backend evict the least recently used keys
+ * once more than `maxKeys` are stored, independent of Redis' memory policy.
+ * The `redis` package is an optional dependency and is loaded on initialize.
+ */
+class RedisCacheBackend {
+    constructor({ redisConfig, namespace, maxKeys = 1000 }) {
+        this.redisConfig = redisConfig;
+        this.prefix = `${redisConfig.keyPrefix || ''}${namespace}:`;
+        this.indexKey = `${this.prefix}__lru`;
+        this.maxKeys = maxKeys;
+        this.client = null;
+        this.evictions = 0;
+    }
+
+    async initialize() {
+        let redis;
+        try {
+            redis = require('redis');
+        } catch (error) {
+            throw new Error('The redis cache backend requires the optional "redis" package to be installed');
+        }
+
+        this.client = redis.createClient({
+            socket: { host: this.redisConfig.host, port: this.redisConfig.port },
+            password: this.redisConfig.password || undefined,
+            database: this.redisConfig.db || 0
+        });
+        await this.client.connect();
+    }
+
+    async get(key) {
+        const raw = await this.client.get(this.prefix + key);
+        if (raw === null) {
+            await this.client.zRem(this.indexKey, key);
+            return null;
+        }
+
+        await this.client.zAdd(this.indexKey, { score: Date.now(), value: key });
+        return JSON.parse(raw);
+    }
+
+    async set(key, value, ttlSeconds) {
+        await this.client
+            .multi()
+            .set(this.prefix + key, JSON.stringify(value), { EX: Math.max(1, Math.ceil(ttlSeconds)) })
+            .zAdd(this.indexKey, { score: Date.now(), value: key })
+            .exec();
+
+        await this.evict();
+    }
+
+    /**
+     * Drop the least recently used keys beyond maxKeys
+     */
+    async evict() {
+        const excess = (await this.client.zCard(this.indexKey)) - this.maxKeys;
+        if (excess <= 0) {
+            return;
+        }
+
+        const victims = await this.client.zRange(this.indexKey, 0, excess - 1);
+        await this.client
+            .multi()
+            .del(victims.map(victim => this.prefix + victim))
+            .zRem(this.indexKey, victims)
+            .exec();
+        this.evictions += victims.length;
+    }
+
+    async delete(key) {
+        await this.client.multi().del(this.prefix + key).zRem(this.indexKey, key).exec();
+    }
+
+    async clear() {
+        const keys = await this.client.zRange(this.indexKey, 0, -1);
+        await this.client
+            .multi()
+            .del([...keys.map(key => this.prefix + key), this.indexKey])
+            .exec();
+    }
+
+    async shutdown() {
+        if (this.client) {
+            await this.client.quit();
+            this.client = null;
+        }
+    }
+
+    async getStats() {
+        return {
+            backend: 'redis',
+            size: this.client ? await this.client.zCard(this.indexKey) : 0,
+            maxKeys: this.maxKeys,
+            evictions: this.evictions
+        };
+    }
+}
+
+module.exports = { RedisCacheBackend };
@@ -0,0 +1,89 @@
+// Exchange Rate Service
+// Holonic Travel Planner - Loads the exchange-rate table and converts money on the server
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('../api/http-error');
+const { CurrencyError } = require('../../shared/money');
+const { ExchangeRateTable } = require('../../shared/exchange-rates');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, 'fixtures/exchange-rates.json');
+
+/**
+ * Exchange Rate Service
+ * Rates come from the JSON table at `currency.ratesFile` (the bundled
+ * fixture by default) so conversion works offline and deterministically in
+ * tests. Updating rates means adding a snapshot to that file and reloading.
+ */
+class ExchangeRateService {
+    constructor(config) {
+        this.ratesFile = config.get('currency.ratesFile', null) || DEFAULT_RATES_FILE;
+        this.rankingCurrency = config.get('currency.base', 'EUR');
+        this.defaultDisplayCurrency = config.get('currency.defaultDisplayCurrency', this.rankingCurrency);
+        this.table = null;
+        this.loadedAt = null;
+    }
+
+    async initialize() {
+        await this.reload();
+    }
+
+    async reload() {
+        const data = JSON.parse(await fs.promises.readFile(this.ratesFile, 'utf8'));
+        this.table = new ExchangeRateTable(data);
+        this.loadedAt = new Date().toISOString();
+        return this.table;
+    }
+
+    /**
+     * Convert money, reporting unknown currencies as a 400
+     */
+    convert(money, to, { at = null } = {}) {
+        try {
+            return this.table.convert(money, to, { at });
+        } catch (error) {
+            if (error instanceof CurrencyError) {
+                throw HttpError.badRequest(error.message, [{ field: 'currency', message: error.message }]);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Price in the ranking currency, for comparing offers across currencies.
+     * Prices in unknown currencies rank last rather than failing the search.
+     */
+    comparablePrice(price) {
+        if (!price || price.amount === null || price.amount === undefined) {
+            return null;
+        }
+        try {
+            return this.table.convert(price, this.rankingCurrency).amount;
+        } catch (error) {
+            return Number.POSITIVE_INFINITY;
+        }
+    }
+
+    /**
+     * The snapshot in effect at a time (latest by default), with the display
+     * currency for users who have not chosen one
+     */
+    getRates(at = null) {
+        const snapshot = this.table.snapshotAt(at);
+        return {
+            base: this.table.base,
+            asOf: snapshot.asOf,
+            rates: snapshot.rates,
+            snapshots: this.table.snapshots.map(s => s.asOf),
+            defaultDisplayCurrency: this.defaultDisplayCurrency
+        };
+    }
+
+    getStatus() {
+        return this.table
+            ? { status: 'ready', base: this.table.base, latest: this.table.latest.asOf, loadedAt: this.loadedAt }
+            : 'uninitialized';
+    }
+}
+
+module.exports = { ExchangeRateService };
@@ -0,0 +1,66 @@
+// Store Registry
+// Holonic Travel Planner - Named document stores backed by memory or JSON files
+
+const path = require('path');
+const { DocumentStore } = require('./stores/document-store');
+
+/**
+ * Store Registry
+ * Hands out one DocumentStore per collection so application data runs
+ * without the relational database. The `storage.driver` setting selects
+ * `memory` (nothing persisted) or `file` (one JSON file per collection).
+ */
+class StoreRegistry {
+    constructor(config) {
+        this.config = config;
+        this.driver = config.get('storage.driver', 'file');
+        this.directory = path.resolve(config.get('storage.directory', './data'));
+        this.stores = new Map();
+        this.loading = new Map();
+    }
+
+    /**
+     * Get or create the store for a collection. Concurrent callers share one
+     * initialization and only ever receive a loaded store; a store that fails
+     * to load is forgotten, so the next call tries again. Options such as
+     * `unique` fields apply when the store is first created.
+     */
+    async getStore(collection, { unique = [] } = {}) {
+        if (this.stores.has(collection)) {
+            return this.stores.get(collection);
+        }
+
+        if (!this.loading.has(collection)) {
+            const store = new DocumentStore({
+                collection,
+                filePath: this.driver === 'file' ? path.join(this.directory, `${collection}.json`) : null,
+                unique
+            });
+            const loading = store.initialize().then(() => {
+                this.stores.set(collection, store);
+                return store;
+            });
+            this.loading.set(collection, loading);
+            loading.then(
+                () => this.loading.delete(collection),
+                () => this.loading.delete(collection)
+            );
+        }
+
+        return this.loading.get(collection);
+    }
+
+    async shutdown() {
+        await Promise.allSettled(this.loading.values());
+        await Promise.all([...this.stores.values()].map(store => store.shutdown()));
+    }
+
+    getStatus() {
+        return {
+            driver: this.driver,
+            collections: [...this.stores.values()].map(store => store.getStatus())
+        };
+    }
+}
+
+module.exports = { StoreRegistry };
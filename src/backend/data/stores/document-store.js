@@ -0,0 +1,260 @@
+// Document Store
+// Holonic Travel Planner - In-memory document collection with optional JSON file persistence
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+class DuplicateKeyError extends Error {
+    constructor(collection, field) {
+        super(`A ${collection} document with this ${field} already exists`);
+        this.name = 'DuplicateKeyError';
+        this.field = field;
+    }
+}
+
+class VersionConflictError extends Error {
+    constructor(collection, id, expectedVersion, currentVersion) {
+        super(`${collection} document ${id} is at version ${currentVersion}, not ${expectedVersion}`);
+        this.name = 'VersionConflictError';
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+    }
+}
+
+/**
+ * Document Store
+ * Keeps a collection of JSON documents keyed by id. When a file path is given,
+ * the collection is loaded on initialize and every mutation is appended to a
+ * journal next to it (`<file>.log`, one JSON line per change). The journal is
+ * folded back into the file once it holds `compactAfter` changes and on
+ * shutdown, so a mutation only ever writes the documents it touched.
+ * Fields listed in `unique` may hold a value in one document only; the check
+ * and the write happen in one step, so concurrent creates cannot both pass it.
+ */
+class DocumentStore {
+    constructor({ collection, filePath = null, compactAfter = 500, unique = [] }) {
+        this.collection = collection;
+        this.unique = unique;
+        this.filePath = filePath;
+        this.journalPath = filePath ? `${filePath}.log` : null;
+        this.compactAfter = compactAfter;
+        this.journalEntries = 0;
+        this.documents = new Map();
+        this.writeQueue = Promise.resolve();
+        this.isInitialized = false;
+    }
+
+    /**
+     * Load persisted documents, if any
+     */
+    async initialize() {
+        if (this.filePath && fs.existsSync(this.filePath)) {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            const documents = raw.trim() ? JSON.parse(raw) : [];
+            for (const document of documents) {
+                this.documents.set(document.id, document);
+            }
+        }
+        if (this.journalPath && fs.existsSync(this.journalPath)) {
+            const raw = await fs.promises.readFile(this.journalPath, 'utf8');
+            for (const line of raw.split('\n')) {
+                const entry = parseJournalLine(line);
+                if (entry) {
+                    this.apply(entry);
+                    this.journalEntries++;
+                }
+            }
+        }
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * List documents, optionally filtered by a predicate
+     */
+    async list(predicate = null) {
+        const documents = [...this.documents.values()];
+        return (predicate ? documents.filter(predicate) : documents).map(clone);
+    }
+
+    /**
+     * Get a document by id, or null when missing
+     */
+    async get(id) {
+        const document = this.documents.get(id);
+        return document ? clone(document) : null;
+    }
+
+    /**
+     * Insert a new document, assigning id, timestamps and version
+     */
+    async create(data) {
+        const [document] = await this.createMany([data]);
+        return document;
+    }
+
+    /**
+     * Insert several documents with a single write
+     */
+    async createMany(items) {
+        const now = new Date().toISOString();
+        const documents = items.map(data => ({
+            ...clone(data),
+            id: data.id || uuidv4(),
+            createdAt: now,
+            updatedAt: now,
+            version: 1
+        }));
+
+        documents.forEach((document, index) => this.assertUnique(document, documents.slice(0, index)));
+        for (const document of documents) {
+            this.documents.set(document.id, document);
+        }
+        await this.persist(documents.map(document => ({ put: document })));
+        return documents.map(clone);
+    }
+
+    /**
+     * Apply a partial update, bumping version; returns null when missing.
+     * With `expectedVersion` the update only applies to that version of the
+     * document and throws a VersionConflictError otherwise.
+     */
+    async update(id, changes, { expectedVersion = null } = {}) {
+        const existing = this.documents.get(id);
+        if (!existing) {
+            return null;
+        }
+        if (expectedVersion !== null && existing.version !== expectedVersion) {
+            throw new VersionConflictError(this.collection, id, expectedVersion, existing.version);
+        }
+
+        const document = {
+            ...existing,
+            ...clone(changes),
+            id,
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString(),
+            version: existing.version + 1
+        };
+
+        this.assertUnique(document);
+        this.documents.set(id, document);
+        await this.persist([{ put: document }]);
+        return clone(document);
+    }
+
+    /**
+     * Delete a document; returns whether it existed
+     */
+    async delete(id) {
+        const existed = this.documents.delete(id);
+        if (existed) {
+            await this.persist([{ delete: id }]);
+        }
+        return existed;
+    }
+
+    /**
+     * Throw a DuplicateKeyError when another document, stored or about to be
+     * stored alongside, already holds one of the document's unique values
+     */
+    assertUnique(document, pending = []) {
+        for (const field of this.unique) {
+            const value = document[field];
+            if (value === undefined || value === null) {
+                continue;
+            }
+            const taken = (other) => other.id !== document.id && other[field] === value;
+            if (pending.some(taken) || [...this.documents.values()].some(taken)) {
+                throw new DuplicateKeyError(this.collection, field);
+            }
+        }
+    }
+
+    /**
+     * Append journal entries for a mutation. Writes are serialized; a failed
+     * write rejects only its own caller and the queue carries on.
+     */
+    persist(entries) {
+        if (!this.filePath) {
+            return Promise.resolve();
+        }
+
+        const lines = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+        return this.enqueue(async () => {
+            await fs.promises.mkdir(path.dirname(this.journalPath), { recursive: true });
+            await fs.promises.appendFile(this.journalPath, lines, { mode: 0o600 });
+            this.journalEntries += entries.length;
+            if (this.journalEntries >= this.compactAfter) {
+                await this.writeSnapshot();
+            }
+        });
+    }
+
+    /**
+     * Write the whole collection through a temporary file, so a crash never
+     * leaves a half-written collection, then drop the journal it replaces.
+     * Replaying a journal over a newer snapshot is harmless, as every entry
+     * holds the full document.
+     */
+    async writeSnapshot() {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify([...this.documents.values()], null, 2), { mode: 0o600 });
+        await fs.promises.rename(tempPath, this.filePath);
+        await fs.promises.rm(this.journalPath, { force: true });
+        this.journalEntries = 0;
+    }
+
+    enqueue(task) {
+        const write = this.writeQueue.then(task);
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    apply(entry) {
+        if (entry.put) {
+            this.documents.set(entry.put.id, entry.put);
+        } else if (entry.delete) {
+            this.documents.delete(entry.delete);
+        }
+    }
+
+    /**
+     * Flush pending writes and fold the journal into the collection file
+     */
+    async shutdown() {
+        if (this.filePath && this.journalEntries > 0) {
+            await this.enqueue(() => this.writeSnapshot());
+        }
+        await this.writeQueue;
+    }
+
+    getStatus() {
+        return {
+            collection: this.collection,
+            documents: this.documents.size,
+            persistent: !!this.filePath,
+            journalEntries: this.journalEntries
+        };
+    }
+}
+
+// A crash mid-append can leave a partial last line; it is skipped
+function parseJournalLine(line) {
+    if (!line.trim()) {
+        return null;
+    }
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+}
+
+function clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { DocumentStore, DuplicateKeyError, VersionConflictError };
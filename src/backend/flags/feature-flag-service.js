@@ -0,0 +1,96 @@
+// Feature Flag Service
+// Holonic Travel Planner - Evaluates the feature flags under features.flags for the caller
+
+const crypto = require('crypto');
+
+/**
+ * The rollout bucket, from 0 up to 100, a subject falls in for a flag.
+ * The flag name is part of the hash, so each flag rolls out to a
+ * different share of subjects.
+ */
+function rolloutBucket(flag, subject) {
+    const hash = crypto.createHash('sha256').update(`${flag}:${subject}`).digest();
+    return (hash.readUInt32BE(0) % 10000) / 100;
+}
+
+// A rule for `de` also matches `de-AT`
+function matchesLocale(ruleLocale, locale) {
+    const wanted = ruleLocale.toLowerCase();
+    const actual = (locale || '').toLowerCase();
+    return actual === wanted || actual.startsWith(`${wanted}-`);
+}
+
+function matchesRule(rule, flag, { userId, role, locale, subjectId }) {
+    if (rule.users && !rule.users.includes(userId)) {
+        return false;
+    }
+    if (rule.roles && !rule.roles.includes(role)) {
+        return false;
+    }
+    if (rule.locales && !rule.locales.some(ruleLocale => matchesLocale(ruleLocale, locale))) {
+        return false;
+    }
+    if (rule.percentage !== undefined) {
+        const subject = userId || subjectId;
+        return !!subject && rolloutBucket(flag, subject) < rule.percentage;
+    }
+    return true;
+}
+
+/**
+ * Feature Flag Service
+ * A flag under `features.flags` reads:
+ *   { description, enabled, default, rules: [{ users, roles, locales, percentage, value }] }
+ * A flag is off for everyone unless `enabled` is true. Otherwise the first
+ * rule whose conditions all hold gives the value (true unless the rule
+ * says `value: false`), and `default` applies when none does. Percentage
+ * rollouts bucket signed-in users by their id and visitors by the random
+ * subject id their browser keeps for consent; callers without either are
+ * never in a rollout. Definitions are read on every evaluation, so flags
+ * change as soon as the configuration is reloaded.
+ */
+class FeatureFlagService {
+    constructor({ config }) {
+        this.config = config;
+    }
+
+    getDefinitions() {
+        return this.config.get('features.flags', {});
+    }
+
+    /**
+     * @returns {{ value: boolean, reason: 'unknown'|'disabled'|'rule'|'default' }}
+     */
+    evaluate(flag, context = {}) {
+        const definition = this.getDefinitions()[flag];
+        if (!definition) {
+            return { value: false, reason: 'unknown' };
+        }
+        if (definition.enabled !== true) {
+            return { value: false, reason: 'disabled' };
+        }
+
+        const rule = (definition.rules || []).find(candidate => matchesRule(candidate, flag, context));
+        if (rule) {
+            return { value: rule.value !== false, reason: 'rule' };
+        }
+        return { value: definition.default === true, reason: 'default' };
+    }
+
+    evaluateAll(context = {}) {
+        return Object.fromEntries(Object.keys(this.getDefinitions()).map(flag => [flag, this.evaluate(flag, context)]));
+    }
+
+    getStatus() {
+        const definitions = Object.values(this.getDefinitions());
+        return {
+            flags: definitions.length,
+            disabled: definitions.filter(definition => definition.enabled !== true).length
+        };
+    }
+}
+
+module.exports = {
+    FeatureFlagService,
+    rolloutBucket
+};
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { FeatureFlagService, rolloutBucket } from './feature-flag-service';
+
+function createService(flags) {
+    return new FeatureFlagService({ config: { get: (key, fallback) => (key === 'features.flags' ? flags : fallback) } });
+}
+
+const subjects = Array.from({ length: 2000 }, (_, index) => `user-${index}`);
+
+describe('FeatureFlagService', () => {
+    it('keeps a flag off unless it is enabled', () => {
+        const service = createService({
+            missing: { default: true },
+            off: { enabled: false, default: true },
+            truthy: { enabled: 'yes', default: true },
+            on: { enabled: true, default: true }
+        });
+
+        expect(service.evaluate('missing')).toEqual({ value: false, reason: 'disabled' });
+        expect(service.evaluate('off')).toEqual({ value: false, reason: 'disabled' });
+        expect(service.evaluate('truthy')).toEqual({ value: false, reason: 'disabled' });
+        expect(service.evaluate('on')).toEqual({ value: true, reason: 'default' });
+        expect(service.evaluate('unknown')).toEqual({ value: false, reason: 'unknown' });
+        expect(service.getStatus()).toEqual({ flags: 4, disabled: 3 });
+    });
+
+    it('takes the value of the first matching rule', () => {
+        const service = createService({
+            newSearch: {
+                enabled: true,
+                rules: [
+                    { users: ['ana'], value: false },
+                    { roles: ['admin'] },
+                    { locales: ['de'] }
+                ]
+            }
+        });
+
+        expect(service.evaluate('newSearch', { userId: 'ana', role: 'admin' })).toEqual({ value: false, reason: 'rule' });
+        expect(service.evaluate('newSearch', { userId: 'bob', role: 'admin' })).toEqual({ value: true, reason: 'rule' });
+        expect(service.evaluate('newSearch', { userId: 'bob', locale: 'de-AT' }).value).toBe(true);
+        expect(service.evaluate('newSearch', { userId: 'bob', locale: 'den' })).toEqual({ value: false, reason: 'default' });
+    });
+
+    describe('percentage rollouts', () => {
+        it('put a subject in the same bucket every time', () => {
+            expect(rolloutBucket('newSearch', 'user-1')).toBe(rolloutBucket('newSearch', 'user-1'));
+            expect(rolloutBucket('newSearch', 'user-1')).toBeGreaterThanOrEqual(0);
+            expect(rolloutBucket('newSearch', 'user-1')).toBeLessThan(100);
+        });
+
+        it('reach about the configured share of subjects', () => {
+            const service = createService({ newSearch: { enabled: true, rules: [{ percentage: 25 }] } });
+
+            const share = subjects.filter(userId => service.evaluate('newSearch', { userId }).value).length / subjects.length;
+
+            expect(share).toBeGreaterThan(0.22);
+            expect(share).toBeLessThan(0.28);
+        });
+
+        it('keep subjects in the rollout as the percentage grows', () => {
+            const at = percentage => {
+                const service = createService({ newSearch: { enabled: true, rules: [{ percentage }] } });
+                return subjects.filter(userId => service.evaluate('newSearch', { userId }).value);
+            };
+
+            const early = at(10);
+            const later = new Set(at(50));
+
+            expect(early.every(userId => later.has(userId))).toBe(true);
+            expect(at(0)).toHaveLength(0);
+            expect(at(100)).toHaveLength(subjects.length);
+        });
+
+        it('roll each flag out to a different share of subjects', () => {
+            const firstTenth = flag => subjects.filter(subject => rolloutBucket(flag, subject) < 10);
+
+            const overlap = firstTenth('newSearch').filter(subject => firstTenth('darkMode').includes(subject));
+
+            expect(overlap.length).toBeLessThan(firstTenth('newSearch').length / 2);
+        });
+
+        it('bucket visitors by their subject id and leave out callers without one', () => {
+            const service = createService({ newSearch: { enabled: true, rules: [{ percentage: 100 }] } });
+
+            expect(service.evaluate('newSearch', { subjectId: 'visitor-1' }).value).toBe(true);
+            expect(service.evaluate('newSearch', {})).toEqual({ value: false, reason: 'default' });
+        });
+    });
+});
@@ -0,0 +1,120 @@
+// Notification Service
+// Holonic Travel Planner - Delivers user notifications over the configured channels
+
+const { EventEmitter } = require('events');
+const { Logger } = require('../../utils/logger');
+
+const logger = Logger.getInstance();
+
+/**
+ * Notification Service
+ * Every notification is stored in the user's inbox and then handed to a
+ * transport for each channel in `holonic.agents.notification.channels`,
+ * retried up to `retryAttempts` times. Transports are registered per channel;
+ * channels without a transport are recorded as skipped. A `notification`
+ * event is emitted for in-process listeners.
+ */
+class NotificationService extends EventEmitter {
+    constructor({ config, stores }) {
+        super();
+        this.config = config;
+        this.stores = stores;
+        this.store = null;
+        this.enabled = config.get('holonic.agents.notification.enabled', true);
+        this.channels = config.get('holonic.agents.notification.channels', []);
+        this.retryAttempts = config.get('holonic.agents.notification.retryAttempts', 3);
+        this.transports = new Map();
+    }
+
+    async initialize() {
+        this.store = await this.stores.getStore('notifications');
+    }
+
+    /**
+     * Register the transport for a channel: async (notification) => void
+     */
+    registerTransport(channel, transport) {
+        this.transports.set(channel, transport);
+        return this;
+    }
+
+    /**
+     * Store and deliver a notification
+     * @param {string} userId
+     * @param {object} notification - { type, title, message, data }
+     */
+    async notify(userId, { type, title, message, data = {} }) {
+        const notification = await this.store.create({
+            userId,
+            type,
+            title,
+            message,
+            data,
+            read: false,
+            deliveries: []
+        });
+
+        if (!this.enabled) {
+            return notification;
+        }
+
+        const deliveries = [];
+        for (const channel of this.channels) {
+            deliveries.push(await this.deliver(channel, notification));
+        }
+
+        const delivered = await this.store.update(notification.id, { deliveries });
+        this.emit('notification', delivered);
+        return delivered;
+    }
+
+    async deliver(channel, notification) {
+        const transport = this.transports.get(channel);
+        if (!transport) {
+            return { channel, status: 'skipped', attempts: 0 };
+        }
+
+        let lastError = null;
+        for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+            try {
+                await transport(notification);
+                return { channel, status: 'sent', attempts: attempt };
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        logger.warn(`Notification ${notification.id} could not be sent via ${channel}: ${lastError.message}`);
+        return { channel, status: 'failed', attempts: this.retryAttempts, error: lastError.message };
+    }
+
+    async listForUser(userId) {
+        const notifications = await this.store.list(n => n.userId === userId);
+        return notifications.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    exportUserData(userId) {
+        return this.listForUser(userId);
+    }
+
+    async eraseUserData(userId) {
+        const notifications = await this.store.list(n => n.userId === userId);
+        await Promise.all(notifications.map(n => this.store.delete(n.id)));
+        return { deleted: notifications.length };
+    }
+
+    async purgeBefore(cutoff) {
+        const stale = await this.store.list(n => n.createdAt < cutoff);
+        await Promise.all(stale.map(n => this.store.delete(n.id)));
+        return { deleted: stale.length };
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            channels: this.channels.map(channel => ({ channel, transport: this.transports.has(channel) }))
+        };
+    }
+}
+
+module.exports = { NotificationService };
@@ -0,0 +1,112 @@
+// Consent Service
+// Holonic Travel Planner - Versioned cookie and tracking consent records under privacy.consentManagement
+
+const { HttpError } = require('../api/http-error');
+
+// Strictly necessary storage needs no consent and cannot be declined
+const NECESSARY = 'necessary';
+
+const SUBJECT_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+/**
+ * Consent Service
+ * Consent is given per category and recorded against the policy version in
+ * `privacy.consentManagement.version`. Records are append-only, so the
+ * history proves what was agreed and when; the latest record counts. A
+ * browser is identified by a random `subjectId` it generates, and records
+ * made while signed in also carry the user id. Consent given for an older
+ * policy version is not current and has to be asked for again.
+ */
+class ConsentService {
+    constructor({ config, stores }) {
+        this.stores = stores;
+        this.store = null;
+        this.required = config.get('privacy.cookieConsentRequired', true);
+        this.version = config.get('privacy.consentManagement.version', '1.0');
+        this.categories = config.get('privacy.consentManagement.categories', [NECESSARY]);
+    }
+
+    async initialize() {
+        this.store = await this.stores.getStore('consents');
+    }
+
+    getPolicy() {
+        return { required: this.required, version: this.version, categories: this.categories };
+    }
+
+    /**
+     * The latest consent of a signed-in user, else of the browser, or null
+     */
+    async getConsent({ subjectId = null, userId = null }) {
+        const record = (userId && await this.latest(r => r.userId === userId))
+            || (subjectId && await this.latest(r => r.subjectId === subjectId));
+        return record ? this.present(record) : null;
+    }
+
+    async latest(predicate) {
+        const records = await this.store.list(predicate);
+        return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).pop() || null;
+    }
+
+    async recordConsent({ subjectId, categories } = {}, { userId = null } = {}) {
+        if (typeof subjectId !== 'string' || !SUBJECT_ID_PATTERN.test(subjectId)) {
+            throw HttpError.badRequest('A subjectId is required');
+        }
+        if (!categories || typeof categories !== 'object') {
+            throw HttpError.badRequest('categories must map each consent category to true or false');
+        }
+        const unknown = Object.keys(categories).filter(category => !this.categories.includes(category));
+        if (unknown.length > 0) {
+            throw HttpError.badRequest(`Unknown consent categories: ${unknown.join(', ')}`);
+        }
+
+        const record = await this.store.create({
+            subjectId,
+            userId,
+            policyVersion: this.version,
+            categories: Object.fromEntries(
+                this.categories.map(category => [category, category === NECESSARY || categories[category] === true])
+            )
+        });
+        return this.present(record);
+    }
+
+    present(record) {
+        return { ...record, current: record.policyVersion === this.version };
+    }
+
+    exportUserData(userId) {
+        return this.store.list(record => record.userId === userId);
+    }
+
+    async eraseUserData(userId) {
+        const records = await this.store.list(record => record.userId === userId);
+        await Promise.all(records.map(record => this.store.delete(record.id)));
+        return { deleted: records.length };
+    }
+
+    /**
+     * Drop superseded records older than the cutoff; the latest record of
+     * each browser is kept as long as it applies
+     */
+    async purgeBefore(cutoff) {
+        const latest = new Map();
+        for (const record of await this.store.list()) {
+            const previous = latest.get(record.subjectId);
+            if (!previous || previous.createdAt <= record.createdAt) {
+                latest.set(record.subjectId, record);
+            }
+        }
+
+        const keep = new Set([...latest.values()].map(record => record.id));
+        const stale = await this.store.list(record => record.createdAt < cutoff && !keep.has(record.id));
+        await Promise.all(stale.map(record => this.store.delete(record.id)));
+        return { deleted: stale.length };
+    }
+
+    getStatus() {
+        return this.store ? 'ready' : 'uninitialized';
+    }
+}
+
+module.exports = { ConsentService };
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StoreRegistry } from '../data/store-registry';
+import { ConsentService } from './consent-service';
+
+function createConfig(values) {
+    return { get: (key, fallback) => (key in values ? values[key] : fallback) };
+}
+
+const SUBJECT = 'browser-0000000001';
+const OTHER_SUBJECT = 'browser-0000000002';
+const CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+describe('ConsentService', () => {
+    let stores;
+
+    async function createService(version = '1.0') {
+        const service = new ConsentService({
+            config: createConfig({ 'privacy.consentManagement.version': version, 'privacy.consentManagement.categories': CATEGORIES }),
+            stores
+        });
+        await service.initialize();
+        return service;
+    }
+
+    beforeEach(() => {
+        stores = new StoreRegistry(createConfig({ 'storage.driver': 'memory' }));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('records every category, with strictly necessary storage always allowed', async () => {
+        const service = await createService();
+
+        const consent = await service.recordConsent({ subjectId: SUBJECT, categories: { necessary: false, analytics: true } });
+
+        expect(consent).toMatchObject({
+            subjectId: SUBJECT,
+            userId: null,
+            policyVersion: '1.0',
+            current: true,
+            categories: { necessary: true, analytics: true, marketing: false }
+        });
+    });
+
+    it('rejects unknown categories and missing or malformed subject ids', async () => {
+        const service = await createService();
+
+        await expect(service.recordConsent({ subjectId: SUBJECT, categories: { tracking: true } }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Unknown consent categories: tracking' });
+        await expect(service.recordConsent({ subjectId: 'short', categories: {} })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(service.recordConsent({ subjectId: SUBJECT })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('answers with the latest record and keeps the earlier ones', async () => {
+        const service = await createService();
+        vi.useFakeTimers({ now: Date.parse('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+        await service.recordConsent({ subjectId: SUBJECT, categories: { analytics: true } });
+        vi.setSystemTime(Date.parse('2026-01-02T00:00:00Z'));
+        await service.recordConsent({ subjectId: SUBJECT, categories: { analytics: false } });
+
+        expect((await service.getConsent({ subjectId: SUBJECT })).categories.analytics).toBe(false);
+        expect(await service.store.list(record => record.subjectId === SUBJECT)).toHaveLength(2);
+        expect(await service.getConsent({ subjectId: OTHER_SUBJECT })).toBeNull();
+    });
+
+    it('prefers what a signed-in user agreed to over the browser record', async () => {
+        const service = await createService();
+        vi.useFakeTimers({ now: Date.parse('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+        await service.recordConsent({ subjectId: OTHER_SUBJECT, categories: { marketing: true } }, { userId: 'ana' });
+        vi.setSystemTime(Date.parse('2026-01-02T00:00:00Z'));
+        await service.recordConsent({ subjectId: SUBJECT, categories: {} });
+
+        const consent = await service.getConsent({ subjectId: SUBJECT, userId: 'ana' });
+
+        expect(consent).toMatchObject({ userId: 'ana', categories: { marketing: true } });
+    });
+
+    it('no longer treats consent to an older policy version as current', async () => {
+        await (await createService('1.0')).recordConsent({ subjectId: SUBJECT, categories: { analytics: true } });
+
+        const consent = await (await createService('2.0')).getConsent({ subjectId: SUBJECT });
+
+        expect(consent).toMatchObject({ policyVersion: '1.0', current: false });
+    });
+
+    it('purges superseded records but keeps the one that still applies', async () => {
+        const service = await createService();
+        vi.useFakeTimers({ now: Date.parse('2025-01-01T00:00:00Z'), toFake: ['Date'] });
+        await service.recordConsent({ subjectId: SUBJECT, categories: { analytics: true } });
+        await service.recordConsent({ subjectId: OTHER_SUBJECT, categories: { analytics: true } });
+        vi.setSystemTime(Date.parse('2025-02-01T00:00:00Z'));
+        await service.recordConsent({ subjectId: SUBJECT, categories: { analytics: false } });
+
+        const purged = await service.purgeBefore('2025-06-01T00:00:00.000Z');
+
+        expect(purged).toEqual({ deleted: 1 });
+        expect((await service.getConsent({ subjectId: SUBJECT })).categories.analytics).toBe(false);
+        expect(await service.getConsent({ subjectId: OTHER_SUBJECT })).not.toBeNull();
+    });
+
+    it('exports and erases the records made while signed in', async () => {
+        const service = await createService();
+        await service.recordConsent({ subjectId: SUBJECT, categories: {} }, { userId: 'ana' });
+        await service.recordConsent({ subjectId: OTHER_SUBJECT, categories: {} }, { userId: 'bob' });
+
+        expect((await service.exportUserData('ana')).map(record => record.subjectId)).toEqual([SUBJECT]);
+        expect(await service.eraseUserData('ana')).toEqual({ deleted: 1 });
+        expect(await service.exportUserData('ana')).toEqual([]);
+        expect(await service.exportUserData('bob')).toHaveLength(1);
+    });
+});
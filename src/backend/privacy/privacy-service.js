@@ -0,0 +1,107 @@
+// Privacy Service
+// Holonic Travel Planner - Data export, erasure and retention under the `privacy` settings
+
+const { HttpError } = require('../api/http-error');
+const { presentUser } = require('../auth/auth-service');
+
+const DAY_MS = 86400000;
+const EXPORT_FORMAT = 'holonic-travel-export';
+const EXPORT_VERSION = 1;
+
+/**
+ * Privacy Service
+ * Personal data lives with the services that own it. Each registers as a
+ * named source implementing `exportUserData(userId)` and
+ * `eraseUserData(userId)`, and `purgeBefore(cutoff)` when its data expires
+ * after `privacy.dataRetentionDays`. The account itself is exported and
+ * erased through the auth service, last, so a failed erasure can be retried.
+ */
+class PrivacyService {
+    constructor({ config, authService, auditLog = null }) {
+        this.authService = authService;
+        this.auditLog = auditLog;
+        this.dataPortability = config.get('privacy.dataPortability', false);
+        this.rightToErasure = config.get('privacy.rightToErasure', false);
+        this.retentionDays = config.get('privacy.dataRetentionDays', 365);
+        this.sources = new Map();
+        this.lastPurge = null;
+    }
+
+    registerSource(name, source) {
+        this.sources.set(name, source);
+        return this;
+    }
+
+    /**
+     * Everything stored about the user as one JSON document
+     */
+    async exportUserData(userId) {
+        if (!this.dataPortability) {
+            throw HttpError.forbidden('Data export is not enabled');
+        }
+
+        const user = await this.authService.getUser(userId);
+        const data = {};
+        for (const [name, source] of this.sources) {
+            data[name] = await source.exportUserData(userId);
+        }
+
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            user: presentUser(user),
+            data
+        };
+    }
+
+    /**
+     * Erase the user's data source by source, then the account
+     * @returns {Promise<object>} what each source deleted or anonymized
+     */
+    async eraseUser(userId) {
+        if (!this.rightToErasure) {
+            throw HttpError.forbidden('Account deletion is not enabled');
+        }
+
+        await this.authService.getUser(userId);
+        const summary = {};
+        for (const [name, source] of this.sources) {
+            summary[name] = await source.eraseUserData(userId);
+        }
+        await this.authService.deleteUser(userId);
+
+        if (this.auditLog) {
+            await this.auditLog.record({ actorId: userId, action: 'user.erased', targetType: 'user', targetId: userId, details: summary });
+        }
+        return { erasedAt: new Date().toISOString(), summary };
+    }
+
+    /**
+     * Purge data recorded before the retention period
+     */
+    async purgeExpired(now = Date.now()) {
+        const cutoff = new Date(now - this.retentionDays * DAY_MS).toISOString();
+        const summary = {};
+        for (const [name, source] of this.sources) {
+            if (typeof source.purgeBefore === 'function') {
+                summary[name] = await source.purgeBefore(cutoff);
+            }
+        }
+
+        this.lastPurge = { at: new Date(now).toISOString(), cutoff, summary };
+        return this.lastPurge;
+    }
+
+    getStatus() {
+        return {
+            dataPortability: this.dataPortability,
+            rightToErasure: this.rightToErasure,
+            retentionDays: this.retentionDays,
+            sources: [...this.sources.keys()],
+            lastPurge: this.lastPurge?.at || null
+        };
+    }
+}
+
+module.exports = { PrivacyService };
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StoreRegistry } from '../data/store-registry';
+import { TokenService } from '../auth/token-service';
+import { AuthService } from '../auth/auth-service';
+import { AuditLog } from '../audit/audit-log';
+import { TripService } from '../trips/trip-service';
+import { TripCollaborationService } from '../trips/trip-collaboration-service';
+import { SearchHistory } from '../search/search-history';
+import { PrivacyService } from './privacy-service';
+
+function createConfig(values) {
+    return { get: (key, fallback) => (key in values ? values[key] : fallback) };
+}
+
+const DAY_MS = 86400000;
+
+describe('PrivacyService', () => {
+    let baseValues;
+    let authService;
+    let auditLog;
+    let tripService;
+    let collaboration;
+    let searchHistory;
+    let ana;
+    let bob;
+
+    function createPrivacyService(values = {}) {
+        return new PrivacyService({ config: createConfig({ ...baseValues, ...values }), authService, auditLog })
+            .registerSource('trips', tripService)
+            .registerSource('searches', searchHistory);
+    }
+
+    async function shareTrip(trip, owner, member, role) {
+        const invite = await collaboration.createInvite(trip.id, owner, { role });
+        await collaboration.joinTrip(invite.token, { userId: member });
+    }
+
+    beforeEach(async () => {
+        baseValues = {
+            'storage.driver': 'memory',
+            'security.jwt.secret': 'a-test-secret-that-is-long-enough-for-hs256',
+            'privacy.dataPortability': true,
+            'privacy.rightToErasure': true,
+            'privacy.dataRetentionDays': 30
+        };
+        const config = createConfig(baseValues);
+        const stores = new StoreRegistry(config);
+        authService = new AuthService({ config, stores, tokenService: new TokenService(config) });
+        auditLog = new AuditLog({ stores });
+        tripService = new TripService({ stores });
+        collaboration = new TripCollaborationService({ tripService });
+        searchHistory = new SearchHistory({ stores });
+        await Promise.all([authService.initialize(), auditLog.initialize(), tripService.initialize(), searchHistory.initialize()]);
+
+        ana = await authService.register({ email: 'ana@example.com', password: 'a-long-password' });
+        bob = await authService.register({ email: 'bob@example.com', password: 'a-long-password' });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('export', () => {
+        it('gathers the account and every source, and nothing of other users', async () => {
+            await tripService.createTrip({ name: 'Rome' }, ana.user.id);
+            await tripService.createTrip({ name: 'Oslo' }, bob.user.id);
+            await searchHistory.record(ana.user.id, { searchId: 's1', criteria: { legs: [] } });
+            await searchHistory.record(bob.user.id, { searchId: 's2', criteria: { legs: [] } });
+
+            const exported = await createPrivacyService().exportUserData(ana.user.id);
+
+            expect(exported).toMatchObject({ format: 'holonic-travel-export', version: 1, user: { email: 'ana@example.com' } });
+            expect(exported.user).not.toHaveProperty('passwordHash');
+            expect(exported.data.trips.map(trip => trip.name)).toEqual(['Rome']);
+            expect(exported.data.searches.map(search => search.searchId)).toEqual(['s1']);
+        });
+
+        it('is refused unless privacy.dataPortability is on', async () => {
+            await expect(createPrivacyService({ 'privacy.dataPortability': false }).exportUserData(ana.user.id))
+                .rejects.toMatchObject({ statusCode: 403 });
+        });
+    });
+
+    describe('erasure', () => {
+        it('removes the user from every source, then the account and its sessions', async () => {
+            const solo = await tripService.createTrip({ name: 'Rome' }, ana.user.id);
+            const shared = await tripService.createTrip({ name: 'Oslo' }, ana.user.id);
+            await shareTrip(shared, ana.user.id, bob.user.id, 'editor');
+            await searchHistory.record(ana.user.id, { searchId: 's1', criteria: { legs: [] } });
+
+            const { summary } = await createPrivacyService().eraseUser(ana.user.id);
+
+            expect(summary).toEqual({ trips: { deleted: 1, left: 0, transferred: 1 }, searches: { deleted: 1 } });
+            expect(await tripService.store.get(solo.id)).toBeNull();
+            const kept = await tripService.store.get(shared.id);
+            expect(kept.ownerId).toBe(bob.user.id);
+            expect(kept.members.map(member => [member.userId, member.role])).toEqual([[bob.user.id, 'owner']]);
+            expect(await searchHistory.exportUserData(ana.user.id)).toEqual([]);
+            await expect(authService.getUser(ana.user.id)).rejects.toMatchObject({ statusCode: 404 });
+            await expect(authService.refresh(ana.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+            expect((await auditLog.store.list(entry => entry.action === 'user.erased')).map(entry => entry.targetId)).toEqual([ana.user.id]);
+        });
+
+        it('keeps what a shared trip holds of other members', async () => {
+            const trip = await tripService.createTrip({ name: 'Oslo' }, bob.user.id);
+            await shareTrip(trip, bob.user.id, ana.user.id, 'viewer');
+            await collaboration.vote(trip.id, 'option-1', 1, ana.user.id);
+            await collaboration.vote(trip.id, 'option-1', 1, bob.user.id);
+
+            await createPrivacyService().eraseUser(ana.user.id);
+
+            const kept = await tripService.store.get(trip.id);
+            expect(kept.ownerId).toBe(bob.user.id);
+            expect(kept.votes).toEqual({ 'option-1': { [bob.user.id]: 1 } });
+        });
+
+        it('is refused unless privacy.rightToErasure is on, and for unknown users', async () => {
+            await expect(createPrivacyService({ 'privacy.rightToErasure': false }).eraseUser(ana.user.id))
+                .rejects.toMatchObject({ statusCode: 403 });
+            await expect(createPrivacyService().eraseUser('nobody')).rejects.toMatchObject({ statusCode: 404 });
+            expect(await authService.getUser(ana.user.id)).toBeTruthy();
+        });
+    });
+
+    describe('retention', () => {
+        it('purges what was recorded before privacy.dataRetentionDays', async () => {
+            const now = Date.now();
+            vi.useFakeTimers({ now: now - 31 * DAY_MS, toFake: ['Date'] });
+            await searchHistory.record(ana.user.id, { searchId: 'old', criteria: { legs: [] } });
+            vi.setSystemTime(now - 29 * DAY_MS);
+            await searchHistory.record(ana.user.id, { searchId: 'recent', criteria: { legs: [] } });
+            vi.setSystemTime(now);
+
+            const privacyService = createPrivacyService();
+            const purge = await privacyService.purgeExpired(now);
+
+            expect(purge.cutoff).toBe(new Date(now - 30 * DAY_MS).toISOString());
+            expect(purge.summary).toEqual({ searches: { deleted: 1 } });
+            expect((await searchHistory.exportUserData(ana.user.id)).map(search => search.searchId)).toEqual(['recent']);
+            expect(privacyService.getStatus().lastPurge).toBe(new Date(now).toISOString());
+        });
+    });
+});
@@ -0,0 +1,60 @@
+// Retention Job
+// Holonic Travel Planner - Periodically purges data older than privacy.dataRetentionDays
+
+const { Logger } = require('../../utils/logger');
+
+const logger = Logger.getInstance();
+
+class RetentionJob {
+    constructor({ config, privacyService }) {
+        this.privacyService = privacyService;
+        this.enabled = config.get('privacy.retentionJob.enabled', true);
+        this.interval = config.get('privacy.retentionJob.interval', 86400000);
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Purge once right away, then on every interval
+     */
+    start() {
+        if (!this.enabled || this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.run(), this.interval);
+        this.timer.unref?.();
+        this.run();
+    }
+
+    /**
+     * Purge expired data; overlapping runs are skipped
+     */
+    async run() {
+        if (this.running) {
+            return null;
+        }
+
+        this.running = true;
+        try {
+            const result = await this.privacyService.purgeExpired();
+            logger.info(`Retention purge removed data recorded before ${result.cutoff}`);
+            return result;
+        } catch (error) {
+            logger.error('Retention purge failed:', error);
+            return null;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    getStatus() {
+        return { enabled: this.enabled, running: this.running, ...this.privacyService.getStatus() };
+    }
+}
+
+module.exports = { RetentionJob };
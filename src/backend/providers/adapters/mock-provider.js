@@ -0,0 +1,221 @@
+// Mock Provider Adapter
+// Holonic Travel Planner - Deterministic, fixture-driven provider for offline use and tests
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('../../api/http-error');
+const { ProviderAdapter } = require('../provider-adapter');
+
+const DEFAULT_CATALOG = path.join(__dirname, '../fixtures/mock-catalog.json');
+
+// How long an offer from a search can still be priced and booked
+const OFFER_TTL = 60 * 60 * 1000;
+
+/**
+ * FNV-1a hash of a string, used to seed per-route randomness
+ */
+function hash(text) {
+    let value = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        value ^= text.charCodeAt(i);
+        value = Math.imul(value, 0x01000193);
+    }
+    return value >>> 0;
+}
+
+/**
+ * Seeded PRNG (mulberry32) returning numbers in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+function addMinutes(wallClock, minutes) {
+    return new Date(Date.parse(`${wallClock}:00Z`) + minutes * 60000).toISOString().slice(0, 16);
+}
+
+function nightsBetween(checkIn, checkOut) {
+    return Math.max(1, Math.round((Date.parse(checkOut) - Date.parse(checkIn)) / (24 * 60 * 60 * 1000)));
+}
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Mock Provider Adapter
+ * Offers are generated from the fixture catalog and seeded by the request,
+ * so the same search always yields the same offers, ids and prices.
+ * Catalog entries may set their own currency instead of the catalog's.
+ * Offers are remembered for an hour after the search that returned them;
+ * pricing looks them up by offerId, like a real provider would.
+ */
+class MockProviderAdapter extends ProviderAdapter {
+    constructor(options) {
+        super(options);
+        this.catalog = null;
+        this.offers = new Map();
+        this.bookings = new Map();
+    }
+
+    async initialize() {
+        const catalogPath = this.config.fixtures || DEFAULT_CATALOG;
+        this.catalog = JSON.parse(await fs.promises.readFile(catalogPath, 'utf8'));
+    }
+
+    async search(category, request) {
+        const offers = this.generateOffers(category, request);
+        const now = Date.now();
+
+        for (const [offerId, issued] of this.offers) {
+            if (issued.expiresAt <= now) {
+                this.offers.delete(offerId);
+            }
+        }
+        for (const offer of offers) {
+            this.offers.set(offer.offerId, { offer, expiresAt: now + OFFER_TTL });
+        }
+        return offers;
+    }
+
+    generateOffers(category, request) {
+        switch (category) {
+            case 'flights':
+                return this.searchFlights(request);
+            case 'hotels':
+                return request.checkIn && request.checkOut ? this.searchHotels(request) : [];
+            case 'cars':
+                return request.checkIn && request.checkOut ? this.searchCars(request) : [];
+            case 'activities':
+                return request.checkIn ? this.searchActivities(request) : [];
+            default:
+                return [];
+        }
+    }
+
+    searchFlights({ legIndex, origin, destination, departureDate, travelers = 1 }) {
+        const routeSeed = hash(`${origin.toUpperCase()}-${destination.toUpperCase()}`);
+        const random = seededRandom(hash(`${routeSeed}-${departureDate}`));
+        const baseDuration = 60 + (routeSeed % 600);
+
+        return this.catalog.airlines.flatMap(airline => {
+            const hours = this.catalog.departureHours.filter(() => random() < 0.5).slice(0, 2);
+            return hours.map(hour => {
+                const stops = random() < 0.3 ? 1 : 0;
+                const durationMinutes = baseDuration + stops * (60 + Math.floor(random() * 90));
+                const departureTime = `${departureDate}T${pad(hour)}:${pad(Math.floor(random() * 4) * 15)}`;
+                const fare = airline.baseFare + airline.farePerHour * (durationMinutes / 60) * (0.8 + random() * 0.5);
+                const flightNumber = `${airline.code}${100 + (hash(`${routeSeed}-${airline.code}-${hour}`) % 900)}`;
+
+                return {
+                    provider: this.key,
+                    offerId: `mock-flight-${flightNumber}-${departureDate}`,
+                    type: 'flight',
+                    legIndex,
+                    carrier: airline.code,
+                    carrierName: airline.name,
+                    flightNumber,
+                    origin,
+                    destination,
+                    departureTime,
+                    arrivalTime: addMinutes(departureTime, durationMinutes),
+                    durationMinutes,
+                    stops,
+                    price: { amount: roundPrice(fare * travelers), currency: airline.currency || this.catalog.currency }
+                };
+            });
+        });
+    }
+
+    searchHotels({ legIndex, destination, checkIn, checkOut, travelers = 1 }) {
+        const random = seededRandom(hash(`hotel-${destination.toUpperCase()}-${checkIn}`));
+        const nights = nightsBetween(checkIn, checkOut);
+        const rooms = Math.ceil(travelers / 2);
+
+        return this.catalog.hotels.map(hotel => ({
+            provider: this.key,
+            offerId: `mock-hotel-${hash(`${hotel.brand}-${destination}`)}-${checkIn}-${checkOut}`,
+            type: 'hotel',
+            legIndex,
+            name: `${hotel.brand} ${destination}`,
+            location: destination,
+            stars: hotel.stars,
+            checkIn: `${checkIn}T15:00`,
+            checkOut: `${checkOut}T11:00`,
+            nights,
+            price: {
+                amount: roundPrice(hotel.nightlyRate * (0.85 + random() * 0.3) * nights * rooms),
+                currency: hotel.currency || this.catalog.currency
+            }
+        }));
+    }
+
+    searchCars({ legIndex, destination, checkIn, checkOut }) {
+        const random = seededRandom(hash(`car-${destination.toUpperCase()}-${checkIn}`));
+        const days = nightsBetween(checkIn, checkOut);
+
+        return this.catalog.cars.map(car => ({
+            provider: this.key,
+            offerId: `mock-car-${hash(`${car.company}-${car.model}-${destination}`)}-${checkIn}-${checkOut}`,
+            type: 'car',
+            legIndex,
+            company: car.company,
+            name: `${car.company} ${car.model}`,
+            location: destination,
+            pickupTime: `${checkIn}T10:00`,
+            dropoffTime: `${checkOut}T10:00`,
+            price: { amount: roundPrice(car.dailyRate * (0.9 + random() * 0.2) * days), currency: car.currency || this.catalog.currency }
+        }));
+    }
+
+    searchActivities({ legIndex, destination, checkIn, travelers = 1 }) {
+        const startDate = addMinutes(`${checkIn}T00:00`, 24 * 60).slice(0, 10);
+
+        return this.catalog.activities.map(activity => ({
+            provider: this.key,
+            offerId: `mock-activity-${hash(`${activity.name}-${destination}`)}-${startDate}`,
+            type: 'activity',
+            legIndex,
+            name: `${activity.name} (${destination})`,
+            location: destination,
+            startTime: `${startDate}T${pad(activity.startHour)}:00`,
+            durationMinutes: activity.durationMinutes,
+            price: { amount: roundPrice(activity.price * travelers), currency: activity.currency || this.catalog.currency }
+        }));
+    }
+
+    async price({ offerId }) {
+        const issued = this.offers.get(offerId);
+        if (!issued || issued.expiresAt <= Date.now()) {
+            throw HttpError.conflict(`Offer ${offerId} is no longer available; search again`);
+        }
+
+        // Prices are stable for the mock; they are held for fifteen minutes
+        return {
+            ...issued.offer,
+            priceValidUntil: new Date(Date.now() + 15 * 60 * 1000).toISOString()
+        };
+    }
+
+    async book(offer, details = {}) {
+        const confirmationNumber = `MOCK-${hash(`${offer.offerId}-${details.reference || ''}`).toString(36).toUpperCase()}`;
+        this.bookings.set(confirmationNumber, { offer, details });
+
+        return { confirmationNumber, status: 'confirmed' };
+    }
+
+    async cancel(item) {
+        if (!this.bookings.delete(item.confirmationNumber)) {
+            throw HttpError.notFound(`Booking ${item.confirmationNumber} not found`);
+        }
+        return { confirmationNumber: item.confirmationNumber, status: 'cancelled' };
+    }
+}
+
+module.exports = { MockProviderAdapter };
@@ -0,0 +1,65 @@
+// Provider Adapter
+// Holonic Travel Planner - Base interface for external travel providers
+
+const PROVIDER_CATEGORIES = ['flights', 'hotels', 'cars', 'activities'];
+
+/**
+ * Provider Adapter
+ * Every travel provider implements search, price, book and cancel for the
+ * categories it supports. Offers returned by an adapter always carry `provider`,
+ * `offerId`, `type` and a `price` of { amount, currency }.
+ */
+class ProviderAdapter {
+    constructor({ key, config, categories = PROVIDER_CATEGORIES }) {
+        this.key = key;
+        this.config = config;
+        this.categories = categories;
+    }
+
+    async initialize() {}
+
+    supports(category) {
+        return this.categories.includes(category);
+    }
+
+    /**
+     * Search offers for one leg.
+     * @param {string} category - one of PROVIDER_CATEGORIES
+     * @param {object} request - { legIndex, origin, destination, departureDate, checkIn, checkOut, travelers, preferences }
+     * @returns {Promise<object[]>} offers
+     */
+    async search(category, request) {
+        throw new Error(`${this.key} does not implement search for ${category}`);
+    }
+
+    /**
+     * Confirm the current price of an offer the provider issued. Only
+     * `offerId` identifies the offer; its details and price come from the
+     * provider, never from the caller.
+     * @param {object} offer - { provider, offerId }
+     * @returns {Promise<object>} the offer with a fresh price and `priceValidUntil`
+     */
+    async price(offer) {
+        throw new Error(`${this.key} does not implement price`);
+    }
+
+    /**
+     * Book an offer
+     * @returns {Promise<object>} { confirmationNumber, status }
+     */
+    async book(offer, details) {
+        throw new Error(`${this.key} does not implement book`);
+    }
+
+    /**
+     * Cancel a booking made with book(); `item` is the booked offer with its confirmationNumber
+     * @returns {Promise<object>} { confirmationNumber, status }
+     */
+    async cancel(item, details) {
+        throw new Error(`${this.key} does not implement cancel`);
+    }
+
+    async shutdown() {}
+}
+
+module.exports = { ProviderAdapter, PROVIDER_CATEGORIES };
@@ -0,0 +1,65 @@
+// Provider Registry
+// Holonic Travel Planner - Registers provider adapters by their `apis.<key>` configuration
+
+const { HttpError } = require('../api/http-error');
+
+/**
+ * Provider Registry
+ * Adapters are registered against a configuration key. Only adapters whose
+ * `apis.<key>.enabled` flag is set are instantiated on initialize.
+ */
+class ProviderRegistry {
+    constructor(config) {
+        this.config = config;
+        this.adapterClasses = new Map();
+        this.adapters = new Map();
+    }
+
+    register(configKey, AdapterClass) {
+        this.adapterClasses.set(configKey, AdapterClass);
+        return this;
+    }
+
+    async initialize() {
+        for (const [key, AdapterClass] of this.adapterClasses) {
+            const providerConfig = this.config.get(`apis.${key}`, {});
+            if (!providerConfig.enabled) {
+                continue;
+            }
+
+            const adapter = new AdapterClass({ key, config: providerConfig });
+            await adapter.initialize();
+            this.adapters.set(key, adapter);
+        }
+    }
+
+    /**
+     * Enabled adapters, optionally limited to those supporting a category
+     */
+    getEnabled(category = null) {
+        const adapters = [...this.adapters.values()];
+        return category ? adapters.filter(adapter => adapter.supports(category)) : adapters;
+    }
+
+    get(key) {
+        const adapter = this.adapters.get(key);
+        if (!adapter) {
+            throw HttpError.badRequest(`Provider ${key} is not enabled`);
+        }
+        return adapter;
+    }
+
+    async shutdown() {
+        await Promise.all(this.getEnabled().map(adapter => adapter.shutdown()));
+        this.adapters.clear();
+    }
+
+    getStatus() {
+        return {
+            registered: [...this.adapterClasses.keys()],
+            enabled: [...this.adapters.keys()]
+        };
+    }
+}
+
+module.exports = { ProviderRegistry };
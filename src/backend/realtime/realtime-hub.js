@@ -0,0 +1,225 @@
+// Realtime Hub
+// Holonic Travel Planner - Topic-based server push with heartbeat and resumable streams
+
+const crypto = require('crypto');
+const { HttpError } = require('../api/http-error');
+
+// setTimeout fires at once for longer delays
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Realtime Hub
+ * Fans published events out to connected clients by topic. Topics are
+ * `<kind>` or `<kind>:<key>` (e.g. `system`, `trip:<id>`, `booking:<id>`);
+ * each kind is registered with an `authorize` check run on subscribe, an
+ * optional `present` hook shaping an event per recipient (returning null
+ * revokes the subscription) and an optional `snapshot` sent on connect.
+ *
+ * Recent events are kept in a replay buffer so a client reconnecting with
+ * its last event id receives what it missed. Ids carry an instance prefix;
+ * a client whose id is unknown (restart, or fell out of the buffer) is told
+ * to `resync` and reload its state instead.
+ *
+ * A signed-in client's stream lasts as long as its access token: it is sent
+ * `session:ended` and closed when the token expires or its session is
+ * revoked (logout, refresh-token reuse, account deletion).
+ */
+class RealtimeHub {
+    constructor(config) {
+        this.heartbeatInterval = config.get('realtime.heartbeatInterval', 20000);
+        this.replayBufferSize = config.get('realtime.replayBufferSize', 1000);
+        this.maxTopics = config.get('realtime.maxTopicsPerConnection', 25);
+        this.instanceId = crypto.randomBytes(4).toString('hex');
+        this.topicKinds = new Map();
+        this.clients = new Set();
+        this.expiryTimers = new Map();
+        this.buffer = [];
+        this.sequence = 0;
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Register a topic kind: { authorize(key, userId), present?(data, userId), snapshot?(key, userId) }
+     */
+    registerTopic(kind, handlers) {
+        this.topicKinds.set(kind, handlers);
+        return this;
+    }
+
+    parseTopic(topic) {
+        const separator = topic.indexOf(':');
+        const kind = separator === -1 ? topic : topic.slice(0, separator);
+        const key = separator === -1 ? null : topic.slice(separator + 1);
+        const handlers = this.topicKinds.get(kind);
+        if (!handlers) {
+            throw HttpError.badRequest(`Unknown topic: ${topic}`);
+        }
+        return { kind, key, handlers };
+    }
+
+    /**
+     * Check every requested topic; rejects with 403 on the first denied one
+     */
+    async authorizeTopics(topics, userId) {
+        if (topics.length > this.maxTopics) {
+            throw HttpError.badRequest(`At most ${this.maxTopics} topics per connection`);
+        }
+        for (const topic of topics) {
+            const { key, handlers } = this.parseTopic(topic);
+            if (!(await handlers.authorize(key, userId))) {
+                throw HttpError.forbidden(`Not allowed to subscribe to ${topic}`);
+            }
+        }
+    }
+
+    /**
+     * Publish an event to a topic
+     */
+    publish(topic, event, data) {
+        const entry = {
+            id: `${this.instanceId}-${++this.sequence}`,
+            sequence: this.sequence,
+            topic,
+            event,
+            data,
+            publishedAt: new Date().toISOString()
+        };
+
+        this.buffer.push(entry);
+        if (this.buffer.length > this.replayBufferSize) {
+            this.buffer.shift();
+        }
+
+        for (const client of this.clients) {
+            if (client.topics.has(topic)) {
+                this.deliver(client, entry);
+            }
+        }
+        return entry.id;
+    }
+
+    deliver(client, entry) {
+        const { handlers } = this.parseTopic(entry.topic);
+        const data = handlers.present ? handlers.present(entry.data, client.userId) : entry.data;
+
+        if (data === null) {
+            client.topics.delete(entry.topic);
+            client.send({ event: 'revoked', data: { topic: entry.topic } });
+            return;
+        }
+        client.send({ id: entry.id, event: entry.event, data: { topic: entry.topic, ...data } });
+    }
+
+    /**
+     * Attach an authorized client: { userId, sessionId, expiresAt, topics: Set,
+     * send({ id, event, data }), close() }. Returns the function that detaches it.
+     */
+    async attach(client, lastEventId = null) {
+        // Events published while snapshots load are replayed afterwards
+        let since = this.sequence;
+
+        for (const topic of client.topics) {
+            const { key, handlers } = this.parseTopic(topic);
+            if (handlers.snapshot) {
+                const data = await handlers.snapshot(key, client.userId);
+                client.send({ event: 'snapshot', data: { topic, ...data } });
+            }
+        }
+
+        if (lastEventId) {
+            since = this.resumePoint(lastEventId);
+            if (since === null) {
+                client.send({ event: 'resync', data: { reason: 'Missed events are no longer available' } });
+                since = this.sequence;
+            }
+        }
+
+        for (const entry of this.buffer) {
+            if (entry.sequence > since && client.topics.has(entry.topic)) {
+                this.deliver(client, entry);
+            }
+        }
+
+        this.clients.add(client);
+        if (client.expiresAt) {
+            const delay = Math.min(Math.max(client.expiresAt - Date.now(), 0), MAX_TIMER_DELAY);
+            const timer = setTimeout(() => this.end(client, 'expired'), delay);
+            timer.unref?.();
+            this.expiryTimers.set(client, timer);
+        }
+        return () => this.detach(client);
+    }
+
+    detach(client) {
+        clearTimeout(this.expiryTimers.get(client));
+        this.expiryTimers.delete(client);
+        this.clients.delete(client);
+    }
+
+    /**
+     * Tell a client why its stream ends and close it
+     */
+    end(client, reason) {
+        this.detach(client);
+        client.send({ event: 'session:ended', data: { reason } });
+        client.close();
+    }
+
+    /**
+     * Close the streams of an ended session, or of every session of the user when sessionId is null
+     */
+    endSessions({ userId, sessionId = null }) {
+        for (const client of [...this.clients]) {
+            if (client.userId === userId && (sessionId === null || client.sessionId === sessionId)) {
+                this.end(client, 'revoked');
+            }
+        }
+    }
+
+    /**
+     * Sequence to replay after, or null when the id cannot be resumed from
+     */
+    resumePoint(lastEventId) {
+        const [instanceId, sequenceText] = String(lastEventId).split('-');
+        const sequence = Number(sequenceText);
+        const oldest = this.buffer.length > 0 ? this.buffer[0].sequence : this.sequence + 1;
+
+        if (instanceId !== this.instanceId || !(sequence >= oldest - 1 && sequence <= this.sequence)) {
+            return null;
+        }
+        return sequence;
+    }
+
+    start() {
+        if (this.heartbeatTimer) {
+            return;
+        }
+        this.heartbeatTimer = setInterval(() => {
+            const at = new Date().toISOString();
+            for (const client of this.clients) {
+                client.send({ event: 'heartbeat', data: { at } });
+            }
+        }, this.heartbeatInterval);
+        this.heartbeatTimer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        for (const client of [...this.clients]) {
+            this.detach(client);
+            client.close();
+        }
+    }
+
+    getStatus() {
+        return {
+            status: this.heartbeatTimer ? 'running' : 'stopped',
+            connections: this.clients.size,
+            topicKinds: [...this.topicKinds.keys()],
+            bufferedEvents: this.buffer.length
+        };
+    }
+}
+
+module.exports = { RealtimeHub };
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RealtimeHub } from './realtime-hub';
+
+function createClient(fields) {
+    const client = {
+        topics: new Set(['system']),
+        events: [],
+        closed: false,
+        send(message) {
+            client.events.push(message);
+        },
+        close() {
+            client.closed = true;
+        },
+        ...fields
+    };
+    return client;
+}
+
+describe('RealtimeHub', () => {
+    let hub;
+
+    beforeEach(() => {
+        hub = new RealtimeHub({ get: (key, fallback) => fallback });
+        hub.registerTopic('system', { authorize: async () => true });
+    });
+
+    afterEach(() => {
+        hub.stop();
+        vi.useRealTimers();
+    });
+
+    it('closes a stream when its access token expires', async () => {
+        vi.useFakeTimers();
+        const client = createClient({ userId: 'ana', sessionId: 's1', expiresAt: Date.now() + 60000 });
+        await hub.attach(client);
+
+        vi.advanceTimersByTime(59999);
+        expect(client.closed).toBe(false);
+
+        vi.advanceTimersByTime(1);
+        expect(client.closed).toBe(true);
+        expect(client.events.at(-1)).toEqual({ event: 'session:ended', data: { reason: 'expired' } });
+        expect(hub.getStatus().connections).toBe(0);
+    });
+
+    it('closes the streams of an ended session only', async () => {
+        const signedOut = createClient({ userId: 'ana', sessionId: 's1' });
+        const otherDevice = createClient({ userId: 'ana', sessionId: 's2' });
+        await hub.attach(signedOut);
+        await hub.attach(otherDevice);
+
+        hub.endSessions({ userId: 'ana', sessionId: 's1' });
+        hub.publish('system', 'system:status', { status: 'healthy' });
+
+        expect(signedOut.closed).toBe(true);
+        expect(signedOut.events.at(-1)).toEqual({ event: 'session:ended', data: { reason: 'revoked' } });
+        expect(otherDevice.closed).toBe(false);
+        expect(otherDevice.events.at(-1).event).toBe('system:status');
+    });
+
+    it('closes every stream of a user whose sessions all ended', async () => {
+        const clients = [createClient({ userId: 'ana', sessionId: 's1' }), createClient({ userId: 'ana', sessionId: 's2' })];
+        const bystander = createClient({ userId: 'bob', sessionId: 's3' });
+        await Promise.all([...clients, bystander].map(client => hub.attach(client)));
+
+        hub.endSessions({ userId: 'ana', sessionId: null });
+
+        expect(clients.every(client => client.closed)).toBe(true);
+        expect(bystander.closed).toBe(false);
+    });
+});
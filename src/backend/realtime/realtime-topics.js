@@ -0,0 +1,60 @@
+// Realtime Topics
+// Holonic Travel Planner - Topic authorization and event sources for the push channel
+
+const { hasRole, presentTrip } = require('../trips/trip-access');
+
+/**
+ * Register the `system`, `user`, `trip` and `booking` topics on the hub and
+ * forward service events to them; ledger changes go to the trip topic.
+ * Notifications are delivered through the `push` notification channel, and
+ * ended sign-in sessions close their streams.
+ */
+function registerRealtimeTopics(hub, { authService, tripService, bookingService, budgetService, notificationService, getSystemStatus }) {
+    hub.registerTopic('system', {
+        authorize: async () => true,
+        snapshot: async () => getSystemStatus()
+    });
+
+    hub.registerTopic('user', {
+        authorize: async (key, userId) => !!userId && key === userId
+    });
+
+    hub.registerTopic('trip', {
+        authorize: async (tripId, userId) => {
+            const trip = await tripService.store.get(tripId);
+            return !!trip && hasRole(trip, userId, 'viewer');
+        },
+        // Deleted trips and removed members revoke the subscription; other
+        // events on the topic (e.g. budget changes) carry no trip
+        present: (change, userId) => {
+            if (!('trip' in change)) {
+                return change;
+            }
+            const { trip } = change;
+            if (!trip || !hasRole(trip, userId, 'viewer')) {
+                return null;
+            }
+            return { ...change, trip: presentTrip(trip, userId) };
+        }
+    });
+
+    hub.registerTopic('booking', {
+        authorize: async (bookingId, userId) => {
+            const booking = await bookingService.store.get(bookingId);
+            return !!booking && (!booking.userId || booking.userId === userId);
+        }
+    });
+
+    tripService.on('trip:changed', change => hub.publish(`trip:${change.tripId}`, 'trip:changed', change));
+    budgetService.on('budget:changed', change => hub.publish(`trip:${change.tripId}`, 'budget:changed', change));
+    bookingService.on('booking:changed', change => hub.publish(`booking:${change.bookingId}`, 'booking:changed', change));
+    authService.on('session:ended', session => hub.endSessions(session));
+
+    notificationService.registerTransport('push', async notification => {
+        if (notification.userId) {
+            hub.publish(`user:${notification.userId}`, 'notification', { notification });
+        }
+    });
+}
+
+module.exports = { registerRealtimeTopics };
@@ -0,0 +1,172 @@
+// Offer Normalizer
+// Holonic Travel Planner - Maps provider payloads onto the canonical offer schema and merges duplicates
+//
+// Canonical offer:
+// {
+//   id, type, legIndex, provider, offerId, sources: [{ provider, offerId, price }],
+//   title, origin, destination, location, start, end, durationMinutes, stops,
+//   carrier, flightNumber, marketingCarriers, stars, price: { amount, currency }, raw
+// }
+
+const normalizers = new Map();
+
+/**
+ * Register a payload mapper for a provider whose offers do not follow
+ * the field names understood by the default mapper
+ */
+function registerNormalizer(provider, normalizer) {
+    normalizers.set(provider, normalizer);
+}
+
+function toWallClock(value) {
+    if (!value) {
+        return null;
+    }
+    const text = typeof value === 'object' ? value.at || value.dateTime || '' : String(value);
+    return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text) ? text.slice(0, 16) : null;
+}
+
+function minutesBetween(start, end) {
+    if (!start || !end) {
+        return null;
+    }
+    return Math.round((Date.parse(`${end}:00Z`) - Date.parse(`${start}:00Z`)) / 60000);
+}
+
+function readPrice(raw) {
+    const price = raw.price || {};
+    const amount = Number(price.amount ?? price.total ?? raw.totalPrice ?? raw.amount);
+    const currency = String(price.currency || price.currencyCode || raw.currency || '').toUpperCase();
+    return { amount: Number.isFinite(amount) ? amount : null, currency: currency || null };
+}
+
+/**
+ * Default mapper, tolerant of the common field name variants
+ */
+function defaultNormalizer(raw) {
+    const type = raw.type || 'activity';
+    let start = toWallClock(raw.start || raw.departureTime || raw.departure || raw.checkIn || raw.pickupTime || raw.startTime);
+    let end = toWallClock(raw.end || raw.arrivalTime || raw.arrival || raw.checkOut || raw.dropoffTime || raw.endTime);
+
+    if (start && !end && raw.durationMinutes) {
+        end = new Date(Date.parse(`${start}:00Z`) + raw.durationMinutes * 60000).toISOString().slice(0, 16);
+    }
+
+    const carrier = raw.operatingCarrier || raw.carrier || raw.carrierCode || null;
+    const marketingCarrier = raw.marketingCarrier || raw.carrier || raw.carrierCode || null;
+
+    return {
+        type,
+        legIndex: raw.legIndex ?? null,
+        provider: raw.provider,
+        offerId: String(raw.offerId || raw.id),
+        title: raw.title || raw.name || (type === 'flight'
+            ? `${raw.carrierName || carrier || ''} ${raw.flightNumber || ''}`.trim()
+            : type),
+        origin: raw.origin || null,
+        destination: raw.destination || null,
+        location: raw.location || raw.city || (type === 'flight' ? null : raw.destination) || null,
+        start,
+        end,
+        durationMinutes: raw.durationMinutes ?? (type === 'flight' ? minutesBetween(start, end) : null),
+        stops: raw.stops ?? (type === 'flight' ? 0 : null),
+        carrier,
+        flightNumber: raw.operatingFlightNumber || raw.flightNumber || null,
+        marketingCarriers: type === 'flight' && marketingCarrier ? [marketingCarrier] : [],
+        stars: raw.stars ?? raw.rating ?? null,
+        price: readPrice(raw)
+    };
+}
+
+/**
+ * Map a provider payload onto the canonical offer schema
+ */
+function normalizeOffer(raw) {
+    const normalizer = normalizers.get(raw.provider) || defaultNormalizer;
+    const offer = normalizer(raw);
+
+    return {
+        ...offer,
+        id: equivalenceKey(offer),
+        sources: [{ provider: offer.provider, offerId: offer.offerId, price: offer.price }],
+        raw
+    };
+}
+
+function simplifyName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\b(hotel|the|and|&)\b/g, '')
+        .replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Operating flight as carrier plus number, e.g. "AF1204" whether the
+ * provider sent "AF 1204", "AF1204" or just "1204"
+ */
+function operatedFlight(offer) {
+    const carrier = String(offer.carrier || '').replace(/\s+/g, '').toUpperCase();
+    const number = String(offer.flightNumber || '').replace(/\s+/g, '').toUpperCase();
+    return carrier && number.startsWith(carrier) ? number : `${carrier}${number}`;
+}
+
+/**
+ * Key under which equivalent offers from different sources collapse.
+ * Flights compare on route, schedule and the operating flight, so
+ * codeshares (one operated flight sold under several flight numbers)
+ * merge while different flights on the same schedule stay apart; stays
+ * compare on property name, place and dates.
+ */
+function equivalenceKey(offer) {
+    const leg = offer.legIndex ?? '-';
+    switch (offer.type) {
+        case 'flight':
+            return ['flight', leg, offer.origin, offer.destination, offer.start, offer.end, offer.stops, operatedFlight(offer)]
+                .join('|').toLowerCase();
+        case 'hotel':
+            return ['hotel', leg, simplifyName(offer.title), simplifyName(offer.location), offer.start?.slice(0, 10), offer.end?.slice(0, 10)]
+                .join('|');
+        default:
+            return [offer.type, leg, simplifyName(offer.title), offer.start, offer.end].join('|');
+    }
+}
+
+/**
+ * Collapse equivalent offers. The cheapest source becomes the primary offer;
+ * all sources are listed so the user can still pick a specific one. A source
+ * without a comparable price is primary only when no source has one.
+ * @param {function} comparablePrice - maps a price to a number comparable across currencies
+ */
+function dedupeOffers(offers, comparablePrice = (price) => price.amount) {
+    const byKey = new Map();
+    const priceOf = (offer) => {
+        const value = offer.price ? comparablePrice(offer.price) : null;
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    };
+
+    for (const offer of offers) {
+        const existing = byKey.get(offer.id);
+        if (!existing) {
+            byKey.set(offer.id, offer);
+            continue;
+        }
+
+        const sources = [...existing.sources, ...offer.sources];
+        const marketingCarriers = [...new Set([...existing.marketingCarriers, ...offer.marketingCarriers])];
+        const [price, existingPrice] = [priceOf(offer), priceOf(existing)];
+        const cheaper = price !== null && (existingPrice === null || price < existingPrice) ? offer : existing;
+
+        byKey.set(offer.id, { ...cheaper, sources, marketingCarriers });
+    }
+
+    return [...byKey.values()];
+}
+
+module.exports = {
+    registerNormalizer,
+    normalizeOffer,
+    dedupeOffers,
+    equivalenceKey
+};
@@ -0,0 +1,152 @@
+// Offer Ranking
+// Holonic Travel Planner - Configurable scoring of canonical offers
+
+const DEFAULT_WEIGHTS = {
+    price: 0.5,
+    duration: 0.25,
+    stops: 0.15,
+    preferences: 0.1
+};
+
+// Ranked lists keep offer types together in this order
+const TYPE_ORDER = ['flight', 'hotel', 'car', 'activity'];
+
+/**
+ * Comparable price of an offer as a finite number, or null when it has none
+ * (no amount, or a currency that cannot be converted)
+ */
+function priceOf(offer, comparablePrice) {
+    const value = offer.price ? comparablePrice(offer.price) : null;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function toMinutesOfDay(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Share of the user's preferences an offer satisfies, between 0 and 1.
+ * Understood preferences: maxPrice, maxStops, preferredCarriers, minStars,
+ * departureWindow { earliest, latest } ("HH:mm").
+ */
+function preferenceMatch(offer, preferences, comparablePrice) {
+    const checks = [];
+
+    if (preferences.maxPrice !== undefined) {
+        const price = priceOf(offer, comparablePrice);
+        checks.push(price !== null && price <= Number(preferences.maxPrice));
+    }
+
+    if (offer.type === 'flight') {
+        if (preferences.maxStops !== undefined) {
+            checks.push(offer.stops <= Number(preferences.maxStops));
+        }
+        if (Array.isArray(preferences.preferredCarriers) && preferences.preferredCarriers.length > 0) {
+            const carriers = [offer.carrier, ...offer.marketingCarriers].filter(Boolean);
+            checks.push(carriers.some(carrier => preferences.preferredCarriers.includes(carrier)));
+        }
+        if (preferences.departureWindow && offer.start) {
+            const departure = toMinutesOfDay(offer.start.slice(11, 16));
+            const { earliest = '00:00', latest = '23:59' } = preferences.departureWindow;
+            checks.push(departure >= toMinutesOfDay(earliest) && departure <= toMinutesOfDay(latest));
+        }
+    }
+
+    if (offer.type === 'hotel' && preferences.minStars !== undefined && offer.stars !== null) {
+        checks.push(offer.stars >= Number(preferences.minStars));
+    }
+
+    return checks.length === 0 ? 1 : checks.filter(Boolean).length / checks.length;
+}
+
+/**
+ * Scale a value into [0, 1] within the range of its group; 0 is best
+ */
+function scale(value, min, max) {
+    if (value === null || value === undefined || max === min) {
+        return 0;
+    }
+    return (value - min) / (max - min);
+}
+
+/**
+ * Default scoring function. Each factor is a penalty in [0, 1]; the score is
+ * one minus the weighted average penalty, so higher scores rank first. An
+ * offer without a comparable price gets the full price penalty.
+ */
+function defaultScorer(offer, { ranges, weights, preferences, comparablePrice }) {
+    const price = priceOf(offer, comparablePrice);
+    const breakdown = {
+        price: price === null ? 1 : scale(price, ranges.price.min, ranges.price.max),
+        duration: scale(offer.durationMinutes, ranges.duration.min, ranges.duration.max),
+        stops: scale(offer.stops, ranges.stops.min, ranges.stops.max),
+        preferences: 1 - preferenceMatch(offer, preferences, comparablePrice)
+    };
+
+    const totalWeight = Object.keys(breakdown).reduce((sum, factor) => sum + (weights[factor] || 0), 0);
+    const penalty = Object.entries(breakdown)
+        .reduce((sum, [factor, value]) => sum + value * (weights[factor] || 0), 0);
+
+    return {
+        score: totalWeight > 0 ? Math.round((1 - penalty / totalWeight) * 1000) / 1000 : 0,
+        breakdown
+    };
+}
+
+function rangeOf(values) {
+    const present = values.filter(value => value !== null && value !== undefined && Number.isFinite(value));
+    return present.length > 0
+        ? { min: Math.min(...present), max: Math.max(...present) }
+        : { min: 0, max: 0 };
+}
+
+/**
+ * Score and sort offers. Factors are scaled within each offer type so a
+ * hotel's price never competes with a flight's; the result lists each type's
+ * offers best-first, with offers that have no comparable price after the
+ * priced ones.
+ */
+function rankOffers(offers, {
+    weights = DEFAULT_WEIGHTS,
+    preferences = {},
+    scorer = defaultScorer,
+    comparablePrice = (price) => price.amount
+} = {}) {
+    const byType = new Map();
+    for (const offer of offers) {
+        byType.set(offer.type, [...(byType.get(offer.type) || []), offer]);
+    }
+
+    const ranked = [];
+    for (const group of byType.values()) {
+        const ranges = {
+            price: rangeOf(group.map(offer => priceOf(offer, comparablePrice))),
+            duration: rangeOf(group.map(offer => offer.durationMinutes)),
+            stops: rangeOf(group.map(offer => offer.stops))
+        };
+
+        for (const offer of group) {
+            const { score, breakdown } = scorer(offer, { ranges, weights, preferences, comparablePrice });
+            ranked.push({ ...offer, score: Number.isFinite(score) ? score : 0, scoreBreakdown: breakdown });
+        }
+    }
+
+    const typeRank = (offer) => (TYPE_ORDER.includes(offer.type) ? TYPE_ORDER.indexOf(offer.type) : TYPE_ORDER.length);
+    const prices = new Map(ranked.map(offer => [offer, priceOf(offer, comparablePrice)]));
+    const unpriced = (offer) => (prices.get(offer) === null ? 1 : 0);
+
+    return ranked.sort((a, b) =>
+        typeRank(a) - typeRank(b) ||
+        unpriced(a) - unpriced(b) ||
+        b.score - a.score ||
+        (prices.get(a) ?? 0) - (prices.get(b) ?? 0)
+    );
+}
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    rankOffers,
+    defaultScorer,
+    preferenceMatch
+};
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { rankOffers, preferenceMatch } from './offer-ranking';
+import { dedupeOffers } from './offer-normalizer';
+
+const RATES = { EUR: 1, USD: 0.9 };
+
+// Unknown currencies compare as Infinity, like a price that cannot be converted
+const comparablePrice = (price) => {
+    if (price.amount === null || price.amount === undefined) {
+        return null;
+    }
+    return price.currency in RATES ? price.amount * RATES[price.currency] : Number.POSITIVE_INFINITY;
+};
+
+function flight(id, amount, currency = 'EUR', source = id) {
+    return {
+        id,
+        type: 'flight',
+        price: { amount, currency },
+        durationMinutes: 120,
+        stops: 0,
+        carrier: 'LH',
+        marketingCarriers: [],
+        sources: [{ provider: source }]
+    };
+}
+
+describe('rankOffers', () => {
+    it('ranks offers without a comparable price after the priced ones', () => {
+        const ranked = rankOffers([flight('unpriced', null), flight('unknown', 100, 'XXX'), flight('dear', 300), flight('cheap', 100)], { comparablePrice });
+
+        expect(ranked.map(offer => offer.id).slice(0, 2)).toEqual(['cheap', 'dear']);
+        expect(ranked.slice(2).map(offer => offer.id).sort()).toEqual(['unknown', 'unpriced']);
+    });
+
+    it('gives every offer a finite score that survives JSON', () => {
+        const ranked = rankOffers([flight('unknown', 100, 'XXX'), flight('unpriced', null), flight('cheap', 100)], { comparablePrice });
+
+        for (const offer of JSON.parse(JSON.stringify(ranked))) {
+            expect(Number.isFinite(offer.score)).toBe(true);
+            expect(offer.scoreBreakdown.price).toBeGreaterThanOrEqual(0);
+        }
+        expect(ranked.find(offer => offer.id === 'unpriced').scoreBreakdown.price).toBe(1);
+    });
+
+    it('compares prices across currencies', () => {
+        const ranked = rankOffers([flight('eur', 100), flight('usd', 100, 'USD')], { comparablePrice });
+
+        expect(ranked.map(offer => offer.id)).toEqual(['usd', 'eur']);
+    });
+});
+
+describe('preferenceMatch', () => {
+    it('does not count an offer without a comparable price as within maxPrice', () => {
+        expect(preferenceMatch(flight('unpriced', null), { maxPrice: 200 }, comparablePrice)).toBe(0);
+        expect(preferenceMatch(flight('unknown', 100, 'XXX'), { maxPrice: 200 }, comparablePrice)).toBe(0);
+        expect(preferenceMatch(flight('cheap', 100), { maxPrice: 200 }, comparablePrice)).toBe(1);
+    });
+});
+
+describe('dedupeOffers', () => {
+    it('keeps the cheapest source as the primary offer', () => {
+        const [offer] = dedupeOffers([flight('LH1', 300, 'EUR', 'a'), flight('LH1', 200, 'EUR', 'b')], comparablePrice);
+
+        expect(offer.price.amount).toBe(200);
+        expect(offer.sources.map(source => source.provider)).toEqual(['a', 'b']);
+    });
+
+    it('never picks a source without a comparable price over a priced one', () => {
+        const [offer] = dedupeOffers([
+            flight('LH1', 300, 'EUR', 'a'),
+            flight('LH1', null, 'EUR', 'b'),
+            flight('LH1', 1, 'XXX', 'c')
+        ], comparablePrice);
+
+        expect(offer.sources[0].provider).toBe('a');
+        expect(offer.price).toEqual({ amount: 300, currency: 'EUR' });
+        expect(offer.sources).toHaveLength(3);
+    });
+});
@@ -0,0 +1,163 @@
+// Search Cache
+// Holonic Travel Planner - Caches search results keyed on normalized criteria
+//
+// Entries are fresh for `cache.strategies.search.ttl` seconds. After that they
+// may still be served, while a background refresh runs, until they are
+// `holonic.agents.search.cacheTTL` seconds old. Concurrent identical searches
+// share one upstream call.
+
+const crypto = require('crypto');
+const { MemoryCacheBackend } = require('../cache/memory-cache-backend');
+const { RedisCacheBackend } = require('../cache/redis-cache-backend');
+
+/**
+ * Serialize with sorted object keys so equal criteria give equal keys
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Cache key of normalized search criteria. Only fields that change the
+ * upstream result take part; place codes compare case-insensitively.
+ */
+function searchCacheKey(criteria) {
+    const significant = {
+        legs: criteria.legs.map(leg => ({
+            origin: leg.origin.toUpperCase(),
+            destination: leg.destination.toUpperCase(),
+            departureDate: leg.departureDate
+        })),
+        travelers: criteria.travelers || 1,
+        categories: criteria.categories ? [...criteria.categories].sort() : null,
+        preferences: criteria.preferences || {}
+    };
+
+    return crypto.createHash('sha256').update(stableStringify(significant)).digest('hex');
+}
+
+class SearchCache {
+    constructor(config) {
+        this.config = config;
+        this.enabled = config.get('cache.enabled', true) && config.get('holonic.agents.search.cacheResults', true);
+        this.freshTTL = config.get('cache.strategies.search.ttl', 1800);
+        this.maxAge = Math.max(this.freshTTL, config.get('holonic.agents.search.cacheTTL', 3600));
+        this.maxKeys = config.get('cache.strategies.search.maxKeys', 1000);
+        this.backendName = config.get('cache.backend', 'memory');
+        this.backend = null;
+        this.inflight = new Map();
+        this.metrics = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, errors: 0 };
+    }
+
+    async initialize() {
+        if (!this.enabled) {
+            return;
+        }
+
+        this.backend = this.backendName === 'redis'
+            ? new RedisCacheBackend({ redisConfig: this.config.get('redis', {}), namespace: 'search', maxKeys: this.maxKeys })
+            : new MemoryCacheBackend({ maxKeys: this.maxKeys });
+        await this.backend.initialize();
+    }
+
+    /**
+     * Return cached results for the criteria, or load, cache and return them
+     * @param {object} criteria - normalized search criteria
+     * @param {function} loader - performs the upstream search
+     */
+    async getOrLoad(criteria, loader) {
+        if (!this.enabled) {
+            return loader();
+        }
+
+        const key = searchCacheKey(criteria);
+        let entry = null;
+
+        try {
+            entry = await this.backend.get(key);
+        } catch (error) {
+            // A failing cache must never fail the search
+            this.metrics.errors++;
+        }
+
+        if (entry) {
+            const age = (Date.now() - entry.storedAt) / 1000;
+            if (age < this.freshTTL) {
+                this.metrics.hits++;
+                return entry.value;
+            }
+
+            this.metrics.staleHits++;
+            this.refresh(key, loader).catch(() => {});
+            return entry.value;
+        }
+
+        this.metrics.misses++;
+        return this.refresh(key, loader);
+    }
+
+    /**
+     * Load and store a value, sharing one in-flight load per key
+     */
+    refresh(key, loader) {
+        if (this.inflight.has(key)) {
+            this.metrics.coalesced++;
+            return this.inflight.get(key);
+        }
+
+        const load = (async () => {
+            try {
+                const value = await loader();
+                this.metrics.refreshes++;
+                try {
+                    await this.backend.set(key, { value, storedAt: Date.now() }, this.maxAge);
+                } catch (error) {
+                    this.metrics.errors++;
+                }
+                return value;
+            } finally {
+                this.inflight.delete(key);
+            }
+        })();
+
+        this.inflight.set(key, load);
+        return load;
+    }
+
+    async clear() {
+        if (this.backend) {
+            await this.backend.clear();
+        }
+    }
+
+    async shutdown() {
+        if (this.backend) {
+            await this.backend.shutdown();
+        }
+    }
+
+    /**
+     * Hit/miss counters and backend statistics
+     */
+    async getMetrics() {
+        const lookups = this.metrics.hits + this.metrics.staleHits + this.metrics.misses;
+        return {
+            enabled: this.enabled,
+            ...this.metrics,
+            hitRate: lookups > 0 ? Math.round(((this.metrics.hits + this.metrics.staleHits) / lookups) * 1000) / 1000 : 0,
+            inflight: this.inflight.size,
+            ...(this.backend ? await this.backend.getStats().catch(() => ({ backend: this.backendName, unavailable: true })) : {})
+        };
+    }
+}
+
+module.exports = { SearchCache, searchCacheKey };
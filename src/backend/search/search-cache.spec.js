@@ -0,0 +1,143 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { SearchCache, searchCacheKey } from './search-cache';
+
+function createConfig(values) {
+    return { get: (key, fallback) => (key in values ? values[key] : fallback) };
+}
+
+async function createCache(values = {}) {
+    const cache = new SearchCache(createConfig({
+        'cache.strategies.search.ttl': 60,
+        'holonic.agents.search.cacheTTL': 300,
+        ...values
+    }));
+    await cache.initialize();
+    return cache;
+}
+
+function criteria(fields = {}) {
+    return { legs: [{ origin: 'PAR', destination: 'ROM', departureDate: '2026-05-01' }], ...fields };
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+describe('searchCacheKey', () => {
+    it('ignores place code case, category order and fields that do not change the results', () => {
+        const key = searchCacheKey(criteria({ categories: ['hotels', 'flights'] }));
+
+        expect(searchCacheKey({
+            legs: [{ origin: 'par', destination: 'rom', departureDate: '2026-05-01', label: 'Outbound' }],
+            categories: ['flights', 'hotels'],
+            searchId: 'another'
+        })).toBe(key);
+    });
+
+    it('tells apart searches for other dates, travelers or preferences', () => {
+        const key = searchCacheKey(criteria());
+
+        expect(searchCacheKey({ legs: [{ origin: 'PAR', destination: 'ROM', departureDate: '2026-05-02' }] })).not.toBe(key);
+        expect(searchCacheKey(criteria({ travelers: 2 }))).not.toBe(key);
+        expect(searchCacheKey(criteria({ preferences: { maxPrice: 200 } }))).not.toBe(key);
+    });
+});
+
+describe('SearchCache', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('answers a repeated search from the cache', async () => {
+        const cache = await createCache();
+        const loader = vi.fn(async () => ({ offers: ['a'] }));
+
+        await cache.getOrLoad(criteria(), loader);
+        const cached = await cache.getOrLoad(criteria({ legs: [{ origin: 'par', destination: 'rom', departureDate: '2026-05-01' }] }), loader);
+
+        expect(cached).toEqual({ offers: ['a'] });
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(await cache.getMetrics()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    it('shares one upstream search between concurrent identical searches', async () => {
+        const cache = await createCache();
+        const upstream = deferred();
+        const loader = vi.fn(() => upstream.promise);
+
+        const searches = [cache.getOrLoad(criteria(), loader), cache.getOrLoad(criteria(), loader)];
+        upstream.resolve({ offers: ['a'] });
+
+        expect(await Promise.all(searches)).toEqual([{ offers: ['a'] }, { offers: ['a'] }]);
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect((await cache.getMetrics()).coalesced).toBe(1);
+    });
+
+    it('serves a stale entry while it is refreshed in the background', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        const cache = await createCache();
+        await cache.getOrLoad(criteria(), async () => ({ offers: ['old'] }));
+
+        vi.setSystemTime(Date.now() + 61 * 1000);
+        const refresh = deferred();
+        const stale = await cache.getOrLoad(criteria(), () => refresh.promise);
+        refresh.resolve({ offers: ['new'] });
+        await cache.inflight.get(searchCacheKey(criteria()));
+
+        expect(stale).toEqual({ offers: ['old'] });
+        expect(await cache.getOrLoad(criteria(), async () => ({ offers: ['unused'] }))).toEqual({ offers: ['new'] });
+    });
+
+    it('searches again once an entry is older than the cache TTL', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        const cache = await createCache();
+        await cache.getOrLoad(criteria(), async () => ({ offers: ['old'] }));
+
+        vi.setSystemTime(Date.now() + 301 * 1000);
+
+        expect(await cache.getOrLoad(criteria(), async () => ({ offers: ['new'] }))).toEqual({ offers: ['new'] });
+    });
+
+    it('does not cache a failed search', async () => {
+        const cache = await createCache();
+
+        await expect(cache.getOrLoad(criteria(), async () => {
+            throw new Error('Provider timed out');
+        })).rejects.toThrow('Provider timed out');
+
+        expect(await cache.getOrLoad(criteria(), async () => ({ offers: ['a'] }))).toEqual({ offers: ['a'] });
+        expect(cache.inflight.size).toBe(0);
+    });
+
+    it('evicts the least recently used search beyond maxKeys', async () => {
+        const cache = await createCache({ 'cache.strategies.search.maxKeys': 2 });
+        const search = (departureDate, offers) => cache.getOrLoad(
+            { legs: [{ origin: 'PAR', destination: 'ROM', departureDate }] },
+            async () => ({ offers })
+        );
+
+        await search('2026-05-01', ['first']);
+        await search('2026-05-02', ['second']);
+        await search('2026-05-01', ['unused']);
+        await search('2026-05-03', ['third']);
+
+        expect(await search('2026-05-01', ['reloaded'])).toEqual({ offers: ['first'] });
+        expect(await search('2026-05-02', ['reloaded'])).toEqual({ offers: ['reloaded'] });
+        expect((await cache.getMetrics()).evictions).toBeGreaterThanOrEqual(1);
+    });
+
+    it('passes every search through when cacheResults is off', async () => {
+        const cache = await createCache({ 'holonic.agents.search.cacheResults': false });
+        const loader = vi.fn(async () => ({ offers: ['a'] }));
+
+        await cache.getOrLoad(criteria(), loader);
+        await cache.getOrLoad(criteria(), loader);
+
+        expect(loader).toHaveBeenCalledTimes(2);
+        expect((await cache.getMetrics()).enabled).toBe(false);
+    });
+});
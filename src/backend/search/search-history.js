@@ -0,0 +1,45 @@
+// Search History
+// Holonic Travel Planner - The searches signed-in users ran, kept for their data export until retention ends
+
+/**
+ * Search History
+ * Only the criteria and when the search ran are kept, not the results,
+ * which are held briefly by the search agent.
+ */
+class SearchHistory {
+    constructor({ stores }) {
+        this.stores = stores;
+        this.store = null;
+    }
+
+    async initialize() {
+        this.store = await this.stores.getStore('searchHistory');
+    }
+
+    async record(userId, { searchId, criteria }) {
+        return this.store.create({ userId, searchId, criteria });
+    }
+
+    async exportUserData(userId) {
+        const searches = await this.store.list(entry => entry.userId === userId);
+        return searches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async eraseUserData(userId) {
+        const searches = await this.store.list(entry => entry.userId === userId);
+        await Promise.all(searches.map(entry => this.store.delete(entry.id)));
+        return { deleted: searches.length };
+    }
+
+    async purgeBefore(cutoff) {
+        const stale = await this.store.list(entry => entry.createdAt < cutoff);
+        await Promise.all(stale.map(entry => this.store.delete(entry.id)));
+        return { deleted: stale.length };
+    }
+
+    getStatus() {
+        return this.store ? 'ready' : 'uninitialized';
+    }
+}
+
+module.exports = { SearchHistory };
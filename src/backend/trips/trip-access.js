@@ -0,0 +1,61 @@
+// Trip Access
+// Holonic Travel Planner - Member roles on shared trips
+
+const { HttpError } = require('../api/http-error');
+
+// Ordered from least to most privileged
+const TRIP_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Role of a user on a trip, or null for non-members. Anonymous callers
+ * have no role, and trips without an owner belong to no one.
+ */
+function roleOf(trip, userId) {
+    if (!userId) {
+        return null;
+    }
+    if (trip.ownerId === userId) {
+        return 'owner';
+    }
+    const member = (trip.members || []).find(m => m.userId === userId);
+    return member ? member.role : null;
+}
+
+function hasRole(trip, userId, minimumRole) {
+    const role = roleOf(trip, userId);
+    return role !== null && TRIP_ROLES.indexOf(role) >= TRIP_ROLES.indexOf(minimumRole);
+}
+
+/**
+ * Reject non-members as if the trip did not exist, and members whose role is too low
+ */
+function assertTripRole(trip, userId, minimumRole = 'viewer') {
+    const role = roleOf(trip, userId);
+    if (role === null) {
+        throw HttpError.notFound(`Trip ${trip.id} not found`);
+    }
+    if (TRIP_ROLES.indexOf(role) < TRIP_ROLES.indexOf(minimumRole)) {
+        throw HttpError.forbidden(`This requires the ${minimumRole} role on the trip`);
+    }
+    return role;
+}
+
+/**
+ * Shape a trip for a member: adds their role and hides invite tokens from non-owners
+ */
+function presentTrip(trip, userId) {
+    const role = roleOf(trip, userId);
+    return {
+        ...trip,
+        role,
+        invites: role === 'owner' ? trip.invites || [] : undefined
+    };
+}
+
+module.exports = {
+    TRIP_ROLES,
+    roleOf,
+    hasRole,
+    assertTripRole,
+    presentTrip
+};
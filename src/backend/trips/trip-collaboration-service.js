@@ -0,0 +1,217 @@
+// Trip Collaboration Service
+// Holonic Travel Planner - Invites, member roles, option votes and item comments
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { HttpError } = require('../api/http-error');
+const { TRIP_ROLES, roleOf } = require('./trip-access');
+
+const INVITE_ROLES = TRIP_ROLES.filter(role => role !== 'owner');
+const DEFAULT_INVITE_HOURS = 7 * 24;
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Trip Collaboration Service
+ * Shared-trip operations layered on TripService; every change goes through
+ * TripService.changeTrip, so concurrent votes, comments and member changes
+ * are applied one after another and broadcast like any other trip edit.
+ */
+class TripCollaborationService {
+    constructor({ tripService }) {
+        this.tripService = tripService;
+    }
+
+    /**
+     * Create an invite link token granting the given role
+     */
+    async createInvite(tripId, userId, { role = 'editor', expiresInHours = DEFAULT_INVITE_HOURS } = {}) {
+        requireUser(userId);
+        if (!INVITE_ROLES.includes(role)) {
+            throw HttpError.badRequest(`Invite role must be one of: ${INVITE_ROLES.join(', ')}`);
+        }
+        const hours = Number(expiresInHours);
+        if (!Number.isFinite(hours) || hours <= 0) {
+            throw HttpError.badRequest('expiresInHours must be a positive number');
+        }
+
+        const now = Date.now();
+        const invite = {
+            token: crypto.randomBytes(24).toString('base64url'),
+            role,
+            createdBy: userId,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + hours * 3600000).toISOString(),
+            uses: 0
+        };
+
+        await this.tripService.changeTrip(
+            tripId,
+            () => this.tripService.getTrip(tripId, userId, 'owner'),
+            (trip) => ({ invites: [...activeInvites(trip.invites, now), invite] }),
+            { type: 'invites', by: userId }
+        );
+        return invite;
+    }
+
+    async revokeInvite(tripId, token, userId) {
+        return this.tripService.changeTrip(tripId, () => this.tripService.getTrip(tripId, userId, 'owner'), (trip) => {
+            const invites = (trip.invites || []).filter(invite => invite.token !== token);
+            if (invites.length === (trip.invites || []).length) {
+                throw HttpError.notFound('Invite not found');
+            }
+            return { invites };
+        }, { type: 'invites', by: userId });
+    }
+
+    /**
+     * Join the trip an invite token belongs to. Existing members keep
+     * their role unless the invite grants a higher one.
+     */
+    async joinTrip(token, { userId, displayName = null }) {
+        requireUser(userId);
+        const now = Date.now();
+
+        const hasInvite = (trip) => activeInvites(trip?.invites, now).some(invite => invite.token === token);
+        const [found] = await this.tripService.store.list(hasInvite);
+        if (!found) {
+            throw HttpError.notFound('Invite link is invalid or has expired');
+        }
+
+        return this.tripService.changeTrip(found.id, () => this.tripService.store.get(found.id), (trip) => {
+            // Revoked, or the trip deleted, since it was found
+            if (!hasInvite(trip)) {
+                throw HttpError.notFound('Invite link is invalid or has expired');
+            }
+            const invite = trip.invites.find(candidate => candidate.token === token);
+            const currentRole = roleOf(trip, userId);
+            if (currentRole && TRIP_ROLES.indexOf(currentRole) >= TRIP_ROLES.indexOf(invite.role)) {
+                return null;
+            }
+
+            const members = (trip.members || []).filter(member => member.userId !== userId);
+            members.push({ userId, role: invite.role, displayName, joinedAt: new Date(now).toISOString() });
+            const invites = trip.invites.map(candidate =>
+                candidate.token === token ? { ...candidate, uses: candidate.uses + 1 } : candidate
+            );
+            return { members, invites };
+        }, { type: 'members', by: userId });
+    }
+
+    async updateMemberRole(tripId, memberId, role, userId) {
+        if (!INVITE_ROLES.includes(role)) {
+            throw HttpError.badRequest(`Role must be one of: ${INVITE_ROLES.join(', ')}`);
+        }
+        return this.tripService.changeTrip(tripId, () => this.tripService.getTrip(tripId, userId, 'owner'), (trip) => {
+            const member = findMember(trip, memberId);
+            if (member.role === 'owner') {
+                throw HttpError.conflict('The trip owner cannot be demoted');
+            }
+            return { members: trip.members.map(m => (m.userId === memberId ? { ...m, role } : m)) };
+        }, { type: 'members', by: userId });
+    }
+
+    /**
+     * Remove a member; owners may remove anyone else, members may leave
+     */
+    async removeMember(tripId, memberId, userId) {
+        const minimumRole = memberId === userId ? 'viewer' : 'owner';
+        return this.tripService.changeTrip(tripId, () => this.tripService.getTrip(tripId, userId, minimumRole), (trip) => {
+            const member = findMember(trip, memberId);
+            if (member.role === 'owner') {
+                throw HttpError.conflict('The trip owner cannot leave; delete the trip instead');
+            }
+            return { members: trip.members.filter(m => m.userId !== memberId) };
+        }, { type: 'members', by: userId });
+    }
+
+    /**
+     * Record a member's vote on a candidate option: 1 (up), -1 (down) or 0 (clear)
+     */
+    async vote(tripId, optionId, value, userId) {
+        requireUser(userId);
+        if (typeof optionId !== 'string' || !optionId) {
+            throw HttpError.badRequest('optionId is required');
+        }
+        if (![1, -1, 0].includes(value)) {
+            throw HttpError.badRequest('Vote must be 1, -1 or 0');
+        }
+
+        return this.tripService.changeTrip(tripId, () => this.tripService.getTrip(tripId, userId, 'viewer'), (trip) => {
+            const optionVotes = { ...(trip.votes || {})[optionId] };
+            if (value === 0) {
+                delete optionVotes[userId];
+            } else {
+                optionVotes[userId] = value;
+            }
+
+            const votes = { ...trip.votes, [optionId]: optionVotes };
+            if (Object.keys(optionVotes).length === 0) {
+                delete votes[optionId];
+            }
+            return { votes };
+        }, { type: 'votes', by: userId });
+    }
+
+    async addComment(tripId, itemId, text, { userId, displayName = null }) {
+        requireUser(userId);
+        const body = typeof text === 'string' ? text.trim() : '';
+        if (!body) {
+            throw HttpError.badRequest('Comment text is required');
+        }
+        if (body.length > MAX_COMMENT_LENGTH) {
+            throw HttpError.badRequest(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+        }
+
+        const comment = {
+            id: uuidv4(),
+            itemId,
+            userId,
+            displayName,
+            text: body,
+            createdAt: new Date().toISOString()
+        };
+        await this.tripService.changeTrip(tripId, () => this.tripService.getTrip(tripId, userId, 'viewer'), (trip) => {
+            if (!(trip.itinerary || []).some(item => item.id === itemId)) {
+                throw HttpError.notFound(`Itinerary item ${itemId} not found`);
+            }
+            return { comments: [...(trip.comments || []), comment] };
+        }, { type: 'comments', by: userId });
+        return comment;
+    }
+
+    /**
+     * Delete a comment; authors may delete their own, owners any
+     */
+    async deleteComment(tripId, commentId, userId) {
+        return this.tripService.changeTrip(tripId, () => this.tripService.getTrip(tripId, userId, 'viewer'), (trip) => {
+            const comment = (trip.comments || []).find(c => c.id === commentId);
+            if (!comment) {
+                throw HttpError.notFound(`Comment ${commentId} not found`);
+            }
+            if (comment.userId !== userId && roleOf(trip, userId) !== 'owner') {
+                throw HttpError.forbidden('Only the author or the trip owner can delete this comment');
+            }
+            return { comments: trip.comments.filter(c => c.id !== commentId) };
+        }, { type: 'comments', by: userId });
+    }
+}
+
+function requireUser(userId) {
+    if (!userId) {
+        throw HttpError.unauthorized('Sign in to collaborate on trips');
+    }
+}
+
+function activeInvites(invites = [], now) {
+    return invites.filter(invite => Date.parse(invite.expiresAt) > now);
+}
+
+function findMember(trip, memberId) {
+    const member = (trip.members || []).find(m => m.userId === memberId);
+    if (!member) {
+        throw HttpError.notFound(`Member ${memberId} not found`);
+    }
+    return member;
+}
+
+module.exports = { TripCollaborationService };
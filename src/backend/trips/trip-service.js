@@ -0,0 +1,276 @@
+// Trip Service
+// Holonic Travel Planner - Named, persisted trips holding legs, selections and notes
+
+const { EventEmitter } = require('events');
+const { HttpError } = require('../api/http-error');
+const { createLeg, validateLegs } = require('../../shared/itinerary-legs');
+const { assertTripRole } = require('./trip-access');
+const { VersionConflictError } = require('../data/stores/document-store');
+
+const TRIP_STATUSES = ['planning', 'booked', 'completed', 'cancelled'];
+const EDITABLE_FIELDS = ['name', 'legs', 'selectedOptions', 'itinerary', 'notes', 'status'];
+
+// Times a change is recomputed when other changes to the trip keep winning
+const MAX_CHANGE_ATTEMPTS = 5;
+
+/**
+ * Trip Service
+ * CRUD over the `trips` collection with validation of the trip shape.
+ * Access is checked against the caller's member role, and every change is
+ * emitted as a `trip:changed` event so open clients can follow along.
+ */
+class TripService extends EventEmitter {
+    constructor({ stores }) {
+        super();
+        this.stores = stores;
+        this.store = null;
+        this.locks = new Map();
+    }
+
+    async initialize() {
+        this.store = await this.stores.getStore('trips');
+    }
+
+    /**
+     * List trips a user owns or is a member of (none when no user is known)
+     */
+    async listTrips(userId = null) {
+        if (!userId) {
+            return [];
+        }
+
+        const trips = await this.store.list(trip =>
+            trip.ownerId === userId || (trip.members || []).some(m => m.userId === userId)
+        );
+        return trips.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Get a trip the user may access with at least the given role
+     */
+    async getTrip(id, userId = null, minimumRole = 'viewer') {
+        const trip = await this.store.get(id);
+        if (!trip) {
+            throw HttpError.notFound(`Trip ${id} not found`);
+        }
+        assertTripRole(trip, userId, minimumRole);
+        return trip;
+    }
+
+    /**
+     * Store trip changes and announce them. With `expectedVersion` the
+     * changes only apply to that version of the trip (VersionConflictError).
+     */
+    async saveChanges(id, changes, { type, by = null, expectedVersion = null }) {
+        const trip = await this.store.update(id, changes, { expectedVersion });
+        this.emit('trip:changed', { tripId: id, type, by, trip });
+        return trip;
+    }
+
+    /**
+     * Change a trip based on its current state. `load` reads the trip and
+     * `computeChanges` derives the changes from it (or null for none). Changes
+     * of one trip run one at a time, and are saved only if the trip is still
+     * at the version they were computed from; otherwise they are computed
+     * again from the newer trip, so concurrent changes never overwrite each other.
+     */
+    changeTrip(id, load, computeChanges, { type, by = null }) {
+        return this.withLock(id, async () => {
+            for (let attempt = 1; ; attempt++) {
+                const trip = await load();
+                const changes = computeChanges(trip);
+                if (!changes) {
+                    return trip;
+                }
+                try {
+                    return await this.saveChanges(id, changes, { type, by, expectedVersion: trip.version });
+                } catch (error) {
+                    if (!(error instanceof VersionConflictError)) {
+                        throw error;
+                    }
+                    if (attempt >= MAX_CHANGE_ATTEMPTS) {
+                        throw HttpError.conflict('Trip is being changed by someone else; please try again');
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Run changes one at a time per trip
+     */
+    withLock(id, task) {
+        const previous = this.locks.get(id) || Promise.resolve();
+        const run = previous.catch(() => {}).then(task);
+        const tail = run.catch(() => {});
+        this.locks.set(id, tail);
+        tail.then(() => {
+            if (this.locks.get(id) === tail) {
+                this.locks.delete(id);
+            }
+        });
+        return run;
+    }
+
+    async createTrip(data, ownerId = null, ownerName = null) {
+        const trip = this.sanitize({
+            name: '',
+            legs: [],
+            selectedOptions: {},
+            itinerary: [],
+            notes: '',
+            status: 'planning',
+            ...pick(data, EDITABLE_FIELDS)
+        });
+
+        return this.store.create({
+            ...trip,
+            ownerId,
+            members: ownerId
+                ? [{ userId: ownerId, role: 'owner', displayName: ownerName, joinedAt: new Date().toISOString() }]
+                : [],
+            invites: [],
+            votes: {},
+            comments: []
+        });
+    }
+
+    /**
+     * Update a trip. When the caller sends the version it last read, a
+     * concurrent modification is rejected with 409 instead of overwritten.
+     */
+    async updateTrip(id, data, userId = null) {
+        return this.changeTrip(id, () => this.getTrip(id, userId, 'editor'), (existing) => {
+            if (data.version !== undefined && data.version !== existing.version) {
+                throw HttpError.conflict('Trip was modified by someone else', {
+                    expectedVersion: data.version,
+                    currentVersion: existing.version
+                });
+            }
+            return pick(this.sanitize({ ...existing, ...pick(data, EDITABLE_FIELDS) }), EDITABLE_FIELDS);
+        }, { type: 'updated', by: userId });
+    }
+
+    /**
+     * Add or replace itinerary items by id, e.g. commitments imported from a calendar
+     */
+    async mergeItineraryItems(id, items, userId = null) {
+        const incomingIds = new Set(items.map(item => item.id));
+        return this.changeTrip(id, () => this.getTrip(id, userId, 'editor'), (trip) => ({
+            itinerary: [...(trip.itinerary || []).filter(item => !incomingIds.has(item.id)), ...items]
+                .sort((a, b) => (a.start || '').localeCompare(b.start || ''))
+        }), { type: 'itinerary', by: userId });
+    }
+
+    async deleteTrip(id, userId = null) {
+        await this.getTrip(id, userId, 'owner');
+        await this.store.delete(id);
+        this.emit('trip:changed', { tripId: id, type: 'deleted', by: userId, trip: null });
+    }
+
+    /**
+     * Trips the user owns or is a member of, for their data export
+     */
+    exportUserData(userId) {
+        return this.listTrips(userId);
+    }
+
+    /**
+     * Remove a user from every trip: trips only they belong to are deleted,
+     * shared trips they own pass to the longest-standing editor (or member),
+     * and their votes and comments are removed.
+     */
+    async eraseUserData(userId) {
+        const result = { deleted: 0, left: 0, transferred: 0 };
+
+        for (const trip of await this.listTrips(userId)) {
+            const members = (trip.members || []).filter(m => m.userId !== userId);
+            if (members.length === 0) {
+                await this.store.delete(trip.id);
+                this.emit('trip:changed', { tripId: trip.id, type: 'deleted', by: null, trip: null });
+                result.deleted += 1;
+                continue;
+            }
+
+            const changes = {
+                members,
+                votes: Object.fromEntries(
+                    Object.entries(trip.votes || {})
+                        .map(([optionId, votes]) => [optionId, Object.fromEntries(Object.entries(votes).filter(([voter]) => voter !== userId))])
+                        .filter(([, votes]) => Object.keys(votes).length > 0)
+                ),
+                comments: (trip.comments || []).filter(comment => comment.userId !== userId)
+            };
+
+            if (trip.ownerId === userId) {
+                const byTenure = [...members].sort((a, b) => (a.joinedAt || '').localeCompare(b.joinedAt || ''));
+                const successor = byTenure.find(m => m.role === 'editor') || byTenure[0];
+                changes.ownerId = successor.userId;
+                changes.members = members.map(m => (m.userId === successor.userId ? { ...m, role: 'owner' } : m));
+                changes.invites = (trip.invites || []).filter(invite => invite.createdBy !== userId);
+                result.transferred += 1;
+            } else {
+                result.left += 1;
+            }
+
+            await this.saveChanges(trip.id, changes, { type: 'members', by: null });
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate and normalize the editable trip fields
+     */
+    sanitize(trip) {
+        const errors = [];
+        const name = typeof trip.name === 'string' ? trip.name.trim() : '';
+
+        if (!name) {
+            errors.push({ field: 'name', message: 'Trip name is required' });
+        }
+        if (!TRIP_STATUSES.includes(trip.status)) {
+            errors.push({ field: 'status', message: `Status must be one of: ${TRIP_STATUSES.join(', ')}` });
+        }
+        if (!Array.isArray(trip.legs)) {
+            errors.push({ field: 'legs', message: 'Legs must be an array' });
+        }
+        if (trip.itinerary !== undefined && !Array.isArray(trip.itinerary)) {
+            errors.push({ field: 'itinerary', message: 'Itinerary must be an array' });
+        }
+
+        const legs = Array.isArray(trip.legs) ? trip.legs.map(createLeg) : [];
+        if (legs.length > 0) {
+            errors.push(...validateLegs(legs).map(error => ({ ...error, field: `legs.${error.field}` })));
+        }
+
+        if (errors.length > 0) {
+            throw HttpError.badRequest('Invalid trip', errors);
+        }
+
+        return {
+            ...trip,
+            name,
+            legs,
+            selectedOptions: trip.selectedOptions || {},
+            itinerary: trip.itinerary || [],
+            notes: typeof trip.notes === 'string' ? trip.notes : ''
+        };
+    }
+
+    getStatus() {
+        return this.store ? 'ready' : 'uninitialized';
+    }
+}
+
+function pick(source, fields) {
+    const result = {};
+    for (const field of fields) {
+        if (source[field] !== undefined) {
+            result[field] = source[field];
+        }
+    }
+    return result;
+}
+
+module.exports = { TripService, TRIP_STATUSES };
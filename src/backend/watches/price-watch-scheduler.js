@@ -0,0 +1,59 @@
+// Price Watch Scheduler
+// Holonic Travel Planner - Periodically re-checks due price watches
+
+const { Logger } = require('../../utils/logger');
+
+const logger = Logger.getInstance();
+
+class PriceWatchScheduler {
+    constructor({ config, priceWatchService }) {
+        this.priceWatchService = priceWatchService;
+        this.enabled = config.get('holonic.agents.priceWatch.enabled', true);
+        this.interval = config.get('holonic.agents.priceWatch.checkInterval', 300000);
+        this.timer = null;
+        this.running = false;
+        this.lastRun = null;
+    }
+
+    start() {
+        if (!this.enabled || this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.runDueWatches(), this.interval);
+        this.timer.unref?.();
+    }
+
+    /**
+     * Check every due watch once; overlapping runs are skipped
+     */
+    async runDueWatches() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            for (const watch of await this.priceWatchService.listDueWatches()) {
+                try {
+                    await this.priceWatchService.checkWatch(watch.id);
+                } catch (error) {
+                    logger.warn(`Price watch ${watch.id} check failed: ${error.message}`);
+                }
+            }
+            this.lastRun = new Date().toISOString();
+        } finally {
+            this.running = false;
+        }
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    getStatus() {
+        return { enabled: this.enabled, running: this.running, lastRun: this.lastRun };
+    }
+}
+
+module.exports = { PriceWatchScheduler };
@@ -0,0 +1,335 @@
+// Price Watch Service
+// Holonic Travel Planner - Saved searches that track prices and raise fare alerts
+
+const { HttpError } = require('../api/http-error');
+const { normalizeSearchCriteria, validateLegs } = require('../../shared/itinerary-legs');
+const { roundAmount } = require('../../shared/money');
+
+const WATCH_CATEGORIES = {
+    flights: 'flight',
+    hotels: 'hotel',
+    cars: 'car',
+    activities: 'activity'
+};
+
+// Price state of a watch without observed prices
+const NO_PRICES = {
+    baselinePrice: null,
+    lastPrice: null,
+    currency: null,
+    lastAlertPrice: null,
+    lastAlertAt: null,
+    history: []
+};
+
+/**
+ * Whether two watches search for the same thing, so their prices compare
+ */
+function sameSearch(a, b) {
+    return a.category === b.category && JSON.stringify(a.criteria) === JSON.stringify(b.criteria);
+}
+
+/**
+ * Price Watch Service
+ * A watch stores search criteria and a threshold: either a target price or
+ * a percentage drop from the first observed price. Each check records the
+ * lowest trip price (the cheapest offer of the watched category per leg,
+ * summed) and alerts the owner when the threshold is reached and the price
+ * is lower than at the previous alert. Prices stay in the currency of the
+ * first check so the history remains comparable; changing what a watch
+ * searches for starts its price history over.
+ */
+class PriceWatchService {
+    constructor({ config, stores, searchAgent, notificationService, exchangeRates = null }) {
+        this.config = config;
+        this.stores = stores;
+        this.searchAgent = searchAgent;
+        this.notificationService = notificationService;
+        this.exchangeRates = exchangeRates;
+        this.store = null;
+        this.maxHistory = config.get('holonic.agents.priceWatch.maxHistory', 365);
+        this.maxWatchesPerUser = config.get('holonic.agents.priceWatch.maxWatchesPerUser', 20);
+        this.defaultFrequency = config.get('holonic.agents.priceWatch.defaultFrequencyMinutes', 360);
+        this.manualCheckMinutes = config.get('holonic.agents.priceWatch.manualCheckMinutes', 5);
+        this.checks = new Map();
+    }
+
+    async initialize() {
+        this.store = await this.stores.getStore('priceWatches');
+    }
+
+    async listWatches(userId) {
+        return this.store.list(watch => watch.userId === (userId || null));
+    }
+
+    /**
+     * Watches of every user, for staff
+     */
+    async listAllWatches() {
+        return this.store.list();
+    }
+
+    exportUserData(userId) {
+        return this.listWatches(userId);
+    }
+
+    async eraseUserData(userId) {
+        const watches = await this.listWatches(userId);
+        await Promise.all(watches.map(watch => this.store.delete(watch.id)));
+        return { deleted: watches.length };
+    }
+
+    /**
+     * Drop price history recorded before the cutoff and watches that have
+     * been paused since then
+     */
+    async purgeBefore(cutoff) {
+        const result = { deleted: 0, trimmed: 0 };
+
+        for (const watch of await this.store.list()) {
+            if (watch.status !== 'active' && watch.updatedAt < cutoff) {
+                await this.store.delete(watch.id);
+                result.deleted += 1;
+            } else if (watch.history.some(point => point.at < cutoff)) {
+                await this.store.update(watch.id, { history: watch.history.filter(point => point.at >= cutoff) });
+                result.trimmed += 1;
+            }
+        }
+
+        return result;
+    }
+
+    async getWatch(id, userId) {
+        const watch = await this.store.get(id);
+        if (!watch || watch.userId !== (userId || null)) {
+            throw HttpError.notFound(`Price watch ${id} not found`);
+        }
+        return watch;
+    }
+
+    async createWatch(data, userId = null) {
+        const existing = await this.listWatches(userId);
+        if (existing.length >= this.maxWatchesPerUser) {
+            throw HttpError.badRequest(`A user may have at most ${this.maxWatchesPerUser} price watches`);
+        }
+
+        return this.store.create({
+            ...this.sanitize(data),
+            userId: userId || null,
+            status: 'active',
+            ...NO_PRICES,
+            lastCheckedAt: null
+        });
+    }
+
+    async updateWatch(id, data, userId = null) {
+        const watch = await this.getWatch(id, userId);
+        const changes = this.sanitize({ ...watch, ...data });
+
+        // Prices of another search are no baseline for this one
+        if (!sameSearch(watch, changes)) {
+            Object.assign(changes, NO_PRICES);
+        }
+
+        if (data.status !== undefined) {
+            if (!['active', 'paused'].includes(data.status)) {
+                throw HttpError.badRequest('Status must be active or paused');
+            }
+            changes.status = data.status;
+        }
+
+        return this.store.update(id, changes);
+    }
+
+    async deleteWatch(id, userId = null) {
+        await this.getWatch(id, userId);
+        await this.store.delete(id);
+    }
+
+    /**
+     * Validate the user-editable watch fields
+     */
+    sanitize(data) {
+        const criteria = normalizeSearchCriteria(data.criteria || {});
+        const errors = validateLegs(criteria.legs).map(error => ({ ...error, field: `criteria.${error.field}` }));
+        const category = data.category || 'flights';
+        const targetPrice = data.targetPrice === undefined || data.targetPrice === null ? null : Number(data.targetPrice);
+        const dropPercent = data.dropPercent === undefined || data.dropPercent === null ? null : Number(data.dropPercent);
+        const frequencyMinutes = Number(data.frequencyMinutes || this.defaultFrequency);
+
+        if (!WATCH_CATEGORIES[category]) {
+            errors.push({ field: 'category', message: `Category must be one of: ${Object.keys(WATCH_CATEGORIES).join(', ')}` });
+        }
+        if (targetPrice === null && dropPercent === null) {
+            errors.push({ field: 'targetPrice', message: 'A target price or a percentage drop is required' });
+        }
+        if (targetPrice !== null && !(targetPrice > 0)) {
+            errors.push({ field: 'targetPrice', message: 'Target price must be a positive number' });
+        }
+        if (dropPercent !== null && !(dropPercent > 0 && dropPercent < 100)) {
+            errors.push({ field: 'dropPercent', message: 'Percentage drop must be between 0 and 100' });
+        }
+        if (!(frequencyMinutes >= 15)) {
+            errors.push({ field: 'frequencyMinutes', message: 'Watches can be checked at most every 15 minutes' });
+        }
+
+        if (errors.length > 0) {
+            throw HttpError.badRequest('Invalid price watch', errors);
+        }
+
+        return {
+            name: data.name || [criteria.legs[0].origin, ...criteria.legs.map(leg => leg.destination)].join(' → '),
+            criteria: { ...criteria, categories: [category] },
+            category,
+            targetPrice,
+            dropPercent,
+            frequencyMinutes
+        };
+    }
+
+    /**
+     * Active watches whose next check is due
+     */
+    async listDueWatches(now = Date.now()) {
+        return this.store.list(watch =>
+            watch.status === 'active' &&
+            (!watch.lastCheckedAt || Date.parse(watch.lastCheckedAt) + watch.frequencyMinutes * 60000 <= now)
+        );
+    }
+
+    /**
+     * Check a watch at its owner's request. A watch checked within the last
+     * `manualCheckMinutes` is refused, as every check is an uncached search
+     * of all providers.
+     */
+    async checkNow(id, userId) {
+        const watch = await this.getWatch(id, userId);
+        if (this.checks.has(id)) {
+            return this.checks.get(id);
+        }
+
+        const nextCheckAt = Date.parse(watch.lastCheckedAt) + this.manualCheckMinutes * 60000;
+        if (watch.lastCheckedAt && nextCheckAt > Date.now()) {
+            throw HttpError.tooManyRequests(`This watch was checked recently; it can be checked again at ${new Date(nextCheckAt).toISOString()}`);
+        }
+        return this.checkWatch(id);
+    }
+
+    /**
+     * Re-run a watch's search and record the price; alerts when the threshold
+     * is hit. Returns null once the watch has been deleted. Calls while a
+     * check of the watch runs share its result.
+     */
+    checkWatch(id) {
+        if (!this.checks.has(id)) {
+            const check = this.runCheck(id).finally(() => this.checks.delete(id));
+            this.checks.set(id, check);
+        }
+        return this.checks.get(id);
+    }
+
+    async runCheck(id) {
+        const watch = await this.store.get(id);
+        if (!watch) {
+            return null;
+        }
+
+        const results = await this.searchAgent.search(watch.criteria, { bypassCache: true });
+        const quote = this.lowestTripPrice(results, watch.category, watch.currency);
+        const checkedAt = new Date().toISOString();
+
+        // Deleted, or changed to another search, while the search ran
+        const current = await this.store.get(id);
+        if (!current || !sameSearch(current, watch)) {
+            return current;
+        }
+
+        if (!quote) {
+            return this.store.update(id, { lastCheckedAt: checkedAt });
+        }
+
+        const baselinePrice = watch.baselinePrice ?? quote.amount;
+        const history = [...watch.history, { at: checkedAt, price: quote.amount, currency: quote.currency }]
+            .slice(-this.maxHistory);
+        const thresholdHit = this.isThresholdHit(watch, quote.amount, baselinePrice);
+        const alert = thresholdHit && (watch.lastAlertPrice === null || quote.amount < watch.lastAlertPrice);
+
+        const updated = await this.store.update(id, {
+            baselinePrice,
+            lastPrice: quote.amount,
+            currency: quote.currency,
+            lastCheckedAt: checkedAt,
+            history,
+            ...(alert ? { lastAlertPrice: quote.amount, lastAlertAt: checkedAt } : {})
+        });
+
+        if (alert && this.notificationService) {
+            await this.notificationService.notify(watch.userId, {
+                type: 'price:alert',
+                title: `Price drop: ${watch.name}`,
+                message: `Now ${quote.amount} ${quote.currency} (was ${baselinePrice} ${quote.currency})`,
+                data: { watchId: id, price: quote.amount, currency: quote.currency, baselinePrice }
+            });
+        }
+
+        return updated;
+    }
+
+    isThresholdHit(watch, price, baselinePrice) {
+        if (watch.targetPrice !== null && price <= watch.targetPrice) {
+            return true;
+        }
+        return watch.dropPercent !== null && price <= baselinePrice * (1 - watch.dropPercent / 100);
+    }
+
+    /**
+     * Sum of the cheapest offer of the watched category on every leg, in
+     * `currency` (the first cheapest offer's by default). Legs where the
+     * category is not searched (no stay after the last leg) are skipped.
+     * Null when a leg's search failed or none of its offers can be priced
+     * in that currency, as a partial sum would read as a price drop.
+     */
+    lowestTripPrice(results, category, currency = null) {
+        const type = WATCH_CATEGORIES[category];
+        const comparable = price => (this.exchangeRates ? this.exchangeRates.comparablePrice(price) : price.amount);
+        let amount = 0;
+
+        for (const leg of results.legs) {
+            const candidates = leg.results.filter(offer => offer.type === type);
+            if (candidates.length === 0) {
+                if ((leg.errors || []).some(error => error.category === category)) {
+                    return null;
+                }
+                continue;
+            }
+
+            // Without rates only prices already in the watch currency add up
+            const offers = candidates.filter(offer =>
+                Number.isFinite(offer.price?.amount) &&
+                (this.exchangeRates || !currency || offer.price.currency === currency)
+            );
+            if (offers.length === 0) {
+                return null;
+            }
+            const cheapest = offers.reduce((min, offer) => (comparable(offer.price) < comparable(min.price) ? offer : min));
+            currency = currency || cheapest.price.currency;
+            if (cheapest.price.currency === currency) {
+                amount += cheapest.price.amount;
+                continue;
+            }
+            try {
+                amount += this.exchangeRates.convert(cheapest.price, currency).amount;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        return currency ? { amount: roundAmount(amount, currency), currency } : null;
+    }
+
+    getStatus() {
+        return this.store ? 'ready' : 'uninitialized';
+    }
+}
+
+module.exports = { PriceWatchService };
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// Configuration CLI
+// Holonic Travel Planner - Checks the configuration, encrypts its secrets and rotates the keys that protect them
+
+const path = require('path');
+const { SecretCipher } = require('./secrets/secret-cipher');
+const { createKeySource, EnvKeySource } = require('./secrets/key-sources');
+const { findEncryptedValues, reencryptValues } = require('./secrets/secret-rotation');
+const { CONFIG_SCHEMA } = require('./config-schema');
+const { collectPaths } = require('./config-validator');
+
+const USAGE = `Usage: npm run config -- <command>
+
+Commands:
+  doctor                      Print the effective configuration, where each value came
+                              from, and every schema violation
+  encrypt <setting> [value]   Encrypt a value for a setting (an environment variable
+                              name or a dotted config path); reads stdin without a value
+  rotate-key                  Add a new active key and re-encrypt config files under it
+  reencrypt                   Re-encrypt config files under the active key
+  retire-keys                 Remove keys no encrypted value uses any more
+
+Keys come from CONFIG_KEY_SOURCE: file (default), env or kms.`;
+
+const configDirectory = () => path.join(process.cwd(), 'config');
+
+async function loadCipher(keySource) {
+    return new SecretCipher(await keySource.load());
+}
+
+function valueAt(tree, dottedPath) {
+    return dottedPath.split('.').reduce((node, key) => node[key], tree);
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { data += chunk; });
+        process.stdin.on('end', () => resolve(data.replace(/\r?\n$/, '')));
+        process.stdin.on('error', reject);
+    });
+}
+
+function reportReencryption({ files, environment }) {
+    for (const { file, changed } of files) {
+        console.log(`${path.relative(process.cwd(), file)}: ${changed} value(s) re-encrypted`);
+    }
+    if (environment.length > 0) {
+        console.log('\nThese environment variables hold values under an older key. Set them to:');
+        for (const { name, value } of environment) {
+            console.log(`${name}=${value}`);
+        }
+    }
+}
+
+const commands = {
+    // Exits with 1 when the configuration has errors, as starting the server would fail
+    async doctor() {
+        // Loaded here; the key commands do not need the configuration itself
+        const { envConfig } = require('./env-config');
+        const { systemConfig } = require('./system-config');
+        await envConfig.initialize();
+        await systemConfig.initialize({ validate: false });
+
+        const tree = systemConfig.toObject({ redactSecrets: true });
+        const { known, unknown } = collectPaths(tree, CONFIG_SCHEMA);
+        console.log(`\nEffective configuration (NODE_ENV=${envConfig.get('NODE_ENV')}):`);
+        for (const setting of [...known, ...unknown].sort()) {
+            const source = systemConfig.getSource(setting);
+            const variable = source === 'env' ? ` ${CONFIG_SCHEMA[setting].env}` : '';
+            console.log(`  ${setting} = ${JSON.stringify(valueAt(tree, setting))}  (${source}${variable})`);
+        }
+
+        const violations = systemConfig.getViolations();
+        if (violations.length === 0) {
+            console.log('\nNo violations');
+            return 0;
+        }
+        console.log(`\n${violations.length} violation(s):`);
+        for (const violation of violations) {
+            console.log(`  ${violation.severity.padEnd(7)} ${violation.message}  (${violation.source})`);
+        }
+        return violations.some(violation => violation.severity === 'error') ? 1 : 0;
+    },
+
+    async encrypt([setting, value]) {
+        if (!setting) {
+            throw new Error('Name the setting the value is for, e.g. DB_PASSWORD or database.password');
+        }
+        const cipher = await loadCipher(createKeySource(process.env));
+        console.log(cipher.encrypt(value ?? await readStdin(), setting));
+    },
+
+    // Environment keys cannot be added from here; the operator adds the printed entry and runs reencrypt
+    async 'rotate-key'() {
+        const keySource = createKeySource(process.env);
+        if (!keySource.writable) {
+            const { keyId, entry } = EnvKeySource.generateEntry();
+            console.log(`Append this entry to CONFIG_KEYS and set CONFIG_ACTIVE_KEY_ID=${keyId}, then run reencrypt:\n${entry}`);
+            return;
+        }
+        const previous = (await keySource.load()).activeKeyId;
+        const keyId = await keySource.rotate();
+        console.log(`Active key is now ${keyId} (was ${previous}) in the ${keySource.describe()}`);
+        reportReencryption(reencryptValues(await loadCipher(keySource), { directory: configDirectory() }));
+    },
+
+    async reencrypt() {
+        reportReencryption(reencryptValues(await loadCipher(createKeySource(process.env)), { directory: configDirectory() }));
+    },
+
+    async 'retire-keys'() {
+        const keySource = createKeySource(process.env);
+        const keyring = await keySource.load();
+        const inUse = new Set(findEncryptedValues({ directory: configDirectory() }).map(value => value.keyId));
+        const unused = [...keyring.keys.keys()].filter(keyId => keyId !== keyring.activeKeyId && !inUse.has(keyId));
+        const kept = [...keyring.keys.keys()].filter(keyId => keyId !== keyring.activeKeyId && inUse.has(keyId));
+
+        if (kept.length > 0) {
+            console.log(`Still in use, kept: ${kept.join(', ')}`);
+        }
+        if (unused.length === 0) {
+            console.log('No keys to retire');
+            return;
+        }
+        if (!keySource.writable) {
+            console.log(`Remove these keys from CONFIG_KEYS: ${unused.join(', ')}`);
+            return;
+        }
+        await keySource.retire(unused);
+        console.log(`Retired ${unused.join(', ')}`);
+    }
+};
+
+async function main([command, ...args]) {
+    if (!commands[command]) {
+        console.log(USAGE);
+        return command ? 1 : 0;
+    }
+    return (await commands[command](args)) || 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
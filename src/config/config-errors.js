@@ -0,0 +1,59 @@
+// Configuration Errors
+// Holonic Travel Planner - Typed configuration validation errors
+
+/**
+ * One setting that breaks the schema. `rule` names the broken rule (type,
+ * min, max, enum, pattern, required, unknown, deprecated, check or custom);
+ * warnings such as deprecations do not stop the system from starting.
+ */
+class ConfigViolation extends Error {
+    constructor({ path, rule, expected, actual, severity = 'error', source = null }) {
+        super(`${path}: expected ${expected}, got ${describeValue(actual)}`);
+        this.name = 'ConfigViolation';
+        this.path = path;
+        this.rule = rule;
+        this.expected = expected;
+        this.actual = actual;
+        this.severity = severity;
+        this.source = source;
+    }
+
+    toJSON() {
+        return {
+            path: this.path,
+            rule: this.rule,
+            expected: this.expected,
+            actual: this.actual,
+            severity: this.severity,
+            source: this.source
+        };
+    }
+}
+
+/**
+ * Thrown when the configuration has violations of severity `error`
+ */
+class ConfigValidationError extends Error {
+    constructor(violations) {
+        super(`Configuration validation failed:\n${violations.map(violation => `  ${violation.message}`).join('\n')}`);
+        this.name = 'ConfigValidationError';
+        this.violations = violations;
+    }
+}
+
+function describeValue(value) {
+    if (value === undefined) {
+        return 'nothing';
+    }
+    if (typeof value === 'string') {
+        return JSON.stringify(value.length > 60 ? `${value.slice(0, 57)}...` : value);
+    }
+    const json = JSON.stringify(value);
+    return json.length > 60 ? `${json.slice(0, 57)}...` : json;
+}
+
+module.exports = {
+    ConfigViolation,
+    ConfigValidationError,
+    describeValue
+};
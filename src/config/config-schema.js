@@ -0,0 +1,312 @@
+// Configuration Schema
+// Holonic Travel Planner - Every setting of the system configuration tree and the values it accepts
+
+/**
+ * Settings by dotted path. A rule may give:
+ * - type: string, integer, number, boolean, array or object (object
+ *   settings are free-form; their contents are not checked)
+ * - min / max: range of numbers, or length of strings and arrays
+ * - enum, pattern: allowed values of strings (and of array items via `items`)
+ * - nullable: null (or leaving the setting out) is allowed
+ * - required: true, or 'production' to require a value that is configured
+ *   rather than left at its built-in default when NODE_ENV is production
+ * - check(value, config): a further check returning what was expected, or null
+ * - env: the environment variable the built-in default reads
+ * - secret: redacted when the configuration is shown
+ * - deprecated: why, reported when the setting is configured
+ */
+
+const port = { type: 'integer', min: 1, max: 65535 };
+const milliseconds = { type: 'integer', min: 0 };
+const positiveInteger = { type: 'integer', min: 1 };
+const flag = { type: 'boolean' };
+const path = { type: 'string', min: 1 };
+const url = { type: 'string', pattern: /^https?:\/\// };
+const period = { type: 'string', pattern: /^\d+[smhd]$/ };
+const size = { type: 'string', pattern: /^\d+(b|kb|mb|gb)$/i };
+const optionalSecret = { type: 'string', nullable: true, secret: true };
+const percentage = { type: 'number', min: 0, max: 100 };
+const currencyCode = { type: 'string', pattern: /^[A-Z]{3}$/ };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isOptional = (value, check) => value === undefined || check(value);
+
+// A feature flag definition, see backend/flags/feature-flag-service.js
+function isFlagDefinition(flag) {
+    return flag !== null && typeof flag === 'object'
+        && isOptional(flag.description, value => typeof value === 'string')
+        && isOptional(flag.enabled, value => typeof value === 'boolean')
+        && isOptional(flag.default, value => typeof value === 'boolean')
+        && isOptional(flag.rules, rules => Array.isArray(rules) && rules.every(rule => rule !== null && typeof rule === 'object'
+            && Object.keys(rule).every(key => ['users', 'roles', 'locales', 'percentage', 'value'].includes(key))
+            && isOptional(rule.users, isStringList)
+            && isOptional(rule.roles, isStringList)
+            && isOptional(rule.locales, isStringList)
+            && isOptional(rule.percentage, value => typeof value === 'number' && value >= 0 && value <= 100)
+            && isOptional(rule.value, value => typeof value === 'boolean')));
+}
+
+const ANALYTICS_IN_HOUSE = 'analytics are ingested by /api/analytics/events; remove the setting';
+
+const CONFIG_SCHEMA = {
+    // Server
+    'server.port': { ...port, env: 'PORT' },
+    'server.host': { type: 'string', min: 1, env: 'HOST' },
+    'server.timeout': { ...positiveInteger, env: 'REQUEST_TIMEOUT' },
+    'server.keepAliveTimeout': milliseconds,
+    'server.headersTimeout': {
+        ...milliseconds,
+        check: (value, config) => (value > config.server.keepAliveTimeout ? null : 'more than server.keepAliveTimeout')
+    },
+    'server.maxRequestSize': { ...size, env: 'MAX_REQUEST_SIZE' },
+    'server.compression': { ...flag, env: 'ENABLE_COMPRESSION' },
+    'server.cors.enabled': flag,
+    'server.cors.allowedOrigins': { type: 'array', items: url },
+    'server.cors.credentials': flag,
+    'server.cors.methods': { type: 'array', items: { type: 'string', enum: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'] } },
+    'server.cors.allowedHeaders': stringList,
+
+    // Database
+    'database.host': { type: 'string', min: 1, env: 'DB_HOST' },
+    'database.port': { ...port, env: 'DB_PORT' },
+    'database.name': { type: 'string', min: 1, env: 'DB_NAME' },
+    'database.user': { type: 'string', min: 1, env: 'DB_USER' },
+    'database.password': { type: 'string', secret: true, env: 'DB_PASSWORD', required: 'production' },
+    'database.ssl': { ...flag, env: 'DB_SSL' },
+    'database.pool.min': { type: 'integer', min: 0 },
+    'database.pool.max': {
+        ...positiveInteger,
+        check: (value, config) => (value >= config.database.pool.min ? null : 'at least database.pool.min')
+    },
+    'database.pool.acquireTimeoutMillis': milliseconds,
+    'database.pool.createTimeoutMillis': milliseconds,
+    'database.pool.destroyTimeoutMillis': milliseconds,
+    'database.pool.idleTimeoutMillis': milliseconds,
+    'database.pool.reapIntervalMillis': milliseconds,
+    'database.pool.createRetryIntervalMillis': milliseconds,
+    'database.migrations.directory': path,
+    'database.migrations.tableName': { type: 'string', min: 1 },
+    'database.seeds.directory': path,
+
+    // Redis
+    'redis.host': { type: 'string', min: 1, env: 'REDIS_HOST' },
+    'redis.port': { ...port, env: 'REDIS_PORT' },
+    'redis.password': { type: 'string', secret: true, env: 'REDIS_PASSWORD' },
+    'redis.db': { type: 'integer', min: 0, max: 15 },
+    'redis.keyPrefix': { type: 'string' },
+    'redis.retryDelayOnFailover': milliseconds,
+    'redis.enableReadyCheck': flag,
+    'redis.maxRetriesPerRequest': { type: 'integer', min: 0 },
+    'redis.lazyConnect': flag,
+
+    // Document storage
+    'storage.driver': { type: 'string', enum: ['file', 'memory'], env: 'STORAGE_DRIVER' },
+    'storage.directory': { ...path, env: 'STORAGE_DIRECTORY' },
+
+    // Security
+    'security.jwt.secret': { type: 'string', min: 32, secret: true, env: 'JWT_SECRET', required: 'production' },
+    'security.jwt.expiresIn': { ...period, env: 'JWT_EXPIRES_IN' },
+    'security.jwt.refreshExpiresIn': { ...period, env: 'JWT_REFRESH_EXPIRES_IN' },
+    'security.jwt.algorithm': { type: 'string', enum: ['HS256', 'HS384', 'HS512'] },
+    'security.jwt.issuer': { type: 'string', min: 1 },
+    'security.jwt.audience': { type: 'string', min: 1 },
+    'security.auth.passwordMinLength': { type: 'integer', min: 8, max: 128 },
+    'security.auth.refreshCookie': { type: 'string', pattern: /^[A-Za-z0-9_-]+$/ },
+    'security.auth.admin.email': {
+        type: 'string',
+        nullable: true,
+        pattern: /^[^@\s]+@[^@\s]+$/,
+        env: 'ADMIN_EMAIL',
+        check: (value, config) => (config.security.auth.admin.password ? null : 'set together with security.auth.admin.password')
+    },
+    'security.auth.admin.password': { ...optionalSecret, min: 10, env: 'ADMIN_PASSWORD' },
+    'security.auth.protectedRoutes': {
+        type: 'array',
+        check: (routes) => (routes.every(route => route && typeof route.path === 'string' && route.path.startsWith('/')
+            && (route.permission === undefined || typeof route.permission === 'string'))
+            ? null
+            : 'entries of the form { path: "/...", permission?: "..." }')
+    },
+    'security.encryption.algorithm': { type: 'string', enum: ['aes-256-gcm'] },
+    'security.encryption.keyLength': { type: 'integer', enum: [32] },
+    'security.encryption.ivLength': { type: 'integer', min: 12, max: 64 },
+    'security.encryption.tagLength': { type: 'integer', min: 12, max: 16 },
+    'security.rateLimit.windowMs': positiveInteger,
+    'security.rateLimit.max': positiveInteger,
+    'security.rateLimit.message': { type: 'string' },
+    'security.rateLimit.standardHeaders': flag,
+    'security.rateLimit.legacyHeaders': flag,
+    'security.rateLimit.skipSuccessfulRequests': flag,
+    'security.rateLimit.skipFailedRequests': flag,
+    'security.helmet': { type: 'object' },
+
+    // Logging
+    'logging.level': { type: 'string', enum: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'], env: 'LOG_LEVEL' },
+    'logging.format': { type: 'string', enum: ['combined', 'json', 'simple'] },
+    'logging.colorize': flag,
+    'logging.timestamp': flag,
+    'logging.maxFiles': positiveInteger,
+    'logging.maxSize': { type: 'string', pattern: /^\d+[kmg]$/ },
+    'logging.directory': path,
+    'logging.errorFile': path,
+    'logging.combinedFile': path,
+    'logging.exceptionFile': path,
+
+    // Holonic orchestrator and agents
+    'holonic.orchestrator.enabled': flag,
+    'holonic.orchestrator.maxConcurrentTasks': { type: 'integer', min: 1, max: 100 },
+    'holonic.orchestrator.taskTimeout': positiveInteger,
+    'holonic.orchestrator.retryAttempts': { type: 'integer', min: 0, max: 10 },
+    'holonic.orchestrator.retryDelay': milliseconds,
+    'holonic.orchestrator.healthCheckInterval': positiveInteger,
+    'holonic.orchestrator.metricsCollection': flag,
+    'holonic.agents.search.enabled': flag,
+    'holonic.agents.search.maxConcurrentSearches': positiveInteger,
+    'holonic.agents.search.searchTimeout': positiveInteger,
+    'holonic.agents.search.cacheResults': flag,
+    'holonic.agents.search.cacheTTL': { type: 'integer', min: 0 },
+    'holonic.agents.search.resultRetention': positiveInteger,
+    'holonic.agents.search.ranking.weights': {
+        type: 'object',
+        check: (weights) => {
+            const values = Object.values(weights);
+            return values.length > 0 && values.every(weight => typeof weight === 'number' && weight >= 0) && values.some(weight => weight > 0)
+                ? null
+                : 'non-negative numbers, at least one above 0';
+        }
+    },
+    'holonic.agents.booking.enabled': flag,
+    'holonic.agents.booking.maxConcurrentBookings': positiveInteger,
+    'holonic.agents.booking.bookingTimeout': positiveInteger,
+    'holonic.agents.booking.confirmationRequired': flag,
+    'holonic.agents.booking.paymentTimeout': positiveInteger,
+    'holonic.agents.recommendation.enabled': flag,
+    'holonic.agents.recommendation.algorithmType': { type: 'string', min: 1 },
+    'holonic.agents.recommendation.maxRecommendations': positiveInteger,
+    'holonic.agents.recommendation.refreshInterval': positiveInteger,
+    'holonic.agents.notification.enabled': flag,
+    'holonic.agents.notification.channels': { type: 'array', items: { type: 'string', enum: ['email', 'push', 'sms'] } },
+    'holonic.agents.notification.retryAttempts': { type: 'integer', min: 0 },
+    'holonic.agents.notification.batchSize': positiveInteger,
+    'holonic.agents.priceWatch.enabled': flag,
+    'holonic.agents.priceWatch.checkInterval': { type: 'integer', min: 1000 },
+    'holonic.agents.priceWatch.defaultFrequencyMinutes': positiveInteger,
+    'holonic.agents.priceWatch.maxHistory': positiveInteger,
+    'holonic.agents.priceWatch.maxWatchesPerUser': positiveInteger,
+    'holonic.agents.priceWatch.manualCheckMinutes': { type: 'integer', min: 0 },
+    'holonic.communication.protocol': { type: 'string', enum: ['http', 'https'] },
+    'holonic.communication.messageFormat': { type: 'string', enum: ['json'] },
+    'holonic.communication.compression': flag,
+    'holonic.communication.encryption': flag,
+    'holonic.communication.timeout': positiveInteger,
+
+    // Monitoring
+    'monitoring.enabled': flag,
+    'monitoring.metricsInterval': positiveInteger,
+    'monitoring.healthCheckInterval': positiveInteger,
+    'monitoring.alertThresholds.cpu': percentage,
+    'monitoring.alertThresholds.memory': percentage,
+    'monitoring.alertThresholds.disk': percentage,
+    'monitoring.alertThresholds.responseTime': positiveInteger,
+    'monitoring.alertThresholds.errorRate': percentage,
+    'monitoring.retention.metrics': period,
+    'monitoring.retention.logs': period,
+    'monitoring.retention.traces': period,
+
+    // Provider adapters
+    'apis.mock.enabled': { ...flag, env: 'ENABLE_MOCK_PROVIDER' },
+    'apis.mock.fixtures': { type: 'string', nullable: true, env: 'MOCK_PROVIDER_FIXTURES' },
+    'apis.amadeus.enabled': flag,
+    'apis.amadeus.apiKey': { ...optionalSecret, env: 'AMADEUS_API_KEY' },
+    'apis.amadeus.apiSecret': { ...optionalSecret, env: 'AMADEUS_API_SECRET' },
+    'apis.amadeus.baseUrl': url,
+    'apis.amadeus.timeout': positiveInteger,
+    'apis.amadeus.retryAttempts': { type: 'integer', min: 0 },
+    'apis.googleMaps.enabled': flag,
+    'apis.googleMaps.apiKey': { ...optionalSecret, env: 'GOOGLE_MAPS_API_KEY' },
+    'apis.googleMaps.baseUrl': url,
+    'apis.googleMaps.timeout': positiveInteger,
+    'apis.stripe.enabled': flag,
+    'apis.stripe.secretKey': { ...optionalSecret, env: 'STRIPE_SECRET_KEY' },
+    'apis.stripe.publishableKey': { type: 'string', nullable: true, env: 'STRIPE_PUBLISHABLE_KEY' },
+    'apis.stripe.webhookSecret': { ...optionalSecret, env: 'STRIPE_WEBHOOK_SECRET' },
+    'apis.stripe.apiVersion': { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+
+    // Email
+    'email.enabled': flag,
+    'email.smtp.host': { type: 'string', nullable: true, env: 'SMTP_HOST' },
+    'email.smtp.port': { ...port, env: 'SMTP_PORT' },
+    'email.smtp.secure': flag,
+    'email.smtp.auth.user': { type: 'string', nullable: true, env: 'SMTP_USER' },
+    'email.smtp.auth.pass': { ...optionalSecret, env: 'SMTP_PASSWORD' },
+    'email.from.name': { type: 'string', min: 1 },
+    'email.from.address': { type: 'string', pattern: /^[^@\s]+@[^@\s]+$/, env: 'SMTP_FROM' },
+    'email.templates.directory': path,
+    'email.templates.engine': { type: 'string', enum: ['handlebars'] },
+
+    // Analytics
+    'analytics.enabled': { ...flag, env: 'ENABLE_ANALYTICS' },
+    'analytics.provider': { type: 'string', enum: ['internal'], deprecated: ANALYTICS_IN_HOUSE },
+    'analytics.apiKey': { ...optionalSecret, env: 'ANALYTICS_KEY', deprecated: ANALYTICS_IN_HOUSE },
+    'analytics.trackingId': { type: 'string', nullable: true, env: 'ANALYTICS_TRACKING_ID', deprecated: ANALYTICS_IN_HOUSE },
+    'analytics.sampleRate': { type: 'number', min: 0, max: 1 },
+    'analytics.anonymizeIp': flag,
+    'analytics.respectDnt': flag,
+
+    // Caching
+    'cache.enabled': { ...flag, env: 'ENABLE_CACHING' },
+    'cache.backend': { type: 'string', enum: ['memory', 'redis'], env: 'CACHE_BACKEND' },
+    'cache.defaultTTL': { type: 'integer', min: 0, env: 'CACHE_TTL' },
+    'cache.maxKeys': positiveInteger,
+    'cache.checkPeriod': { type: 'integer', min: 0 },
+    'cache.strategies.search.ttl': { type: 'integer', min: 0 },
+    'cache.strategies.search.maxKeys': positiveInteger,
+    'cache.strategies.user.ttl': { type: 'integer', min: 0 },
+    'cache.strategies.user.maxKeys': positiveInteger,
+    'cache.strategies.static.ttl': { type: 'integer', min: 0 },
+    'cache.strategies.static.maxKeys': positiveInteger,
+
+    // Currencies
+    'currency.base': { ...currencyCode, env: 'BASE_CURRENCY' },
+    'currency.ratesFile': { type: 'string', nullable: true, env: 'EXCHANGE_RATES_FILE' },
+    'currency.defaultDisplayCurrency': { ...currencyCode, env: 'BASE_CURRENCY' },
+
+    // Feature flags
+    'features.flags': {
+        type: 'object',
+        check: (flags) => {
+            const invalid = Object.keys(flags).filter(name => !/^[A-Za-z][A-Za-z0-9_-]*$/.test(name) || !isFlagDefinition(flags[name]));
+            return invalid.length === 0
+                ? null
+                : `flags of the form { enabled?, default?, rules?: [{ users?, roles?, locales?, percentage?, value? }] } (check ${invalid.join(', ')})`;
+        }
+    },
+
+    // Server push channel
+    'realtime.enabled': { ...flag, env: 'ENABLE_REALTIME' },
+    'realtime.heartbeatInterval': {
+        ...positiveInteger,
+        check: (value, config) => (value < config.server.timeout ? null : 'less than server.timeout')
+    },
+    'realtime.statusInterval': positiveInteger,
+    'realtime.replayBufferSize': positiveInteger,
+    'realtime.maxTopicsPerConnection': positiveInteger,
+
+    // GDPR and privacy
+    'privacy.gdprCompliance': { ...flag, env: 'GDPR_COMPLIANCE' },
+    'privacy.dataRetentionDays': { ...positiveInteger, env: 'DATA_RETENTION_DAYS' },
+    'privacy.cookieConsentRequired': { ...flag, env: 'COOKIE_CONSENT_REQUIRED' },
+    'privacy.anonymizationEnabled': flag,
+    'privacy.rightToErasure': flag,
+    'privacy.dataPortability': flag,
+    'privacy.retentionJob.enabled': flag,
+    'privacy.retentionJob.interval': { type: 'integer', min: 60000 },
+    'privacy.consentManagement.version': { type: 'string', min: 1 },
+    'privacy.consentManagement.categories': {
+        ...stringList,
+        check: (categories) => (categories.includes('necessary') ? null : 'a list including "necessary"')
+    }
+};
+
+module.exports = { CONFIG_SCHEMA };
@@ -0,0 +1,183 @@
+// Configuration Validator
+// Holonic Travel Planner - Checks a configuration tree against the configuration schema
+
+const { CONFIG_SCHEMA } = require('./config-schema');
+const { ConfigViolation } = require('./config-errors');
+
+const REDACTED = '[REDACTED]';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: isPlainObject
+};
+
+const ARTICLES = { integer: 'an integer', array: 'an array', object: 'an object' };
+
+// Strings and arrays are measured by length, numbers by value
+function measure(value) {
+    if (typeof value === 'number') {
+        return { amount: value, unit: '' };
+    }
+    return { amount: value.length, unit: typeof value === 'string' ? ' characters' : ' items' };
+}
+
+/**
+ * The violations of one value against its rule, without the checks that
+ * depend on where the value came from
+ */
+function checkValue(path, rule, value, config) {
+    const violation = (ruleName, expected) => new ConfigViolation({
+        path,
+        rule: ruleName,
+        expected,
+        actual: rule.secret && !isEmpty(value) ? REDACTED : value
+    });
+
+    if (value === undefined || value === null) {
+        if (value === undefined && rule.required === true) {
+            return [violation('required', 'a value')];
+        }
+        return value === null && !rule.nullable ? [violation('type', ARTICLES[rule.type] || `a ${rule.type}`)] : [];
+    }
+    if (!TYPE_CHECKS[rule.type](value)) {
+        return [violation('type', ARTICLES[rule.type] || `a ${rule.type}`)];
+    }
+
+    const violations = [];
+    if (rule.min !== undefined || rule.max !== undefined) {
+        const { amount, unit } = measure(value);
+        if (rule.min !== undefined && amount < rule.min) {
+            violations.push(violation('min', `at least ${rule.min}${unit}`));
+        }
+        if (rule.max !== undefined && amount > rule.max) {
+            violations.push(violation('max', `at most ${rule.max}${unit}`));
+        }
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        violations.push(violation('enum', `one of ${rule.enum.join(', ')}`));
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        violations.push(violation('pattern', `a value matching ${rule.pattern}`));
+    }
+    if (rule.items) {
+        value.forEach((item, index) => violations.push(...checkValue(`${path}[${index}]`, rule.items, item, config)));
+    }
+    if (rule.check && violations.length === 0) {
+        const expected = rule.check(value, config);
+        if (expected) {
+            violations.push(violation('check', expected));
+        }
+    }
+    return violations;
+}
+
+/**
+ * Every schema path in the tree and every path the schema does not know.
+ * Schema paths are leaves: free-form objects are not walked into.
+ */
+function collectPaths(tree, schema, prefix = '', found = { known: [], unknown: [] }) {
+    for (const [key, value] of Object.entries(tree)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (schema[path]) {
+            found.known.push(path);
+        } else if (isPlainObject(value)) {
+            collectPaths(value, schema, path, found);
+        } else {
+            found.unknown.push(path);
+        }
+    }
+    return found;
+}
+
+function valueAt(tree, path) {
+    return path.split('.').reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), tree);
+}
+
+/**
+ * Check the configuration tree against the schema.
+ * `sourceOf(path)` names where a value came from ('default' for the
+ * built-in defaults); in production, settings required there must not be
+ * left at their default. Only paths under `prefix` are reported when it is
+ * given. Returns ConfigViolations, warnings (deprecations) included.
+ */
+function validateConfig(tree, { schema = CONFIG_SCHEMA, environment = 'development', sourceOf = () => 'default', prefix = null } = {}) {
+    const inScope = path => !prefix || path === prefix || path.startsWith(`${prefix}.`) || prefix.startsWith(`${path}.`);
+    const withSource = violation => Object.assign(violation, { source: sourceOf(violation.path.replace(/\[\d+\]$/, '')) });
+    const { unknown } = collectPaths(tree, schema);
+    const violations = [];
+
+    for (const [path, rule] of Object.entries(schema)) {
+        if (!inScope(path)) {
+            continue;
+        }
+        const value = valueAt(tree, path);
+        violations.push(...checkValue(path, rule, value, tree).map(withSource));
+
+        const source = sourceOf(path);
+        if (rule.required === 'production' && environment === 'production' && (isEmpty(value) || source === 'default')) {
+            violations.push(new ConfigViolation({
+                path,
+                rule: 'required',
+                expected: rule.env ? `a value set through ${rule.env} or a config file in production` : 'a value set in a config file in production',
+                actual: rule.secret && !isEmpty(value) ? REDACTED : value,
+                source
+            }));
+        }
+        if (rule.deprecated && value !== undefined && source !== 'default') {
+            violations.push(new ConfigViolation({ path, rule: 'deprecated', expected: `no value (${rule.deprecated})`, actual: rule.secret ? REDACTED : value, severity: 'warning', source }));
+        }
+    }
+
+    for (const path of unknown.filter(inScope)) {
+        violations.push(withSource(new ConfigViolation({ path, rule: 'unknown', expected: 'a setting the schema knows', actual: valueAt(tree, path) })));
+    }
+    return violations;
+}
+
+/**
+ * The schema rule a path falls under: its own, or that of the free-form
+ * object setting it is inside
+ */
+function ruleFor(path, schema = CONFIG_SCHEMA) {
+    const keys = path.split('.');
+    for (let length = keys.length; length > 0; length--) {
+        const candidate = keys.slice(0, length).join('.');
+        if (schema[candidate]) {
+            return { path: candidate, rule: schema[candidate] };
+        }
+    }
+    return null;
+}
+
+/**
+ * A copy of the tree with its secrets replaced by [REDACTED]
+ */
+function redactSecrets(tree, schema = CONFIG_SCHEMA) {
+    const redacted = JSON.parse(JSON.stringify(tree));
+    for (const [path, rule] of Object.entries(schema)) {
+        if (rule.secret && !isEmpty(valueAt(redacted, path))) {
+            const keys = path.split('.');
+            valueAt(redacted, keys.slice(0, -1).join('.'))[keys[keys.length - 1]] = REDACTED;
+        }
+    }
+    return redacted;
+}
+
+module.exports = {
+    validateConfig,
+    ruleFor,
+    redactSecrets,
+    collectPaths
+};
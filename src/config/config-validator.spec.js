@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { validateConfig, ruleFor, redactSecrets } from './config-validator';
+import { ConfigValidationError } from './config-errors';
+import { CONFIG_SCHEMA } from './config-schema';
+
+const SCHEMA = {
+    'server.port': { type: 'integer', min: 1, max: 65535 },
+    'server.host': { type: 'string', min: 1, required: true },
+    'logging.level': { type: 'string', enum: ['error', 'warn', 'info', 'debug'] },
+    'database.url': { type: 'string', nullable: true, pattern: /^postgres:\/\// },
+    'database.password': { type: 'string', nullable: true, secret: true, min: 8, required: 'production', env: 'DB_PASSWORD' },
+    'cors.origins': { type: 'array', items: { type: 'string', pattern: /^https?:\/\// } },
+    'cache.ttl': { type: 'integer', deprecated: 'use cache.strategies' },
+    'cache.strategies': { type: 'object' },
+    'timeouts.read': {
+        type: 'integer',
+        check: (value, config) => (value < config.timeouts.total ? null : 'less than timeouts.total')
+    },
+    'timeouts.total': { type: 'integer' }
+};
+
+function tree(overrides = {}) {
+    return {
+        server: { port: 3000, host: 'localhost' },
+        logging: { level: 'info' },
+        database: { url: null, password: null },
+        cors: { origins: ['https://example.com'] },
+        cache: { strategies: { search: { ttl: 60 } } },
+        timeouts: { read: 5, total: 10 },
+        ...overrides
+    };
+}
+
+const validate = (config, options = {}) => validateConfig(config, { schema: SCHEMA, ...options });
+const summary = violations => violations.map(violation => `${violation.path} ${violation.rule}`);
+
+describe('validateConfig', () => {
+    it('accepts a configuration that follows the schema', () => {
+        expect(validate(tree())).toEqual([]);
+    });
+
+    it('reports each broken rule with the setting path', () => {
+        const violations = validate(tree({
+            server: { port: 70000, host: '' },
+            logging: { level: 'verbose' },
+            database: { url: 'mysql://db', password: null },
+            cors: { origins: ['https://example.com', 'example.org'] },
+            timeouts: { read: 10, total: 10 }
+        }));
+
+        expect(summary(violations)).toEqual([
+            'server.port max',
+            'server.host min',
+            'logging.level enum',
+            'database.url pattern',
+            'cors.origins[1] pattern',
+            'timeouts.read check'
+        ]);
+        expect(violations[0].message).toBe('server.port: expected at most 65535, got 70000');
+    });
+
+    it('tells wrong types, nulls and missing required settings apart', () => {
+        const violations = validate(tree({ server: { port: '3000' }, logging: { level: null } }));
+
+        expect(summary(violations)).toEqual(['server.port type', 'server.host required', 'logging.level type']);
+        expect(violations[0].expected).toBe('an integer');
+    });
+
+    it('flags settings the schema does not know without walking into free-form objects', () => {
+        const violations = validate(tree({ server: { port: 3000, host: 'localhost', prot: 3001 } }));
+
+        expect(summary(violations)).toEqual(['server.prot unknown']);
+    });
+
+    it('never reports the value of a secret', () => {
+        const [violation] = validate(tree({ database: { url: null, password: 'short' } }));
+
+        expect(violation).toMatchObject({ path: 'database.password', rule: 'min', actual: '[REDACTED]' });
+        expect(violation.message).not.toContain('short');
+        expect(redactSecrets(tree({ database: { url: null, password: 'a-long-password' } }), SCHEMA).database.password).toBe('[REDACTED]');
+    });
+
+    it('requires production settings to be set rather than left at their default', () => {
+        const config = tree({ database: { url: null, password: 'a-long-password' } });
+        const sourceOf = path => (path === 'database.password' ? 'default' : 'env');
+
+        const [violation] = validate(config, { environment: 'production', sourceOf });
+
+        expect(violation).toMatchObject({ path: 'database.password', rule: 'required', source: 'default' });
+        expect(violation.expected).toContain('DB_PASSWORD');
+        expect(validate(config, { environment: 'production', sourceOf: () => 'env' })).toEqual([]);
+        expect(validate(config, { environment: 'development', sourceOf })).toEqual([]);
+    });
+
+    it('warns about deprecated settings only when they are set', () => {
+        const config = tree({ cache: { ttl: 60, strategies: {} } });
+
+        expect(validate(config)).toEqual([]);
+        expect(validate(config, { sourceOf: () => 'config/production.json' })).toEqual([
+            expect.objectContaining({ path: 'cache.ttl', rule: 'deprecated', severity: 'warning' })
+        ]);
+    });
+
+    it('limits the report to the settings under a prefix', () => {
+        const config = tree({ server: { port: 0, host: 'localhost' }, logging: { level: 'verbose' } });
+
+        expect(summary(validate(config, { prefix: 'logging' }))).toEqual(['logging.level enum']);
+    });
+
+    it('finds the rule of a path inside a free-form object', () => {
+        expect(ruleFor('cache.strategies.search.ttl', SCHEMA).path).toBe('cache.strategies');
+        expect(ruleFor('nothing.here', SCHEMA)).toBeNull();
+    });
+
+    it('holds the production JWT secret to the repository schema', () => {
+        const violations = validateConfig({ security: { jwt: { secret: 'too-short' } } }, { environment: 'production', prefix: 'security.jwt.secret' });
+
+        expect(violations.map(violation => violation.rule)).toEqual(['min', 'required']);
+        expect(CONFIG_SCHEMA['security.jwt.secret'].secret).toBe(true);
+    });
+});
+
+describe('ConfigValidationError', () => {
+    it('lists every violation in its message', () => {
+        const error = new ConfigValidationError(validate(tree({ server: { port: 0, host: 'localhost' }, logging: { level: 'verbose' } })));
+
+        expect(error.violations).toHaveLength(2);
+        expect(error.message).toBe([
+            'Configuration validation failed:',
+            '  server.port: expected at least 1, got 0',
+            '  logging.level: expected one of error, warn, info, debug, got "verbose"'
+        ].join('\n'));
+    });
+});
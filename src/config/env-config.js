@@ -4,10 +4,15 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { SecretCipher, isEncrypted } = require('./secrets/secret-cipher');
+const { createKeySource } = require('./secrets/key-sources');
 
 /**
  * Environment Configuration Manager
- * Handles secure loading, validation, and management of environment variables
+ * Handles secure loading, validation, and management of environment variables.
+ * Secrets are held encrypted (see secrets/secret-cipher.js) and decrypted on
+ * `get`. Environment variables and config files may also hold values that
+ * were encrypted beforehand with `npm run config -- encrypt`.
  */
 class EnvironmentConfig {
     constructor() {
@@ -16,7 +21,10 @@ class EnvironmentConfig {
         this.requiredKeys = new Set();
         this.validators = new Map();
         this.isInitialized = false;
-        this.encryptionKey = null;
+        this.keySource = null;
+        this.cipher = null;
+        this.fileSources = new Map();
+        this.environmentSnapshot = null;
     }
 
     /**
@@ -24,11 +32,12 @@ class EnvironmentConfig {
      */
     async initialize() {
         try {
+            // Keys first, so secrets are encrypted as they are loaded
+            await this.initializeEncryption();
+            
             // Load environment variables
             this.loadEnvironmentVariables();
-            
-            // Set up encryption if needed
-            await this.initializeEncryption();
+            this.environmentSnapshot = this.snapshot();
             
             // Load configuration files
             await this.loadConfigurationFiles();
@@ -36,11 +45,6 @@ class EnvironmentConfig {
             // Validate required configuration
             this.validateConfiguration();
             
-            // Set up configuration watchers in development
-            if (this.get('NODE_ENV') === 'development') {
-                this.setupConfigurationWatchers();
-            }
-            
             this.isInitialized = true;
             console.log('✅ Environment configuration initialized successfully');
         } catch (error) {
@@ -66,6 +70,10 @@ class EnvironmentConfig {
         this.set('DB_PASSWORD', process.env.DB_PASSWORD || '', true); // encrypted
         this.set('DB_SSL', process.env.DB_SSL === 'true');
         
+        // Document storage
+        this.set('STORAGE_DRIVER', process.env.STORAGE_DRIVER || 'file');
+        this.set('STORAGE_DIRECTORY', process.env.STORAGE_DIRECTORY || './data');
+        
         // Redis configuration
         this.set('REDIS_HOST', process.env.REDIS_HOST || 'localhost');
         this.set('REDIS_PORT', parseInt(process.env.REDIS_PORT) || 6379);
@@ -73,7 +81,10 @@ class EnvironmentConfig {
         
         // JWT and security
         this.set('JWT_SECRET', process.env.JWT_SECRET || this.generateSecureKey(), true); // encrypted
-        this.set('JWT_EXPIRES_IN', process.env.JWT_EXPIRES_IN || '24h');
+        this.set('JWT_EXPIRES_IN', process.env.JWT_EXPIRES_IN || '15m'); // access tokens; sessions last via refresh tokens
+        this.set('JWT_REFRESH_EXPIRES_IN', process.env.JWT_REFRESH_EXPIRES_IN || '30d');
+        this.set('ADMIN_EMAIL', (process.env.ADMIN_EMAIL || '').trim().toLowerCase() || null); // admin account seeded on start
+        this.set('ADMIN_PASSWORD', process.env.ADMIN_PASSWORD || null, true); // encrypted
         this.set('ENCRYPTION_KEY', process.env.ENCRYPTION_KEY || this.generateSecureKey(), true); // encrypted
         
         // External API keys
@@ -83,6 +94,12 @@ class EnvironmentConfig {
         this.set('STRIPE_SECRET_KEY', process.env.STRIPE_SECRET_KEY || '', true); // encrypted
         this.set('STRIPE_PUBLISHABLE_KEY', process.env.STRIPE_PUBLISHABLE_KEY || '');
         
+        // Offline mock travel provider (on by default outside production)
+        this.set('ENABLE_MOCK_PROVIDER', process.env.ENABLE_MOCK_PROVIDER
+            ? process.env.ENABLE_MOCK_PROVIDER === 'true'
+            : process.env.NODE_ENV !== 'production');
+        this.set('MOCK_PROVIDER_FIXTURES', process.env.MOCK_PROVIDER_FIXTURES || null);
+        
         // Email configuration
         this.set('SMTP_HOST', process.env.SMTP_HOST || 'localhost');
         this.set('SMTP_PORT', parseInt(process.env.SMTP_PORT) || 587);
@@ -109,36 +126,52 @@ class EnvironmentConfig {
         this.set('MAX_REQUEST_SIZE', process.env.MAX_REQUEST_SIZE || '10mb');
         this.set('REQUEST_TIMEOUT', parseInt(process.env.REQUEST_TIMEOUT) || 30000);
         this.set('CACHE_TTL', parseInt(process.env.CACHE_TTL) || 3600);
+        this.set('CACHE_BACKEND', process.env.CACHE_BACKEND || 'memory');
+        this.set('ENABLE_REALTIME', process.env.ENABLE_REALTIME !== 'false');
+        
+        // Currencies
+        this.set('BASE_CURRENCY', process.env.BASE_CURRENCY || 'EUR');
+        this.set('EXCHANGE_RATES_FILE', process.env.EXCHANGE_RATES_FILE || null);
+        
+        // Reload config/*.json when it changes (on by default in development)
+        this.set('CONFIG_HOT_RELOAD', process.env.CONFIG_HOT_RELOAD
+            ? process.env.CONFIG_HOT_RELOAD === 'true'
+            : this.get('NODE_ENV') === 'development');
     }
 
     /**
-     * Initialize encryption for sensitive configuration values
+     * Load the keyring from the key source named by CONFIG_KEY_SOURCE.
+     * Outside production a keyring that cannot be loaded is replaced by a
+     * key that lives only as long as the process.
      */
     async initializeEncryption() {
-        const keyPath = path.join(process.cwd(), '.encryption-key');
-        
         try {
-            if (fs.existsSync(keyPath)) {
-                this.encryptionKey = fs.readFileSync(keyPath, 'utf8').trim();
-            } else {
-                // Generate new encryption key
-                this.encryptionKey = crypto.randomBytes(32).toString('hex');
-                
-                // Save key securely (in production, use proper key management)
-                if (this.get('NODE_ENV') !== 'production') {
-                    fs.writeFileSync(keyPath, this.encryptionKey, { mode: 0o600 });
-                }
-            }
+            this.keySource = createKeySource(process.env);
+            this.cipher = new SecretCipher(await this.keySource.load());
         } catch (error) {
-            console.warn('Warning: Could not initialize encryption:', error.message);
-            this.encryptionKey = crypto.randomBytes(32).toString('hex');
+            if (process.env.NODE_ENV === 'production') {
+                throw error;
+            }
+            console.warn('Warning: Could not load configuration keys, using a temporary key:', error.message);
+            this.keySource = null;
+            this.cipher = new SecretCipher({ activeKeyId: 'ephemeral', keys: new Map([['ephemeral', crypto.randomBytes(32)]]) });
+        }
+    }
+
+    /**
+     * Apply the security.encryption settings of the system configuration
+     */
+    setEncryptionOptions(options) {
+        if (this.cipher && options) {
+            this.cipher.configure(options);
         }
     }
 
     /**
-     * Load additional configuration from files
+     * Load additional configuration from files. A file that cannot be read
+     * is skipped with a warning, or fails the load when `strict`.
      */
-    async loadConfigurationFiles() {
+    async loadConfigurationFiles({ strict = false } = {}) {
         const configDir = path.join(process.cwd(), 'config');
         const environment = this.get('NODE_ENV');
         
@@ -152,8 +185,11 @@ class EnvironmentConfig {
             if (fs.existsSync(configFile)) {
                 try {
                     const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
-                    this.mergeConfiguration(config);
+                    this.mergeConfiguration(config, '', path.basename(configFile));
                 } catch (error) {
+                    if (strict) {
+                        throw new Error(`Could not load config file ${configFile}: ${error.message}`);
+                    }
                     console.warn(`Warning: Could not load config file ${configFile}:`, error.message);
                 }
             }
@@ -161,27 +197,53 @@ class EnvironmentConfig {
     }
 
     /**
-     * Merge configuration object into current config
+     * Merge configuration object into current config. Nested objects become
+     * dotted keys; `source` names the file the values came from.
      */
-    mergeConfiguration(config, prefix = '') {
+    mergeConfiguration(config, prefix = '', source = null) {
         for (const [key, value] of Object.entries(config)) {
             const fullKey = prefix ? `${prefix}.${key}` : key;
             
             if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-                this.mergeConfiguration(value, fullKey);
+                this.mergeConfiguration(value, fullKey, source);
             } else {
                 this.set(fullKey, value);
+                if (source) {
+                    this.fileSources.set(fullKey, source);
+                }
             }
         }
     }
 
+    /**
+     * Where a key's value came from: the config file that set it last,
+     * `env` for the process environment, or `default`
+     */
+    getSource(key) {
+        if (this.fileSources.has(key)) {
+            return this.fileSources.get(key);
+        }
+        return process.env[key] !== undefined ? 'env' : 'default';
+    }
+
+    /**
+     * Values set by config files, decrypted: [{ key, value, source }]
+     */
+    getFileOverrides() {
+        return [...this.fileSources.entries()].map(([key, source]) => ({ key, value: this.get(key), source }));
+    }
+
     /**
      * Set configuration value with optional encryption
      */
     set(key, value, encrypt = false) {
-        if (encrypt && value && this.encryptionKey) {
-            value = this.encrypt(value.toString());
+        if (isEncrypted(value)) {
             this.encryptedKeys.add(key);
+        } else if (encrypt && value && this.cipher) {
+            value = this.encrypt(value.toString(), key);
+            this.encryptedKeys.add(key);
+        } else {
+            this.encryptedKeys.delete(key);
         }
         
         this.config.set(key, value);
@@ -197,11 +259,11 @@ class EnvironmentConfig {
             return defaultValue;
         }
         
-        if (this.encryptedKeys.has(key) && this.encryptionKey) {
+        if (this.encryptedKeys.has(key)) {
             try {
-                value = this.decrypt(value);
+                value = this.decrypt(value, key);
             } catch (error) {
-                console.warn(`Warning: Could not decrypt config value for ${key}`);
+                console.warn(`Warning: Could not decrypt config value for ${key}: ${error.message}`);
                 return defaultValue;
             }
         }
@@ -258,38 +320,23 @@ class EnvironmentConfig {
     }
 
     /**
-     * Encrypt sensitive value
+     * Encrypt a sensitive value for the setting `key`
      */
-    encrypt(text) {
-        if (!this.encryptionKey) return text;
-        
-        const iv = crypto.randomBytes(16);
-        const cipher = crypto.createCipher('aes-256-cbc', this.encryptionKey);
-        
-        let encrypted = cipher.update(text, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
+    encrypt(text, key = '') {
+        if (!this.cipher) return text;
         
-        return iv.toString('hex') + ':' + encrypted;
+        return this.cipher.encrypt(text, key);
     }
 
     /**
-     * Decrypt sensitive value
+     * Decrypt the value of the setting `key`; throws when it cannot be decrypted
      */
-    decrypt(encryptedText) {
-        if (!this.encryptionKey) return encryptedText;
-        
-        const parts = encryptedText.split(':');
-        if (parts.length !== 2) return encryptedText;
-        
-        const iv = Buffer.from(parts[0], 'hex');
-        const encrypted = parts[1];
-        
-        const decipher = crypto.createDecipher('aes-256-cbc', this.encryptionKey);
-        
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
+    decrypt(encryptedText, key = '') {
+        if (!this.cipher) {
+            throw new Error('Configuration keys are not loaded');
+        }
         
-        return decrypted;
+        return this.cipher.decrypt(encryptedText, key);
     }
 
     /**
@@ -300,19 +347,32 @@ class EnvironmentConfig {
     }
 
     /**
-     * Setup configuration file watchers for development
+     * Re-read the config files on top of the environment as loaded at
+     * startup. Generated defaults such as a missing JWT_SECRET keep their
+     * values. SystemConfig.reload validates the result and calls `restore`
+     * with a snapshot taken beforehand when it is invalid.
      */
-    setupConfigurationWatchers() {
-        const configDir = path.join(process.cwd(), 'config');
-        
-        if (fs.existsSync(configDir)) {
-            fs.watch(configDir, (eventType, filename) => {
-                if (filename && filename.endsWith('.json')) {
-                    console.log(`Configuration file ${filename} changed, reloading...`);
-                    this.loadConfigurationFiles();
-                }
-            });
-        }
+    async reloadConfigurationFiles() {
+        this.restore(this.environmentSnapshot);
+        await this.loadConfigurationFiles({ strict: true });
+        this.validateConfiguration();
+    }
+
+    /**
+     * The loaded values, for `restore`
+     */
+    snapshot() {
+        return {
+            config: new Map(this.config),
+            encryptedKeys: new Set(this.encryptedKeys),
+            fileSources: new Map(this.fileSources)
+        };
+    }
+
+    restore({ config, encryptedKeys, fileSources }) {
+        this.config = new Map(config);
+        this.encryptedKeys = new Set(encryptedKeys);
+        this.fileSources = new Map(fileSources);
     }
 
     /**
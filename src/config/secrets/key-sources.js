@@ -0,0 +1,242 @@
+// Key Sources
+// Holonic Travel Planner - Where the keys that encrypt configuration secrets come from
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEY_LENGTH = 32;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function newKeyId() {
+    return `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Written next to the target and renamed, so a crash never leaves half a keyring
+function writeJsonAtomic(file, data) {
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(temporary, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temporary, file);
+}
+
+function toKeyring({ activeKeyId, keys }) {
+    const keyring = { activeKeyId, keys: new Map(Object.entries(keys).map(([keyId, key]) => [keyId, Buffer.from(key, 'base64')])) };
+    if (!keyring.keys.has(activeKeyId)) {
+        throw new Error(`The active key ${activeKeyId} is not in the keyring`);
+    }
+    return keyring;
+}
+
+/**
+ * File Key Source
+ * A JSON keyring `{ activeKeyId, keys: { <id>: <base64 key> } }` readable
+ * only by its owner. Outside production a missing keyring is created with
+ * a fresh key; in production it has to be provisioned.
+ */
+class FileKeySource {
+    constructor({ file, createIfMissing = false }) {
+        this.type = 'file';
+        this.file = file;
+        this.createIfMissing = createIfMissing;
+        this.writable = true;
+    }
+
+    describe() {
+        return `key file ${this.file}`;
+    }
+
+    async load() {
+        if (!fs.existsSync(this.file)) {
+            if (!this.createIfMissing) {
+                throw new Error(`No configuration keyring at ${this.file}`);
+            }
+            const keyId = newKeyId();
+            this.save({ activeKeyId: keyId, keys: { [keyId]: crypto.randomBytes(KEY_LENGTH).toString('base64') } });
+        }
+        return toKeyring(this.read());
+    }
+
+    read() {
+        return readJson(this.file);
+    }
+
+    save(data) {
+        writeJsonAtomic(this.file, data);
+    }
+
+    /**
+     * Add a new key and make it the active one; older keys stay to decrypt existing values
+     */
+    async rotate() {
+        const data = this.read();
+        const keyId = newKeyId();
+        data.keys[keyId] = crypto.randomBytes(KEY_LENGTH).toString('base64');
+        data.activeKeyId = keyId;
+        this.save(data);
+        return keyId;
+    }
+
+    async retire(keyIds) {
+        const data = this.read();
+        for (const keyId of keyIds) {
+            if (keyId !== data.activeKeyId) {
+                delete data.keys[keyId];
+            }
+        }
+        this.save(data);
+    }
+}
+
+/**
+ * Env Key Source
+ * Keys come from `CONFIG_KEYS` ("<id>:<base64 key>,...") and the active
+ * one from `CONFIG_ACTIVE_KEY_ID`, by default the last listed. The
+ * environment cannot be written, so rotation hands the new key to the
+ * operator to add.
+ */
+class EnvKeySource {
+    constructor({ env = process.env }) {
+        this.type = 'env';
+        this.env = env;
+        this.writable = false;
+    }
+
+    describe() {
+        return 'CONFIG_KEYS environment variable';
+    }
+
+    async load() {
+        const entries = (this.env.CONFIG_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+        if (entries.length === 0) {
+            throw new Error('CONFIG_KEYS is not set');
+        }
+
+        const keys = {};
+        for (const entry of entries) {
+            const [keyId, key] = entry.split(':');
+            if (!KEY_ID_PATTERN.test(keyId || '') || !key) {
+                throw new Error('CONFIG_KEYS entries must read <id>:<base64 key>');
+            }
+            keys[keyId] = key;
+        }
+        const ids = Object.keys(keys);
+        return toKeyring({ activeKeyId: this.env.CONFIG_ACTIVE_KEY_ID || ids[ids.length - 1], keys });
+    }
+
+    /**
+     * A new key entry for the operator to append to CONFIG_KEYS
+     */
+    static generateEntry() {
+        const keyId = newKeyId();
+        return { keyId, entry: `${keyId}:${crypto.randomBytes(KEY_LENGTH).toString('base64')}` };
+    }
+}
+
+/**
+ * Local KMS Key Source
+ * Stand-in for a key management service, for development and tests. Data
+ * keys are stored wrapped (AES-256-GCM) under a master key kept in a
+ * separate file, as a KMS keeps its master keys to itself; only the
+ * unwrapped data keys reach the process.
+ */
+class LocalKmsKeySource {
+    constructor({ directory, createIfMissing = false }) {
+        this.type = 'kms';
+        this.directory = directory;
+        this.masterKeyFile = path.join(directory, 'master.key');
+        this.keyringFile = path.join(directory, 'keyring.json');
+        this.createIfMissing = createIfMissing;
+        this.writable = true;
+    }
+
+    describe() {
+        return `local KMS in ${this.directory}`;
+    }
+
+    async load() {
+        if (!fs.existsSync(this.keyringFile)) {
+            if (!this.createIfMissing) {
+                throw new Error(`No local KMS keyring in ${this.directory}`);
+            }
+            fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+            fs.writeFileSync(this.masterKeyFile, crypto.randomBytes(KEY_LENGTH).toString('base64'), { mode: 0o600 });
+            writeJsonAtomic(this.keyringFile, { activeKeyId: null, keys: {} });
+            await this.rotate();
+        }
+
+        const { activeKeyId, keys } = readJson(this.keyringFile);
+        return toKeyring({
+            activeKeyId,
+            keys: Object.fromEntries(Object.entries(keys).map(([keyId, wrapped]) => [keyId, this.unwrap(keyId, wrapped).toString('base64')]))
+        });
+    }
+
+    masterKey() {
+        return Buffer.from(fs.readFileSync(this.masterKeyFile, 'utf8').trim(), 'base64');
+    }
+
+    wrap(keyId, key) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.masterKey(), iv);
+        cipher.setAAD(Buffer.from(keyId, 'utf8'));
+        const data = Buffer.concat([cipher.update(key), cipher.final()]);
+        return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+    }
+
+    unwrap(keyId, wrapped) {
+        const [iv, tag, data] = wrapped.split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.masterKey(), iv);
+        decipher.setAAD(Buffer.from(keyId, 'utf8'));
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data), decipher.final()]);
+    }
+
+    async rotate() {
+        const data = readJson(this.keyringFile);
+        const keyId = newKeyId();
+        data.keys[keyId] = this.wrap(keyId, crypto.randomBytes(KEY_LENGTH));
+        data.activeKeyId = keyId;
+        writeJsonAtomic(this.keyringFile, data);
+        return keyId;
+    }
+
+    async retire(keyIds) {
+        const data = readJson(this.keyringFile);
+        for (const keyId of keyIds) {
+            if (keyId !== data.activeKeyId) {
+                delete data.keys[keyId];
+            }
+        }
+        writeJsonAtomic(this.keyringFile, data);
+    }
+}
+
+/**
+ * The key source named by CONFIG_KEY_SOURCE: `file` (default, CONFIG_KEY_FILE
+ * or .config-keys.json), `env` or `kms` (CONFIG_KMS_DIRECTORY or .kms)
+ */
+function createKeySource(env = process.env, { cwd = process.cwd() } = {}) {
+    const createIfMissing = env.NODE_ENV !== 'production';
+    switch (env.CONFIG_KEY_SOURCE || 'file') {
+        case 'file':
+            return new FileKeySource({ file: path.resolve(cwd, env.CONFIG_KEY_FILE || '.config-keys.json'), createIfMissing });
+        case 'env':
+            return new EnvKeySource({ env });
+        case 'kms':
+            return new LocalKmsKeySource({ directory: path.resolve(cwd, env.CONFIG_KMS_DIRECTORY || '.kms'), createIfMissing });
+        default:
+            throw new Error(`Unknown CONFIG_KEY_SOURCE ${env.CONFIG_KEY_SOURCE}; use file, env or kms`);
+    }
+}
+
+module.exports = {
+    FileKeySource,
+    EnvKeySource,
+    LocalKmsKeySource,
+    createKeySource
+};
@@ -0,0 +1,117 @@
+// Secret Cipher
+// Holonic Travel Planner - AES-256-GCM encryption of configuration secrets under a keyring
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+
+// Matches security.encryption in system-config.js, which replaces it once loaded
+const DEFAULT_OPTIONS = {
+    algorithm: 'aes-256-gcm',
+    keyLength: 32,
+    ivLength: 16,
+    tagLength: 16
+};
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * The id of the key a ciphertext was encrypted with
+ */
+function keyIdOf(value) {
+    return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * Secret Cipher
+ * Ciphertexts read `enc:v1:<keyId>:<iv>:<tag>:<data>` (base64url parts), so
+ * each names the key that decrypts it and keys can be rotated without
+ * re-encrypting everything at once. New values are encrypted under the
+ * keyring's active key. Each ciphertext is bound to the name of the setting
+ * it holds (`context`), so a value cannot be moved to another setting.
+ */
+class SecretCipher {
+    constructor(keyring, options = {}) {
+        this.keyring = keyring;
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        const { algorithm, keyLength, ivLength, tagLength } = { ...DEFAULT_OPTIONS, ...options };
+        if (algorithm !== 'aes-256-gcm' || keyLength !== 32) {
+            throw new Error(`Unsupported configuration encryption ${algorithm} with ${keyLength}-byte keys; use aes-256-gcm with 32-byte keys`);
+        }
+        if (ivLength < 12 || tagLength < 12 || tagLength > 16) {
+            throw new Error('Configuration encryption needs an ivLength of at least 12 and a tagLength of 12 to 16 bytes');
+        }
+        for (const [keyId, key] of this.keyring.keys) {
+            if (key.length !== keyLength) {
+                throw new Error(`Key ${keyId} is ${key.length} bytes long, ${keyLength} expected`);
+            }
+        }
+        this.options = { algorithm, keyLength, ivLength, tagLength };
+    }
+
+    get activeKeyId() {
+        return this.keyring.activeKeyId;
+    }
+
+    encrypt(plaintext, context = '') {
+        const keyId = this.keyring.activeKeyId;
+        const iv = crypto.randomBytes(this.options.ivLength);
+        const cipher = crypto.createCipheriv(this.options.algorithm, this.keyFor(keyId), iv, { authTagLength: this.options.tagLength });
+        cipher.setAAD(Buffer.from(context, 'utf8'));
+        const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+        return `${PREFIX}${[keyId, iv, cipher.getAuthTag(), data].map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part)).join(':')}`;
+    }
+
+    /**
+     * Throws when the ciphertext is malformed, its key is not in the
+     * keyring, or it was tampered with or encrypted for another context
+     */
+    decrypt(ciphertext, context = '') {
+        if (!isEncrypted(ciphertext)) {
+            throw new Error('Value is not an encrypted configuration value');
+        }
+        const parts = ciphertext.slice(PREFIX.length).split(':');
+        if (parts.length !== 4) {
+            throw new Error('Malformed encrypted configuration value');
+        }
+
+        const [keyId, iv, tag, data] = parts;
+        const authTag = Buffer.from(tag, 'base64url');
+        // A shortened tag would weaken the authentication
+        if (authTag.length < 12) {
+            throw new Error('Malformed encrypted configuration value');
+        }
+        const decipher = crypto.createDecipheriv(this.options.algorithm, this.keyFor(keyId), Buffer.from(iv, 'base64url'), { authTagLength: authTag.length });
+        decipher.setAAD(Buffer.from(context, 'utf8'));
+        decipher.setAuthTag(authTag);
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * The value encrypted under the active key; values already under it are returned as they are
+     */
+    reencrypt(ciphertext, context = '') {
+        return keyIdOf(ciphertext) === this.activeKeyId ? ciphertext : this.encrypt(this.decrypt(ciphertext, context), context);
+    }
+
+    keyFor(keyId) {
+        const key = this.keyring.keys.get(keyId);
+        if (!key) {
+            throw new Error(`Encryption key ${keyId} is not in the keyring`);
+        }
+        return key;
+    }
+}
+
+module.exports = {
+    SecretCipher,
+    DEFAULT_OPTIONS,
+    isEncrypted,
+    keyIdOf
+};
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import { describe, it, expect } from 'vitest';
+import { SecretCipher, isEncrypted, keyIdOf } from './secret-cipher';
+
+function keyring(...keyIds) {
+    return { activeKeyId: keyIds[keyIds.length - 1], keys: new Map(keyIds.map(keyId => [keyId, crypto.randomBytes(32)])) };
+}
+
+describe('SecretCipher', () => {
+    it('decrypts what it encrypted for the same setting', () => {
+        const cipher = new SecretCipher(keyring('k1'));
+
+        const ciphertext = cipher.encrypt('s3cret', 'security.jwt.secret');
+
+        expect(isEncrypted(ciphertext)).toBe(true);
+        expect(keyIdOf(ciphertext)).toBe('k1');
+        expect(ciphertext).not.toContain('s3cret');
+        expect(cipher.decrypt(ciphertext, 'security.jwt.secret')).toBe('s3cret');
+    });
+
+    it('uses a fresh IV for every encryption', () => {
+        const cipher = new SecretCipher(keyring('k1'));
+
+        expect(cipher.encrypt('s3cret', 'name')).not.toBe(cipher.encrypt('s3cret', 'name'));
+    });
+
+    it('refuses a value moved to another setting', () => {
+        const cipher = new SecretCipher(keyring('k1'));
+        const ciphertext = cipher.encrypt('s3cret', 'security.jwt.secret');
+
+        expect(() => cipher.decrypt(ciphertext, 'database.password')).toThrow();
+    });
+
+    it('refuses a tampered value or a shortened tag', () => {
+        const cipher = new SecretCipher(keyring('k1'));
+        const [prefix, version, keyId, iv, tag, data] = cipher.encrypt('s3cret', 'name').split(':');
+        const flipped = Buffer.from(data, 'base64url');
+        flipped[0] ^= 1;
+
+        expect(() => cipher.decrypt([prefix, version, keyId, iv, tag, flipped.toString('base64url')].join(':'), 'name')).toThrow();
+        const shortTag = Buffer.from(tag, 'base64url').subarray(0, 8).toString('base64url');
+        expect(() => cipher.decrypt([prefix, version, keyId, iv, shortTag, data].join(':'), 'name')).toThrow(/Malformed/);
+        expect(() => cipher.decrypt('enc:v1:k1:only-two', 'name')).toThrow(/Malformed/);
+        expect(() => cipher.decrypt('plain text', 'name')).toThrow(/not an encrypted/);
+    });
+
+    it('names a key that is not in the keyring', () => {
+        const ciphertext = new SecretCipher(keyring('k1')).encrypt('s3cret', 'name');
+
+        expect(() => new SecretCipher(keyring('k2')).decrypt(ciphertext, 'name')).toThrow(/k1 is not in the keyring/);
+    });
+
+    it('re-encrypts values under the active key and keeps current ones as they are', () => {
+        const old = keyring('k1');
+        const rotated = { activeKeyId: 'k2', keys: new Map([...old.keys, ['k2', crypto.randomBytes(32)]]) };
+        const ciphertext = new SecretCipher(old).encrypt('s3cret', 'name');
+        const cipher = new SecretCipher(rotated);
+
+        const current = cipher.reencrypt(ciphertext, 'name');
+
+        expect(keyIdOf(current)).toBe('k2');
+        expect(cipher.decrypt(current, 'name')).toBe('s3cret');
+        expect(cipher.reencrypt(current, 'name')).toBe(current);
+    });
+
+    it('only accepts AES-256-GCM with full-length tags', () => {
+        expect(() => new SecretCipher(keyring('k1'), { algorithm: 'aes-256-cbc' })).toThrow(/Unsupported/);
+        expect(() => new SecretCipher(keyring('k1'), { tagLength: 8 })).toThrow(/tagLength/);
+        expect(() => new SecretCipher({ activeKeyId: 'k1', keys: new Map([['k1', crypto.randomBytes(16)]]) })).toThrow(/16 bytes long/);
+    });
+});
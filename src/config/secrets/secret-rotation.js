@@ -0,0 +1,81 @@
+// Secret Rotation
+// Holonic Travel Planner - Finds encrypted configuration values and re-encrypts them under the active key
+
+const fs = require('fs');
+const path = require('path');
+const { isEncrypted, keyIdOf } = require('./secret-cipher');
+
+function configFiles(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+    return fs.readdirSync(directory)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(directory, name));
+}
+
+// Setting names match EnvironmentConfig.mergeConfiguration: nested objects become dotted paths
+function mapEncrypted(value, visit, name = '') {
+    if (isEncrypted(value)) {
+        return visit(value, name);
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, mapEncrypted(child, visit, name ? `${name}.${key}` : key)]));
+    }
+    return value;
+}
+
+/**
+ * Every encrypted value in the config files and the environment:
+ * [{ source, name, keyId }]
+ */
+function findEncryptedValues({ directory, env = process.env }) {
+    const found = [];
+    for (const file of configFiles(directory)) {
+        mapEncrypted(JSON.parse(fs.readFileSync(file, 'utf8')), (value, name) => {
+            found.push({ source: file, name, keyId: keyIdOf(value) });
+            return value;
+        });
+    }
+    for (const [name, value] of Object.entries(env)) {
+        if (isEncrypted(value)) {
+            found.push({ source: 'environment', name, keyId: keyIdOf(value) });
+        }
+    }
+    return found;
+}
+
+/**
+ * Re-encrypt the values in the config files under the cipher's active key,
+ * rewriting each file that changed. Environment variables cannot be
+ * rewritten; their new values are returned for the operator to set.
+ */
+function reencryptValues(cipher, { directory, env = process.env }) {
+    const files = [];
+    for (const file of configFiles(directory)) {
+        let changed = 0;
+        const data = mapEncrypted(JSON.parse(fs.readFileSync(file, 'utf8')), (value, name) => {
+            const next = cipher.reencrypt(value, name);
+            changed += next === value ? 0 : 1;
+            return next;
+        });
+        if (changed > 0) {
+            const temporary = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(temporary, `${JSON.stringify(data, null, 4)}\n`, { mode: fs.statSync(file).mode });
+            fs.renameSync(temporary, file);
+        }
+        files.push({ file, changed });
+    }
+
+    const environment = Object.entries(env)
+        .filter(([, value]) => isEncrypted(value) && keyIdOf(value) !== cipher.activeKeyId)
+        .map(([name, value]) => ({ name, value: cipher.reencrypt(value, name) }));
+
+    return { files, environment };
+}
+
+module.exports = {
+    findEncryptedValues,
+    reencryptValues
+};
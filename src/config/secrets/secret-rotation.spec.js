@@ -0,0 +1,77 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SecretCipher, keyIdOf } from './secret-cipher';
+import { FileKeySource, EnvKeySource, LocalKmsKeySource } from './key-sources';
+import { findEncryptedValues, reencryptValues } from './secret-rotation';
+
+describe('key rotation', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-keys-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('creates a keyring readable only by its owner outside production', async () => {
+        const source = new FileKeySource({ file: path.join(directory, 'keys.json'), createIfMissing: true });
+
+        const keyring = await source.load();
+
+        expect(keyring.keys.get(keyring.activeKeyId)).toHaveLength(32);
+        expect(fs.statSync(source.file).mode & 0o777).toBe(0o600);
+        await expect(new FileKeySource({ file: path.join(directory, 'missing.json') }).load()).rejects.toThrow(/No configuration keyring/);
+    });
+
+    it('re-encrypts config file values under a rotated key, then lets the old key go', async () => {
+        const source = new FileKeySource({ file: path.join(directory, 'keys.json'), createIfMissing: true });
+        const configDirectory = path.join(directory, 'config');
+        fs.mkdirSync(configDirectory);
+        const oldCipher = new SecretCipher(await source.load());
+        const file = path.join(configDirectory, 'production.json');
+        fs.writeFileSync(file, JSON.stringify({ database: { password: oldCipher.encrypt('pw', 'database.password') }, port: 3000 }));
+        const env = { API_KEY: oldCipher.encrypt('key', 'API_KEY'), PLAIN: 'x' };
+
+        await source.rotate();
+        const cipher = new SecretCipher(await source.load());
+        const { files, environment } = reencryptValues(cipher, { directory: configDirectory, env });
+
+        expect(files).toEqual([{ file, changed: 1 }]);
+        expect(environment.map(entry => entry.name)).toEqual(['API_KEY']);
+        const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+        expect(stored.port).toBe(3000);
+        expect(findEncryptedValues({ directory: configDirectory, env: { API_KEY: environment[0].value } }).map(found => found.keyId))
+            .toEqual([cipher.activeKeyId, cipher.activeKeyId]);
+
+        await source.retire([oldCipher.activeKeyId]);
+        const retired = new SecretCipher(await source.load());
+        expect(retired.decrypt(stored.database.password, 'database.password')).toBe('pw');
+        expect(() => retired.decrypt(env.API_KEY, 'API_KEY')).toThrow(/not in the keyring/);
+    });
+
+    it('reads keys from CONFIG_KEYS with the last one active by default', async () => {
+        const { entry: first } = EnvKeySource.generateEntry();
+        const { keyId, entry: second } = EnvKeySource.generateEntry();
+
+        const keyring = await new EnvKeySource({ env: { CONFIG_KEYS: `${first}, ${second}` } }).load();
+
+        expect(keyring.activeKeyId).toBe(keyId);
+        expect(keyring.keys.size).toBe(2);
+        await expect(new EnvKeySource({ env: { CONFIG_KEYS: 'no-key' } }).load()).rejects.toThrow(/<id>:<base64 key>/);
+        await expect(new EnvKeySource({ env: { CONFIG_KEYS: first, CONFIG_ACTIVE_KEY_ID: 'other' } }).load()).rejects.toThrow(/not in the keyring/);
+    });
+
+    it('keeps local KMS data keys wrapped at rest', async () => {
+        const source = new LocalKmsKeySource({ directory: path.join(directory, 'kms'), createIfMissing: true });
+
+        const keyring = await source.load();
+        const stored = fs.readFileSync(source.keyringFile, 'utf8');
+
+        expect(stored).not.toContain(keyring.keys.get(keyring.activeKeyId).toString('base64'));
+        expect((await source.load()).keys.get(keyring.activeKeyId)).toEqual(keyring.keys.get(keyring.activeKeyId));
+    });
+});
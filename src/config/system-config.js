@@ -4,7 +4,17 @@
 const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
+const { isDeepStrictEqual } = require('util');
 const { envConfig } = require('./env-config');
+const { CONFIG_SCHEMA } = require('./config-schema');
+const { validateConfig, ruleFor, redactSecrets } = require('./config-validator');
+const { ConfigViolation, ConfigValidationError } = require('./config-errors');
+
+// Config files may also set environment settings (PORT, JWT_SECRET, ...); those reach the tree through its defaults
+const ENVIRONMENT_KEY = /^[A-Z][A-Z0-9_]*$/;
+
+// Editors write a file in several steps; reload once they are done
+const RELOAD_DEBOUNCE_MS = 300;
 
 /**
  * System Configuration Manager
@@ -17,28 +27,36 @@ class SystemConfig extends EventEmitter {
         this.watchers = new Map();
         this.validators = new Map();
         this.transformers = new Map();
+        this.schema = null;
+        this.sources = new Map();
+        this.fileWatcher = null;
+        this.reloadTimer = null;
+        this.reloading = Promise.resolve();
         this.isInitialized = false;
         this.configHistory = [];
         this.maxHistorySize = 100;
     }
 
     /**
-     * Initialize system configuration
+     * Initialize system configuration. Without `validate` a configuration
+     * that breaks the schema still loads, for `config doctor` to report on.
      */
-    async initialize() {
+    async initialize({ validate = true } = {}) {
         try {
-            // Load base configuration
-            await this.loadBaseConfiguration();
-            
-            // Load holonic system configuration
-            await this.loadHolonicConfiguration();
-            
-            // Load feature configurations
-            await this.loadFeatureConfigurations();
+            await this.loadConfiguration();
             
             // Setup configuration validation
             this.setupValidation();
             
+            if (validate) {
+                for (const warning of this.validate()) {
+                    console.warn(`Warning: ${warning.message}`);
+                }
+            }
+            
+            // Configuration secrets are encrypted as security.encryption says
+            envConfig.setEncryptionOptions(this.get('security.encryption'));
+            
             // Setup configuration watchers
             this.setupWatchers();
             
@@ -52,6 +70,24 @@ class SystemConfig extends EventEmitter {
         }
     }
 
+    /**
+     * Build the configuration tree from the defaults, the environment and
+     * the config files
+     */
+    async loadConfiguration() {
+        // Load base configuration
+        await this.loadBaseConfiguration();
+        
+        // Load holonic system configuration
+        await this.loadHolonicConfiguration();
+        
+        // Load feature configurations
+        await this.loadFeatureConfigurations();
+        
+        // Settings from config/*.json override the defaults
+        this.applyFileOverrides();
+    }
+
     /**
      * Load base system configuration
      */
@@ -118,15 +154,41 @@ class SystemConfig extends EventEmitter {
             lazyConnect: true
         });
 
+        // Document storage for application data (trips and similar resources)
+        this.set('storage', {
+            driver: envConfig.get('STORAGE_DRIVER', 'file'), // 'file' or 'memory'
+            directory: envConfig.get('STORAGE_DIRECTORY', './data')
+        });
+
         // Security configuration
         this.set('security', {
             jwt: {
                 secret: envConfig.get('JWT_SECRET'),
-                expiresIn: envConfig.get('JWT_EXPIRES_IN', '24h'),
+                expiresIn: envConfig.get('JWT_EXPIRES_IN', '15m'),
+                refreshExpiresIn: envConfig.get('JWT_REFRESH_EXPIRES_IN', '30d'),
                 algorithm: 'HS256',
                 issuer: 'holonic-travel-planner',
                 audience: 'holonic-travel-users'
             },
+            auth: {
+                passwordMinLength: 10,
+                refreshCookie: 'holonic_refresh', // httpOnly cookie holding the refresh token
+                // Account seeded as an admin on start; registering or signing in never grants the admin role
+                admin: {
+                    email: envConfig.get('ADMIN_EMAIL', null),
+                    password: envConfig.get('ADMIN_PASSWORD', null)
+                },
+                // API routes that require a signed-in user, and optionally a permission (shared/permissions.js)
+                protectedRoutes: [
+                    { path: '/user' },
+                    { path: '/payment' },
+                    { path: '/me' },
+                    { path: '/trips' },
+                    { path: '/budgets' },
+                    { path: '/watches' },
+                    { path: '/admin', permission: 'admin:access' }
+                ]
+            },
             encryption: {
                 algorithm: 'aes-256-gcm',
                 keyLength: 32,
@@ -196,7 +258,17 @@ class SystemConfig extends EventEmitter {
                     maxConcurrentSearches: 5,
                     searchTimeout: 15000,
                     cacheResults: true,
-                    cacheTTL: 3600
+                    cacheTTL: 3600, // seconds a stale result may still be served while it revalidates
+                    resultRetention: 3600, // seconds results stay retrievable by searchId (results page links)
+                    ranking: {
+                        // Relative weight of each factor in an offer's score
+                        weights: {
+                            price: 0.5,
+                            duration: 0.25,
+                            stops: 0.15,
+                            preferences: 0.1
+                        }
+                    }
                 },
                 booking: {
                     enabled: true,
@@ -216,6 +288,14 @@ class SystemConfig extends EventEmitter {
                     channels: ['email', 'push', 'sms'],
                     retryAttempts: 3,
                     batchSize: 100
+                },
+                priceWatch: {
+                    enabled: true,
+                    checkInterval: 300000, // how often the scheduler looks for due watches
+                    defaultFrequencyMinutes: 360,
+                    maxHistory: 365,
+                    maxWatchesPerUser: 20,
+                    manualCheckMinutes: 5 // least time between a watch's checks on request
                 }
             },
             communication: {
@@ -252,7 +332,12 @@ class SystemConfig extends EventEmitter {
      */
     async loadFeatureConfigurations() {
         // External API configurations
+        // Each block is the configuration of the provider adapter registered under its key
         this.set('apis', {
+            mock: {
+                enabled: envConfig.get('ENABLE_MOCK_PROVIDER', false),
+                fixtures: envConfig.get('MOCK_PROVIDER_FIXTURES', null)
+            },
             amadeus: {
                 enabled: !!envConfig.get('AMADEUS_API_KEY'),
                 apiKey: envConfig.get('AMADEUS_API_KEY'),
@@ -312,6 +397,7 @@ class SystemConfig extends EventEmitter {
         // Caching configuration
         this.set('cache', {
             enabled: envConfig.get('ENABLE_CACHING', true),
+            backend: envConfig.get('CACHE_BACKEND', 'memory'), // 'memory' or 'redis'
             defaultTTL: envConfig.get('CACHE_TTL', 3600),
             maxKeys: 10000,
             checkPeriod: 600,
@@ -322,14 +408,46 @@ class SystemConfig extends EventEmitter {
             }
         });
 
+        // Currencies: offers are ranked and budgets default to the base currency
+        this.set('currency', {
+            base: envConfig.get('BASE_CURRENCY', 'EUR'),
+            ratesFile: envConfig.get('EXCHANGE_RATES_FILE', null), // defaults to the bundled rate table
+            defaultDisplayCurrency: envConfig.get('BASE_CURRENCY', 'EUR')
+        });
+
+        // Feature flags, evaluated per user at /api/flags (see backend/flags/feature-flag-service.js)
+        this.set('features', {
+            flags: {
+                analyticsDashboard: {
+                    description: 'Analytics dashboard in the admin console',
+                    enabled: true,
+                    default: true,
+                    rules: []
+                }
+            }
+        });
+
+        // Server push channel (server-sent events at /api/realtime)
+        this.set('realtime', {
+            enabled: envConfig.get('ENABLE_REALTIME', true),
+            heartbeatInterval: 20000, // must stay below server.timeout
+            statusInterval: 15000,
+            replayBufferSize: 1000,
+            maxTopicsPerConnection: 25
+        });
+
         // GDPR and privacy configuration
         this.set('privacy', {
             gdprCompliance: envConfig.get('GDPR_COMPLIANCE', true),
             dataRetentionDays: envConfig.get('DATA_RETENTION_DAYS', 365),
             cookieConsentRequired: envConfig.get('COOKIE_CONSENT_REQUIRED', true),
             anonymizationEnabled: true,
-            rightToErasure: true,
-            dataPortability: true,
+            rightToErasure: true, // DELETE /api/me
+            dataPortability: true, // GET /api/me/export
+            retentionJob: {
+                enabled: true,
+                interval: 86400000 // purge data older than dataRetentionDays once a day
+            },
             consentManagement: {
                 version: '1.0',
                 categories: ['necessary', 'analytics', 'marketing', 'preferences']
@@ -338,52 +456,118 @@ class SystemConfig extends EventEmitter {
     }
 
     /**
-     * Setup configuration validation
+     * Apply the tree settings of the config files (dotted paths such as
+     * server.port) and remember which file each came from
      */
-    setupValidation() {
-        // Validate server configuration
-        this.addValidator('server.port', (value) => {
-            return Number.isInteger(value) && value > 0 && value < 65536;
-        });
+    applyFileOverrides() {
+        for (const { key, value, source } of envConfig.getFileOverrides()) {
+            if (ENVIRONMENT_KEY.test(key)) {
+                continue;
+            }
+            this.config.set(...this.withValue(key, value));
+            const match = ruleFor(key);
+            this.sources.set(match ? match.path : key, source);
+        }
+    }
 
-        this.addValidator('server.timeout', (value) => {
-            return Number.isInteger(value) && value > 0;
-        });
+    /**
+     * Setup configuration validation: the schema in config-schema.js
+     * covers the whole tree; validators added with addValidator are
+     * checked as well
+     */
+    setupValidation() {
+        this.schema = CONFIG_SCHEMA;
+    }
 
-        // Validate database configuration
-        this.addValidator('database.host', (value) => {
-            return typeof value === 'string' && value.length > 0;
+    /**
+     * Setup configuration watchers: with CONFIG_HOT_RELOAD, changes to
+     * config/*.json are reloaded (see `reload`)
+     */
+    setupWatchers() {
+        const configDir = path.join(process.cwd(), 'config');
+        if (!envConfig.get('CONFIG_HOT_RELOAD') || this.fileWatcher || !fs.existsSync(configDir)) {
+            return;
+        }
+        
+        this.fileWatcher = fs.watch(configDir, (eventType, filename) => {
+            if (filename && filename.endsWith('.json')) {
+                this.scheduleReload();
+            }
         });
+    }
 
-        this.addValidator('database.port', (value) => {
-            return Number.isInteger(value) && value > 0 && value < 65536;
-        });
+    scheduleReload() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+            this.reloadTimer = null;
+            this.reload().catch(() => {});
+        }, RELOAD_DEBOUNCE_MS);
+        this.reloadTimer.unref?.();
+    }
 
-        // Validate security configuration
-        this.addValidator('security.jwt.secret', (value) => {
-            return typeof value === 'string' && value.length >= 32;
-        });
+    /**
+     * Rebuild the configuration from the environment and the config files
+     * and validate it as a whole. A valid configuration replaces the
+     * current one at once and then watchers of the changed keys are
+     * notified; an invalid one is discarded and the current one stays.
+     * Settings changed with `set` since startup are replaced as well.
+     * Reloads run one at a time. Resolves with the changed keys; rejects
+     * with the reason the new configuration was rejected.
+     */
+    reload() {
+        const run = this.reloading.then(() => this.reloadNow());
+        this.reloading = run.catch(() => {});
+        return run;
+    }
 
-        // Validate holonic configuration
-        this.addValidator('holonic.orchestrator.maxConcurrentTasks', (value) => {
-            return Number.isInteger(value) && value > 0 && value <= 100;
-        });
+    async reloadNow() {
+        const environment = envConfig.snapshot();
+        let candidate;
+        
+        try {
+            await envConfig.reloadConfigurationFiles();
+            candidate = new SystemConfig();
+            await candidate.loadConfiguration();
+            candidate.schema = this.schema;
+            candidate.validators = this.validators;
+            
+            const errors = candidate.getViolations().filter(violation => violation.severity === 'error');
+            if (errors.length > 0) {
+                throw new ConfigValidationError(errors);
+            }
+        } catch (error) {
+            envConfig.restore(environment);
+            console.error(`❌ Configuration reload rejected, keeping the current configuration: ${error.message}`);
+            this.emit('reloadFailed', { error });
+            throw error;
+        }
+        
+        const previous = this.toObject();
+        const changedKeys = [...new Set([...this.config.keys(), ...candidate.config.keys()])]
+            .filter(key => !isDeepStrictEqual(this.config.get(key), candidate.config.get(key)));
+        
+        for (const key of changedKeys) {
+            this.addToHistory(key, this.config.get(key), candidate.config.get(key));
+        }
+        this.config = candidate.config;
+        this.sources = candidate.sources;
+        envConfig.setEncryptionOptions(this.get('security.encryption'));
+        
+        this.notifyWatchers(previous, changedKeys);
+        this.emit('reloaded', { changedKeys });
+        console.log(`✅ Configuration reloaded${changedKeys.length > 0 ? `: ${changedKeys.join(', ')} changed` : ', nothing changed'}`);
+        return changedKeys;
     }
 
     /**
-     * Setup configuration watchers
+     * Stop watching the config files
      */
-    setupWatchers() {
-        if (envConfig.get('NODE_ENV') === 'development') {
-            // Watch for configuration file changes
-            const configDir = path.join(process.cwd(), 'config');
-            if (fs.existsSync(configDir)) {
-                fs.watch(configDir, { recursive: true }, (eventType, filename) => {
-                    if (filename && filename.endsWith('.json')) {
-                        this.emit('configChanged', { eventType, filename });
-                    }
-                });
-            }
+    close() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = null;
+        if (this.fileWatcher) {
+            this.fileWatcher.close();
+            this.fileWatcher = null;
         }
     }
 
@@ -399,30 +583,62 @@ class SystemConfig extends EventEmitter {
         }
         
         // Validate value
-        if (validate && this.validators.has(key)) {
-            const validator = this.validators.get(key);
-            if (!validator(value)) {
-                throw new Error(`Invalid configuration value for key: ${key}`);
+        if (validate) {
+            const errors = this.getViolations({ key, value }).filter(violation => violation.severity === 'error');
+            if (errors.length > 0) {
+                throw new ConfigValidationError(errors);
             }
         }
         
         // Store previous value for history
-        const previousValue = this.config.get(key);
+        const previousTree = this.toObject();
+        const previousValue = this.get(key);
         
         // Set new value
-        this.config.set(key, value);
+        this.config.set(...this.withValue(key, value));
         
         // Add to history
         this.addToHistory(key, previousValue, value);
         
         // Emit change event
         if (notify && this.isInitialized) {
+            this.notifyWatchers(previousTree, [key]);
             this.emit('configChanged', { key, previousValue, newValue: value });
         }
         
         return this;
     }
 
+    /**
+     * The [topLevelKey, value] entry that sets `key` (which may be a dotted
+     * path) to `value`, copying the objects along the path
+     */
+    withValue(key, value) {
+        const [top, ...rest] = key.split('.');
+        if (rest.length === 0) {
+            return [top, value];
+        }
+        
+        const assign = (node, [next, ...remaining]) => {
+            const copy = node && typeof node === 'object' && !Array.isArray(node) ? { ...node } : {};
+            copy[next] = remaining.length === 0 ? value : assign(copy[next], remaining);
+            return copy;
+        };
+        return [top, assign(this.config.get(top), rest)];
+    }
+
+    /**
+     * Where the value at `path` came from: the config file that set it,
+     * `env` when it comes from an environment variable, or `default`
+     */
+    getSource(path) {
+        if (this.sources.has(path)) {
+            return this.sources.get(path);
+        }
+        const rule = CONFIG_SCHEMA[path];
+        return rule && rule.env ? envConfig.getSource(rule.env) : 'default';
+    }
+
     /**
      * Get configuration value with dot notation support
      */
@@ -480,7 +696,8 @@ class SystemConfig extends EventEmitter {
     }
 
     /**
-     * Add configuration watcher
+     * Add configuration watcher, called with (newValue, previousValue, key)
+     * when the value at `key` changes through `set` or `reload`
      */
     addWatcher(key, callback) {
         if (!this.watchers.has(key)) {
@@ -501,6 +718,34 @@ class SystemConfig extends EventEmitter {
         };
     }
 
+    /**
+     * Call the watchers whose value differs from the one in `previousTree`:
+     * those of a changed key, of a key inside it or of a key containing it.
+     * Watchers get (newValue, previousValue, key); one that throws does not
+     * keep the others from running.
+     */
+    notifyWatchers(previousTree, changedKeys) {
+        const related = (a, b) => a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+        
+        for (const [key, callbacks] of this.watchers.entries()) {
+            if (!changedKeys.some(changedKey => related(key, changedKey))) {
+                continue;
+            }
+            const previousValue = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), previousTree);
+            const newValue = this.get(key);
+            if (isDeepStrictEqual(previousValue, newValue)) {
+                continue;
+            }
+            for (const callback of [...callbacks]) {
+                try {
+                    callback(newValue, previousValue, key);
+                } catch (error) {
+                    console.error(`❌ Configuration watcher for ${key} failed:`, error);
+                }
+            }
+        }
+    }
+
     /**
      * Add to configuration history
      */
@@ -530,43 +775,79 @@ class SystemConfig extends EventEmitter {
     }
 
     /**
-     * Export configuration as object
+     * Export configuration as object, with secrets replaced by [REDACTED]
+     * when `redactSecrets` is set
      */
-    toObject() {
+    toObject({ redactSecrets: redact = false } = {}) {
         const result = {};
         
         for (const [key, value] of this.config.entries()) {
             result[key] = value;
         }
         
-        return result;
+        return redact ? redactSecrets(result) : result;
     }
 
     /**
-     * Validate all configuration
+     * Every schema and validator violation of the configuration, or of
+     * `change.key` once set to `change.value`
      */
-    validate() {
-        const errors = [];
+    getViolations(change = null) {
+        let tree = this.toObject();
+        if (change) {
+            const [top, value] = this.withValue(change.key, change.value);
+            tree = { ...tree, [top]: value };
+        }
+        
+        const violations = !this.schema ? [] : validateConfig(tree, {
+            schema: this.schema,
+            environment: envConfig.get('NODE_ENV'),
+            sourceOf: path => this.getSource(path),
+            prefix: change ? change.key : null
+        });
         
         for (const [key, validator] of this.validators.entries()) {
-            const value = this.get(key);
+            if (change && key !== change.key) {
+                continue;
+            }
+            const value = change ? change.value : this.get(key);
             if (value !== undefined && !validator(value)) {
-                errors.push(`Invalid value for configuration key: ${key}`);
+                const match = ruleFor(key);
+                violations.push(new ConfigViolation({
+                    path: key,
+                    rule: 'custom',
+                    expected: 'a value its validator accepts',
+                    actual: match && match.rule.secret ? '[REDACTED]' : value,
+                    source: this.getSource(key)
+                }));
             }
         }
         
+        return violations;
+    }
+
+    /**
+     * Validate all configuration; throws a ConfigValidationError listing
+     * the errors and returns the warnings
+     */
+    validate() {
+        const violations = this.getViolations();
+        const errors = violations.filter(violation => violation.severity === 'error');
+        
         if (errors.length > 0) {
-            throw new Error(`Configuration validation failed:\n${errors.join('\n')}`);
+            throw new ConfigValidationError(errors);
         }
         
-        return true;
+        return violations.filter(violation => violation.severity !== 'error');
     }
 
     /**
      * Reset configuration to defaults
      */
     async reset() {
+        this.close();
         this.config.clear();
+        this.sources.clear();
         this.configHistory = [];
         await this.initialize();
         this.emit('reset');
@@ -598,7 +879,7 @@ module.exports = {
     get: (key, defaultValue) => systemConfig.get(key, defaultValue),
     set: (key, value, options) => systemConfig.set(key, value, options),
     has: (key) => systemConfig.has(key),
-    initialize: () => systemConfig.initialize(),
+    initialize: (options) => systemConfig.initialize(options),
     validate: () => systemConfig.validate(),
-    toObject: () => systemConfig.toObject()
+    toObject: (options) => systemConfig.toObject(options)
 };
\ No newline at end of file
@@ -1,7 +1,8 @@
 // Holonic Travel Planner - Main React Application
 // Advanced holonic architecture with intelligent orchestration
 
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { v4 as uuidv4 } from 'uuid';
 import './polyfills'; // Import polyfills for Webpack 5 compatibility
 
 // Component imports
@@ -13,6 +14,28 @@ import SystemStatus from './components/SystemStatus';
 import ErrorBoundary from './components/ErrorBoundary';
 import LoadingSpinner from './components/LoadingSpinner';
 import NotificationCenter from './components/NotificationCenter';
+import LegsEditor from './components/LegsEditor';
+import LegSelector from './components/LegSelector';
+import TripList from './components/TripList';
+import ViewNavigation from './components/ViewNavigation';
+import ItineraryBuilder from './components/ItineraryBuilder';
+import CalendarActions from './components/CalendarActions';
+import BookingStatus from './components/BookingStatus';
+import PriceWatchManager from './components/PriceWatchManager';
+import TripCollaborationPanel from './components/TripCollaborationPanel';
+import OptionVoting from './components/OptionVoting';
+import ExpenseLedger from './components/ExpenseLedger';
+import BudgetOverview from './components/BudgetOverview';
+import CurrencyPreference from './components/CurrencyPreference';
+import LanguageSelector from './components/LanguageSelector';
+import SyncConflicts from './components/SyncConflicts';
+import BookingConfirmations from './components/BookingConfirmations';
+import LoginForm from './components/LoginForm';
+import AdminConsole from './components/AdminConsole';
+import PrivacySettings from './components/PrivacySettings';
+import AnalyticsDashboard from './components/AnalyticsDashboard';
+import ConsentBanner from './components/ConsentBanner';
+import ConsentPreferences from './components/ConsentPreferences';
 
 // Utility imports
 import { HolonicAPIClient } from './utils/holonic-api-client';
@@ -20,7 +43,30 @@ import { StateManager } from './utils/state-manager';
 import { EventBus } from './utils/event-bus';
 import { StorageManager } from './utils/storage-manager';
 import { ThemeManager } from './utils/theme-manager';
-import { AnalyticsManager } from './utils/analytics-manager';
+import { AnalyticsCollector } from './utils/analytics-collector';
+import { TripClient } from './utils/trip-client';
+import { BookingClient } from './utils/booking-client';
+import { PriceWatchClient } from './utils/price-watch-client';
+import { BudgetClient } from './utils/budget-client';
+import { RealtimeClient } from './utils/realtime-client';
+import { CurrencyClient } from './utils/currency-client';
+import { AuthClient } from './utils/auth-client';
+import { SearchClient } from './utils/search-client';
+import { AdminClient } from './utils/admin-client';
+import { PrivacyClient } from './utils/privacy-client';
+import { ConsentManager } from './utils/consent-manager';
+import { ConsentedAnalytics } from './utils/consented-analytics';
+import { FeatureFlags } from './utils/feature-flags';
+import { FeatureFlagsContext, bindFeatureFlags } from './utils/feature-flags-context';
+import { NetworkError } from './utils/http';
+import { Router, ROUTES, buildPath, criteriaToQuery, criteriaFromQuery } from './utils/router';
+import { I18nManager, SUPPORTED_LOCALES } from './utils/i18n-manager';
+import { I18nContext, bindI18n } from './utils/i18n-context';
+import { OfflineStore } from './utils/offline-store';
+import { MutationQueue } from './utils/mutation-queue';
+import { legsFromCriteria, normalizeSearchCriteria, groupResultsByLeg } from '../shared/itinerary-legs';
+import { itemsFromSelections, mergeSchedule, moveItem } from '../shared/itinerary-schedule';
+import { hasPermission } from '../shared/permissions';
 
 // Styles
 import './styles/App.css';
@@ -32,7 +78,65 @@ const stateManager = new StateManager();
 const eventBus = new EventBus();
 const storageManager = new StorageManager();
 const themeManager = new ThemeManager();
-const analyticsManager = new AnalyticsManager();
+// Analytics only run while the visitor consents to them
+const consentManager = new ConsentManager(eventBus, storageManager);
+const analyticsCollector = new AnalyticsCollector();
+const analyticsManager = new ConsentedAnalytics(analyticsCollector, consentManager, eventBus);
+const featureFlags = new FeatureFlags(analyticsManager);
+const offlineStore = new OfflineStore();
+const mutationQueue = new MutationQueue(offlineStore, eventBus);
+const tripClient = new TripClient('/api/trips', { mutationQueue });
+const bookingClient = new BookingClient();
+const priceWatchClient = new PriceWatchClient();
+const budgetClient = new BudgetClient('/api', { mutationQueue });
+const authClient = new AuthClient(eventBus);
+const realtimeClient = new RealtimeClient(eventBus, { getAccessToken: () => authClient.getAccessToken() });
+const currencyClient = new CurrencyClient();
+const searchClient = new SearchClient();
+const adminClient = new AdminClient();
+const privacyClient = new PrivacyClient();
+const router = new Router(ROUTES, eventBus);
+const i18n = new I18nManager();
+
+// Views reachable from the top-level navigation, labelled by message key; some only for roles with a
+// permission, and some only while their feature flag is on
+const NAVIGATION_VIEWS = [
+    { id: 'search', labelKey: 'nav.search' },
+    { id: 'trips', labelKey: 'nav.trips' },
+    { id: 'itinerary', labelKey: 'nav.itinerary' },
+    { id: 'profile', labelKey: 'nav.profile' },
+    { id: 'admin', labelKey: 'nav.admin', permission: 'admin:access' },
+    { id: 'analytics', labelKey: 'nav.analytics', permission: 'analytics:read', flag: 'analyticsDashboard' }
+];
+
+// Where a view lives when it is opened without anything to show in it
+const VIEW_PATHS = {
+    search: '/search',
+    trips: '/trips',
+    itinerary: '/itinerary',
+    profile: '/profile',
+    admin: '/admin',
+    analytics: '/admin/analytics'
+};
+
+// Messages for deep links whose data could not be loaded
+const ROUTE_ERRORS = {
+    results: 'search.resultsExpired',
+    itinerary: 'trips.openFailed',
+    booking: 'booking.loadFailed'
+};
+
+const resultsPath = (searchId, criteria) => buildPath(`/results/${encodeURIComponent(searchId)}`, criteriaToQuery(criteria));
+
+// Analytics see the shape of a search, never its places or dates
+const searchSummary = (criteria = {}) => ({
+    legCount: criteria.legs?.length || 1,
+    travelers: criteria.travelers,
+    tripType: criteria.tripType
+});
+
+// Settings remembered on the device; they need consent to `preferences` storage
+const PREFERENCE_KEYS = ['theme', 'locale', 'displayCurrency'];
 
 function App() {
     // Core application state
@@ -45,6 +149,10 @@ function App() {
     const [user, setUser] = useState(null);
     const [isAuthenticated, setIsAuthenticated] = useState(false);
     const [sessionData, setSessionData] = useState({});
+    const [authError, setAuthError] = useState(null);
+    const [impersonator, setImpersonator] = useState(null);
+    const [privacyError, setPrivacyError] = useState(null);
+    const [consent, setConsent] = useState({ policy: null, categories: null, needsDecision: false });
     
     // Travel planning state
     const [searchCriteria, setSearchCriteria] = useState({
@@ -52,15 +160,45 @@ function App() {
         destination: '',
         departureDate: '',
         returnDate: '',
+        legs: [], // empty until edited: legs are derived from the single-pair fields
         travelers: 1,
         preferences: {}
     });
     const [searchResults, setSearchResults] = useState(null);
+    const [activeLeg, setActiveLeg] = useState(0);
     const [selectedOptions, setSelectedOptions] = useState({});
     const [bookingData, setBookingData] = useState(null);
+    const [itineraryItems, setItineraryItems] = useState([]);
+    const bookingAttemptRef = useRef(null);
+    
+    // What the current URL has already loaded, so moving through the history does not reload it
+    const routeDataRef = useRef({ searchId: null, tripId: null, bookingId: null });
+    
+    // Trip workspace state
+    const [trips, setTrips] = useState([]);
+    const [activeTripId, setActiveTripId] = useState(null);
+    const [priceWatches, setPriceWatches] = useState([]);
+    const [tripLedger, setTripLedger] = useState(null);
+    const [budgets, setBudgets] = useState([]);
+    const [bookingConfirmations, setBookingConfirmations] = useState([]);
+    
+    // Admin console state, for staff
+    const [adminData, setAdminData] = useState({ users: [], bookings: [], watches: [], health: null, auditLog: [] });
+    const [adminBookingStatus, setAdminBookingStatus] = useState(null);
+    const [analyticsReport, setAnalyticsReport] = useState(null);
+    const [analyticsDays, setAnalyticsDays] = useState(7);
+    
+    // Offline state: changes made without a connection wait in the mutation queue
+    const [syncStatus, setSyncStatus] = useState({ state: 'online', pending: 0, conflicts: [] });
+    
+    // Prices are shown in the display currency next to the original price
+    const [exchangeRates, setExchangeRates] = useState(null);
+    const [displayCurrency, setDisplayCurrency] = useState(null);
     
     // UI state
     const [theme, setTheme] = useState('light');
+    const [locale, setLocale] = useState(i18n.locale);
+    const [flagsValue, setFlagsValue] = useState(() => bindFeatureFlags(featureFlags));
     const [notifications, setNotifications] = useState([]);
     const [sidebarOpen, setSidebarOpen] = useState(false);
     
@@ -71,12 +209,44 @@ function App() {
         // Cleanup on unmount
         return () => {
             eventBus.removeAllListeners();
+            realtimeClient.close();
+            mutationQueue.close();
             analyticsManager.flush();
+            analyticsCollector.close();
+        };
+    }, []);
+    
+    // Connectivity and offline sync progress
+    useEffect(() => {
+        const handleSyncCompleted = ({ applied }) => {
+            handleNotification({
+                type: 'success',
+                message: i18n.t('sync.synced', { count: applied }),
+                duration: 5000
+            });
+        };
+        
+        eventBus.on('sync:status', setSyncStatus);
+        eventBus.on('sync:completed', handleSyncCompleted);
+        
+        return () => {
+            eventBus.off('sync:status', setSyncStatus);
+            eventBus.off('sync:completed', handleSyncCompleted);
         };
     }, []);
     
-    // System status monitoring
+    // Confirmations are kept on the device so they can be shown offline
+    useEffect(() => {
+        if (bookingData?.status === 'confirmed') {
+            offlineStore.put('bookings', bookingData)
+                .catch(error => console.error('Saving booking offline failed:', error));
+        }
+    }, [bookingData]);
+    
+    // System status monitoring: pushed over the realtime channel, polled only while it is down
     useEffect(() => {
+        let statusInterval = null;
+        
         const checkSystemStatus = async () => {
             try {
                 const status = await apiClient.getSystemHealth();
@@ -87,12 +257,190 @@ function App() {
             }
         };
         
-        checkSystemStatus();
-        const statusInterval = setInterval(checkSystemStatus, 30000); // Check every 30 seconds
+        const handleSystemStatus = (status) => setSystemStatus(status.status);
+        
+        const handleRealtimeStatus = (state) => {
+            if (state === 'connected') {
+                clearInterval(statusInterval);
+                statusInterval = null;
+            } else if (!statusInterval) {
+                checkSystemStatus();
+                statusInterval = setInterval(checkSystemStatus, 30000); // Check every 30 seconds
+            }
+        };
+        
+        eventBus.on('system:status', handleSystemStatus);
+        eventBus.on('realtime:status', handleRealtimeStatus);
+        
+        if (realtimeClient.isSupported) {
+            realtimeClient.connect();
+        } else {
+            handleRealtimeStatus('unavailable');
+        }
         
-        return () => clearInterval(statusInterval);
+        return () => {
+            eventBus.off('system:status', handleSystemStatus);
+            eventBus.off('realtime:status', handleRealtimeStatus);
+            clearInterval(statusInterval);
+            realtimeClient.close();
+        };
     }, []);
     
+    // A trip that is closed, deleted or revoked is loaded again when its URL is visited
+    useEffect(() => {
+        routeDataRef.current.tripId = activeTripId;
+    }, [activeTripId]);
+    
+    // Rebuild the itinerary from selections, keeping items the user already placed
+    useEffect(() => {
+        setItineraryItems(prev => mergeSchedule(prev, itemsFromSelections(selectedOptions)));
+    }, [selectedOptions]);
+    
+    // Refresh saved trips whenever the trips view is opened; they need a signed-in user
+    useEffect(() => {
+        if (currentView === 'trips' && user) {
+            loadTrips();
+        }
+        if (currentView === 'profile') {
+            if (user) {
+                loadPriceWatches();
+                loadBudgets();
+            }
+            loadBookingConfirmations();
+        }
+    }, [currentView, user?.id]);
+    
+    // The console is reloaded when opened, when the booking filter changes and after sign-in
+    useEffect(() => {
+        if (currentView === 'admin' && hasPermission(user?.role, 'admin:access')) {
+            loadAdminData(adminBookingStatus);
+        }
+    }, [currentView, adminBookingStatus, user?.role]);
+    
+    useEffect(() => {
+        if (currentView === 'analytics' && hasPermission(user?.role, 'analytics:read') && flagsValue.isEnabled('analyticsDashboard')) {
+            loadAnalyticsReport(analyticsDays);
+        }
+    }, [currentView, analyticsDays, user?.role, flagsValue]);
+    
+    // Flags that gate a view the user can open count as evaluated; recorded here rather than while rendering
+    useEffect(() => {
+        for (const view of NAVIGATION_VIEWS) {
+            if (view.flag && (!view.permission || hasPermission(user?.role, view.permission))) {
+                flagsValue.recordEvaluation(view.flag);
+            }
+        }
+    }, [flagsValue, user?.role]);
+    
+    // Flags are evaluated again for a new user, role or locale once the first evaluation is done
+    useEffect(() => {
+        if (featureFlags.isLoaded) {
+            loadFeatureFlags();
+        }
+    }, [user?.id, user?.role, locale]);
+    
+    // The ledger of the open trip is shown alongside its itinerary
+    useEffect(() => {
+        if (currentView === 'itinerary' && activeTripId) {
+            loadTripLedger(activeTripId);
+        } else if (!activeTripId) {
+            setTripLedger(null);
+        }
+    }, [currentView, activeTripId]);
+    
+    // Follow live changes to the open trip; other members' edits replace local state
+    useEffect(() => {
+        if (!activeTripId) {
+            return undefined;
+        }
+        
+        const topic = `trip:${activeTripId}`;
+        realtimeClient.subscribe(topic);
+        
+        const handleTripChanged = ({ tripId, by, trip }) => {
+            if (tripId !== activeTripId) {
+                return;
+            }
+            replaceTrip(trip);
+            if (by !== user?.id) {
+                setSelectedOptions(trip.selectedOptions || {});
+                setItineraryItems(trip.itinerary || []);
+            }
+        };
+        
+        // The trip was deleted or this user was removed from it
+        const handleRevoked = ({ topic: revokedTopic }) => {
+            if (revokedTopic !== topic) {
+                return;
+            }
+            setTrips(prev => prev.filter(t => t.id !== activeTripId));
+            setActiveTripId(null);
+            handleNotification({
+                type: 'warning',
+                message: i18n.t('trips.accessRevoked'),
+                duration: 5000
+            });
+        };
+        
+        const handleBudgetChanged = ({ tripId }) => {
+            if (tripId === activeTripId) {
+                loadTripLedger(tripId);
+            }
+        };
+        
+        const handleResync = () => {
+            refreshTrip(activeTripId).catch(error => console.error('Reloading trip failed:', error));
+            loadTripLedger(activeTripId);
+        };
+        
+        eventBus.on('trip:changed', handleTripChanged);
+        eventBus.on('budget:changed', handleBudgetChanged);
+        eventBus.on('realtime:revoked', handleRevoked);
+        eventBus.on('realtime:resync', handleResync);
+        eventBus.on('sync:completed', handleResync);
+        
+        return () => {
+            eventBus.off('trip:changed', handleTripChanged);
+            eventBus.off('budget:changed', handleBudgetChanged);
+            eventBus.off('realtime:revoked', handleRevoked);
+            eventBus.off('realtime:resync', handleResync);
+            eventBus.off('sync:completed', handleResync);
+            realtimeClient.unsubscribe(topic);
+        };
+    }, [activeTripId, user]);
+    
+    // Follow status changes of the booking being viewed, e.g. hold expiry or provider confirmation
+    useEffect(() => {
+        const bookingId = bookingData?.id;
+        if (!bookingId) {
+            return undefined;
+        }
+        
+        const topic = `booking:${bookingId}`;
+        realtimeClient.subscribe(topic);
+        
+        const handleBookingChanged = (change) => {
+            if (change.bookingId === bookingId) {
+                setBookingData(change.booking);
+            }
+        };
+        
+        const handleResync = () => {
+            bookingClient.getBooking(bookingId)
+                .then(setBookingData)
+                .catch(error => console.error('Reloading booking failed:', error));
+        };
+        
+        eventBus.on('booking:changed', handleBookingChanged);
+        eventBus.on('realtime:resync', handleResync);
+        
+        return () => {
+            eventBus.off('booking:changed', handleBookingChanged);
+            eventBus.off('realtime:resync', handleResync);
+            realtimeClient.unsubscribe(topic);
+        };
+    }, [bookingData?.id]);
+    
     // Event bus listeners
     useEffect(() => {
         // Navigation events
@@ -103,23 +451,37 @@ function App() {
         // User events
         eventBus.on('user:login', handleUserLogin);
         eventBus.on('user:logout', handleUserLogout);
+        eventBus.on('auth:expired', handleSessionExpired);
+        eventBus.on('auth:impersonation', handleImpersonation);
         
         // System events
         eventBus.on('error', handleError);
         eventBus.on('notification', handleNotification);
         
-        // Theme events
+        // Theme and locale events
         eventBus.on('theme:change', handleThemeChange);
+        eventBus.on('locale:change', handleLocaleChange);
+        eventBus.on('consent:change', handleConsentChange);
+        
+        // URL changes, including the browser's back and forward buttons
+        eventBus.on('route:change', applyRoute);
+        router.start();
         
         return () => {
+            eventBus.off('route:change', applyRoute);
+            router.stop();
             eventBus.off('navigate', handleNavigation);
             eventBus.off('search', handleSearch);
             eventBus.off('book', handleBooking);
             eventBus.off('user:login', handleUserLogin);
             eventBus.off('user:logout', handleUserLogout);
+            eventBus.off('auth:expired', handleSessionExpired);
+            eventBus.off('auth:impersonation', handleImpersonation);
             eventBus.off('error', handleError);
             eventBus.off('notification', handleNotification);
             eventBus.off('theme:change', handleThemeChange);
+            eventBus.off('locale:change', handleLocaleChange);
+            eventBus.off('consent:change', handleConsentChange);
         };
     }, []);
     
@@ -130,69 +492,235 @@ function App() {
             
             // Initialize storage and retrieve saved data
             await storageManager.initialize();
+            
+            // Consent comes first: it decides what may be stored and tracked below
+            try {
+                await consentManager.initialize();
+            } catch (error) {
+                console.error('Loading consent failed:', error);
+            }
+            
             const savedUser = await storageManager.getItem('user');
-            const savedTheme = await storageManager.getItem('theme') || 'light';
             const savedSession = await storageManager.getItem('session') || {};
             
-            // Initialize theme
-            themeManager.setTheme(savedTheme);
-            setTheme(savedTheme);
-            
-            // Initialize user session
-            if (savedUser) {
-                setUser(savedUser);
+            // Initialize user session: the refresh cookie restores it; offline the last signed-in user is shown
+            let sessionUser = null;
+            try {
+                sessionUser = await authClient.restore();
+            } catch (error) {
+                console.error('Restoring session failed:', error);
+                sessionUser = error instanceof NetworkError ? savedUser : null;
+            }
+            if (sessionUser) {
+                setUser(sessionUser);
                 setIsAuthenticated(true);
                 setSessionData(savedSession);
+                await storageManager.setItem('user', sessionUser);
+                realtimeClient.reconnect();
+            } else {
+                await storageManager.removeItem('user');
             }
             
-            // Initialize analytics
+            // Queued offline changes are replayed with the restored session
+            await mutationQueue.initialize();
+            
+            // The service worker keeps the app shell so the planner opens offline
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.register('/sw.js').catch(error => {
+                    console.error('Service worker registration failed:', error);
+                });
+            }
+            
+            const savedTheme = await storageManager.getItem('theme') || 'light';
+            const savedCurrency = await storageManager.getItem('displayCurrency');
+            const savedLocale = await storageManager.getItem('locale');
+            
+            // Initialize locale: the saved choice, else the browser's languages
+            try {
+                setLocale(await i18n.setLocale(savedLocale || navigator.languages || navigator.language));
+            } catch (error) {
+                console.error('Loading locale failed:', error);
+            }
+            
+            // Without rates prices are simply shown as quoted
+            try {
+                const { table, defaultDisplayCurrency } = await currencyClient.loadRateTable();
+                setExchangeRates(table);
+                setDisplayCurrency(savedCurrency || defaultDisplayCurrency);
+            } catch (error) {
+                console.error('Loading exchange rates failed:', error);
+                setDisplayCurrency(savedCurrency || null);
+            }
+            
+            // Initialize theme
+            themeManager.setTheme(savedTheme);
+            setTheme(savedTheme);
+            
+            // Initialize analytics; nothing is collected until analytics consent is given
             await analyticsManager.initialize({
-                userId: savedUser?.id,
+                userId: sessionUser?.id,
                 sessionId: savedSession.id
             });
             
             // Track application start
             analyticsManager.track('app:initialized', {
                 theme: savedTheme,
-                hasUser: !!savedUser
+                locale: i18n.locale,
+                hasUser: !!sessionUser
             });
             
+            // Flags decide which views exist, so they are known before the URL is routed
+            await loadFeatureFlags();
+            
+            // Invite links carry a token that adds the user to a shared trip
+            const joinToken = new URLSearchParams(window.location.search).get('joinTrip');
+            if (joinToken) {
+                window.history.replaceState(null, '', window.location.pathname);
+                await handleJoinTrip(joinToken);
+            }
+            
             setSystemStatus('ready');
+            
+            // Restore the view and data the URL points at
+            router.emit();
         } catch (error) {
             console.error('Application initialization failed:', error);
-            setError('Failed to initialize application');
+            setError(i18n.t('app.initFailed'));
             setSystemStatus('error');
         } finally {
             setIsLoading(false);
         }
     };
     
-    // Event handlers
-    const handleNavigation = useCallback((view) => {
+    // Routing: views follow the URL, so every view change goes through the router
+    const applyRoute = async ({ view, params, query, path, route }) => {
         setCurrentView(view);
-        analyticsManager.track('navigation', { view });
+        // The route pattern, not the path: paths carry ids and search criteria
+        analyticsManager.track('navigation', { view, route });
+        
+        if (view === 'search') {
+            const criteria = criteriaFromQuery(query);
+            if (criteria) {
+                setSearchCriteria(prev => ({ ...prev, ...normalizeSearchCriteria(criteria) }));
+            }
+            return;
+        }
+        
+        try {
+            if (view === 'results') {
+                await restoreSearch(params.searchId, query);
+            } else if (view === 'itinerary' && params.tripId) {
+                await restoreTrip(params.tripId);
+            } else if (view === 'booking') {
+                await restoreBooking(params.bookingId);
+            }
+        } catch (error) {
+            console.error(`Opening ${path} failed:`, error);
+            setError(i18n.t(ROUTE_ERRORS[view]));
+        }
+    };
+    
+    const showSearchResults = (results, criteria = normalizeSearchCriteria(results.criteria)) => {
+        const legResults = groupResultsByLeg(results, criteria.legs);
+        routeDataRef.current.searchId = results.searchId;
+        setSearchCriteria(prev => ({ ...prev, ...criteria }));
+        setSearchResults(legResults);
+        setActiveLeg(0);
+        setSelectedOptions({});
+        return legResults;
+    };
+    
+    // Results are kept on the server for a while; after that the criteria in the URL are searched again
+    const restoreSearch = async (searchId, query) => {
+        if (routeDataRef.current.searchId === searchId) {
+            return;
+        }
+        
+        try {
+            setIsLoading(true);
+            showSearchResults(await searchClient.getSearch(searchId));
+        } catch (error) {
+            const criteria = criteriaFromQuery(query);
+            if (error.status !== 404 || !criteria) {
+                throw error;
+            }
+            const normalizedCriteria = normalizeSearchCriteria(criteria);
+            const results = await searchClient.search(normalizedCriteria);
+            showSearchResults(results, normalizedCriteria);
+            router.navigate(resultsPath(results.searchId, normalizedCriteria), { replace: true, silent: true });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+    
+    const restoreTrip = async (tripId) => {
+        if (routeDataRef.current.tripId === tripId) {
+            return;
+        }
+        
+        try {
+            setIsLoading(true);
+            const trip = await offlineStore.readThrough('trips', () => tripClient.getTrip(tripId), { key: tripId });
+            setTrips(prev => (prev.some(t => t.id === trip.id) ? prev.map(t => (t.id === trip.id ? trip : t)) : [trip, ...prev]));
+            showTrip(trip);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+    
+    // Confirmations saved on the device open offline too
+    const restoreBooking = async (bookingId) => {
+        if (routeDataRef.current.bookingId === bookingId) {
+            return;
+        }
+        
+        try {
+            setIsLoading(true);
+            const booking = await bookingClient.getBooking(bookingId).catch(async (error) => {
+                const saved = error instanceof NetworkError ? await offlineStore.get('bookings', bookingId) : undefined;
+                if (!saved) {
+                    throw error;
+                }
+                return saved;
+            });
+            routeDataRef.current.bookingId = booking.id;
+            setBookingData(booking);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+    
+    // Event handlers
+    const handleNavigation = useCallback((view, path = null) => {
+        router.navigate(path || VIEW_PATHS[view] || VIEW_PATHS.search);
     }, []);
     
     const handleSearch = useCallback(async (criteria) => {
         try {
             setIsLoading(true);
             setError(null);
-            setSearchCriteria(criteria);
             
-            analyticsManager.track('search:initiated', criteria);
+            const normalizedCriteria = normalizeSearchCriteria(criteria);
+            setSearchCriteria(normalizedCriteria);
+            
+            analyticsManager.track('search:initiated', searchSummary(normalizedCriteria));
             
-            const results = await apiClient.searchTravel(criteria);
-            setSearchResults(results);
-            setCurrentView('results');
+            const results = await searchClient.search(normalizedCriteria);
+            const legResults = showSearchResults(results, normalizedCriteria);
+            
+            // The search page keeps the criteria, so going back returns to a filled-in form
+            router.navigate(buildPath(VIEW_PATHS.search, criteriaToQuery(normalizedCriteria)), { replace: true, silent: true });
+            router.navigate(resultsPath(results.searchId, normalizedCriteria));
             
             analyticsManager.track('search:completed', {
-                resultsCount: results?.length || 0,
-                criteria
+                resultsCount: legResults.reduce((total, leg) => total + leg.results.length, 0),
+                legCount: legResults.length,
+                tripType: normalizedCriteria.tripType
             });
         } catch (error) {
             console.error('Search failed:', error);
-            setError('Search failed. Please try again.');
-            analyticsManager.track('search:failed', { error: error.message, criteria });
+            setError(i18n.t('search.failed'));
+            analyticsManager.track('search:failed', { error: error.message, ...searchSummary(criteria) });
         } finally {
             setIsLoading(false);
         }
@@ -203,30 +731,530 @@ function App() {
             setIsLoading(true);
             setError(null);
             
-            analyticsManager.track('booking:initiated', bookingDetails);
+            const details = {
+                ...bookingDetails,
+                offers: bookingDetails.offers || Object.values(selectedOptions).flat(),
+                tripId: bookingDetails.tripId || activeTripId
+            };
+            
+            // Traveler and contact details stay out of analytics
+            analyticsManager.track('booking:initiated', { offerCount: details.offers.length });
             
-            const booking = await apiClient.createBooking(bookingDetails);
+            // Retries of the same request reuse its idempotency key
+            const signature = JSON.stringify(details);
+            if (bookingAttemptRef.current?.signature !== signature) {
+                bookingAttemptRef.current = { signature, key: uuidv4() };
+            }
+            
+            const booking = await bookingClient.createBooking(details, bookingAttemptRef.current.key);
+            bookingAttemptRef.current = null;
+            routeDataRef.current.bookingId = booking.id;
             setBookingData(booking);
-            setCurrentView('booking');
+            router.navigate(`/bookings/${encodeURIComponent(booking.id)}`);
             
-            analyticsManager.track('booking:completed', {
+            analyticsManager.track('booking:held', {
                 bookingId: booking.id,
-                amount: booking.totalAmount
+                amount: booking.totalAmount,
+                currency: booking.currency,
+                holdExpiresAt: booking.holdExpiresAt
             });
             
-            // Show success notification
             handleNotification({
-                type: 'success',
-                message: 'Booking created successfully!',
+                type: 'info',
+                message: i18n.t('booking.held'),
                 duration: 5000
             });
         } catch (error) {
             console.error('Booking failed:', error);
-            setError('Booking failed. Please try again.');
+            setError(i18n.t('booking.failed'));
             analyticsManager.track('booking:failed', { error: error.message });
         } finally {
             setIsLoading(false);
         }
+    }, [selectedOptions, activeTripId]);
+    
+    const handleBookingPayment = useCallback(async (booking) => {
+        try {
+            setIsLoading(true);
+            setError(null);
+            
+            const pending = await bookingClient.startPayment(booking.id);
+            setBookingData(pending);
+            
+            const confirmed = await bookingClient.confirmBooking(booking.id, pending.payment.reference);
+            setBookingData(confirmed);
+            
+            if (confirmed.status === 'confirmed') {
+                analyticsManager.track('booking:completed', {
+                    bookingId: confirmed.id,
+                    amount: confirmed.totalAmount,
+                    currency: confirmed.currency
+                });
+                handleNotification({
+                    type: 'success',
+                    message: i18n.t('booking.confirmed'),
+                    duration: 5000
+                });
+            } else {
+                setError(i18n.t('booking.notConfirmed'));
+                analyticsManager.track('booking:failed', { bookingId: confirmed.id, status: confirmed.status });
+            }
+        } catch (error) {
+            console.error('Payment failed:', error);
+            setError(i18n.t(error.status === 409 ? 'booking.holdExpired' : 'booking.paymentFailed'));
+            analyticsManager.track('booking:failed', { bookingId: booking.id, error: error.message });
+            setBookingData(await bookingClient.getBooking(booking.id).catch(() => booking));
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+    
+    const handleBookingCancel = useCallback(async (booking) => {
+        try {
+            setBookingData(await bookingClient.cancelBooking(booking.id, 'Cancelled by traveler'));
+            analyticsManager.track('booking:cancelled', { bookingId: booking.id });
+        } catch (error) {
+            console.error('Cancellation failed:', error);
+            setError(i18n.t('booking.cancelFailed'));
+        }
+    }, []);
+    
+    const handleBookingExpired = useCallback(async (bookingId) => {
+        try {
+            setBookingData(await bookingClient.getBooking(bookingId));
+        } catch (error) {
+            console.error('Refreshing booking failed:', error);
+        }
+    }, []);
+    
+    // Trips and ledgers come from the device copy while offline
+    const loadTrips = async () => {
+        try {
+            setTrips(await offlineStore.readThrough('trips', () => tripClient.listTrips()));
+        } catch (error) {
+            console.error('Loading trips failed:', error);
+            setError(i18n.t('trips.loadFailed'));
+        }
+    };
+    
+    const replaceTrip = (trip) => {
+        setTrips(prev => prev.map(t => (t.id === trip.id ? trip : t)));
+        offlineStore.put('trips', trip).catch(error => console.error('Saving trip offline failed:', error));
+    };
+    
+    // A queued update has no server response yet: show the change on top of the trip as last seen
+    const applyTripUpdate = (trip, changes, result) => {
+        replaceTrip(result?.queued ? { ...trip, ...changes } : result);
+    };
+    
+    const notifyQueued = () => {
+        handleNotification({
+            type: 'info',
+            message: i18n.t('sync.queued'),
+            duration: 5000
+        });
+    };
+    
+    const handleCreateTrip = useCallback(async (name) => {
+        try {
+            setError(null);
+            const legs = legsFromCriteria(searchCriteria)
+                .filter(leg => leg.origin && leg.destination && leg.departureDate);
+            
+            const trip = await tripClient.createTrip({ name, legs, selectedOptions, itinerary: itineraryItems });
+            setTrips(prev => [trip, ...prev]);
+            offlineStore.put('trips', trip).catch(error => console.error('Saving trip offline failed:', error));
+            setActiveTripId(trip.id);
+            
+            analyticsManager.track('trip:created', { tripId: trip.id, legCount: legs.length });
+        } catch (error) {
+            console.error('Trip creation failed:', error);
+            setError(i18n.t('trips.saveFailed'));
+        }
+    }, [searchCriteria, selectedOptions, itineraryItems]);
+    
+    const showTrip = (trip) => {
+        routeDataRef.current.tripId = trip.id;
+        setActiveTripId(trip.id);
+        setSearchCriteria(prev => ({ ...prev, legs: trip.legs }));
+        setSelectedOptions(trip.selectedOptions || {});
+        setItineraryItems(trip.itinerary || []);
+    };
+    
+    const handleOpenTrip = useCallback((trip) => {
+        showTrip(trip);
+        router.navigate(`/trips/${encodeURIComponent(trip.id)}`);
+        
+        analyticsManager.track('trip:opened', { tripId: trip.id });
+    }, []);
+    
+    const handleRenameTrip = useCallback(async (trip, name) => {
+        try {
+            applyTripUpdate(trip, { name }, await tripClient.updateTrip(trip.id, { name, version: trip.version }));
+        } catch (error) {
+            console.error('Trip rename failed:', error);
+            setError(i18n.t(error.status === 409 ? 'trips.changedElsewhere' : 'trips.renameFailed'));
+        }
+    }, []);
+    
+    const handleDeleteTrip = useCallback(async (trip) => {
+        try {
+            await tripClient.deleteTrip(trip.id);
+            await offlineStore.delete('trips', trip.id);
+            setTrips(prev => prev.filter(t => t.id !== trip.id));
+            setActiveTripId(prev => (prev === trip.id ? null : prev));
+        } catch (error) {
+            console.error('Trip deletion failed:', error);
+            setError(i18n.t('trips.deleteFailed'));
+        }
+    }, []);
+    
+    const handleJoinTrip = useCallback(async (token) => {
+        try {
+            const trip = await tripClient.joinTrip(token);
+            setTrips(prev => [trip, ...prev.filter(t => t.id !== trip.id)]);
+            handleOpenTrip(trip);
+            
+            analyticsManager.track('trip:joined', { tripId: trip.id, role: trip.role });
+            handleNotification({
+                type: 'success',
+                message: i18n.t('trips.joined', { name: trip.name, role: i18n.t(`roles.${trip.role}`) }),
+                duration: 5000
+            });
+        } catch (error) {
+            console.error('Joining trip failed:', error);
+            setError(i18n.t(error.status === 401 ? 'trips.signInToJoin' : 'trips.inviteInvalid'));
+        }
+    }, []);
+    
+    // Collaboration endpoints that return no trip are followed by a reload
+    const refreshTrip = async (tripId) => {
+        replaceTrip(await offlineStore.readThrough('trips', () => tripClient.getTrip(tripId), { key: tripId }));
+    };
+    
+    const handleCreateInvite = useCallback(async (role) => {
+        try {
+            await tripClient.createInvite(activeTripId, role);
+            await refreshTrip(activeTripId);
+            analyticsManager.track('trip:invite_created', { tripId: activeTripId, role });
+        } catch (error) {
+            console.error('Creating invite failed:', error);
+            setError(i18n.t('trips.inviteFailed'));
+        }
+    }, [activeTripId]);
+    
+    const handleRevokeInvite = useCallback(async (invite) => {
+        try {
+            await tripClient.revokeInvite(activeTripId, invite.token);
+            await refreshTrip(activeTripId);
+        } catch (error) {
+            console.error('Revoking invite failed:', error);
+            setError(i18n.t('trips.revokeInviteFailed'));
+        }
+    }, [activeTripId]);
+    
+    const handleChangeMemberRole = useCallback(async (member, role) => {
+        try {
+            replaceTrip(await tripClient.updateMemberRole(activeTripId, member.userId, role));
+        } catch (error) {
+            console.error('Changing member role failed:', error);
+            setError(i18n.t('trips.roleFailed'));
+        }
+    }, [activeTripId]);
+    
+    const handleRemoveMember = useCallback(async (member) => {
+        const leaving = member.userId === user?.id;
+        const question = leaving
+            ? i18n.t('trips.confirmLeave')
+            : i18n.t('trips.confirmRemove', { name: member.displayName || member.userId });
+        if (!window.confirm(question)) {
+            return;
+        }
+        
+        try {
+            await tripClient.removeMember(activeTripId, member.userId);
+            if (leaving) {
+                setTrips(prev => prev.filter(t => t.id !== activeTripId));
+                setActiveTripId(null);
+            } else {
+                await refreshTrip(activeTripId);
+            }
+        } catch (error) {
+            console.error('Removing member failed:', error);
+            setError(i18n.t('trips.membersFailed'));
+        }
+    }, [activeTripId, user]);
+    
+    const handleVoteOption = useCallback(async (option, value) => {
+        try {
+            replaceTrip(await tripClient.vote(activeTripId, option.id, value));
+            analyticsManager.track('trip:voted', { tripId: activeTripId, optionId: option.id, value });
+        } catch (error) {
+            console.error('Voting failed:', error);
+            setError(i18n.t('trips.voteFailed'));
+        }
+    }, [activeTripId]);
+    
+    const handleAddComment = useCallback(async (itemId, text) => {
+        try {
+            const result = await tripClient.addComment(activeTripId, itemId, text);
+            if (result?.queued) {
+                notifyQueued();
+                return;
+            }
+            await refreshTrip(activeTripId);
+        } catch (error) {
+            console.error('Adding comment failed:', error);
+            setError(i18n.t(error.status === 404 ? 'trips.saveBeforeComment' : 'trips.commentFailed'));
+        }
+    }, [activeTripId]);
+    
+    const handleDeleteComment = useCallback(async (comment) => {
+        try {
+            const result = await tripClient.deleteComment(activeTripId, comment.id);
+            if (result?.queued) {
+                const trip = trips.find(t => t.id === activeTripId);
+                replaceTrip({ ...trip, comments: trip.comments.filter(c => c.id !== comment.id) });
+                return;
+            }
+            await refreshTrip(activeTripId);
+        } catch (error) {
+            console.error('Deleting comment failed:', error);
+            setError(i18n.t('trips.deleteCommentFailed'));
+        }
+    }, [activeTripId, trips]);
+    
+    // Itinerary edits carry the trip version they were made on, so edits
+    // replayed after being offline are rejected if someone changed the trip meanwhile
+    const saveTripEdit = async (changes) => {
+        const trip = trips.find(t => t.id === activeTripId);
+        try {
+            applyTripUpdate(trip, changes, await tripClient.updateTrip(activeTripId, { ...changes, version: trip.version }));
+        } catch (error) {
+            console.error('Saving trip changes failed:', error);
+            if (error.status === 409) {
+                setError(i18n.t('trips.changedElsewhere'));
+                refreshTrip(activeTripId).catch(() => {});
+            }
+        }
+    };
+    
+    // Selections are kept per leg and saved to the open trip, if any
+    const handleSelectOptions = useCallback(async (options) => {
+        const nextOptions = { ...selectedOptions, [activeLeg]: options };
+        setSelectedOptions(nextOptions);
+        
+        if (activeTripId) {
+            await saveTripEdit({ selectedOptions: nextOptions });
+        }
+    }, [selectedOptions, activeLeg, activeTripId, trips]);
+    
+    const handleMoveItineraryItem = useCallback(async (itemId, newStart) => {
+        const nextItems = moveItem(itineraryItems, itemId, newStart);
+        setItineraryItems(nextItems);
+        
+        analyticsManager.track('itinerary:item_moved', { itemId });
+        
+        if (activeTripId) {
+            await saveTripEdit({ itinerary: nextItems });
+        }
+    }, [itineraryItems, activeTripId, trips]);
+    
+    const handleImportCalendar = useCallback(async (icsText) => {
+        try {
+            setError(null);
+            const { imported, trip } = await tripClient.importCalendar(activeTripId, icsText);
+            replaceTrip(trip);
+            setItineraryItems(trip.itinerary);
+            
+            handleNotification({
+                type: 'success',
+                message: i18n.t('calendar.imported', { count: imported }),
+                duration: 5000
+            });
+        } catch (error) {
+            console.error('Calendar import failed:', error);
+            setError(i18n.t('calendar.importFailed'));
+        }
+    }, [activeTripId]);
+    
+    const loadTripLedger = async (tripId) => {
+        try {
+            setTripLedger(await offlineStore.readThrough('ledgers', () => budgetClient.getBudget(tripId), { key: tripId }));
+        } catch (error) {
+            console.error('Loading trip budget failed:', error);
+        }
+    };
+    
+    // Local ledger edits are saved to the device copy as well
+    const updateTripLedger = (update) => {
+        setTripLedger(prev => {
+            const next = update(prev);
+            offlineStore.put('ledgers', next).catch(error => console.error('Saving ledger offline failed:', error));
+            return next;
+        });
+    };
+    
+    const loadBookingConfirmations = async () => {
+        try {
+            const bookings = await offlineStore.getAll('bookings');
+            setBookingConfirmations(bookings.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || '')));
+        } catch (error) {
+            console.error('Loading booking confirmations failed:', error);
+        }
+    };
+    
+    const loadBudgets = async () => {
+        try {
+            setBudgets(await budgetClient.listBudgets());
+        } catch (error) {
+            console.error('Loading budgets failed:', error);
+        }
+    };
+    
+    const handleSaveBudget = useCallback(async (budget) => {
+        try {
+            setError(null);
+            setTripLedger(await budgetClient.updateBudget(activeTripId, budget));
+            analyticsManager.track('budget:updated', { tripId: activeTripId, currency: budget.currency });
+        } catch (error) {
+            console.error('Saving budget failed:', error);
+            setError(error.details?.[0]?.message || i18n.t('budget.saveFailed'));
+        }
+    }, [activeTripId]);
+    
+    const handleAddExpense = useCallback(async (expense) => {
+        try {
+            setError(null);
+            const result = await budgetClient.addExpense(activeTripId, expense);
+            if (result?.queued) {
+                // Listed as pending until the queue syncs and the ledger reloads
+                updateTripLedger(ledger => ({
+                    ...ledger,
+                    expenses: [...ledger.expenses, {
+                        ...expense,
+                        id: `pending-${result.mutation.id}`,
+                        pendingMutationId: result.mutation.id,
+                        source: { type: 'manual' }
+                    }]
+                }));
+                notifyQueued();
+            } else {
+                await loadTripLedger(activeTripId);
+            }
+            analyticsManager.track('expense:added', { tripId: activeTripId, category: expense.category, split: expense.split.method });
+        } catch (error) {
+            console.error('Adding expense failed:', error);
+            setError(error.details?.[0]?.message || i18n.t('budget.addExpenseFailed'));
+        }
+    }, [activeTripId]);
+    
+    const handleDeleteExpense = useCallback(async (expense) => {
+        try {
+            if (expense.pendingMutationId) {
+                await mutationQueue.discard(expense.pendingMutationId);
+            } else if (!(await budgetClient.deleteExpense(activeTripId, expense.id))?.queued) {
+                await loadTripLedger(activeTripId);
+                return;
+            }
+            updateTripLedger(ledger => ({ ...ledger, expenses: ledger.expenses.filter(e => e.id !== expense.id) }));
+        } catch (error) {
+            console.error('Removing expense failed:', error);
+            setError(i18n.t('budget.removeExpenseFailed'));
+        }
+    }, [activeTripId]);
+    
+    // The trip's URL loads it
+    const handleOpenBudgetTrip = useCallback((tripId) => {
+        router.navigate(`/trips/${encodeURIComponent(tripId)}`);
+    }, []);
+    
+    const loadPriceWatches = async () => {
+        try {
+            setPriceWatches(await priceWatchClient.listWatches());
+        } catch (error) {
+            console.error('Loading price watches failed:', error);
+        }
+    };
+    
+    const replacePriceWatch = (watch) => {
+        setPriceWatches(prev => prev.map(w => (w.id === watch.id ? watch : w)));
+    };
+    
+    // "250" watches for a target price, "10%" for a relative drop
+    const handleWatchPrice = useCallback(async () => {
+        const answer = window.prompt(i18n.t('search.watchPrompt'), '10%');
+        if (!answer || !answer.trim()) {
+            return;
+        }
+        
+        const value = parseFloat(answer);
+        const threshold = answer.trim().endsWith('%') ? { dropPercent: value } : { targetPrice: value };
+        
+        try {
+            const watch = await priceWatchClient.createWatch({ criteria: searchCriteria, ...threshold });
+            setPriceWatches(prev => [...prev, watch]);
+            analyticsManager.track('price_watch:created', { watchId: watch.id, ...threshold });
+            handleNotification({
+                type: 'success',
+                message: i18n.t('watches.watching', { name: watch.name }),
+                duration: 5000
+            });
+        } catch (error) {
+            console.error('Creating price watch failed:', error);
+            setError(error.details?.[0]?.message || i18n.t('watches.createFailed'));
+        }
+    }, [searchCriteria]);
+    
+    const handleTogglePriceWatch = useCallback(async (watch) => {
+        try {
+            replacePriceWatch(await priceWatchClient.updateWatch(watch.id, {
+                status: watch.status === 'active' ? 'paused' : 'active'
+            }));
+        } catch (error) {
+            console.error('Updating price watch failed:', error);
+            setError(i18n.t('watches.updateFailed'));
+        }
+    }, []);
+    
+    const handleCheckPriceWatch = useCallback(async (watch) => {
+        try {
+            replacePriceWatch(await priceWatchClient.checkWatch(watch.id));
+        } catch (error) {
+            console.error('Checking price watch failed:', error);
+            setError(i18n.t('watches.checkFailed'));
+        }
+    }, []);
+    
+    const handleDeletePriceWatch = useCallback(async (watch) => {
+        try {
+            await priceWatchClient.deleteWatch(watch.id);
+            setPriceWatches(prev => prev.filter(w => w.id !== watch.id));
+        } catch (error) {
+            console.error('Deleting price watch failed:', error);
+            setError(i18n.t('watches.removeFailed'));
+        }
+    }, []);
+    
+    // "Keep mine" re-sends a conflicting change on top of the current trip; "discard" drops it
+    const handleResolveConflict = useCallback(async (mutation, resolution) => {
+        const tripId = mutation.entity?.startsWith('trip:') ? mutation.entity.slice('trip:'.length) : null;
+        try {
+            if (resolution === 'discard') {
+                await mutationQueue.discard(mutation.id);
+                if (tripId) {
+                    await refreshTrip(tripId);
+                }
+                return;
+            }
+            
+            const current = tripId ? await tripClient.getTrip(tripId) : null;
+            await mutationQueue.retry(mutation.id, current ? { version: current.version } : {});
+            analyticsManager.track('sync:conflict_resolved', { label: mutation.label, resolution });
+        } catch (error) {
+            console.error('Resolving sync conflict failed:', error);
+            setError(i18n.t('sync.resolveFailed'));
+        }
     }, []);
     
     const handleUserLogin = useCallback(async (userData) => {
@@ -236,11 +1264,53 @@ function App() {
         
         analyticsManager.setUserId(userData.id);
         analyticsManager.track('user:login', { userId: userData.id });
+        
+        // Pick up the user's notification topic
+        realtimeClient.reconnect();
+    }, []);
+    
+    // Signing in or registering ends in the same user:login event as any other login
+    const handleAuthenticate = useCallback(async (action, details) => {
+        try {
+            setIsLoading(true);
+            setAuthError(null);
+            
+            const signedInUser = action === 'register'
+                ? await authClient.register(details)
+                : await authClient.login(details);
+            
+            if (action === 'register') {
+                analyticsManager.track('user:registered', { userId: signedInUser.id });
+            }
+            eventBus.emit('user:login', signedInUser);
+        } catch (error) {
+            console.error('Authentication failed:', error);
+            const messageKey = {
+                400: 'auth.invalidDetails',
+                401: 'auth.invalidCredentials',
+                409: 'auth.emailTaken'
+            }[error.status] || 'auth.failed';
+            setAuthError(i18n.t(messageKey));
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+    
+    const handleSessionExpired = useCallback(() => {
+        handleNotification({
+            type: 'warning',
+            message: i18n.t('auth.sessionExpired'),
+            duration: 8000
+        });
+        eventBus.emit('user:logout');
     }, []);
     
     const handleUserLogout = useCallback(async () => {
+        await authClient.logout().catch(error => console.error('Signing out failed:', error));
+        
         setUser(null);
         setIsAuthenticated(false);
+        setImpersonator(null);
         setSessionData({});
         
         await storageManager.removeItem('user');
@@ -248,15 +1318,150 @@ function App() {
         
         analyticsManager.track('user:logout');
         analyticsManager.reset();
+        realtimeClient.reconnect();
+        
+        router.navigate(VIEW_PATHS.search);
+    }, []);
+    
+    const handleExportData = useCallback(async () => {
+        try {
+            setIsLoading(true);
+            await privacyClient.downloadExport();
+            analyticsManager.track('privacy:exported');
+        } catch (error) {
+            console.error('Exporting data failed:', error);
+            setError(i18n.t('privacy.exportFailed'));
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+    
+    // Nothing of the account stays on the device either
+    const handleDeleteAccount = useCallback(async (password) => {
+        try {
+            setIsLoading(true);
+            setPrivacyError(null);
+            await privacyClient.deleteAccount(password);
+            await offlineStore.clearAll();
+            mutationQueue.reset();
+            
+            handleNotification({
+                type: 'success',
+                message: i18n.t('privacy.deleted'),
+                duration: 8000
+            });
+            eventBus.emit('user:logout');
+        } catch (error) {
+            console.error('Deleting the account failed:', error);
+            setPrivacyError(i18n.t(error.status === 403 ? 'privacy.wrongPassword' : 'privacy.deleteFailed'));
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+    
+    // Staff act as another user until they stop or the impersonation token runs out
+    const handleImpersonation = useCallback(({ user: actingUser, impersonator: staffUser }) => {
+        setUser(actingUser);
+        setImpersonator(staffUser);
+        routeDataRef.current = { searchId: null, tripId: null, bookingId: null };
+        setTrips([]);
+        setActiveTripId(null);
+        setBookingData(null);
+        realtimeClient.reconnect();
         
-        setCurrentView('search');
+        analyticsManager.track(staffUser ? 'admin:impersonation_started' : 'admin:impersonation_ended', { userId: actingUser.id });
+        router.navigate(staffUser ? VIEW_PATHS.trips : VIEW_PATHS.admin);
+    }, []);
+    
+    const handleStopImpersonating = useCallback(async () => {
+        if (!(await authClient.endImpersonation())) {
+            setError(i18n.t('admin.actionFailed'));
+        }
+    }, []);
+    
+    const loadAdminData = async (status) => {
+        try {
+            setIsLoading(true);
+            const [users, bookings, watches, health, auditLog] = await Promise.all([
+                adminClient.listUsers(),
+                adminClient.listBookings(status),
+                adminClient.listWatches(),
+                adminClient.getHealth(),
+                hasPermission(user?.role, 'audit:read') ? adminClient.listAuditLog() : []
+            ]);
+            setAdminData({ users, bookings, watches, health, auditLog });
+        } catch (error) {
+            console.error('Loading the admin console failed:', error);
+            setError(i18n.t('admin.loadFailed'));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+    
+    // Without flags from the server every flag is off
+    const loadFeatureFlags = async () => {
+        try {
+            await featureFlags.load({ locale: i18n.locale, subjectId: consentManager.subjectId });
+        } catch (error) {
+            console.error('Loading feature flags failed:', error);
+        }
+        setFlagsValue(bindFeatureFlags(featureFlags));
+    };
+    
+    const loadAnalyticsReport = async (days) => {
+        try {
+            setIsLoading(true);
+            setAnalyticsReport(await adminClient.getAnalyticsReport(days));
+        } catch (error) {
+            console.error('Loading the analytics report failed:', error);
+            setError(i18n.t('analytics.loadFailed'));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+    
+    // Every admin action is audited on the server; the console is reloaded to show the entry
+    const runAdminAction = async (action, event, details) => {
+        try {
+            setIsLoading(true);
+            const result = await action();
+            analyticsManager.track(event, details);
+            return result;
+        } catch (error) {
+            console.error(`${event} failed:`, error);
+            setError(error.status === 409 ? error.message : i18n.t('admin.actionFailed'));
+            return null;
+        } finally {
+            setIsLoading(false);
+        }
+    };
+    
+    const handleAdminChangeRole = useCallback(async (target, role) => {
+        await runAdminAction(() => adminClient.setRole(target.id, role), 'admin:role_changed', { userId: target.id, role });
+        loadAdminData(adminBookingStatus);
+    }, [adminBookingStatus, user]);
+    
+    const handleAdminCancelBooking = useCallback(async (booking, reason) => {
+        await runAdminAction(() => adminClient.cancelBooking(booking.id, reason), 'admin:booking_cancelled', { bookingId: booking.id });
+        loadAdminData(adminBookingStatus);
+    }, [adminBookingStatus, user]);
+    
+    const handleAdminRefundBooking = useCallback(async (booking, reason) => {
+        await runAdminAction(() => adminClient.refundBooking(booking.id, reason), 'admin:booking_refunded', { bookingId: booking.id });
+        loadAdminData(adminBookingStatus);
+    }, [adminBookingStatus, user]);
+    
+    const handleImpersonate = useCallback(async (target, reason) => {
+        const session = await runAdminAction(() => adminClient.impersonate(target.id, reason), 'admin:impersonate', { userId: target.id });
+        if (session) {
+            authClient.impersonate(session);
+        }
     }, []);
     
     const handleError = useCallback((error) => {
-        setError(error.message || 'An unexpected error occurred');
+        setError(error.message || i18n.t('app.unexpectedError'));
         analyticsManager.track('error', {
-            message: error.message,
-            stack: error.stack,
+            name: error.name,
             view: currentView
         });
     }, [currentView]);
@@ -275,69 +1480,355 @@ function App() {
         }
     }, []);
     
+    const handleDisplayCurrencyChange = useCallback(async (currency) => {
+        setDisplayCurrency(currency);
+        if (consentManager.hasConsent('preferences')) {
+            await storageManager.setItem('displayCurrency', currency);
+        }
+        
+        analyticsManager.track('currency:changed', { currency });
+    }, []);
+    
     const handleThemeChange = useCallback(async (newTheme) => {
         setTheme(newTheme);
         themeManager.setTheme(newTheme);
-        await storageManager.setItem('theme', newTheme);
+        if (consentManager.hasConsent('preferences')) {
+            await storageManager.setItem('theme', newTheme);
+        }
         
         analyticsManager.track('theme:changed', { theme: newTheme });
     }, []);
     
+    // The catalog is loaded before switching so the UI never shows a half-translated locale
+    const handleLocaleChange = useCallback(async (requestedLocale) => {
+        try {
+            const newLocale = await i18n.setLocale(requestedLocale);
+            setLocale(newLocale);
+            if (consentManager.hasConsent('preferences')) {
+                await storageManager.setItem('locale', newLocale);
+            }
+            
+            analyticsManager.track('locale:changed', { locale: newLocale });
+        } catch (error) {
+            console.error('Loading locale failed:', error);
+        }
+    }, []);
+    
+    // Remembered settings are preferences storage; withdrawing consent forgets them
+    const handleConsentChange = useCallback(async (state) => {
+        setConsent(state);
+        if (!consentManager.hasConsent('preferences')) {
+            await Promise.all(PREFERENCE_KEYS.map(key => storageManager.removeItem(key)));
+        }
+    }, []);
+    
+    const handleConsentDecision = useCallback(async (decide) => {
+        try {
+            setIsLoading(true);
+            await decide();
+        } catch (error) {
+            console.error('Saving consent failed:', error);
+            setError(i18n.t('consent.saveFailed'));
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+    
     // Computed values
+    const i18nValue = useMemo(() => bindI18n(i18n), [locale]);
+    
+    // Links carry the current search and trip, so they can be opened in a new tab
+    const navigationViews = useMemo(
+        () => NAVIGATION_VIEWS.filter(view => (!view.permission || hasPermission(user?.role, view.permission))
+            && (!view.flag || flagsValue.isEnabled(view.flag))).map(view => ({
+            ...view,
+            label: i18n.t(view.labelKey),
+            href: view.id === 'search'
+                ? buildPath(VIEW_PATHS.search, criteriaToQuery(searchCriteria))
+                : view.id === 'itinerary' && activeTripId
+                    ? `/trips/${encodeURIComponent(activeTripId)}`
+                    : VIEW_PATHS[view.id]
+        })),
+        [locale, searchCriteria, activeTripId, user?.role, flagsValue]
+    );
+    
+    const activeTrip = useMemo(() => trips.find(trip => trip.id === activeTripId) || null, [trips, activeTripId]);
+    
+    const bookingCalendarItems = useMemo(() => {
+        if (!bookingData) {
+            return [];
+        }
+        const reference = bookingData.confirmationNumber || bookingData.id;
+        return itemsFromSelections({
+            booking: (bookingData.items || []).map(item => ({ ...item, bookingReference: reference }))
+        });
+    }, [bookingData]);
+    
     const appClasses = useMemo(() => {
         return [
             'holonic-travel-app',
             `theme-${theme}`,
             `view-${currentView}`,
             systemStatus !== 'ready' ? 'system-not-ready' : '',
+            syncStatus.state !== 'online' ? `connectivity-${syncStatus.state}` : '',
             sidebarOpen ? 'sidebar-open' : '',
             isLoading ? 'loading' : ''
         ].filter(Boolean).join(' ');
-    }, [theme, currentView, systemStatus, sidebarOpen, isLoading]);
+    }, [theme, currentView, systemStatus, syncStatus.state, sidebarOpen, isLoading]);
     
     // Render current view
     const renderCurrentView = () => {
-        switch (currentView) {
+        // A view behind a feature flag does not exist for users the flag is off for
+        const flag = NAVIGATION_VIEWS.find(view => view.id === currentView)?.flag;
+        switch (flag && !flagsValue.isEnabled(flag) ? null : currentView) {
             case 'search':
                 return (
-                    <SearchInterface
-                        onSearch={handleSearch}
-                        initialCriteria={searchCriteria}
-                        isLoading={isLoading}
-                    />
+                    <>
+                        <SearchInterface
+                            onSearch={handleSearch}
+                            initialCriteria={searchCriteria}
+                            isLoading={isLoading}
+                        />
+                        <LegsEditor
+                            legs={legsFromCriteria(searchCriteria)}
+                            onChange={(legs) => setSearchCriteria(prev => ({ ...prev, legs }))}
+                            disabled={isLoading}
+                        />
+                    </>
                 );
             case 'results':
                 return (
-                    <TravelResults
-                        results={searchResults}
-                        onSelect={setSelectedOptions}
-                        onBook={handleBooking}
-                        isLoading={isLoading}
-                    />
+                    <>
+                        <LegSelector
+                            legs={searchResults}
+                            activeLeg={activeLeg}
+                            onChange={setActiveLeg}
+                        />
+                        <button className="watch-price" onClick={handleWatchPrice} disabled={isLoading}>
+                            {i18n.t('search.watchPrice')}
+                        </button>
+                        <TravelResults
+                            results={searchResults?.[activeLeg]?.results || []}
+                            onSelect={handleSelectOptions}
+                            onBook={handleBooking}
+                            rates={exchangeRates}
+                            displayCurrency={displayCurrency}
+                            isLoading={isLoading}
+                        />
+                        {activeTrip && (
+                            <OptionVoting
+                                options={searchResults?.[activeLeg]?.results || []}
+                                votes={activeTrip.votes || {}}
+                                currentUserId={user?.id}
+                                onVote={handleVoteOption}
+                                rates={exchangeRates}
+                                displayCurrency={displayCurrency}
+                                isLoading={isLoading}
+                            />
+                        )}
+                    </>
                 );
             case 'booking':
                 return (
-                    <BookingInterface
-                        bookingData={bookingData}
-                        user={user}
-                        onComplete={() => setCurrentView('profile')}
+                    <>
+                        <BookingStatus
+                            booking={bookingData}
+                            onPay={handleBookingPayment}
+                            onCancel={handleBookingCancel}
+                            onExpired={handleBookingExpired}
+                            rates={exchangeRates}
+                            displayCurrency={displayCurrency}
+                            isLoading={isLoading}
+                        />
+                        <BookingInterface
+                            bookingData={bookingData}
+                            user={user}
+                            onComplete={() => handleNavigation('profile')}
+                            isLoading={isLoading}
+                        />
+                        {bookingCalendarItems.length > 0 && (
+                            <CalendarActions name="Booking" items={bookingCalendarItems} />
+                        )}
+                    </>
+                );
+            case 'trips':
+                return (
+                    <>
+                        <TripList
+                            trips={trips}
+                            activeTripId={activeTripId}
+                            onCreate={handleCreateTrip}
+                            onOpen={handleOpenTrip}
+                            onRename={handleRenameTrip}
+                            onDelete={handleDeleteTrip}
+                            isLoading={isLoading}
+                        />
+                        {activeTrip && isAuthenticated && (
+                            <TripCollaborationPanel
+                                trip={activeTrip}
+                                currentUserId={user?.id}
+                                onInvite={handleCreateInvite}
+                                onRevokeInvite={handleRevokeInvite}
+                                onChangeRole={handleChangeMemberRole}
+                                onRemoveMember={handleRemoveMember}
+                                isLoading={isLoading}
+                            />
+                        )}
+                    </>
+                );
+            case 'itinerary':
+                return (
+                    <>
+                        <CalendarActions
+                            name={activeTrip?.name || 'Itinerary'}
+                            items={itineraryItems}
+                            legs={legsFromCriteria(searchCriteria)}
+                            exportHref={activeTripId ? tripClient.calendarUrl(activeTripId) : null}
+                            onImport={activeTripId ? handleImportCalendar : null}
+                            disabled={isLoading}
+                        />
+                        <ItineraryBuilder
+                            items={itineraryItems}
+                            onMoveItem={handleMoveItineraryItem}
+                            readOnly={activeTrip?.role === 'viewer'}
+                            comments={activeTrip?.comments || []}
+                            currentUserId={user?.id}
+                            canModerate={activeTrip?.role === 'owner'}
+                            onAddComment={activeTrip && isAuthenticated ? handleAddComment : null}
+                            onDeleteComment={handleDeleteComment}
+                            isLoading={isLoading}
+                        />
+                        {activeTrip && tripLedger && (
+                            <ExpenseLedger
+                                ledger={tripLedger}
+                                members={activeTrip.members || []}
+                                currentUserId={user?.id}
+                                canEdit={activeTrip.role !== 'viewer'}
+                                onSaveBudget={handleSaveBudget}
+                                onAddExpense={handleAddExpense}
+                                onDeleteExpense={handleDeleteExpense}
+                                isLoading={isLoading}
+                            />
+                        )}
+                    </>
+                );
+            case 'profile':
+                return (
+                    <>
+                        <ConsentPreferences
+                            policy={consent.policy}
+                            categories={consent.categories}
+                            onSave={(categories) => handleConsentDecision(() => consentManager.update(categories))}
+                            isLoading={isLoading}
+                        />
+                        {isAuthenticated ? (
+                            <>
+                                <UserProfile
+                                    user={user}
+                                    onUpdate={setUser}
+                                    isLoading={isLoading}
+                                />
+                                <button className="sign-out" onClick={() => eventBus.emit('user:logout')}>
+                                    {i18n.t('auth.logout')}
+                                </button>
+                                {!impersonator && (
+                                    <PrivacySettings
+                                        onExport={handleExportData}
+                                        onDelete={handleDeleteAccount}
+                                        error={privacyError}
+                                        isLoading={isLoading}
+                                    />
+                                )}
+                            </>
+                        ) : (
+                            <LoginForm
+                                onLogin={(credentials) => handleAuthenticate('login', credentials)}
+                                onRegister={(details) => handleAuthenticate('register', details)}
+                                error={authError}
+                                isLoading={isLoading}
+                            />
+                        )}
+                        <LanguageSelector
+                            locales={SUPPORTED_LOCALES}
+                            value={locale}
+                            onChange={handleLocaleChange}
+                        />
+                        <CurrencyPreference
+                            currencies={exchangeRates?.currencies || []}
+                            value={displayCurrency}
+                            onChange={handleDisplayCurrencyChange}
+                            isLoading={isLoading}
+                        />
+                        <PriceWatchManager
+                            watches={priceWatches}
+                            onToggle={handleTogglePriceWatch}
+                            onCheck={handleCheckPriceWatch}
+                            onDelete={handleDeletePriceWatch}
+                            rates={exchangeRates}
+                            displayCurrency={displayCurrency}
+                            isLoading={isLoading}
+                        />
+                        <BudgetOverview
+                            budgets={budgets}
+                            onOpenTrip={handleOpenBudgetTrip}
+                        />
+                        <BookingConfirmations bookings={bookingConfirmations} />
+                    </>
+                );
+            case 'admin':
+                if (!hasPermission(user?.role, 'admin:access')) {
+                    return (
+                        <div className="error-view">
+                            <h2>{i18n.t(isAuthenticated ? 'admin.forbidden' : 'admin.signInRequired')}</h2>
+                            <button onClick={() => handleNavigation(isAuthenticated ? 'search' : 'profile')}>
+                                {i18n.t(isAuthenticated ? 'nav.returnToSearch' : 'auth.login')}
+                            </button>
+                        </div>
+                    );
+                }
+                return (
+                    <AdminConsole
+                        role={user.role}
+                        currentUserId={user.id}
+                        users={adminData.users}
+                        bookings={adminData.bookings}
+                        bookingStatus={adminBookingStatus}
+                        watches={adminData.watches}
+                        health={adminData.health}
+                        auditLog={adminData.auditLog}
+                        onFilterBookings={setAdminBookingStatus}
+                        onChangeRole={handleAdminChangeRole}
+                        onCancelBooking={handleAdminCancelBooking}
+                        onRefundBooking={handleAdminRefundBooking}
+                        onImpersonate={handleImpersonate}
                         isLoading={isLoading}
                     />
                 );
-            case 'profile':
+            case 'analytics':
+                if (!hasPermission(user?.role, 'analytics:read')) {
+                    return (
+                        <div className="error-view">
+                            <h2>{i18n.t(isAuthenticated ? 'admin.forbidden' : 'admin.signInRequired')}</h2>
+                            <button onClick={() => handleNavigation(isAuthenticated ? 'search' : 'profile')}>
+                                {i18n.t(isAuthenticated ? 'nav.returnToSearch' : 'auth.login')}
+                            </button>
+                        </div>
+                    );
+                }
                 return (
-                    <UserProfile
-                        user={user}
-                        onUpdate={setUser}
+                    <AnalyticsDashboard
+                        report={analyticsReport}
+                        days={analyticsDays}
+                        onChangeDays={setAnalyticsDays}
                         isLoading={isLoading}
                     />
                 );
             default:
                 return (
                     <div className="error-view">
-                        <h2>View not found</h2>
-                        <button onClick={() => setCurrentView('search')}>
-                            Return to Search
+                        <h2>{i18n.t('app.viewNotFound')}</h2>
+                        <button onClick={() => handleNavigation('search')}>
+                            {i18n.t('nav.returnToSearch')}
                         </button>
                     </div>
                 );
@@ -346,33 +1837,68 @@ function App() {
     
     return (
         <ErrorBoundary>
-            <div className={appClasses}>
-                {/* System Status Bar */}
-                <SystemStatus 
-                    status={systemStatus}
-                    onRefresh={() => window.location.reload()}
-                />
-                
-                {/* Main Application Content */}
-                <main className="app-main">
-                    {isLoading && <LoadingSpinner />}
-                    
-                    {error && (
-                        <div className="error-banner">
-                            <span>{error}</span>
-                            <button onClick={() => setError(null)}>×</button>
-                        </div>
-                    )}
-                    
-                    {renderCurrentView()}
-                </main>
-                
-                {/* Notification Center */}
-                <NotificationCenter
-                    notifications={notifications}
-                    onDismiss={(id) => setNotifications(prev => prev.filter(n => n.id !== id))}
-                />
-            </div>
+            <I18nContext.Provider value={i18nValue}>
+                <FeatureFlagsContext.Provider value={flagsValue}>
+                    <div className={appClasses} lang={locale} dir={i18nValue.direction}>
+                        {/* System Status Bar */}
+                        <SystemStatus 
+                            status={systemStatus}
+                            connectivity={syncStatus.state}
+                            pendingChanges={syncStatus.pending}
+                            onRefresh={() => window.location.reload()}
+                        />
+                        
+                        {/* View Navigation */}
+                        <ViewNavigation
+                            views={navigationViews}
+                            currentView={currentView}
+                            onNavigate={handleNavigation}
+                        />
+                        
+                        {/* Main Application Content */}
+                        <main className="app-main">
+                            {isLoading && <LoadingSpinner />}
+                            
+                            {error && (
+                                <div className="error-banner">
+                                    <span>{error}</span>
+                                    <button onClick={() => setError(null)} aria-label={i18n.t('app.dismiss')}>×</button>
+                                </div>
+                            )}
+                            
+                            {impersonator && (
+                                <div className="impersonation-banner" role="status">
+                                    <span>{i18n.t('admin.impersonating', { user: user?.email, staff: impersonator.email })}</span>
+                                    <button onClick={handleStopImpersonating}>{i18n.t('admin.stopImpersonating')}</button>
+                                </div>
+                            )}
+                            
+                            <SyncConflicts
+                                conflicts={syncStatus.conflicts}
+                                onResolve={handleResolveConflict}
+                            />
+                            
+                            {renderCurrentView()}
+                        </main>
+                        
+                        {consent.needsDecision && (
+                            <ConsentBanner
+                                policy={consent.policy}
+                                onAcceptAll={() => handleConsentDecision(() => consentManager.acceptAll())}
+                                onRejectAll={() => handleConsentDecision(() => consentManager.rejectAll())}
+                                onSave={(categories) => handleConsentDecision(() => consentManager.update(categories))}
+                                isLoading={isLoading}
+                            />
+                        )}
+                        
+                        {/* Notification Center */}
+                        <NotificationCenter
+                            notifications={notifications}
+                            onDismiss={(id) => setNotifications(prev => prev.filter(n => n.id !== id))}
+                        />
+                    </div>
+                </FeatureFlagsContext.Provider>
+            </I18nContext.Provider>
         </ErrorBoundary>
     );
 }
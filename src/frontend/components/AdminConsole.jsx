@@ -0,0 +1,217 @@
+// Admin Console
+// Staff view of users, bookings in any state, price watches, system health and the audit log
+
+import React from 'react';
+import Price from './Price';
+import { useI18n } from '../utils/i18n-context';
+import { ROLES, hasPermission } from '../../shared/permissions';
+
+const BOOKING_STATUSES = ['draft', 'held', 'payment_pending', 'confirmed', 'expired', 'cancelled', 'failed', 'refunded'];
+const CANCELLABLE_STATUSES = ['draft', 'held', 'payment_pending', 'confirmed'];
+const REFUNDABLE_STATUSES = ['confirmed', 'cancelled'];
+
+/**
+ * Sections and actions are shown according to the permissions of `role`;
+ * the API checks them again.
+ */
+function AdminConsole({
+    role,
+    currentUserId,
+    users,
+    bookings,
+    bookingStatus,
+    watches,
+    health,
+    auditLog,
+    onFilterBookings,
+    onChangeRole,
+    onCancelBooking,
+    onRefundBooking,
+    onImpersonate,
+    isLoading
+}) {
+    const { t, formatDateTime } = useI18n();
+    const can = (permission) => hasPermission(role, permission);
+
+    const emailById = Object.fromEntries(users.map(user => [user.id, user.email]));
+    const describeUser = (userId) => (userId ? emailById[userId] || userId : '—');
+
+    const withReason = (messageKey, action) => {
+        const reason = window.prompt(t(messageKey));
+        if (reason !== null) {
+            action(reason.trim() || null);
+        }
+    };
+
+    return (
+        <section className="admin-console">
+            <h2>{t('admin.title')}</h2>
+
+            {health && (
+                <section className="admin-health">
+                    <h3>{t('admin.health')}</h3>
+                    <p className={`health-status status-${health.status}`}>{health.status}</p>
+                    <dl>
+                        {Object.entries(health.components || {}).map(([name, status]) => (
+                            <React.Fragment key={name}>
+                                <dt>{name}</dt>
+                                <dd>{typeof status === 'string' ? status : status?.status || JSON.stringify(status)}</dd>
+                            </React.Fragment>
+                        ))}
+                    </dl>
+                </section>
+            )}
+
+            <section className="admin-users">
+                <h3>{t('admin.users')}</h3>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>{t('auth.name')}</th>
+                            <th>{t('auth.email')}</th>
+                            <th>{t('admin.role')}</th>
+                            <th>{t('admin.lastLogin')}</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {users.map(user => (
+                            <tr key={user.id}>
+                                <td>{user.name}</td>
+                                <td>{user.email}</td>
+                                <td>
+                                    {can('users:manage') && user.id !== currentUserId ? (
+                                        <select
+                                            value={user.role}
+                                            onChange={(e) => onChangeRole(user, e.target.value)}
+                                            disabled={isLoading}
+                                        >
+                                            {ROLES.map(r => (
+                                                <option key={r} value={r}>{t(`admin.roles.${r}`)}</option>
+                                            ))}
+                                        </select>
+                                    ) : t(`admin.roles.${user.role}`)}
+                                </td>
+                                <td>{user.lastLoginAt ? formatDateTime(user.lastLoginAt) : '—'}</td>
+                                <td>
+                                    {can('users:impersonate') && user.id !== currentUserId && user.role !== 'admin' && (
+                                        <button
+                                            onClick={() => withReason('admin.impersonateReason', reason => onImpersonate(user, reason))}
+                                            disabled={isLoading}
+                                        >
+                                            {t('admin.impersonate')}
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </section>
+
+            <section className="admin-bookings">
+                <h3>{t('admin.bookings')}</h3>
+                <label>
+                    {t('admin.status')}
+                    <select value={bookingStatus || ''} onChange={(e) => onFilterBookings(e.target.value || null)} disabled={isLoading}>
+                        <option value="">{t('admin.allStatuses')}</option>
+                        {BOOKING_STATUSES.map(status => (
+                            <option key={status} value={status}>{t(`booking.states.${status}`)}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {bookings.length === 0 ? (
+                    <p className="empty-state">{t('admin.noBookings')}</p>
+                ) : (
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>{t('admin.booking')}</th>
+                                <th>{t('admin.user')}</th>
+                                <th>{t('admin.status')}</th>
+                                <th>{t('admin.amount')}</th>
+                                <th>{t('admin.created')}</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {bookings.map(booking => (
+                                <tr key={booking.id} className={`status-${booking.status}`}>
+                                    <td><a href={`/bookings/${encodeURIComponent(booking.id)}`}>{booking.confirmationNumber || booking.id}</a></td>
+                                    <td>{describeUser(booking.userId)}</td>
+                                    <td>{t(`booking.states.${booking.status}`)}</td>
+                                    <td><Price money={{ amount: booking.totalAmount, currency: booking.currency }} /></td>
+                                    <td>{formatDateTime(booking.createdAt)}</td>
+                                    <td>
+                                        {can('bookings:cancel') && CANCELLABLE_STATUSES.includes(booking.status) && (
+                                            <button
+                                                className="danger"
+                                                onClick={() => withReason('admin.cancelReason', reason => onCancelBooking(booking, reason))}
+                                                disabled={isLoading}
+                                            >
+                                                {t('admin.cancel')}
+                                            </button>
+                                        )}
+                                        {can('bookings:refund') && REFUNDABLE_STATUSES.includes(booking.status) && booking.payment?.completedAt && (
+                                            <button
+                                                className="danger"
+                                                onClick={() => withReason('admin.refundReason', reason => onRefundBooking(booking, reason))}
+                                                disabled={isLoading}
+                                            >
+                                                {t('admin.refund')}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </section>
+
+            <section className="admin-watches">
+                <h3>{t('admin.watches')}</h3>
+                {watches.length === 0 ? (
+                    <p className="empty-state">{t('admin.noWatches')}</p>
+                ) : (
+                    <ul>
+                        {watches.map(watch => (
+                            <li key={watch.id} className={`status-${watch.status}`}>
+                                <strong>{watch.name}</strong>
+                                {' · '}{describeUser(watch.userId)}
+                                {' · '}{watch.status}
+                                {watch.lastPrice !== null && (
+                                    <>{' · '}<Price money={{ amount: watch.lastPrice, currency: watch.currency }} /></>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </section>
+
+            {can('audit:read') && (
+                <section className="admin-audit">
+                    <h3>{t('admin.audit')}</h3>
+                    {auditLog.length === 0 ? (
+                        <p className="empty-state">{t('admin.noAudit')}</p>
+                    ) : (
+                        <ol>
+                            {auditLog.map(entry => (
+                                <li key={entry.id}>
+                                    <time dateTime={entry.createdAt}>{formatDateTime(entry.createdAt)}</time>
+                                    {' '}{describeUser(entry.actorId)}
+                                    {' · '}{t(`admin.actions.${entry.action}`)}
+                                    {' · '}{entry.targetType === 'user' ? describeUser(entry.targetId) : entry.targetId}
+                                    {entry.details?.reason && <small> — {entry.details.reason}</small>}
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                </section>
+            )}
+        </section>
+    );
+}
+
+export default AdminConsole;
@@ -0,0 +1,161 @@
+// Analytics Dashboard
+// Staff view of the search to booking funnel, the most visited routes, failure rates and feature flag variants
+
+import React from 'react';
+import { useI18n } from '../utils/i18n-context';
+
+const PERIODS = [1, 7, 30, 90];
+
+function AnalyticsDashboard({ report, days, onChangeDays, isLoading }) {
+    const { t, formatNumber, formatDateTime } = useI18n();
+
+    const percent = (value) => (value === null ? '—' : formatNumber(value, { style: 'percent', maximumFractionDigits: 1 }));
+
+    return (
+        <section className="analytics-dashboard">
+            <h2>{t('analytics.title')}</h2>
+
+            <label>
+                {t('analytics.period')}
+                <select value={days} onChange={(e) => onChangeDays(Number(e.target.value))} disabled={isLoading}>
+                    {PERIODS.map(period => (
+                        <option key={period} value={period}>{t('analytics.lastDays', { count: period })}</option>
+                    ))}
+                </select>
+            </label>
+
+            {!report ? (
+                <p className="empty-state">{t('analytics.noData')}</p>
+            ) : (
+                <>
+                    <p className="analytics-totals">
+                        {t('analytics.totals', {
+                            events: report.totals.events,
+                            sessions: report.totals.sessions,
+                            from: formatDateTime(report.from),
+                            to: formatDateTime(report.to)
+                        })}
+                        {report.sampleRate < 1 && ` ${t('analytics.sampled', { rate: percent(report.sampleRate) })}`}
+                    </p>
+
+                    <section className="analytics-funnel">
+                        <h3>{t('analytics.funnel')}</h3>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>{t('analytics.step')}</th>
+                                    <th>{t('analytics.sessions')}</th>
+                                    <th>{t('analytics.stepConversion')}</th>
+                                    <th>{t('analytics.overallConversion')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.funnel.map(step => (
+                                    <tr key={step.step}>
+                                        <td>{t(`analytics.steps.${step.step}`)}</td>
+                                        <td>{formatNumber(step.sessions)}</td>
+                                        <td>{percent(step.conversion)}</td>
+                                        <td>{percent(step.overall)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </section>
+
+                    <section className="analytics-routes">
+                        <h3>{t('analytics.topRoutes')}</h3>
+                        {report.topRoutes.length === 0 ? (
+                            <p className="empty-state">{t('analytics.noData')}</p>
+                        ) : (
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>{t('analytics.route')}</th>
+                                        <th>{t('analytics.views')}</th>
+                                        <th>{t('analytics.sessions')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.topRoutes.map(route => (
+                                        <tr key={route.route}>
+                                            <td><code>{route.route}</code></td>
+                                            <td>{formatNumber(route.views)}</td>
+                                            <td>{formatNumber(route.sessions)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </section>
+
+                    <section className="analytics-failures">
+                        <h3>{t('analytics.failureRates')}</h3>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>{t('analytics.flow')}</th>
+                                    <th>{t('analytics.attempts')}</th>
+                                    <th>{t('analytics.failures')}</th>
+                                    <th>{t('analytics.failureRate')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.failureRates.flows.map(flow => (
+                                    <tr key={flow.flow}>
+                                        <td>{t(`analytics.flows.${flow.flow}`)}</td>
+                                        <td>{formatNumber(flow.attempts)}</td>
+                                        <td>{formatNumber(flow.failures)}</td>
+                                        <td>{percent(flow.rate)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+
+                        {report.failureRates.errors.length > 0 && (
+                            <>
+                                <h4>{t('analytics.clientErrors')}</h4>
+                                <ul>
+                                    {report.failureRates.errors.map(error => (
+                                        <li key={error.name}>{error.name}: {formatNumber(error.count)}</li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                    </section>
+
+                    <section className="analytics-flags">
+                        <h3>{t('analytics.flagVariants')}</h3>
+                        {report.flagVariants.length === 0 ? (
+                            <p className="empty-state">{t('analytics.noFlagData')}</p>
+                        ) : (
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>{t('analytics.flag')}</th>
+                                        <th>{t('analytics.flagValue')}</th>
+                                        <th>{t('analytics.sessions')}</th>
+                                        <th>{t('analytics.bookedSessions')}</th>
+                                        <th>{t('analytics.bookingConversion')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.flagVariants.map(variant => (
+                                        <tr key={`${variant.flag}:${variant.value}`}>
+                                            <td><code>{variant.flag}</code></td>
+                                            <td>{t(variant.value ? 'analytics.flagOn' : 'analytics.flagOff')}</td>
+                                            <td>{formatNumber(variant.sessions)}</td>
+                                            <td>{formatNumber(variant.booked)}</td>
+                                            <td>{percent(variant.conversion)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </section>
+                </>
+            )}
+        </section>
+    );
+}
+
+export default AnalyticsDashboard;
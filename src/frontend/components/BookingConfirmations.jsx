@@ -0,0 +1,44 @@
+// Booking Confirmations
+// Confirmed bookings saved on this device, readable without a connection
+
+// Offers differ by type: flights have a carrier and departure, stays a check-in date
+const itemTitle = item => item.name || `${item.carrierName} ${item.flightNumber}`;
+const itemStart = item => item.departureTime || item.startTime || item.checkIn;
+
+import React from 'react';
+import Price from './Price';
+import { useI18n } from '../utils/i18n-context';
+
+function BookingConfirmations({ bookings }) {
+    const { t, formatDateTime } = useI18n();
+
+    return (
+        <section className="booking-confirmations">
+            <h3>{t('booking.confirmationsTitle')}</h3>
+
+            {bookings.length === 0 ? (
+                <p className="empty-state">{t('booking.noConfirmations')}</p>
+            ) : (
+                <ul>
+                    {bookings.map(booking => (
+                        <li key={booking.id} className={`state-${booking.status}`}>
+                            <strong>{booking.confirmationNumber || booking.id}</strong>
+                            <Price money={{ amount: booking.totalAmount, currency: booking.currency }} />
+                            <ul className="booking-items">
+                                {(booking.items || []).map(item => (
+                                    <li key={`${item.provider}-${item.offerId}`}>
+                                        {itemTitle(item)}
+                                        {itemStart(item) && <small> · {formatDateTime(itemStart(item))}</small>}
+                                        {item.confirmationNumber && <small> · {item.confirmationNumber}</small>}
+                                    </li>
+                                ))}
+                            </ul>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+}
+
+export default BookingConfirmations;
@@ -0,0 +1,104 @@
+// Booking Status
+// Current booking state, hold countdown and the next lifecycle actions
+
+import React, { useEffect, useState } from 'react';
+import Price from './Price';
+import { useI18n } from '../utils/i18n-context';
+
+const COUNTDOWN_STATES = ['held', 'payment_pending'];
+
+function formatRemaining(milliseconds) {
+    const totalSeconds = Math.max(0, Math.ceil(milliseconds / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+function BookingStatus({ booking, onPay, onCancel, onExpired, rates, displayCurrency, isLoading }) {
+    const { t, formatDateTime } = useI18n();
+    const [now, setNow] = useState(Date.now());
+    const stateLabel = (status) => t(`booking.states.${status}`);
+    const counting = booking && COUNTDOWN_STATES.includes(booking.status) && booking.holdExpiresAt;
+    const remaining = counting ? Date.parse(booking.holdExpiresAt) - now : null;
+
+    useEffect(() => {
+        if (!counting) {
+            return undefined;
+        }
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [counting]);
+
+    // Let the parent refresh the booking once the hold has run out
+    useEffect(() => {
+        if (counting && remaining <= 0) {
+            onExpired(booking.id);
+        }
+    }, [counting, remaining <= 0]);
+
+    if (!booking) {
+        return null;
+    }
+
+    return (
+        <section className={`booking-status state-${booking.status}`} aria-live="polite">
+            <div className="booking-state">
+                <span className="state-label">{stateLabel(booking.status)}</span>
+                {counting && (
+                    <span className={`hold-countdown ${remaining < 60000 ? 'urgent' : ''}`}>
+                        {t('booking.priceHeldFor', { remaining: formatRemaining(remaining) })}
+                    </span>
+                )}
+                {booking.confirmationNumber && (
+                    <span className="confirmation-number">{t('booking.confirmation', { number: booking.confirmationNumber })}</span>
+                )}
+            </div>
+
+            {booking.totalAmount !== null && (
+                <div className="booking-total">
+                    <Price
+                        money={{ amount: booking.totalAmount, currency: booking.currency }}
+                        rates={rates}
+                        currency={displayCurrency}
+                    />
+                    {booking.priceConversions?.length > 0 && (
+                        <ul className="price-conversions">
+                            {booking.priceConversions.map(conversion => (
+                                <li key={conversion.offerId}>
+                                    <Price money={conversion.original} converted={conversion} />
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            <div className="booking-actions">
+                {booking.status === 'held' && (
+                    <button onClick={() => onPay(booking)} disabled={isLoading}>
+                        {t('booking.pay')}
+                    </button>
+                )}
+                {['draft', 'held', 'payment_pending'].includes(booking.status) && (
+                    <button className="secondary" onClick={() => onCancel(booking)} disabled={isLoading}>
+                        {t('booking.cancel')}
+                    </button>
+                )}
+            </div>
+
+            {booking.history && booking.history.length > 0 && (
+                <ol className="booking-history">
+                    {booking.history.map(entry => (
+                        <li key={`${entry.to}-${entry.at}`}>
+                            <time dateTime={entry.at}>{formatDateTime(entry.at)}</time>
+                            {' '}{stateLabel(entry.to)}
+                            {entry.reason && <em> — {entry.reason}</em>}
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </section>
+    );
+}
+
+export default BookingStatus;
@@ -0,0 +1,53 @@
+// Budget Burn
+// Spend per category against the trip budget caps
+
+import React from 'react';
+
+const formatAmount = (amount, currency) => `${amount.toFixed(2)}${currency ? ` ${currency}` : ''}`;
+
+function BudgetBurn({ summary, compact = false }) {
+    const lines = summary.categories.filter(line => line.cap !== null || line.actual > 0 || line.planned > 0);
+
+    if (lines.length === 0) {
+        return <p className="budget-burn empty">No budget or expenses yet.</p>;
+    }
+
+    return (
+        <ul className={`budget-burn ${compact ? 'compact' : ''}`}>
+            {lines.map(line => {
+                const cap = line.cap || 0;
+                const actualPercent = cap ? Math.min(100, (line.actual / cap) * 100) : 0;
+                const plannedPercent = cap ? Math.min(100 - actualPercent, (line.planned / cap) * 100) : 0;
+
+                return (
+                    <li key={line.category} className={`budget-line ${line.overCap ? 'over-cap' : ''}`}>
+                        <span className="budget-category">{line.category}</span>
+                        {line.cap !== null ? (
+                            <span
+                                className="budget-bar"
+                                role="meter"
+                                aria-valuemin={0}
+                                aria-valuemax={line.cap}
+                                aria-valuenow={line.actual}
+                                aria-label={`${line.category} spent`}
+                            >
+                                <span className="budget-bar-actual" style={{ width: `${actualPercent}%` }} />
+                                <span className="budget-bar-planned" style={{ width: `${plannedPercent}%` }} />
+                            </span>
+                        ) : (
+                            <span className="budget-bar uncapped" />
+                        )}
+                        <small>
+                            {formatAmount(line.actual, summary.currency)}
+                            {line.planned > 0 && ` + ${formatAmount(line.planned, summary.currency)} planned`}
+                            {line.cap !== null && ` of ${formatAmount(line.cap, summary.currency)}`}
+                            {line.overCap && ' ⚠ over budget'}
+                        </small>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
+
+export default BudgetBurn;
@@ -0,0 +1,35 @@
+// Budget Overview
+// Budget burn and the user's balance across all of their trips
+
+import React from 'react';
+import BudgetBurn from './BudgetBurn';
+
+function BudgetOverview({ budgets, onOpenTrip }) {
+    return (
+        <section className="budget-overview">
+            <h3>Trip budgets</h3>
+
+            {budgets.length === 0 ? (
+                <p className="empty-state">Set a budget on a trip to track its spending here.</p>
+            ) : (
+                <ul>
+                    {budgets.map(entry => (
+                        <li key={entry.tripId}>
+                            <div className="budget-trip">
+                                <button className="link" onClick={() => onOpenTrip(entry.tripId)}>{entry.tripName}</button>
+                                {entry.balance !== 0 && (
+                                    <small className={entry.balance > 0 ? 'owed' : 'owing'}>
+                                        {entry.balance > 0 ? 'You are owed' : 'You owe'} {Math.abs(entry.balance).toFixed(2)} {entry.summary.currency}
+                                    </small>
+                                )}
+                            </div>
+                            <BudgetBurn summary={entry.summary} compact />
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+}
+
+export default BudgetOverview;
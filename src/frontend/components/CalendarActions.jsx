@@ -0,0 +1,59 @@
+// Calendar Actions
+// Export an itinerary or booking as .ics and import calendar events as fixed commitments
+
+import React, { useRef } from 'react';
+import { exportCalendar } from '../../shared/ical';
+
+function CalendarActions({ name, items, legs = [], exportHref = null, onImport = null, disabled = false }) {
+    const fileInputRef = useRef(null);
+
+    // Without a saved trip the calendar is generated in the browser
+    const handleLocalExport = () => {
+        const blob = new Blob([exportCalendar({ name, items, legs })], { type: 'text/calendar' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${(name || 'itinerary').replace(/[^\w-]+/g, '-')}.ics`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleFileChange = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) {
+            onImport(await file.text());
+        }
+    };
+
+    return (
+        <div className="calendar-actions">
+            {exportHref ? (
+                <a className="button" href={exportHref} download>
+                    Add to calendar (.ics)
+                </a>
+            ) : (
+                <button type="button" onClick={handleLocalExport} disabled={disabled || items.length === 0}>
+                    Add to calendar (.ics)
+                </button>
+            )}
+
+            {onImport && (
+                <>
+                    <button type="button" onClick={() => fileInputRef.current.click()} disabled={disabled}>
+                        Import calendar events
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".ics,text/calendar"
+                        hidden
+                        onChange={handleFileChange}
+                    />
+                </>
+            )}
+        </div>
+    );
+}
+
+export default CalendarActions;
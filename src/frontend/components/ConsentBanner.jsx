@@ -0,0 +1,36 @@
+// Consent Banner
+// Asks for consent before anything but strictly necessary storage is used
+
+import React, { useState } from 'react';
+import { useI18n } from '../utils/i18n-context';
+import ConsentPreferences from './ConsentPreferences';
+
+function ConsentBanner({ policy, onAcceptAll, onRejectAll, onSave, isLoading }) {
+    const { t } = useI18n();
+    const [customizing, setCustomizing] = useState(false);
+
+    return (
+        <div className="consent-banner" role="dialog" aria-labelledby="consent-banner-title">
+            <h2 id="consent-banner-title">{t('consent.title')}</h2>
+            <p>{t('consent.message')}</p>
+
+            {customizing ? (
+                <ConsentPreferences
+                    policy={policy}
+                    categories={null}
+                    onSave={onSave}
+                    onCancel={() => setCustomizing(false)}
+                    isLoading={isLoading}
+                />
+            ) : (
+                <div className="consent-actions">
+                    <button onClick={onAcceptAll} disabled={isLoading}>{t('consent.acceptAll')}</button>
+                    <button onClick={onRejectAll} disabled={isLoading}>{t('consent.rejectAll')}</button>
+                    <button onClick={() => setCustomizing(true)} disabled={isLoading}>{t('consent.customize')}</button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ConsentBanner;
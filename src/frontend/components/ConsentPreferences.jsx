@@ -0,0 +1,51 @@
+// Consent Preferences
+// Choose which categories of cookies and tracking are allowed
+
+import React, { useState, useEffect } from 'react';
+import { useI18n } from '../utils/i18n-context';
+
+function ConsentPreferences({ policy, categories, onSave, onCancel, isLoading }) {
+    const { t } = useI18n();
+    const [choices, setChoices] = useState(categories || {});
+
+    useEffect(() => {
+        setChoices(categories || {});
+    }, [categories]);
+
+    if (!policy) {
+        return null;
+    }
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        onSave(choices);
+    };
+
+    return (
+        <form className="consent-preferences" onSubmit={handleSubmit}>
+            <h3>{t('consent.preferencesTitle')}</h3>
+
+            {policy.categories.map(category => (
+                <label key={category} className="consent-category">
+                    <input
+                        type="checkbox"
+                        checked={category === 'necessary' || choices[category] === true}
+                        disabled={category === 'necessary' || isLoading}
+                        onChange={(e) => setChoices(prev => ({ ...prev, [category]: e.target.checked }))}
+                    />
+                    <strong>{t(`consent.categories.${category}.label`)}</strong>
+                    <span>{t(`consent.categories.${category}.description`)}</span>
+                </label>
+            ))}
+
+            <p className="consent-version">{t('consent.policyVersion', { version: policy.version })}</p>
+
+            <button type="submit" disabled={isLoading}>{t('consent.save')}</button>
+            {onCancel && (
+                <button type="button" onClick={onCancel} disabled={isLoading}>{t('consent.cancel')}</button>
+            )}
+        </form>
+    );
+}
+
+export default ConsentPreferences;
@@ -0,0 +1,24 @@
+// Currency Preference
+// Lets the user pick the currency prices are converted to for display
+
+import React from 'react';
+
+function CurrencyPreference({ currencies, value, onChange, isLoading }) {
+    if (currencies.length === 0) {
+        return null;
+    }
+
+    return (
+        <section className="currency-preference">
+            <label>
+                Show prices in
+                <select value={value || ''} onChange={(e) => onChange(e.target.value)} disabled={isLoading}>
+                    {currencies.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+                </select>
+            </label>
+            <small>Converted prices are estimates; you pay the original price shown next to them.</small>
+        </section>
+    );
+}
+
+export default CurrencyPreference;
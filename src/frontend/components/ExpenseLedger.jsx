@@ -0,0 +1,258 @@
+// Expense Ledger
+// Trip budget caps, shared expenses and the "who owes whom" settlement
+
+import React, { useState } from 'react';
+import BudgetBurn from './BudgetBurn';
+import Price from './Price';
+import { BUDGET_CATEGORIES, SPLIT_METHODS } from '../../shared/expense-ledger';
+
+const EMPTY_EXPENSE = {
+    description: '',
+    category: 'food',
+    amount: '',
+    currency: '',
+    status: 'actual',
+    paidBy: '',
+    method: 'equal',
+    participants: [],
+    portions: {}
+};
+
+function BudgetCapsForm({ budget, onSave, onCancel, isLoading }) {
+    const [currency, setCurrency] = useState(budget?.currency || 'EUR');
+    const [caps, setCaps] = useState(() => Object.fromEntries(
+        BUDGET_CATEGORIES.map(category => [category, budget?.caps?.[category] ?? ''])
+    ));
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        onSave({
+            currency,
+            caps: Object.fromEntries(Object.entries(caps).map(([category, cap]) => [category, cap === '' ? null : Number(cap)]))
+        });
+    };
+
+    return (
+        <form className="budget-caps-form" onSubmit={handleSubmit}>
+            <label>
+                Currency
+                <input value={currency} maxLength={3} onChange={(e) => setCurrency(e.target.value.toUpperCase())} />
+            </label>
+            {BUDGET_CATEGORIES.map(category => (
+                <label key={category}>
+                    {category}
+                    <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        placeholder="No cap"
+                        value={caps[category]}
+                        onChange={(e) => setCaps(prev => ({ ...prev, [category]: e.target.value }))}
+                    />
+                </label>
+            ))}
+            <button type="submit" disabled={isLoading}>Save budget</button>
+            <button type="button" onClick={onCancel}>Cancel</button>
+        </form>
+    );
+}
+
+function ExpenseLedger({ ledger, members, currentUserId, canEdit, onSaveBudget, onAddExpense, onDeleteExpense, isLoading }) {
+    const [editingBudget, setEditingBudget] = useState(false);
+    const [draft, setDraft] = useState(null);
+
+    // Trips without members (not signed in) are tracked for the current user alone
+    const people = members.length > 0 ? members : [{ userId: currentUserId || 'me', displayName: 'Me' }];
+    const names = new Map(people.map(person => [person.userId, person.displayName || person.userId]));
+    const nameOf = (userId) => names.get(userId) || userId;
+    const currency = ledger.budget?.currency || '';
+
+    const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+    const handleAdd = (event) => {
+        event.preventDefault();
+        const split = { method: draft.method };
+        if (draft.method === 'equal') {
+            split.participants = draft.participants;
+        } else {
+            const key = draft.method === 'shares' ? 'shares' : 'amounts';
+            split[key] = Object.fromEntries(
+                Object.entries(draft.portions).filter(([, value]) => value !== '').map(([userId, value]) => [userId, Number(value)])
+            );
+        }
+
+        onAddExpense({
+            description: draft.description,
+            category: draft.category,
+            amount: Number(draft.amount),
+            currency: draft.currency || currency || undefined,
+            status: draft.status,
+            paidBy: draft.paidBy || people[0].userId,
+            split
+        });
+        setDraft(null);
+    };
+
+    return (
+        <section className="expense-ledger">
+            <header>
+                <h3>Budget{currency && ` (${currency})`}</h3>
+                {canEdit && !editingBudget && (
+                    <button onClick={() => setEditingBudget(true)}>{ledger.budget ? 'Edit budget' : 'Set budget'}</button>
+                )}
+            </header>
+
+            {editingBudget ? (
+                <BudgetCapsForm
+                    budget={ledger.budget}
+                    onSave={(budget) => {
+                        onSaveBudget(budget);
+                        setEditingBudget(false);
+                    }}
+                    onCancel={() => setEditingBudget(false)}
+                    isLoading={isLoading}
+                />
+            ) : (
+                <BudgetBurn summary={ledger.summary} />
+            )}
+
+            <h3>Expenses</h3>
+            {ledger.expenses.length === 0 ? (
+                <p className="empty-state">No expenses recorded yet.</p>
+            ) : (
+                <table className="expense-table">
+                    <tbody>
+                        {ledger.expenses.map(expense => (
+                            <tr key={expense.id} className={`expense status-${expense.status}`}>
+                                <td>{expense.date || ''}</td>
+                                <td>
+                                    {expense.description}
+                                    {expense.source.type === 'booking' && <small> (booking)</small>}
+                                </td>
+                                <td>{expense.category}</td>
+                                <td>
+                                    <Price
+                                        money={{ amount: expense.amount, currency: expense.currency || currency }}
+                                        converted={expense.converted}
+                                    />
+                                </td>
+                                <td>{expense.status === 'planned' ? 'planned' : `paid by ${nameOf(expense.paidBy)}`}</td>
+                                <td>{expense.split.method}</td>
+                                <td>
+                                    {canEdit && expense.source.type !== 'booking' && (
+                                        <button className="link danger" onClick={() => onDeleteExpense(expense)} disabled={isLoading}>
+                                            Remove
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {canEdit && !draft && (
+                <button onClick={() => setDraft({ ...EMPTY_EXPENSE, currency, paidBy: currentUserId || people[0].userId })}>
+                    Add expense
+                </button>
+            )}
+
+            {draft && (
+                <form className="expense-form" onSubmit={handleAdd}>
+                    <input
+                        placeholder="Description"
+                        value={draft.description}
+                        onChange={(e) => updateDraft({ description: e.target.value })}
+                        required
+                    />
+                    <select value={draft.category} onChange={(e) => updateDraft({ category: e.target.value })}>
+                        {BUDGET_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                    </select>
+                    <input
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        placeholder="Amount"
+                        value={draft.amount}
+                        onChange={(e) => updateDraft({ amount: e.target.value })}
+                        required
+                    />
+                    <input
+                        className="currency-code"
+                        placeholder="Currency"
+                        value={draft.currency}
+                        maxLength={3}
+                        onChange={(e) => updateDraft({ currency: e.target.value.toUpperCase() })}
+                        aria-label="Currency"
+                    />
+                    <select value={draft.status} onChange={(e) => updateDraft({ status: e.target.value })}>
+                        <option value="actual">Paid</option>
+                        <option value="planned">Planned</option>
+                    </select>
+                    <label>
+                        Paid by
+                        <select value={draft.paidBy} onChange={(e) => updateDraft({ paidBy: e.target.value })}>
+                            {people.map(person => <option key={person.userId} value={person.userId}>{nameOf(person.userId)}</option>)}
+                        </select>
+                    </label>
+                    <label>
+                        Split
+                        <select value={draft.method} onChange={(e) => updateDraft({ method: e.target.value, portions: {} })}>
+                            {SPLIT_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+                        </select>
+                    </label>
+
+                    <fieldset className="expense-split">
+                        {people.map(person => (
+                            <label key={person.userId}>
+                                {draft.method === 'equal' ? (
+                                    <input
+                                        type="checkbox"
+                                        checked={draft.participants.length === 0 || draft.participants.includes(person.userId)}
+                                        onChange={(e) => {
+                                            const everyone = draft.participants.length === 0 ? people.map(p => p.userId) : draft.participants;
+                                            updateDraft({
+                                                participants: e.target.checked
+                                                    ? [...everyone, person.userId]
+                                                    : everyone.filter(userId => userId !== person.userId)
+                                            });
+                                        }}
+                                    />
+                                ) : (
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step={draft.method === 'shares' ? '1' : '0.01'}
+                                        placeholder={draft.method === 'shares' ? 'Shares' : 'Amount'}
+                                        value={draft.portions[person.userId] ?? ''}
+                                        onChange={(e) => updateDraft({ portions: { ...draft.portions, [person.userId]: e.target.value } })}
+                                    />
+                                )}
+                                {nameOf(person.userId)}
+                            </label>
+                        ))}
+                    </fieldset>
+
+                    <button type="submit" disabled={isLoading}>Add</button>
+                    <button type="button" onClick={() => setDraft(null)}>Cancel</button>
+                </form>
+            )}
+
+            <h3>Settle up</h3>
+            {ledger.settlement.length === 0 ? (
+                <p className="empty-state">Everyone is even.</p>
+            ) : (
+                <ul className="settlement">
+                    {ledger.settlement.map(transfer => (
+                        <li key={`${transfer.from}-${transfer.to}`}>
+                            <strong>{nameOf(transfer.from)}</strong> owes <strong>{nameOf(transfer.to)}</strong>{' '}
+                            {transfer.amount.toFixed(2)} {currency}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+}
+
+export default ExpenseLedger;
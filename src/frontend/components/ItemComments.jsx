@@ -0,0 +1,54 @@
+// Item Comments
+// Discussion thread attached to one itinerary item of a shared trip
+
+import React, { useState } from 'react';
+import { useI18n } from '../utils/i18n-context';
+
+function ItemComments({ comments, currentUserId, canModerate, onAdd, onDelete }) {
+    const { formatDateTime } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [text, setText] = useState('');
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        if (!text.trim()) {
+            return;
+        }
+        onAdd(text.trim());
+        setText('');
+    };
+
+    return (
+        <div className="item-comments">
+            <button className="comments-toggle" onClick={() => setIsOpen(open => !open)} aria-expanded={isOpen}>
+                💬 {comments.length}
+            </button>
+
+            {isOpen && (
+                <div className="comments-thread">
+                    {comments.map(comment => (
+                        <p key={comment.id} className="comment">
+                            <strong>{comment.displayName || comment.userId}</strong> {comment.text}
+                            <small>{formatDateTime(comment.createdAt)}</small>
+                            {(comment.userId === currentUserId || canModerate) && (
+                                <button className="link danger" onClick={() => onDelete(comment)}>Delete</button>
+                            )}
+                        </p>
+                    ))}
+                    <form onSubmit={handleSubmit}>
+                        <input
+                            type="text"
+                            placeholder="Add a comment"
+                            value={text}
+                            maxLength={2000}
+                            onChange={(e) => setText(e.target.value)}
+                        />
+                        <button type="submit" disabled={!text.trim()}>Post</button>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ItemComments;
@@ -0,0 +1,146 @@
+// Itinerary Builder
+// Day-by-day schedule of selected flights, stays and activities with drag-and-drop re-timing
+
+import React, { useMemo, useState } from 'react';
+import { buildDays, detectConflicts } from '../../shared/itinerary-schedule';
+import ItemComments from './ItemComments';
+import { useI18n } from '../utils/i18n-context';
+
+const SLOT_HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Comments are only shown when `onAddComment` is given, i.e. for saved trips
+ */
+function ItineraryBuilder({
+    items,
+    onMoveItem,
+    readOnly = false,
+    comments = [],
+    currentUserId = null,
+    canModerate = false,
+    onAddComment = null,
+    onDeleteComment = null,
+    isLoading
+}) {
+    const { formatDate, formatTime, formatDateTime } = useI18n();
+    const [draggedItemId, setDraggedItemId] = useState(null);
+    const [dropTarget, setDropTarget] = useState(null);
+
+    const days = useMemo(() => buildDays(items), [items]);
+    const conflicts = useMemo(() => detectConflicts(items), [items]);
+
+    const conflictsByItem = useMemo(() => {
+        const byItem = new Map();
+        for (const conflict of conflicts) {
+            for (const itemId of conflict.itemIds) {
+                byItem.set(itemId, [...(byItem.get(itemId) || []), conflict]);
+            }
+        }
+        return byItem;
+    }, [conflicts]);
+
+    const commentsByItem = useMemo(() => {
+        const byItem = new Map();
+        for (const comment of comments) {
+            byItem.set(comment.itemId, [...(byItem.get(comment.itemId) || []), comment]);
+        }
+        return byItem;
+    }, [comments]);
+
+    const handleDrop = (event, date, hour) => {
+        event.preventDefault();
+        const itemId = event.dataTransfer.getData('text/plain') || draggedItemId;
+        const item = items.find(i => i.id === itemId);
+        setDraggedItemId(null);
+        setDropTarget(null);
+
+        if (item && !item.fixed && !readOnly) {
+            // Keep the minutes past the hour when moving between slots
+            onMoveItem(item.id, `${date}T${pad(hour)}:${item.start.slice(14, 16)}`);
+        }
+    };
+
+    if (days.length === 0) {
+        return (
+            <section className="itinerary-builder empty">
+                <h2>Itinerary</h2>
+                <p className="empty-state">Select flights, hotels or activities to build your itinerary.</p>
+            </section>
+        );
+    }
+
+    return (
+        <section className={`itinerary-builder ${isLoading ? 'loading' : ''}`}>
+            <h2>Itinerary</h2>
+
+            {conflicts.length > 0 && (
+                <p className="itinerary-summary warning" role="status">
+                    {conflicts.length} scheduling {conflicts.length === 1 ? 'problem' : 'problems'} found
+                </p>
+            )}
+
+            <div className="itinerary-days">
+                {days.map(day => (
+                    <div key={day.date} className="itinerary-day">
+                        <h3>{formatDate(day.date, { weekday: 'long', day: 'numeric', month: 'long' })}</h3>
+                        {SLOT_HOURS.map(hour => {
+                            const slotItems = day.items.filter(item => Number(item.start.slice(11, 13)) === hour);
+                            const isTarget = dropTarget === `${day.date}T${hour}`;
+
+                            return (
+                                <div
+                                    key={hour}
+                                    className={`itinerary-slot ${isTarget ? 'drop-target' : ''} ${slotItems.length ? 'occupied' : ''}`}
+                                    onDragOver={(e) => {
+                                        e.preventDefault();
+                                        setDropTarget(`${day.date}T${hour}`);
+                                    }}
+                                    onDragLeave={() => setDropTarget(null)}
+                                    onDrop={(e) => handleDrop(e, day.date, hour)}
+                                >
+                                    <span className="slot-time">{pad(hour)}:00</span>
+                                    {slotItems.map(item => {
+                                        const itemConflicts = conflictsByItem.get(item.id) || [];
+                                        return (
+                                            <article
+                                                key={item.id}
+                                                className={`itinerary-item type-${item.type} ${itemConflicts.length ? 'has-conflict' : ''} ${item.fixed ? 'fixed' : ''}`}
+                                                draggable={!item.fixed && !readOnly}
+                                                onDragStart={(e) => {
+                                                    e.dataTransfer.setData('text/plain', item.id);
+                                                    setDraggedItemId(item.id);
+                                                }}
+                                                onDragEnd={() => setDraggedItemId(null)}
+                                            >
+                                                <strong>{item.title}</strong>
+                                                <small>{formatTime(item.start)} – {item.end.slice(0, 10) === item.start.slice(0, 10) ? formatTime(item.end) : formatDateTime(item.end)}</small>
+                                                {itemConflicts.map(conflict => (
+                                                    <span key={`${conflict.type}-${conflict.itemIds.join('-')}`} className={`conflict conflict-${conflict.type}`}>
+                                                        ⚠ {conflict.message}
+                                                    </span>
+                                                ))}
+                                                {onAddComment && (
+                                                    <ItemComments
+                                                        comments={commentsByItem.get(item.id) || []}
+                                                        currentUserId={currentUserId}
+                                                        canModerate={canModerate}
+                                                        onAdd={(text) => onAddComment(item.id, text)}
+                                                        onDelete={onDeleteComment}
+                                                    />
+                                                )}
+                                            </article>
+                                        );
+                                    })}
+                                </div>
+                            );
+                        })}
+                    </div>
+                ))}
+            </div>
+        </section>
+    );
+}
+
+export default ItineraryBuilder;
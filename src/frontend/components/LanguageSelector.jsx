@@ -0,0 +1,26 @@
+// Language Selector
+// Switches the interface language; each language is named in itself
+
+import React from 'react';
+import { useI18n } from '../utils/i18n-context';
+
+function LanguageSelector({ locales, value, onChange }) {
+    const { t } = useI18n();
+
+    return (
+        <section className="language-selector">
+            <label>
+                {t('settings.language')}
+                <select value={value} onChange={(e) => onChange(e.target.value)}>
+                    {locales.map(locale => (
+                        <option key={locale.code} value={locale.code} lang={locale.code} dir={locale.dir}>
+                            {locale.name}
+                        </option>
+                    ))}
+                </select>
+            </label>
+        </section>
+    );
+}
+
+export default LanguageSelector;
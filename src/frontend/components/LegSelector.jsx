@@ -0,0 +1,32 @@
+// Leg Selector
+// Tab bar switching between the per-leg result lists of a multi-leg search
+
+import React from 'react';
+import { useI18n } from '../utils/i18n-context';
+
+function LegSelector({ legs, activeLeg, onChange }) {
+    const { formatDate } = useI18n();
+
+    if (!legs || legs.length < 2) {
+        return null;
+    }
+
+    return (
+        <nav className="leg-selector" role="tablist">
+            {legs.map(leg => (
+                <button
+                    key={leg.legIndex}
+                    role="tab"
+                    aria-selected={leg.legIndex === activeLeg}
+                    className={leg.legIndex === activeLeg ? 'active' : ''}
+                    onClick={() => onChange(leg.legIndex)}
+                >
+                    {leg.origin} → {leg.destination}
+                    <small>{formatDate(leg.departureDate)} · {leg.results.length} options</small>
+                </button>
+            ))}
+        </nav>
+    );
+}
+
+export default LegSelector;
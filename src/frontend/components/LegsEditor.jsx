@@ -0,0 +1,64 @@
+// Itinerary Legs Editor
+// Edit multi-leg and open-jaw itineraries as an ordered list of legs
+
+import React, { useCallback } from 'react';
+import { createLeg, classifyTrip, validateLegs, MAX_LEGS } from '../../shared/itinerary-legs';
+
+function LegsEditor({ legs, onChange, disabled = false }) {
+    const errors = validateLegs(legs);
+    const tripType = classifyTrip(legs);
+
+    const updateLeg = useCallback((index, field, value) => {
+        onChange(legs.map((leg, i) => (i === index ? { ...leg, [field]: value } : leg)));
+    }, [legs, onChange]);
+
+    const addLeg = useCallback(() => {
+        const previous = legs[legs.length - 1];
+        // Continue the journey from where the previous leg arrived
+        onChange([...legs, createLeg({ origin: previous?.destination || '' })]);
+    }, [legs, onChange]);
+
+    const removeLeg = useCallback((index) => {
+        onChange(legs.filter((_, i) => i !== index));
+    }, [legs, onChange]);
+
+    const errorFor = (legIndex, field) => errors.find(e => e.legIndex === legIndex && e.field === field);
+
+    return (
+        <fieldset className="legs-editor" disabled={disabled}>
+            <legend>Itinerary <span className="trip-type">{tripType}</span></legend>
+
+            {legs.map((leg, index) => (
+                <div key={index} className="leg-row">
+                    <span className="leg-number">Leg {index + 1}</span>
+                    {['origin', 'destination', 'departureDate'].map(field => (
+                        <label key={field} className={errorFor(index, field) ? 'invalid' : ''}>
+                            <input
+                                type={field === 'departureDate' ? 'date' : 'text'}
+                                placeholder={field === 'origin' ? 'From' : field === 'destination' ? 'To' : ''}
+                                value={leg[field]}
+                                onChange={(e) => updateLeg(index, field, e.target.value)}
+                            />
+                            {errorFor(index, field) && (
+                                <span className="field-error">{errorFor(index, field).message}</span>
+                            )}
+                        </label>
+                    ))}
+                    {legs.length > 1 && (
+                        <button type="button" onClick={() => removeLeg(index)} aria-label={`Remove leg ${index + 1}`}>
+                            ×
+                        </button>
+                    )}
+                </div>
+            ))}
+
+            {legs.length < MAX_LEGS && (
+                <button type="button" className="add-leg" onClick={addLeg}>
+                    Add leg
+                </button>
+            )}
+        </fieldset>
+    );
+}
+
+export default LegsEditor;
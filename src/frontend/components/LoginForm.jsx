@@ -0,0 +1,85 @@
+// Login Form
+// Sign in with email and password, or create an account
+
+import React, { useState } from 'react';
+import { useI18n } from '../utils/i18n-context';
+
+function LoginForm({ onLogin, onRegister, error, isLoading }) {
+    const { t } = useI18n();
+    const [mode, setMode] = useState('login');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [name, setName] = useState('');
+
+    const isRegistering = mode === 'register';
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        if (isRegistering) {
+            onRegister({ email: email.trim(), password, name: name.trim() });
+        } else {
+            onLogin({ email: email.trim(), password });
+        }
+    };
+
+    return (
+        <section className="login-form">
+            <h2>{t(isRegistering ? 'auth.registerTitle' : 'auth.loginTitle')}</h2>
+
+            <form onSubmit={handleSubmit}>
+                {isRegistering && (
+                    <label>
+                        {t('auth.name')}
+                        <input
+                            type="text"
+                            autoComplete="name"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            disabled={isLoading}
+                        />
+                    </label>
+                )}
+                <label>
+                    {t('auth.email')}
+                    <input
+                        type="email"
+                        autoComplete="email"
+                        required
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        disabled={isLoading}
+                    />
+                </label>
+                <label>
+                    {t('auth.password')}
+                    <input
+                        type="password"
+                        autoComplete={isRegistering ? 'new-password' : 'current-password'}
+                        required
+                        minLength={isRegistering ? 10 : undefined}
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        disabled={isLoading}
+                    />
+                </label>
+
+                {error && <p className="form-error" role="alert">{error}</p>}
+
+                <button type="submit" disabled={isLoading || !email.trim() || !password}>
+                    {t(isRegistering ? 'auth.register' : 'auth.login')}
+                </button>
+            </form>
+
+            <button
+                type="button"
+                className="link-button"
+                onClick={() => setMode(isRegistering ? 'login' : 'register')}
+                disabled={isLoading}
+            >
+                {t(isRegistering ? 'auth.haveAccount' : 'auth.needAccount')}
+            </button>
+        </section>
+    );
+}
+
+export default LoginForm;
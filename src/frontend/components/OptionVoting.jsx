@@ -0,0 +1,65 @@
+// Option Voting
+// Lets trip members vote on candidate options for the current leg
+
+import React, { useMemo } from 'react';
+import Price from './Price';
+
+function tally(optionVotes = {}) {
+    const values = Object.values(optionVotes);
+    return {
+        up: values.filter(value => value > 0).length,
+        down: values.filter(value => value < 0).length
+    };
+}
+
+function OptionVoting({ options, votes, currentUserId, onVote, rates, displayCurrency, isLoading }) {
+    // Most-liked options first, keeping the ranking order for ties
+    const rankedOptions = useMemo(() => {
+        return options
+            .map((option, rank) => ({ option, rank, ...tally(votes[option.id]) }))
+            .sort((a, b) => (b.up - b.down) - (a.up - a.down) || a.rank - b.rank);
+    }, [options, votes]);
+
+    if (options.length === 0) {
+        return null;
+    }
+
+    return (
+        <section className="option-voting">
+            <h3>Group votes</h3>
+            <ul>
+                {rankedOptions.map(({ option, up, down }) => {
+                    const myVote = votes[option.id]?.[currentUserId] || 0;
+                    return (
+                        <li key={option.id} className="voting-option">
+                            <span className="option-title">{option.title}</span>
+                            {option.price?.amount != null && (
+                                <small><Price money={option.price} rates={rates} currency={displayCurrency} /></small>
+                            )}
+                            <button
+                                className={myVote === 1 ? 'active' : ''}
+                                onClick={() => onVote(option, myVote === 1 ? 0 : 1)}
+                                disabled={isLoading}
+                                aria-pressed={myVote === 1}
+                                aria-label="Vote for"
+                            >
+                                ▲ {up}
+                            </button>
+                            <button
+                                className={myVote === -1 ? 'active' : ''}
+                                onClick={() => onVote(option, myVote === -1 ? 0 : -1)}
+                                disabled={isLoading}
+                                aria-pressed={myVote === -1}
+                                aria-label="Vote against"
+                            >
+                                ▼ {down}
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+        </section>
+    );
+}
+
+export default OptionVoting;
@@ -0,0 +1,45 @@
+// Price
+// A price in the user's display currency, always next to the original price
+
+import React from 'react';
+import { isMoney } from '../../shared/money';
+import { useI18n } from '../utils/i18n-context';
+
+// Conversions that fail (e.g. no rate for the currency) fall back to the original price
+function convertForDisplay(money, rates, currency) {
+    if (!rates || !currency || money.currency === currency) {
+        return null;
+    }
+    try {
+        return rates.convert(money, currency);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * `converted` shows a conversion made elsewhere (e.g. at booking time)
+ * instead of converting with the current rates
+ */
+function Price({ money, converted = null, rates = null, currency = null }) {
+    const { t, formatMoney, formatDate } = useI18n();
+
+    if (!isMoney(money)) {
+        return <span className="price">—</span>;
+    }
+
+    const shown = converted || convertForDisplay(money, rates, currency);
+    if (!shown || shown.currency === money.currency) {
+        return <span className="price">{formatMoney(money)}</span>;
+    }
+
+    return (
+        <span className="price converted" title={shown.ratesAsOf ? t('price.rateAsOf', { date: formatDate(shown.ratesAsOf) }) : undefined}>
+            <span className="price-converted">≈ {formatMoney(shown)}</span>
+            {' '}
+            <small className="price-original">({formatMoney(money)})</small>
+        </span>
+    );
+}
+
+export default Price;
@@ -0,0 +1,39 @@
+// Price Sparkline
+// Inline SVG chart of a price history
+
+import React from 'react';
+
+function PriceSparkline({ history, width = 120, height = 32, targetPrice = null }) {
+    if (!history || history.length < 2) {
+        return <span className="price-sparkline empty">Not enough data yet</span>;
+    }
+
+    const prices = history.map(point => point.price);
+    const low = Math.min(...prices, targetPrice ?? Infinity);
+    const high = Math.max(...prices);
+    const range = high - low || 1;
+    const x = (index) => (index / (prices.length - 1)) * width;
+    const y = (price) => height - ((price - low) / range) * (height - 2) - 1;
+
+    const points = prices.map((price, index) => `${x(index).toFixed(1)},${y(price).toFixed(1)}`).join(' ');
+    const trend = prices[prices.length - 1] < prices[0] ? 'down' : 'up';
+
+    return (
+        <svg
+            className={`price-sparkline trend-${trend}`}
+            width={width}
+            height={height}
+            viewBox={`0 0 ${width} ${height}`}
+            role="img"
+            aria-label={`Price from ${prices[0]} to ${prices[prices.length - 1]}, low ${Math.min(...prices)}`}
+        >
+            {targetPrice !== null && (
+                <line className="target" x1="0" x2={width} y1={y(targetPrice)} y2={y(targetPrice)} strokeDasharray="3 3" />
+            )}
+            <polyline points={points} fill="none" strokeWidth="1.5" />
+            <circle cx={x(prices.length - 1)} cy={y(prices[prices.length - 1])} r="2" />
+        </svg>
+    );
+}
+
+export default PriceSparkline;
@@ -0,0 +1,61 @@
+// Price Watch Manager
+// Lists the user's price watches with their price history and controls
+
+import React from 'react';
+import PriceSparkline from './PriceSparkline';
+import Price from './Price';
+import { useI18n } from '../utils/i18n-context';
+
+function describeThreshold(watch) {
+    if (watch.targetPrice !== null) {
+        return `Alert at ${watch.targetPrice}${watch.currency ? ` ${watch.currency}` : ''} or less`;
+    }
+    return `Alert on a ${watch.dropPercent}% drop`;
+}
+
+function PriceWatchManager({ watches, onToggle, onCheck, onDelete, rates, displayCurrency, isLoading }) {
+    const { t, formatDateTime } = useI18n();
+
+    return (
+        <section className="price-watches">
+            <h3>Price watches</h3>
+
+            {watches.length === 0 ? (
+                <p className="empty-state">
+                    No price watches. Use “Watch this price” on search results to get alerted when fares drop.
+                </p>
+            ) : (
+                <ul>
+                    {watches.map(watch => (
+                        <li key={watch.id} className={`price-watch status-${watch.status}`}>
+                            <div className="watch-summary">
+                                <strong>{watch.name}</strong>
+                                <small>{describeThreshold(watch)}</small>
+                            </div>
+                            <PriceSparkline history={watch.history} targetPrice={watch.targetPrice} />
+                            <div className="watch-price">
+                                {watch.lastPrice !== null
+                                    ? <Price money={{ amount: watch.lastPrice, currency: watch.currency }} rates={rates} currency={displayCurrency} />
+                                    : '—'}
+                                {watch.lastCheckedAt && (
+                                    <small>{t('watches.checkedAt', { time: formatDateTime(watch.lastCheckedAt) })}</small>
+                                )}
+                            </div>
+                            <div className="watch-actions">
+                                <button onClick={() => onCheck(watch)} disabled={isLoading}>Check now</button>
+                                <button onClick={() => onToggle(watch)} disabled={isLoading}>
+                                    {watch.status === 'active' ? 'Pause' : 'Resume'}
+                                </button>
+                                <button className="danger" onClick={() => onDelete(watch)} disabled={isLoading}>
+                                    Remove
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+}
+
+export default PriceWatchManager;
@@ -0,0 +1,57 @@
+// Privacy Settings
+// Download a copy of the account's data or delete the account
+
+import React, { useState } from 'react';
+import { useI18n } from '../utils/i18n-context';
+
+function PrivacySettings({ onExport, onDelete, error, isLoading }) {
+    const { t } = useI18n();
+    const [confirming, setConfirming] = useState(false);
+    const [password, setPassword] = useState('');
+
+    const handleDelete = (event) => {
+        event.preventDefault();
+        onDelete(password);
+        setPassword('');
+    };
+
+    return (
+        <section className="privacy-settings">
+            <h3>{t('privacy.title')}</h3>
+
+            <button onClick={onExport} disabled={isLoading}>
+                {t('privacy.export')}
+            </button>
+
+            {confirming ? (
+                <form className="delete-account" onSubmit={handleDelete}>
+                    <p>{t('privacy.deleteWarning')}</p>
+                    <label>
+                        {t('privacy.confirmPassword')}
+                        <input
+                            type="password"
+                            autoComplete="current-password"
+                            required
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            disabled={isLoading}
+                        />
+                    </label>
+                    {error && <p className="form-error" role="alert">{error}</p>}
+                    <button type="submit" className="danger" disabled={isLoading || !password}>
+                        {t('privacy.deleteConfirm')}
+                    </button>
+                    <button type="button" onClick={() => setConfirming(false)} disabled={isLoading}>
+                        {t('privacy.keepAccount')}
+                    </button>
+                </form>
+            ) : (
+                <button className="danger" onClick={() => setConfirming(true)} disabled={isLoading}>
+                    {t('privacy.delete')}
+                </button>
+            )}
+        </section>
+    );
+}
+
+export default PrivacySettings;
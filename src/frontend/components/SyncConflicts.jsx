@@ -0,0 +1,34 @@
+// Sync Conflicts
+// Offline changes the server rejected, with the choice to keep or discard each
+
+import React from 'react';
+import { useI18n } from '../utils/i18n-context';
+
+function SyncConflicts({ conflicts, onResolve }) {
+    const { t, formatDateTime } = useI18n();
+
+    if (conflicts.length === 0) {
+        return null;
+    }
+
+    return (
+        <section className="sync-conflicts" role="alert">
+            <h3>{t('sync.conflictsTitle')}</h3>
+            <ul>
+                {conflicts.map(mutation => (
+                    <li key={mutation.id}>
+                        <strong>{t(`sync.labels.${mutation.label}`)}</strong>
+                        <small>{formatDateTime(mutation.createdAt)}</small>
+                        <p>{mutation.error?.status === 409 ? t('sync.conflict') : mutation.error?.message}</p>
+                        {mutation.error?.status === 409 && (
+                            <button onClick={() => onResolve(mutation, 'keep')}>{t('sync.keepMine')}</button>
+                        )}
+                        <button className="secondary" onClick={() => onResolve(mutation, 'discard')}>{t('sync.discard')}</button>
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+}
+
+export default SyncConflicts;
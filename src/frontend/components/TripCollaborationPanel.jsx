@@ -0,0 +1,87 @@
+// Trip Collaboration Panel
+// Members of a shared trip, their roles and invite links
+
+import React, { useState } from 'react';
+import { useI18n } from '../utils/i18n-context';
+
+const INVITE_ROLES = ['editor', 'viewer'];
+
+const inviteLink = (token) => `${window.location.origin}${window.location.pathname}?joinTrip=${encodeURIComponent(token)}`;
+
+function TripCollaborationPanel({ trip, currentUserId, onInvite, onRevokeInvite, onChangeRole, onRemoveMember, isLoading }) {
+    const { formatDate } = useI18n();
+    const [inviteRole, setInviteRole] = useState('editor');
+    const [copiedToken, setCopiedToken] = useState(null);
+
+    const isOwner = trip.role === 'owner';
+    const invites = (trip.invites || []).filter(invite => Date.parse(invite.expiresAt) > Date.now());
+
+    const handleCopy = async (token) => {
+        try {
+            await navigator.clipboard.writeText(inviteLink(token));
+            setCopiedToken(token);
+        } catch (error) {
+            window.prompt('Copy this invite link', inviteLink(token));
+        }
+    };
+
+    return (
+        <section className="trip-collaboration">
+            <h3>Shared with</h3>
+
+            <ul className="trip-members">
+                {(trip.members || []).map(member => (
+                    <li key={member.userId} className={`trip-member role-${member.role}`}>
+                        <span>{member.displayName || member.userId}{member.userId === currentUserId && ' (you)'}</span>
+                        {isOwner && member.role !== 'owner' ? (
+                            <select
+                                value={member.role}
+                                onChange={(e) => onChangeRole(member, e.target.value)}
+                                disabled={isLoading}
+                                aria-label={`Role for ${member.displayName || member.userId}`}
+                            >
+                                {INVITE_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                            </select>
+                        ) : (
+                            <small>{member.role}</small>
+                        )}
+                        {member.role !== 'owner' && (isOwner || member.userId === currentUserId) && (
+                            <button className="danger" onClick={() => onRemoveMember(member)} disabled={isLoading}>
+                                {member.userId === currentUserId ? 'Leave' : 'Remove'}
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {isOwner && (
+                <div className="trip-invites">
+                    <div className="invite-create">
+                        <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} disabled={isLoading}>
+                            {INVITE_ROLES.map(role => <option key={role} value={role}>Invite as {role}</option>)}
+                        </select>
+                        <button onClick={() => onInvite(inviteRole)} disabled={isLoading}>Create invite link</button>
+                    </div>
+
+                    {invites.length > 0 && (
+                        <ul>
+                            {invites.map(invite => (
+                                <li key={invite.token} className="trip-invite">
+                                    <span>{invite.role} link · expires {formatDate(invite.expiresAt)} · used {invite.uses}×</span>
+                                    <button onClick={() => handleCopy(invite.token)}>
+                                        {copiedToken === invite.token ? 'Copied' : 'Copy link'}
+                                    </button>
+                                    <button className="danger" onClick={() => onRevokeInvite(invite)} disabled={isLoading}>
+                                        Revoke
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+}
+
+export default TripCollaborationPanel;
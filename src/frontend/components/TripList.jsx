@@ -0,0 +1,82 @@
+// Trip List
+// Workspace view listing saved trips with create, open, rename and delete actions
+
+import React, { useState } from 'react';
+
+function TripList({ trips, activeTripId, onCreate, onOpen, onRename, onDelete, isLoading }) {
+    const [newTripName, setNewTripName] = useState('');
+
+    const handleCreate = (event) => {
+        event.preventDefault();
+        if (!newTripName.trim()) {
+            return;
+        }
+        onCreate(newTripName.trim());
+        setNewTripName('');
+    };
+
+    const handleRename = (trip) => {
+        const name = window.prompt('Rename trip', trip.name);
+        if (name && name.trim() && name.trim() !== trip.name) {
+            onRename(trip, name.trim());
+        }
+    };
+
+    return (
+        <section className="trip-list">
+            <h2>My Trips</h2>
+
+            <form className="trip-create" onSubmit={handleCreate}>
+                <input
+                    type="text"
+                    placeholder="Name this trip, e.g. Summer in Europe"
+                    value={newTripName}
+                    onChange={(e) => setNewTripName(e.target.value)}
+                    disabled={isLoading}
+                />
+                <button type="submit" disabled={isLoading || !newTripName.trim()}>
+                    Save current plan
+                </button>
+            </form>
+
+            {trips.length === 0 ? (
+                <p className="empty-state">No saved trips yet.</p>
+            ) : (
+                <ul>
+                    {trips.map(trip => (
+                        <li key={trip.id} className={trip.id === activeTripId ? 'active' : ''}>
+                            <div className="trip-summary">
+                                <strong>{trip.name}</strong>
+                                <span className={`trip-status status-${trip.status}`}>{trip.status}</span>
+                                {(trip.members || []).length > 1 && (
+                                    <span className={`trip-role role-${trip.role}`}>
+                                        {trip.role} · {trip.members.length} members
+                                    </span>
+                                )}
+                                <small>
+                                    {trip.legs.map(leg => leg.origin).concat(trip.legs.slice(-1).map(leg => leg.destination)).join(' → ')}
+                                </small>
+                            </div>
+                            <div className="trip-actions">
+                                <button onClick={() => onOpen(trip)}>Open</button>
+                                {trip.role !== 'viewer' && (
+                                    <button onClick={() => handleRename(trip)}>Rename</button>
+                                )}
+                                {trip.role === 'owner' && (
+                                    <button
+                                        className="danger"
+                                        onClick={() => window.confirm(`Delete "${trip.name}"?`) && onDelete(trip)}
+                                    >
+                                        Delete
+                                    </button>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </section>
+    );
+}
+
+export default TripList;
@@ -0,0 +1,34 @@
+// View Navigation
+// Top-level navigation between the application views
+
+import React from 'react';
+
+// Modified clicks keep the browser's behavior, e.g. opening the view in a new tab
+const isPlainClick = (event) => event.button === 0 && !event.metaKey && !event.ctrlKey && !event.shiftKey && !event.altKey;
+
+function ViewNavigation({ views, currentView, onNavigate }) {
+    const handleClick = (event, view) => {
+        if (isPlainClick(event)) {
+            event.preventDefault();
+            onNavigate(view.id, view.href);
+        }
+    };
+
+    return (
+        <nav className="view-navigation">
+            {views.map(view => (
+                <a
+                    key={view.id}
+                    href={view.href}
+                    className={view.id === currentView ? 'active' : ''}
+                    aria-current={view.id === currentView ? 'page' : undefined}
+                    onClick={(event) => handleClick(event, view)}
+                >
+                    {view.label}
+                </a>
+            ))}
+        </nav>
+    );
+}
+
+export default ViewNavigation;
@@ -0,0 +1,59 @@
+// Service Worker
+// Precaches the app shell so the planner opens without a connection
+
+/* eslint-env serviceworker */
+
+// Injected by the build: the emitted bundle and chunk files and a hash of them
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || { version: 'development', assets: [] };
+const CACHE_NAME = `holonic-shell-${PRECACHE_MANIFEST.version}`;
+const APP_SHELL = '/index.html';
+
+// API responses are not cached here: the app keeps its data in IndexedDB
+const isApiRequest = (url) => url.pathname.startsWith('/api/');
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll([APP_SHELL, ...PRECACHE_MANIFEST.assets.map(asset => `/${asset}`)]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the shells of earlier builds
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('holonic-shell-') && key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin || isApiRequest(url)) {
+        return;
+    }
+
+    // Pages: network first so deploys show up, the cached shell when offline (client-side routes included)
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => caches.match(APP_SHELL))
+        );
+        return;
+    }
+
+    // Assets belong to this build's cache: serve them from it, caching anything not precached on the way
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
@@ -0,0 +1,57 @@
+// Admin Client
+// Browser client for the staff console: users, bookings, price watches, system health, the audit log and analytics
+
+import { requestJson } from './http';
+
+export class AdminClient {
+    constructor(baseUrl = '/api/admin') {
+        this.baseUrl = baseUrl;
+    }
+
+    listUsers() {
+        return requestJson(`${this.baseUrl}/users`);
+    }
+
+    setRole(userId, role) {
+        return requestJson(`${this.baseUrl}/users/${encodeURIComponent(userId)}/role`, { method: 'PUT', body: { role } });
+    }
+
+    /**
+     * An access token for acting as the user; hand it to AuthClient.impersonate
+     */
+    impersonate(userId, reason = null) {
+        return requestJson(`${this.baseUrl}/users/${encodeURIComponent(userId)}/impersonate`, { method: 'POST', body: { reason } });
+    }
+
+    listBookings(status = null) {
+        const query = status ? `?status=${encodeURIComponent(status)}` : '';
+        return requestJson(`${this.baseUrl}/bookings${query}`);
+    }
+
+    cancelBooking(bookingId, reason = null) {
+        return requestJson(`${this.baseUrl}/bookings/${encodeURIComponent(bookingId)}/cancel`, { method: 'POST', body: { reason } });
+    }
+
+    refundBooking(bookingId, reason = null) {
+        return requestJson(`${this.baseUrl}/bookings/${encodeURIComponent(bookingId)}/refund`, { method: 'POST', body: { reason } });
+    }
+
+    listWatches() {
+        return requestJson(`${this.baseUrl}/watches`);
+    }
+
+    getHealth() {
+        return requestJson(`${this.baseUrl}/health`);
+    }
+
+    listAuditLog() {
+        return requestJson(`${this.baseUrl}/audit`);
+    }
+
+    /**
+     * Funnel, top routes and failure rates over the last `days` days
+     */
+    getAnalyticsReport(days = 7) {
+        return requestJson(`${this.baseUrl}/analytics?days=${encodeURIComponent(days)}`);
+    }
+}
@@ -0,0 +1,126 @@
+// Analytics Collector
+// Queues analytics events in memory and sends them in batches to the ingestion endpoint
+
+import { v4 as uuidv4 } from 'uuid';
+import { requestJson, NetworkError } from './http';
+
+const BATCH_SIZE = 20;
+const FLUSH_INTERVAL = 15000;
+
+// Events kept while the server cannot be reached; the oldest are dropped first
+const MAX_QUEUE = 500;
+
+function doNotTrack() {
+    return typeof navigator !== 'undefined'
+        && (navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true);
+}
+
+/**
+ * Analytics Collector
+ * Events are sent when a batch is full, on an interval, and with
+ * `sendBeacon` when the page is hidden, so the last events of a visit are
+ * not lost. Nothing is queued when the browser asks not to be tracked.
+ * The queue only lives in memory: `reset` discards it together with the
+ * user and session, which is what withdrawing consent relies on.
+ */
+export class AnalyticsCollector {
+    constructor(baseUrl = '/api/analytics') {
+        this.baseUrl = baseUrl;
+        this.queue = [];
+        this.sessionId = null;
+        this.userId = null;
+        this.enabled = false;
+        this.timer = null;
+        this.sending = null;
+        this.handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                this.beacon();
+            }
+        };
+    }
+
+    async initialize({ userId = null, sessionId = null } = {}) {
+        this.enabled = !doNotTrack();
+        this.userId = userId;
+        this.sessionId = sessionId || uuidv4();
+        if (!this.enabled || this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    close() {
+        clearInterval(this.timer);
+        this.timer = null;
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    track(name, properties = {}) {
+        if (!this.enabled) {
+            return;
+        }
+        this.queue.push({ name, properties, timestamp: new Date().toISOString() });
+        if (this.queue.length > MAX_QUEUE) {
+            this.queue.splice(0, this.queue.length - MAX_QUEUE);
+        }
+        if (this.queue.length >= BATCH_SIZE) {
+            this.flush();
+        }
+    }
+
+    // The server takes the user from the session; the id only marks a new visit
+    setUserId(userId) {
+        this.userId = userId;
+    }
+
+    /**
+     * Forget queued events, the user and the session
+     */
+    reset() {
+        this.queue = [];
+        this.userId = null;
+        this.sessionId = uuidv4();
+    }
+
+    /**
+     * Send queued events batch by batch; events that could not be sent are
+     * queued again for the next flush
+     */
+    flush() {
+        if (!this.sending && this.queue.length > 0) {
+            this.sending = this.sendQueued().finally(() => {
+                this.sending = null;
+            });
+        }
+        return this.sending || Promise.resolve();
+    }
+
+    async sendQueued() {
+        while (this.queue.length > 0) {
+            const sessionId = this.sessionId;
+            const events = this.queue.splice(0, BATCH_SIZE);
+            try {
+                await requestJson(`${this.baseUrl}/events`, { method: 'POST', body: { sessionId, events } });
+            } catch (error) {
+                // Retrying will not help a batch the server refused
+                if (error instanceof NetworkError && sessionId === this.sessionId) {
+                    this.queue.unshift(...events);
+                }
+                return;
+            }
+        }
+    }
+
+    // Pages being closed cannot wait for a response
+    beacon() {
+        if (this.queue.length === 0 || typeof navigator.sendBeacon !== 'function') {
+            this.flush();
+            return;
+        }
+        while (this.queue.length > 0) {
+            const body = JSON.stringify({ sessionId: this.sessionId, events: this.queue.splice(0, BATCH_SIZE) });
+            navigator.sendBeacon(`${this.baseUrl}/events`, new Blob([body], { type: 'application/json' }));
+        }
+    }
+}
@@ -0,0 +1,138 @@
+// Auth Client
+// Sign-in, registration and the access token every API request carries
+
+import { requestJson, setAuthHandler, NetworkError } from './http';
+
+// Renew the access token this long before it expires
+const REFRESH_MARGIN = 60000;
+const MIN_REFRESH_DELAY = 5000;
+
+/**
+ * Auth Client
+ * The access token is kept in memory only; the refresh token is an httpOnly
+ * cookie, so a page load restores the session by refreshing. Tokens are
+ * renewed shortly before they expire and whenever the API rejects one.
+ * Staff may impersonate a user with a token from the admin API; it has no
+ * refresh token, so the next refresh returns to the staff member's own
+ * session. Emits `auth:expired` on the event bus when a session cannot be
+ * renewed and `auth:impersonation` ({ user, impersonator }) when
+ * impersonation starts or ends.
+ */
+export class AuthClient {
+    constructor(eventBus, baseUrl = '/api/auth') {
+        this.eventBus = eventBus;
+        this.baseUrl = baseUrl;
+        this.accessToken = null;
+        this.user = null;
+        this.impersonator = null;
+        this.refreshing = null;
+        this.refreshTimer = null;
+        setAuthHandler(this);
+    }
+
+    getAccessToken() {
+        return this.accessToken;
+    }
+
+    async register(details) {
+        return this.startSession(await requestJson(`${this.baseUrl}/register`, { method: 'POST', body: details, retryAuth: false }));
+    }
+
+    async login(credentials) {
+        return this.startSession(await requestJson(`${this.baseUrl}/login`, { method: 'POST', body: credentials, retryAuth: false }));
+    }
+
+    async logout() {
+        try {
+            await requestJson(`${this.baseUrl}/logout`, { method: 'POST', retryAuth: false });
+        } finally {
+            this.clear();
+        }
+    }
+
+    impersonate(session) {
+        const impersonator = this.impersonator || this.user;
+        const user = this.startSession(session);
+        this.impersonator = impersonator;
+        this.eventBus.emit('auth:impersonation', { user, impersonator });
+        return user;
+    }
+
+    endImpersonation() {
+        return this.refresh();
+    }
+
+    /**
+     * The signed-in user from the refresh cookie, or null when signed out.
+     * Rejects with a NetworkError while offline.
+     */
+    async restore() {
+        try {
+            return this.startSession(await requestJson(`${this.baseUrl}/refresh`, { method: 'POST', retryAuth: false }));
+        } catch (error) {
+            if (error.status === 401) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Renew the access token; concurrent callers share one request.
+     * Resolves to whether a token is available afterwards.
+     */
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.requestRefresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async requestRefresh(attempt = 0) {
+        try {
+            const wasImpersonating = !!this.impersonator;
+            const user = this.startSession(await requestJson(`${this.baseUrl}/refresh`, { method: 'POST', retryAuth: false }));
+            if (wasImpersonating) {
+                this.eventBus.emit('auth:impersonation', { user, impersonator: null });
+            }
+            return true;
+        } catch (error) {
+            // Keep the session while offline; the next request tries again
+            if (error instanceof NetworkError) {
+                return false;
+            }
+            // Another tab may have just rotated the token; its new cookie is sent on the second try
+            if (error.status === 401 && attempt === 0) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                return this.requestRefresh(1);
+            }
+
+            const hadSession = !!this.user;
+            this.clear();
+            if (hadSession) {
+                this.eventBus.emit('auth:expired');
+            }
+            return false;
+        }
+    }
+
+    startSession({ user, accessToken, accessTokenExpiresAt }) {
+        this.user = user;
+        this.impersonator = null;
+        this.accessToken = accessToken;
+
+        clearTimeout(this.refreshTimer);
+        const delay = Math.max(Date.parse(accessTokenExpiresAt) - Date.now() - REFRESH_MARGIN, MIN_REFRESH_DELAY);
+        this.refreshTimer = setTimeout(() => this.refresh(), delay);
+        return user;
+    }
+
+    clear() {
+        clearTimeout(this.refreshTimer);
+        this.user = null;
+        this.impersonator = null;
+        this.accessToken = null;
+    }
+}
@@ -0,0 +1,38 @@
+// Booking Client
+// Browser client for the booking lifecycle endpoints
+
+import { requestJson } from './http';
+
+export class BookingClient {
+    constructor(baseUrl = '/api/bookings') {
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Create and hold a booking. Retrying with the same idempotency key
+     * returns the booking created by the first attempt.
+     */
+    createBooking(details, idempotencyKey) {
+        return requestJson(this.baseUrl, {
+            method: 'POST',
+            body: details,
+            headers: { 'Idempotency-Key': idempotencyKey }
+        });
+    }
+
+    getBooking(id) {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(id)}`);
+    }
+
+    startPayment(id, method = 'card') {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(id)}/payment`, { method: 'POST', body: { method } });
+    }
+
+    confirmBooking(id, paymentReference) {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(id)}/confirm`, { method: 'POST', body: { paymentReference } });
+    }
+
+    cancelBooking(id, reason) {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(id)}/cancel`, { method: 'POST', body: { reason } });
+    }
+}
@@ -0,0 +1,50 @@
+// Budget Client
+// Browser client for trip budgets and the expense ledger
+
+import { requestJson } from './http';
+
+/**
+ * Expense changes go through the mutation queue when one is given, so they
+ * can be recorded offline; they then resolve to `{ queued: true }`.
+ */
+export class BudgetClient {
+    constructor(baseUrl = '/api', { mutationQueue = null } = {}) {
+        this.baseUrl = baseUrl;
+        this.mutationQueue = mutationQueue;
+    }
+
+    mutate(url, method, body, label) {
+        if (!this.mutationQueue) {
+            return requestJson(url, { method, body });
+        }
+        return this.mutationQueue.send({ url, method, body, label });
+    }
+
+    tripUrl(tripId, path) {
+        return `${this.baseUrl}/trips/${encodeURIComponent(tripId)}${path}`;
+    }
+
+    listBudgets() {
+        return requestJson(`${this.baseUrl}/budgets`);
+    }
+
+    getBudget(tripId) {
+        return requestJson(this.tripUrl(tripId, '/budget'));
+    }
+
+    updateBudget(tripId, budget) {
+        return requestJson(this.tripUrl(tripId, '/budget'), { method: 'PUT', body: budget });
+    }
+
+    addExpense(tripId, expense) {
+        return this.mutate(this.tripUrl(tripId, '/expenses'), 'POST', expense, 'expense');
+    }
+
+    updateExpense(tripId, expenseId, changes) {
+        return this.mutate(this.tripUrl(tripId, `/expenses/${encodeURIComponent(expenseId)}`), 'PUT', changes, 'expenseChanges');
+    }
+
+    deleteExpense(tripId, expenseId) {
+        return this.mutate(this.tripUrl(tripId, `/expenses/${encodeURIComponent(expenseId)}`), 'DELETE', undefined, 'expenseRemoval');
+    }
+}
@@ -0,0 +1,21 @@
+// Consent Client
+// Browser client for the consent policy and the visitor's recorded consent
+
+import { requestJson } from './http';
+
+export class ConsentClient {
+    constructor(baseUrl = '/api/consent') {
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * @returns {Promise<{ policy: object, consent: object|null }>}
+     */
+    getConsent(subjectId) {
+        return requestJson(`${this.baseUrl}?subjectId=${encodeURIComponent(subjectId)}`);
+    }
+
+    saveConsent(subjectId, categories) {
+        return requestJson(this.baseUrl, { method: 'PUT', body: { subjectId, categories } });
+    }
+}
@@ -0,0 +1,97 @@
+// Consent Manager
+// The visitor's consent per category, recorded on the server and remembered on the device
+
+import { ConsentClient } from './consent-client';
+import { NetworkError } from './http';
+
+const STORAGE_KEY = 'consent';
+const NECESSARY = 'necessary';
+
+function randomSubjectId() {
+    return typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}-${Math.random().toString(16).slice(2)}`;
+}
+
+/**
+ * Consent Manager
+ * Nothing but strictly necessary storage is allowed until the visitor
+ * decides. The server's record is authoritative; the device keeps a copy
+ * (necessary storage) so the choice applies offline and before the server
+ * answers. When the policy version changes the visitor is asked again.
+ * Emits `consent:change` ({ policy, categories, needsDecision, previous }).
+ */
+export class ConsentManager {
+    constructor(eventBus, storageManager, client = new ConsentClient()) {
+        this.eventBus = eventBus;
+        this.storage = storageManager;
+        this.client = client;
+        this.subjectId = null;
+        this.policy = null;
+        this.categories = null;
+    }
+
+    async initialize() {
+        const saved = await this.storage.getItem(STORAGE_KEY);
+        this.subjectId = saved?.subjectId || randomSubjectId();
+
+        try {
+            const { policy, consent } = await this.client.getConsent(this.subjectId);
+            this.policy = policy;
+            this.categories = consent?.current ? consent.categories : null;
+        } catch (error) {
+            if (!(error instanceof NetworkError)) {
+                throw error;
+            }
+            // Offline the last known choice applies, whatever the policy version
+            this.policy = saved?.policy || null;
+            this.categories = saved?.categories || null;
+        }
+
+        if (this.policy && !this.policy.required && !this.categories) {
+            this.categories = Object.fromEntries(this.policy.categories.map(category => [category, true]));
+        }
+        await this.save();
+        this.emit(null);
+    }
+
+    get needsDecision() {
+        return !!this.policy?.required && !this.categories;
+    }
+
+    hasConsent(category) {
+        return category === NECESSARY || this.categories?.[category] === true;
+    }
+
+    /**
+     * Record a decision: { analytics: true, marketing: false, ... }
+     */
+    async update(categories) {
+        const record = await this.client.saveConsent(this.subjectId, categories);
+        const previous = this.categories;
+        this.categories = record.categories;
+        await this.save();
+        this.emit(previous);
+        return record;
+    }
+
+    acceptAll() {
+        return this.update(Object.fromEntries(this.policy.categories.map(category => [category, true])));
+    }
+
+    rejectAll() {
+        return this.update(Object.fromEntries(this.policy.categories.map(category => [category, category === NECESSARY])));
+    }
+
+    save() {
+        return this.storage.setItem(STORAGE_KEY, { subjectId: this.subjectId, policy: this.policy, categories: this.categories });
+    }
+
+    getState() {
+        return { policy: this.policy, categories: this.categories, needsDecision: this.needsDecision };
+    }
+
+    emit(previous) {
+        this.eventBus.emit('consent:change', { ...this.getState(), previous });
+    }
+}
@@ -0,0 +1,72 @@
+// Consented Analytics
+// Passes analytics calls to the analytics manager only while the visitor consents to analytics
+
+/**
+ * Consented Analytics
+ * Same interface as AnalyticsCollector. Until the `analytics` category is
+ * granted the manager is not even initialized, so calls are dropped rather
+ * than buffered. Withdrawing consent resets the manager, discarding its
+ * queued events and identity; granting it again starts a fresh session.
+ */
+export class ConsentedAnalytics {
+    constructor(analyticsManager, consentManager, eventBus) {
+        this.manager = analyticsManager;
+        this.consent = consentManager;
+        this.context = {};
+        this.started = false;
+        this.starting = null;
+        this.handleConsentChange = () => this.applyConsent();
+        eventBus.on('consent:change', this.handleConsentChange);
+    }
+
+    get isGranted() {
+        return this.consent.hasConsent('analytics');
+    }
+
+    /**
+     * Remember the session context; the manager starts once consent is given
+     */
+    async initialize(context = {}) {
+        this.context = { ...context };
+        await this.applyConsent();
+    }
+
+    async applyConsent() {
+        if (this.isGranted && !this.started) {
+            this.starting = this.starting || this.manager.initialize(this.context).then(() => {
+                this.started = true;
+                this.starting = null;
+            });
+            await this.starting;
+        } else if (!this.isGranted && this.started) {
+            this.started = false;
+            this.manager.reset();
+        }
+    }
+
+    track(event, properties = {}) {
+        if (this.started && this.isGranted) {
+            this.manager.track(event, properties);
+        }
+    }
+
+    setUserId(userId) {
+        this.context.userId = userId;
+        if (this.started) {
+            this.manager.setUserId(userId);
+        }
+    }
+
+    reset() {
+        this.context.userId = null;
+        if (this.started) {
+            this.manager.reset();
+        }
+    }
+
+    flush() {
+        if (this.started) {
+            this.manager.flush();
+        }
+    }
+}
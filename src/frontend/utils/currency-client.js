@@ -0,0 +1,26 @@
+// Currency Client
+// Browser client for the exchange-rate snapshots used to show prices in the display currency
+
+import { requestJson } from './http';
+import { ExchangeRateTable } from '../../shared/exchange-rates';
+
+export class CurrencyClient {
+    constructor(baseUrl = '/api/rates') {
+        this.baseUrl = baseUrl;
+    }
+
+    getRates(at = null) {
+        return requestJson(at ? `${this.baseUrl}?at=${encodeURIComponent(at)}` : this.baseUrl);
+    }
+
+    /**
+     * Latest rates as a table for client-side conversion
+     */
+    async loadRateTable() {
+        const { base, asOf, rates, defaultDisplayCurrency } = await this.getRates();
+        return {
+            table: new ExchangeRateTable({ base, snapshots: [{ asOf, rates }] }),
+            defaultDisplayCurrency
+        };
+    }
+}
@@ -0,0 +1,19 @@
+// Feature Flags Context
+// Gives components the feature flags evaluated for the current user
+
+import { createContext } from 'react';
+
+/**
+ * The flags as currently loaded. A new value is created whenever they are
+ * loaded again so components using it re-render.
+ */
+export function bindFeatureFlags(featureFlags) {
+    return {
+        flags: featureFlags.flags,
+        isEnabled: (flag) => featureFlags.isEnabled(flag),
+        recordEvaluation: (flag) => featureFlags.recordEvaluation(flag)
+    };
+}
+
+// Outside a provider every flag is off
+export const FeatureFlagsContext = createContext({ flags: {}, isEnabled: () => false, recordEvaluation: () => {} });
@@ -0,0 +1,55 @@
+// Feature Flags
+// Holds the feature flags evaluated for the current user and records which ones the app used
+
+import { FlagsClient } from './flags-client';
+
+/**
+ * Feature Flags
+ * Flags are evaluated by the server; unknown flags and flags that could
+ * not be loaded are off. Reading a flag has no side effects, so it is safe
+ * during render. Once the app has acted on a flag, recordEvaluation tracks
+ * a `flag:evaluated` event the first time it sees a given outcome, so
+ * analytics can compare the sessions that saw each value. Recording the
+ * same flag again tracks nothing new until its value or reason changes.
+ */
+export class FeatureFlags {
+    constructor(analytics, client = new FlagsClient()) {
+        this.analytics = analytics;
+        this.client = client;
+        this.flags = {};
+        this.recorded = new Set();
+        this.isLoaded = false;
+    }
+
+    /**
+     * Evaluate the flags for the signed-in user (from the session), the
+     * locale and the browser's consent subject id. On failure the flags
+     * loaded before stay.
+     */
+    async load({ locale = null, subjectId = null } = {}) {
+        try {
+            const { flags } = await this.client.getFlags({ locale, subjectId });
+            this.flags = flags || {};
+        } finally {
+            this.isLoaded = true;
+        }
+        return this.flags;
+    }
+
+    isEnabled(flag) {
+        return this.flags[flag]?.value ?? false;
+    }
+
+    recordEvaluation(flag) {
+        const evaluation = this.flags[flag];
+        if (!evaluation) {
+            return;
+        }
+
+        const key = `${flag}:${evaluation.value}:${evaluation.reason}`;
+        if (!this.recorded.has(key)) {
+            this.recorded.add(key);
+            this.analytics.track('flag:evaluated', { flag, value: evaluation.value, reason: evaluation.reason });
+        }
+    }
+}
@@ -0,0 +1,25 @@
+// Flags Client
+// Browser client for the feature flags evaluated for the current user
+
+import { requestJson } from './http';
+
+export class FlagsClient {
+    constructor(baseUrl = '/api/flags') {
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * @returns {Promise<{ flags: Object<string, { value: boolean, reason: string }> }>}
+     */
+    getFlags({ locale = null, subjectId = null } = {}) {
+        const params = new URLSearchParams();
+        if (locale) {
+            params.set('locale', locale);
+        }
+        if (subjectId) {
+            params.set('subjectId', subjectId);
+        }
+        const query = params.toString();
+        return requestJson(query ? `${this.baseUrl}?${query}` : this.baseUrl);
+    }
+}
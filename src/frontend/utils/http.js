@@ -0,0 +1,71 @@
+// HTTP Helpers
+// JSON requests against the holonic API with errors that carry status and details
+
+export class ApiError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// The request never reached the server, e.g. while offline
+export class NetworkError extends Error {
+    constructor(cause) {
+        super(cause?.message || 'Network request failed');
+        this.name = 'NetworkError';
+        this.cause = cause;
+    }
+}
+
+// Supplies the access token and renews it: { getAccessToken(), refresh() => Promise<boolean> }
+let authHandler = null;
+
+export function setAuthHandler(handler) {
+    authHandler = handler;
+}
+
+/**
+ * Send a JSON request and parse the JSON response.
+ * Bodies are JSON-encoded unless a contentType is given, in which case they are sent as-is.
+ * Requests carry the access token; when it is rejected the session is
+ * refreshed once and the request repeated (unless `retryAuth` is false).
+ * Non-2xx responses reject with an ApiError, unreachable servers with a
+ * NetworkError; 204 resolves to null.
+ */
+export async function requestJson(url, { method = 'GET', body, contentType, headers = {}, retryAuth = true } = {}) {
+    const accessToken = authHandler?.getAccessToken();
+    let response;
+    try {
+        response = await fetch(url, {
+            method,
+            credentials: 'include',
+            headers: {
+                Accept: 'application/json',
+                ...(body !== undefined ? { 'Content-Type': contentType || 'application/json' } : {}),
+                ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+                ...headers
+            },
+            body: body !== undefined && !contentType ? JSON.stringify(body) : body
+        });
+    } catch (error) {
+        throw new NetworkError(error);
+    }
+
+    if (response.status === 401 && accessToken && retryAuth && await authHandler.refresh()) {
+        return requestJson(url, { method, body, contentType, headers, retryAuth: false });
+    }
+
+    if (response.status === 204) {
+        return null;
+    }
+
+    const payload = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        throw new ApiError(response.status, payload?.error || response.statusText, payload?.details);
+    }
+
+    return payload;
+}
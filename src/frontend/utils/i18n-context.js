@@ -0,0 +1,29 @@
+// I18n Context
+// Gives components the active locale's translate and format functions
+
+import { createContext, useContext } from 'react';
+import { I18nManager } from './i18n-manager';
+
+/**
+ * Functions bound to the manager's current locale. A new value is created
+ * on every locale change so components using it re-render.
+ */
+export function bindI18n(manager) {
+    return {
+        locale: manager.locale,
+        direction: manager.direction,
+        t: (key, params) => manager.t(key, params),
+        formatNumber: (value, options) => manager.formatNumber(value, options),
+        formatDate: (value, options) => manager.formatDate(value, options),
+        formatTime: (value, options) => manager.formatTime(value, options),
+        formatDateTime: (value, options) => manager.formatDateTime(value, options),
+        formatMoney: (money) => manager.formatMoney(money)
+    };
+}
+
+// Outside a provider components fall back to English
+export const I18nContext = createContext(bindI18n(new I18nManager()));
+
+export function useI18n() {
+    return useContext(I18nContext);
+}
@@ -0,0 +1,150 @@
+// I18n Manager
+// Message catalogs, pluralization and locale-aware date, time and number formatting
+
+import en from '../locales/en.json';
+import { formatMoney } from '../../shared/money';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const SUPPORTED_LOCALES = [
+    { code: 'en', name: 'English', dir: 'ltr' },
+    { code: 'de', name: 'Deutsch', dir: 'ltr' },
+    { code: 'ar', name: 'العربية', dir: 'rtl' }
+];
+
+// Calendar dates such as a leg's departureDate have no time zone and are shown as written
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Catalogs other than the default get their own chunk and are fetched on first use
+function loadCatalog(locale) {
+    return import(/* webpackChunkName: "locale-[request]" */ `../locales/${locale}.json`)
+        .then(module => module.default || module);
+}
+
+/**
+ * I18n Manager
+ * Messages are looked up by dotted key in the active catalog, then in the
+ * English one. `{name}` placeholders are filled from params (numbers are
+ * formatted for the locale); a message given as an object of plural forms
+ * (`one`, `few`, `other`, ...) is chosen by `params.count`.
+ */
+export class I18nManager {
+    constructor() {
+        this.locale = DEFAULT_LOCALE;
+        this.catalogs = { [DEFAULT_LOCALE]: en };
+        this.formatters = new Map();
+        this.listeners = new Set();
+    }
+
+    get direction() {
+        return SUPPORTED_LOCALES.find(entry => entry.code === this.locale)?.dir || 'ltr';
+    }
+
+    /**
+     * Best supported locale for a tag or list of tags, e.g. navigator.languages
+     */
+    resolveLocale(requested) {
+        const tags = [].concat(requested || []).filter(Boolean).map(tag => String(tag).toLowerCase());
+        for (const tag of tags) {
+            const match = SUPPORTED_LOCALES.find(entry => entry.code === tag || entry.code === tag.split('-')[0]);
+            if (match) {
+                return match.code;
+            }
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    async setLocale(requested) {
+        const locale = this.resolveLocale(requested);
+        if (!this.catalogs[locale]) {
+            this.catalogs[locale] = await loadCatalog(locale);
+        }
+
+        this.locale = locale;
+        this.applyToDocument();
+        this.listeners.forEach(listener => listener(locale));
+        return locale;
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    applyToDocument() {
+        if (typeof document === 'undefined') {
+            return;
+        }
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.direction;
+    }
+
+    t(key, params = {}) {
+        let message = lookup(this.catalogs[this.locale], key) ?? lookup(this.catalogs[DEFAULT_LOCALE], key);
+        if (message === undefined) {
+            return key;
+        }
+        if (typeof message === 'object') {
+            message = this.selectPlural(message, params.count);
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) {
+                return placeholder;
+            }
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    selectPlural(forms, count = 0) {
+        const category = this.formatter('plural', {}).select(count);
+        return forms[category] ?? forms.other ?? '';
+    }
+
+    formatNumber(value, options = {}) {
+        return this.formatter('number', options).format(value);
+    }
+
+    formatDate(value, options = { dateStyle: 'medium' }) {
+        return this.formatDateTimeParts(value, options);
+    }
+
+    formatTime(value, options = { timeStyle: 'short' }) {
+        return this.formatDateTimeParts(value, options);
+    }
+
+    formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return this.formatDateTimeParts(value, options);
+    }
+
+    formatMoney(money) {
+        return formatMoney(money, this.locale);
+    }
+
+    formatDateTimeParts(value, options) {
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+        const dateOnly = typeof value === 'string' && DATE_ONLY.test(value);
+        const date = dateOnly ? new Date(`${value}T00:00:00Z`) : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return String(value);
+        }
+        return this.formatter('date', dateOnly ? { ...options, timeZone: 'UTC' } : options).format(date);
+    }
+
+    // Intl formatters are costly to build, so they are kept per locale and options
+    formatter(type, options) {
+        const key = `${type}:${this.locale}:${JSON.stringify(options)}`;
+        if (!this.formatters.has(key)) {
+            const Formatter = { number: Intl.NumberFormat, date: Intl.DateTimeFormat, plural: Intl.PluralRules }[type];
+            this.formatters.set(key, new Formatter(this.locale, options));
+        }
+        return this.formatters.get(key);
+    }
+}
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
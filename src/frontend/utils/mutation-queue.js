@@ -0,0 +1,218 @@
+// Mutation Queue
+// Changes made while offline, kept in IndexedDB and replayed in order once the connection returns
+
+import { requestJson, NetworkError } from './http';
+
+const RETRY_INTERVAL = 30000;
+
+/**
+ * Mutation Queue
+ * `send` tries a change right away and queues it when the server cannot be
+ * reached (or earlier changes are still waiting, to keep their order).
+ * Versioned changes name their `entity` (e.g. `trip:<id>`): when replayed,
+ * a queued change is rebased onto the version written by the previous
+ * change to the same entity, so a chain of offline edits applies cleanly
+ * unless someone else changed the entity meanwhile. Such a 409 marks the
+ * change (and later ones to the same entity) as a conflict to resolve by
+ * retrying or discarding it.
+ *
+ * Emits `sync:status` ({ state: online|offline|syncing, pending, conflicts }),
+ * `sync:applied` ({ mutation, result }), `sync:conflict` ({ mutation }) and,
+ * after a replay that applied changes, `sync:completed` ({ applied }).
+ */
+export class MutationQueue {
+    constructor(offlineStore, eventBus) {
+        this.store = offlineStore;
+        this.eventBus = eventBus;
+        this.mutations = [];
+        this.state = typeof navigator !== 'undefined' && navigator.onLine === false ? 'offline' : 'online';
+        this.flushing = null;
+        this.retryTimer = null;
+        this.handleOnline = () => this.flush();
+        this.handleOffline = () => this.setState('offline');
+    }
+
+    async initialize() {
+        this.mutations = await this.store.getAll('mutations');
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+        this.emitStatus();
+        if (this.state !== 'offline') {
+            this.flush();
+        }
+    }
+
+    close() {
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+        clearTimeout(this.retryTimer);
+    }
+
+    get pending() {
+        return this.mutations.filter(mutation => mutation.status === 'pending');
+    }
+
+    get conflicts() {
+        return this.mutations.filter(mutation => mutation.status !== 'pending');
+    }
+
+    getStatus() {
+        return { state: this.state, pending: this.pending.length, conflicts: this.conflicts };
+    }
+
+    /**
+     * Resolves to the server's response, or to `{ queued: true, mutation }`.
+     * `label` is the `sync.labels` message key naming the change.
+     */
+    async send({ method, url, body, label, entity = null }) {
+        if (this.state !== 'offline' && this.pending.length === 0) {
+            try {
+                return await requestJson(url, { method, body });
+            } catch (error) {
+                if (!(error instanceof NetworkError)) {
+                    throw error;
+                }
+                this.setState('offline');
+            }
+        }
+
+        const mutation = { method, url, body, label, entity, status: 'pending', createdAt: new Date().toISOString() };
+        mutation.id = (await this.store.put('mutations', mutation)) ?? Date.now();
+        this.mutations.push(mutation);
+        this.emitStatus();
+
+        if (this.state !== 'offline') {
+            this.flush();
+        }
+        return { queued: true, mutation };
+    }
+
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.replay().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async replay() {
+        clearTimeout(this.retryTimer);
+        if (this.pending.length === 0) {
+            this.setState(navigator.onLine === false ? 'offline' : 'online');
+            return;
+        }
+
+        this.setState('syncing');
+        const versions = new Map();
+        const conflicted = new Set();
+        let applied = 0;
+
+        for (const mutation of this.pending) {
+            if (mutation.entity && conflicted.has(mutation.entity)) {
+                await this.markConflict(mutation, { status: 409, message: 'Based on a change that conflicted', blocked: true });
+                continue;
+            }
+
+            const rebase = mutation.entity && versions.has(mutation.entity) && mutation.body?.version !== undefined;
+            const body = rebase ? { ...mutation.body, version: versions.get(mutation.entity) } : mutation.body;
+
+            try {
+                const result = await requestJson(mutation.url, { method: mutation.method, body });
+                if (mutation.entity && result?.version !== undefined) {
+                    versions.set(mutation.entity, result.version);
+                }
+                await this.remove(mutation);
+                applied += 1;
+                this.eventBus.emit('sync:applied', { mutation, result });
+            } catch (error) {
+                if (error instanceof NetworkError) {
+                    this.setState('offline');
+                    break;
+                }
+                // Deleting something that is already gone is not a conflict
+                if (error.status === 404 && mutation.method === 'DELETE') {
+                    await this.remove(mutation);
+                    continue;
+                }
+                if (mutation.entity) {
+                    conflicted.add(mutation.entity);
+                }
+                await this.markConflict(mutation, { status: error.status, message: error.message, details: error.details });
+            }
+        }
+
+        if (this.state === 'syncing') {
+            this.setState('online');
+        }
+        if (applied > 0) {
+            this.eventBus.emit('sync:completed', { applied });
+        }
+    }
+
+    /**
+     * Queue a conflicting change again, e.g. with the server's current
+     * version to overwrite the other change. Changes that were held back
+     * behind it are retried too.
+     */
+    async retry(id, bodyChanges = {}) {
+        const mutation = this.mutations.find(m => m.id === id);
+        if (!mutation) {
+            return;
+        }
+
+        await this.update(mutation, { status: 'pending', error: null, body: { ...mutation.body, ...bodyChanges } });
+        for (const blocked of this.conflicts.filter(m => m.entity === mutation.entity && m.error?.blocked)) {
+            await this.update(blocked, { status: 'pending', error: null });
+        }
+        return this.flush();
+    }
+
+    async discard(id) {
+        const mutation = this.mutations.find(m => m.id === id);
+        if (mutation) {
+            await this.remove(mutation);
+        }
+    }
+
+    /**
+     * Forget every queued change, after the offline store was cleared
+     */
+    reset() {
+        this.mutations = [];
+        this.emitStatus();
+    }
+
+    async markConflict(mutation, error) {
+        await this.update(mutation, { status: 'conflict', error });
+        this.eventBus.emit('sync:conflict', { mutation });
+    }
+
+    async update(mutation, changes) {
+        Object.assign(mutation, changes);
+        await this.store.put('mutations', mutation);
+        this.emitStatus();
+    }
+
+    async remove(mutation) {
+        this.mutations = this.mutations.filter(m => m !== mutation);
+        await this.store.delete('mutations', mutation.id);
+        this.emitStatus();
+    }
+
+    // While the server is unreachable, try again now and then; browsers only report lost connectivity
+    setState(state) {
+        if (state === 'offline') {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = setTimeout(() => this.flush(), RETRY_INTERVAL);
+        }
+        if (state !== this.state) {
+            this.state = state;
+            this.emitStatus();
+        }
+    }
+
+    emitStatus() {
+        this.eventBus.emit('sync:status', this.getStatus());
+    }
+}
@@ -0,0 +1,142 @@
+// Offline Store
+// IndexedDB copies of trips, trip ledgers and booking confirmations, plus the offline mutation queue
+
+import { NetworkError } from './http';
+
+const DB_NAME = 'holonic-travel-offline';
+const DB_VERSION = 1;
+
+// Object stores and their keys; mutations are numbered so they replay in order
+const STORES = {
+    trips: { keyPath: 'id' },
+    ledgers: { keyPath: 'tripId' },
+    bookings: { keyPath: 'id' },
+    mutations: { keyPath: 'id', autoIncrement: true }
+};
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Offline Store
+ * Thin promise wrapper around one IndexedDB database. Without IndexedDB
+ * (private windows in some browsers) reads come back empty and writes are
+ * dropped, so the app keeps working online.
+ */
+export class OfflineStore {
+    constructor() {
+        this.db = null;
+        this.opening = null;
+    }
+
+    get isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.isSupported) {
+            return Promise.resolve(null);
+        }
+        if (!this.opening) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const [name, options] of Object.entries(STORES)) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                }
+            };
+            this.opening = promisify(request)
+                .then(db => {
+                    this.db = db;
+                    return db;
+                })
+                .catch(error => {
+                    console.error('Opening the offline store failed:', error);
+                    return null;
+                });
+        }
+        return this.opening;
+    }
+
+    async transaction(storeName, mode, work) {
+        const db = await this.open();
+        if (!db) {
+            return mode === 'readonly' ? undefined : null;
+        }
+        const tx = db.transaction(storeName, mode);
+        const result = work(tx.objectStore(storeName));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        return result instanceof IDBRequest ? result.result : result;
+    }
+
+    get(storeName, key) {
+        return this.transaction(storeName, 'readonly', store => store.get(key));
+    }
+
+    async getAll(storeName) {
+        return (await this.transaction(storeName, 'readonly', store => store.getAll())) || [];
+    }
+
+    put(storeName, value) {
+        return this.transaction(storeName, 'readwrite', store => store.put(value));
+    }
+
+    delete(storeName, key) {
+        return this.transaction(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Replace the whole contents of a store, e.g. with a fresh trip list
+     */
+    replaceAll(storeName, values) {
+        return this.transaction(storeName, 'readwrite', store => {
+            store.clear();
+            values.forEach(value => store.put(value));
+        });
+    }
+
+    /**
+     * Remove every copy kept on the device, e.g. when the account is deleted
+     */
+    async clearAll() {
+        for (const storeName of Object.keys(STORES)) {
+            await this.transaction(storeName, 'readwrite', store => store.clear());
+        }
+    }
+
+    /**
+     * Fetch from the API and keep a copy; when the network is unreachable
+     * return the copy instead. `key` reads one record, otherwise the whole
+     * store is replaced and read.
+     */
+    async readThrough(storeName, fetcher, { key } = {}) {
+        try {
+            const fresh = await fetcher();
+            if (key !== undefined) {
+                await this.put(storeName, fresh);
+            } else {
+                await this.replaceAll(storeName, fresh);
+            }
+            return fresh;
+        } catch (error) {
+            if (!(error instanceof NetworkError)) {
+                throw error;
+            }
+            const cached = key !== undefined ? await this.get(storeName, key) : await this.getAll(storeName);
+            if (cached === undefined || (key === undefined && cached.length === 0 && !this.db)) {
+                throw error;
+            }
+            return cached;
+        }
+    }
+}
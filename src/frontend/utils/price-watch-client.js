@@ -0,0 +1,30 @@
+// Price Watch Client
+// Browser client for the /api/watches endpoints
+
+import { requestJson } from './http';
+
+export class PriceWatchClient {
+    constructor(baseUrl = '/api/watches') {
+        this.baseUrl = baseUrl;
+    }
+
+    listWatches() {
+        return requestJson(this.baseUrl);
+    }
+
+    createWatch(watch) {
+        return requestJson(this.baseUrl, { method: 'POST', body: watch });
+    }
+
+    updateWatch(id, changes) {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(id)}`, { method: 'PUT', body: changes });
+    }
+
+    deleteWatch(id) {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+
+    checkWatch(id) {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(id)}/check`, { method: 'POST' });
+    }
+}
@@ -0,0 +1,35 @@
+// Privacy Client
+// Browser client for downloading the user's data and deleting their account
+
+import { requestJson } from './http';
+
+export class PrivacyClient {
+    constructor(baseUrl = '/api/me') {
+        this.baseUrl = baseUrl;
+    }
+
+    exportData() {
+        return requestJson(`${this.baseUrl}/export`);
+    }
+
+    /**
+     * Save the export as a JSON file through a temporary download link
+     */
+    async downloadExport() {
+        const archive = await this.exportData();
+        const url = URL.createObjectURL(new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `holonic-travel-export-${archive.exportedAt.slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        return archive;
+    }
+
+    /**
+     * Erase the account; the password confirms it is really the user
+     */
+    deleteAccount(password) {
+        return requestJson(this.baseUrl, { method: 'DELETE', body: { password } });
+    }
+}
@@ -0,0 +1,167 @@
+// Realtime Client
+// Bridges the server push channel (/api/realtime) onto the application event bus
+
+// Server events republished on the event bus under the same name
+const BRIDGED_EVENTS = ['system:status', 'trip:changed', 'booking:changed', 'budget:changed'];
+
+const MAX_RECONNECT_DELAY = 30000;
+
+/**
+ * Keeps one server-sent events connection subscribed to a set of topics.
+ * Besides the bridged events it emits:
+ * - `notification` for server notifications, in the NotificationCenter shape
+ * - `realtime:status` with 'connected' | 'reconnecting' | 'unavailable'
+ * - `realtime:resync` when missed events could not be replayed
+ * - `realtime:revoked` with `{ topic }` when access to a topic was lost
+ *
+ * Changing topics reconnects, resuming from the last received event id.
+ * EventSource cannot send headers, so the access token from
+ * `getAccessToken` goes in the stream URL; the server ends the stream with
+ * `session:ended` when that token expires or its session is revoked, and
+ * the client reconnects with whatever token is current.
+ * A connection that stays silent past two heartbeats is treated as dead.
+ */
+export class RealtimeClient {
+    constructor(eventBus, { url = '/api/realtime', staleAfter = 45000, getAccessToken = () => null } = {}) {
+        this.eventBus = eventBus;
+        this.url = url;
+        this.staleAfter = staleAfter;
+        this.getAccessToken = getAccessToken;
+        this.topics = new Set();
+        this.lastEventId = null;
+        this.source = null;
+        this.watchdog = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.closed = true;
+    }
+
+    get isSupported() {
+        return typeof EventSource !== 'undefined';
+    }
+
+    connect() {
+        this.closed = false;
+        this.open();
+    }
+
+    subscribe(topic) {
+        if (!this.topics.has(topic)) {
+            this.topics.add(topic);
+            this.scheduleReconnect(0);
+        }
+    }
+
+    unsubscribe(topic) {
+        if (this.topics.delete(topic)) {
+            this.scheduleReconnect(0);
+        }
+    }
+
+    /**
+     * Reopen the stream, e.g. after sign-in changed which user topics apply
+     */
+    reconnect() {
+        if (!this.closed) {
+            this.scheduleReconnect(0);
+        }
+    }
+
+    open() {
+        this.teardown();
+        if (this.closed || !this.isSupported) {
+            return;
+        }
+
+        const params = new URLSearchParams();
+        if (this.topics.size > 0) {
+            params.set('topics', [...this.topics].join(','));
+        }
+        if (this.lastEventId) {
+            params.set('lastEventId', this.lastEventId);
+        }
+        const accessToken = this.getAccessToken();
+        if (accessToken) {
+            params.set('access_token', accessToken);
+        }
+
+        const source = new EventSource(`${this.url}?${params}`, { withCredentials: true });
+        this.source = source;
+
+        source.onopen = () => {
+            this.reconnectAttempts = 0;
+            this.resetWatchdog();
+            this.eventBus.emit('realtime:status', 'connected');
+        };
+
+        // EventSource retries network errors itself but gives up on HTTP errors
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED) {
+                this.eventBus.emit('realtime:status', 'unavailable');
+                this.scheduleReconnect(Math.min(1000 * 2 ** this.reconnectAttempts++, MAX_RECONNECT_DELAY));
+            } else {
+                this.eventBus.emit('realtime:status', 'reconnecting');
+            }
+        };
+
+        const listen = (name, handler) => source.addEventListener(name, (event) => {
+            this.resetWatchdog();
+            if (event.lastEventId) {
+                this.lastEventId = event.lastEventId;
+            }
+            try {
+                handler(JSON.parse(event.data));
+            } catch (error) {
+                console.error(`Invalid realtime ${name} event:`, error);
+            }
+        });
+
+        BRIDGED_EVENTS.forEach(name => listen(name, data => this.eventBus.emit(name, data)));
+        listen('snapshot', data => {
+            if (data.topic === 'system') {
+                this.eventBus.emit('system:status', data);
+            }
+        });
+        listen('notification', ({ notification }) => this.eventBus.emit('notification', {
+            type: 'info',
+            title: notification.title,
+            message: notification.message,
+            data: notification,
+            duration: 8000
+        }));
+        listen('resync', data => this.eventBus.emit('realtime:resync', data));
+        listen('revoked', data => {
+            this.topics.delete(data.topic);
+            this.eventBus.emit('realtime:revoked', data);
+        });
+        listen('session:ended', () => this.scheduleReconnect(0));
+        listen('heartbeat', () => {});
+    }
+
+    scheduleReconnect(delay) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.open(), delay);
+    }
+
+    resetWatchdog() {
+        clearTimeout(this.watchdog);
+        this.watchdog = setTimeout(() => {
+            this.eventBus.emit('realtime:status', 'reconnecting');
+            this.open();
+        }, this.staleAfter);
+    }
+
+    teardown() {
+        clearTimeout(this.watchdog);
+        clearTimeout(this.reconnectTimer);
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+
+    close() {
+        this.closed = true;
+        this.teardown();
+    }
+}
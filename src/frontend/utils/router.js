@@ -0,0 +1,134 @@
+// Router
+// Maps browser URLs to application views and keeps them in step with the history
+
+import { legsFromCriteria } from '../../shared/itinerary-legs';
+
+// Views by path; `:name` segments become route params. The server answers every path with the app shell.
+export const ROUTES = [
+    { view: 'search', path: '/' },
+    { view: 'search', path: '/search' },
+    { view: 'results', path: '/results/:searchId' },
+    { view: 'trips', path: '/trips' },
+    { view: 'itinerary', path: '/trips/:tripId' },
+    { view: 'itinerary', path: '/itinerary' },
+    { view: 'booking', path: '/bookings/:bookingId' },
+    { view: 'profile', path: '/profile' },
+    { view: 'admin', path: '/admin' },
+    { view: 'analytics', path: '/admin/analytics' }
+];
+
+function compile(path) {
+    const names = [];
+    const source = path.replace(/:(\w+)/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+/**
+ * Router
+ * Emits `route:change` ({ view, params, query, path, route }) on the event
+ * bus when the app navigates and when the user moves through the browser
+ * history; `route` is the matched pattern. Unknown paths resolve to the
+ * `notFound` view.
+ */
+export class Router {
+    constructor(routes, eventBus) {
+        this.routes = routes.map(route => ({ ...route, ...compile(route.path) }));
+        this.eventBus = eventBus;
+        this.handlePopState = () => this.emit();
+    }
+
+    start() {
+        window.addEventListener('popstate', this.handlePopState);
+    }
+
+    stop() {
+        window.removeEventListener('popstate', this.handlePopState);
+    }
+
+    /**
+     * The route of a location, by default the current one
+     */
+    match(location = window.location) {
+        const query = new URLSearchParams(location.search);
+        const path = `${location.pathname}${location.search}`;
+
+        for (const route of this.routes) {
+            const found = route.regex.exec(location.pathname);
+            if (found) {
+                const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(found[index + 1])]));
+                return { view: route.view, params, query, path, route: route.path };
+            }
+        }
+        return { view: 'notFound', params: {}, query, path, route: null };
+    }
+
+    /**
+     * Go to a path. `replace` rewrites the current history entry instead of
+     * adding one; `silent` only updates the address bar.
+     */
+    navigate(path, { replace = false, silent = false } = {}) {
+        if (path !== `${window.location.pathname}${window.location.search}`) {
+            window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+        }
+        if (!silent) {
+            this.emit();
+        }
+    }
+
+    emit() {
+        this.eventBus.emit('route:change', this.match());
+    }
+}
+
+/**
+ * Path with the query appended when it has any parameters
+ */
+export function buildPath(pathname, query = null) {
+    const search = query ? query.toString() : '';
+    return search ? `${pathname}?${search}` : pathname;
+}
+
+/**
+ * Search criteria as URL parameters: one `from`, `to` and `date` per leg,
+ * plus the traveler count when it is not 1
+ */
+export function criteriaToQuery(criteria) {
+    const query = new URLSearchParams();
+    legsFromCriteria(criteria)
+        .filter(leg => leg.origin || leg.destination || leg.departureDate)
+        .forEach(leg => {
+            query.append('from', leg.origin);
+            query.append('to', leg.destination);
+            query.append('date', leg.departureDate);
+        });
+    if (criteria.travelers && Number(criteria.travelers) !== 1) {
+        query.set('travelers', String(criteria.travelers));
+    }
+    return query;
+}
+
+/**
+ * Search criteria from URL parameters, or null when the URL names no leg
+ */
+export function criteriaFromQuery(query) {
+    const origins = query.getAll('from');
+    if (origins.length === 0) {
+        return null;
+    }
+
+    const destinations = query.getAll('to');
+    const dates = query.getAll('date');
+    const travelers = parseInt(query.get('travelers'), 10);
+
+    return {
+        legs: origins.map((origin, index) => ({
+            origin,
+            destination: destinations[index] || '',
+            departureDate: dates[index] || ''
+        })),
+        travelers: travelers > 0 ? travelers : 1
+    };
+}
@@ -0,0 +1,21 @@
+// Search Client
+// Browser client for multi-leg searches and for reopening recent results by searchId
+
+import { requestJson } from './http';
+
+export class SearchClient {
+    constructor(baseUrl = '/api/search') {
+        this.baseUrl = baseUrl;
+    }
+
+    search(criteria) {
+        return requestJson(this.baseUrl, { method: 'POST', body: criteria });
+    }
+
+    /**
+     * Results of a recent search; a 404 means they are no longer retained
+     */
+    getSearch(searchId) {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(searchId)}`);
+    }
+}
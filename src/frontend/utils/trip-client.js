@@ -0,0 +1,95 @@
+// Trip Client
+// Browser client for the /api/trips workspace endpoints
+
+import { requestJson } from './http';
+
+/**
+ * Itinerary edits and comments go through the mutation queue when one is
+ * given, so they can be made offline; they then resolve to `{ queued: true }`.
+ */
+export class TripClient {
+    constructor(baseUrl = '/api/trips', { mutationQueue = null } = {}) {
+        this.baseUrl = baseUrl;
+        this.mutationQueue = mutationQueue;
+    }
+
+    mutate(url, method, body, { label, entity = null } = {}) {
+        if (!this.mutationQueue) {
+            return requestJson(url, { method, body });
+        }
+        return this.mutationQueue.send({ url, method, body, label, entity });
+    }
+
+    listTrips() {
+        return requestJson(this.baseUrl);
+    }
+
+    getTrip(id) {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(id)}`);
+    }
+
+    createTrip(trip) {
+        return requestJson(this.baseUrl, { method: 'POST', body: trip });
+    }
+
+    updateTrip(id, changes) {
+        return this.mutate(`${this.baseUrl}/${encodeURIComponent(id)}`, 'PUT', changes, {
+            label: 'tripChanges',
+            entity: `trip:${id}`
+        });
+    }
+
+    deleteTrip(id) {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+
+    calendarUrl(id) {
+        return `${this.baseUrl}/${encodeURIComponent(id)}/calendar.ics`;
+    }
+
+    importCalendar(id, icsText) {
+        return requestJson(`${this.baseUrl}/${encodeURIComponent(id)}/calendar`, {
+            method: 'POST',
+            body: icsText,
+            contentType: 'text/calendar'
+        });
+    }
+
+    tripUrl(id, path = '') {
+        return `${this.baseUrl}/${encodeURIComponent(id)}${path}`;
+    }
+
+    createInvite(id, role = 'editor') {
+        return requestJson(this.tripUrl(id, '/invites'), { method: 'POST', body: { role } });
+    }
+
+    revokeInvite(id, token) {
+        return requestJson(this.tripUrl(id, `/invites/${encodeURIComponent(token)}`), { method: 'DELETE' });
+    }
+
+    joinTrip(token) {
+        return requestJson(`${this.baseUrl}/join/${encodeURIComponent(token)}`, { method: 'POST' });
+    }
+
+    updateMemberRole(id, userId, role) {
+        return requestJson(this.tripUrl(id, `/members/${encodeURIComponent(userId)}`), { method: 'PUT', body: { role } });
+    }
+
+    removeMember(id, userId) {
+        return requestJson(this.tripUrl(id, `/members/${encodeURIComponent(userId)}`), { method: 'DELETE' });
+    }
+
+    vote(id, optionId, value) {
+        return requestJson(this.tripUrl(id, '/votes'), { method: 'PUT', body: { optionId, value } });
+    }
+
+    addComment(id, itemId, text) {
+        return this.mutate(this.tripUrl(id, '/comments'), 'POST', { itemId, text }, { label: 'comment' });
+    }
+
+    deleteComment(id, commentId) {
+        return this.mutate(this.tripUrl(id, `/comments/${encodeURIComponent(commentId)}`), 'DELETE', undefined, {
+            label: 'commentRemoval'
+        });
+    }
+}
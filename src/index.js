@@ -15,7 +15,34 @@ const { SystemMonitor } = require('./backend/monitoring/system-monitor');
 const { SecurityManager } = require('./backend/security/security-manager');
 const { DataManager } = require('./backend/data/data-manager');
 const { APIGateway } = require('./backend/api/api-gateway');
+const { StoreRegistry } = require('./backend/data/store-registry');
+const { TokenService } = require('./backend/auth/token-service');
+const { AuthService } = require('./backend/auth/auth-service');
+const { AuditLog } = require('./backend/audit/audit-log');
+const { TripService } = require('./backend/trips/trip-service');
+const { TripCollaborationService } = require('./backend/trips/trip-collaboration-service');
+const { ProviderRegistry } = require('./backend/providers/provider-registry');
+const { MockProviderAdapter } = require('./backend/providers/adapters/mock-provider');
+const { SearchAgent } = require('./backend/agents/search-agent');
+const { SearchCache } = require('./backend/search/search-cache');
+const { ExchangeRateService } = require('./backend/currency/exchange-rate-service');
+const { BookingService } = require('./backend/bookings/booking-service');
+const { BudgetService } = require('./backend/budgets/budget-service');
+const { NotificationService } = require('./backend/notifications/notification-service');
+const { PriceWatchService } = require('./backend/watches/price-watch-service');
+const { SearchHistory } = require('./backend/search/search-history');
+const { PrivacyService } = require('./backend/privacy/privacy-service');
+const { ConsentService } = require('./backend/privacy/consent-service');
+const { AnalyticsService } = require('./backend/analytics/analytics-service');
+const { FeatureFlagService } = require('./backend/flags/feature-flag-service');
+const { RetentionJob } = require('./backend/privacy/retention-job');
+const { PriceWatchScheduler } = require('./backend/watches/price-watch-scheduler');
+const { RealtimeHub } = require('./backend/realtime/realtime-hub');
+const { registerRealtimeTopics } = require('./backend/realtime/realtime-topics');
+const { createApiRouter } = require('./backend/api/routes');
 const { ConfigManager } = require('./config/config-manager');
+const { envConfig } = require('./config/env-config');
+const { systemConfig } = require('./config/system-config');
 const { Logger } = require('./utils/logger');
 
 // Initialize configuration
@@ -45,19 +72,30 @@ app.use(helmet({
     crossOriginEmbedderPolicy: false
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: config.get('security.rateLimit.windowMs', 15 * 60 * 1000), // 15 minutes
-    max: config.get('security.rateLimit.max', 100), // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.',
-    standardHeaders: true,
-    legacyHeaders: false
-});
-app.use(limiter);
+// Rate limiting as security.rateLimit says. The limiter is created from the
+// loaded configuration when the system initializes, before the server
+// listens, and replaced when the setting changes (which starts the counts afresh).
+// Each limiter counts in its own store; the replaced store is shut down so
+// its cleanup timer does not run on.
+let limiter = null;
+let limiterStore = null;
+const replaceRateLimiter = ({ windowMs, max }) => {
+    limiterStore?.shutdown();
+    limiterStore = new rateLimit.MemoryStore();
+    limiter = rateLimit({
+        windowMs,
+        max,
+        store: limiterStore,
+        message: 'Too many requests from this IP, please try again later.',
+        standardHeaders: true,
+        legacyHeaders: false
+    });
+};
+app.use((req, res, next) => (limiter ? limiter(req, res, next) : next()));
 
-// CORS configuration
+// CORS configuration; the allowed origins are read from server.cors.allowedOrigins on every request
 app.use(cors({
-    origin: config.get('cors.allowedOrigins', ['http://localhost:3000', 'http://localhost:8080']),
+    origin: (origin, callback) => callback(null, systemConfig.get('server.cors.allowedOrigins', []).includes(origin)),
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
@@ -69,7 +107,14 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static file serving
-app.use(express.static(path.join(__dirname, '../dist')));
+app.use(express.static(path.join(__dirname, '../dist'), {
+    // Browsers must always see the current service worker so new builds get installed
+    setHeaders: (res, filePath) => {
+        if (path.basename(filePath) === 'sw.js') {
+            res.setHeader('Cache-Control', 'no-cache');
+        }
+    }
+}));
 app.use('/assets', express.static(path.join(__dirname, '../assets')));
 
 // Initialize holonic system components
@@ -80,6 +125,31 @@ class HolonicTravelSystem {
         this.securityManager = null;
         this.dataManager = null;
         this.apiGateway = null;
+        this.stores = null;
+        this.tokenService = null;
+        this.authService = null;
+        this.auditLog = null;
+        this.tripService = null;
+        this.tripCollaborationService = null;
+        this.providers = null;
+        this.searchCache = null;
+        this.searchAgent = null;
+        this.bookingService = null;
+        this.budgetService = null;
+        this.notificationService = null;
+        this.priceWatchService = null;
+        this.priceWatchScheduler = null;
+        this.searchHistory = null;
+        this.privacyService = null;
+        this.consentService = null;
+        this.analyticsService = null;
+        this.featureFlagService = null;
+        this.retentionJob = null;
+        this.realtimeHub = null;
+        this.statusBroadcastTimer = null;
+        this.lastBroadcastStatus = null;
+        this.apiRouter = null;
+        this.configWatchers = [];
         this.isInitialized = false;
     }
 
@@ -91,9 +161,93 @@ class HolonicTravelSystem {
             this.securityManager = new SecurityManager(config);
             await this.securityManager.initialize();
 
-            this.dataManager = new DataManager(config);
+            // Document stores are the DataManager's storage for application
+            // data, so it runs without Postgres
+            this.stores = new StoreRegistry(config);
+            this.dataManager = new DataManager(config, { stores: this.stores });
             await this.dataManager.initialize();
 
+            // Accounts and sessions: JWT access tokens with rotating refresh tokens
+            this.tokenService = new TokenService(config);
+            this.authService = new AuthService({ config, stores: this.stores, tokenService: this.tokenService });
+            await this.authService.initialize();
+            this.auditLog = new AuditLog({ stores: this.stores });
+            await this.auditLog.initialize();
+
+            this.tripService = new TripService({ stores: this.stores });
+            await this.tripService.initialize();
+            this.tripCollaborationService = new TripCollaborationService({ tripService: this.tripService });
+
+            // Travel providers, registered by their apis.<key> configuration
+            this.providers = new ProviderRegistry(config)
+                .register('mock', MockProviderAdapter);
+            await this.providers.initialize();
+
+            this.searchCache = new SearchCache(config);
+            await this.searchCache.initialize();
+
+            // Offline exchange-rate table for comparing and converting prices
+            this.exchangeRates = new ExchangeRateService(config);
+            await this.exchangeRates.initialize();
+
+            this.searchAgent = new SearchAgent({
+                config,
+                providers: this.providers,
+                cache: this.searchCache,
+                exchangeRates: this.exchangeRates
+            });
+            this.bookingService = new BookingService({
+                config,
+                stores: this.stores,
+                providers: this.providers,
+                searchAgent: this.searchAgent,
+                exchangeRates: this.exchangeRates
+            });
+            await this.bookingService.initialize();
+
+            this.budgetService = new BudgetService({
+                stores: this.stores,
+                tripService: this.tripService,
+                bookingService: this.bookingService,
+                exchangeRates: this.exchangeRates
+            });
+            await this.budgetService.initialize();
+
+            this.notificationService = new NotificationService({ config, stores: this.stores });
+            await this.notificationService.initialize();
+
+            this.priceWatchService = new PriceWatchService({
+                config,
+                stores: this.stores,
+                searchAgent: this.searchAgent,
+                notificationService: this.notificationService,
+                exchangeRates: this.exchangeRates
+            });
+            await this.priceWatchService.initialize();
+            this.priceWatchScheduler = new PriceWatchScheduler({ config, priceWatchService: this.priceWatchService });
+
+            this.searchHistory = new SearchHistory({ stores: this.stores });
+            await this.searchHistory.initialize();
+            this.consentService = new ConsentService({ config, stores: this.stores });
+            await this.consentService.initialize();
+            this.analyticsService = new AnalyticsService({ config, stores: this.stores });
+            await this.analyticsService.initialize();
+            // Flags come from the reloadable system configuration, so they change without a restart
+            this.featureFlagService = new FeatureFlagService({ config: systemConfig });
+
+            // Data export, erasure and retention over every store holding personal data
+            this.privacyService = new PrivacyService({ config, authService: this.authService, auditLog: this.auditLog })
+                .registerSource('trips', this.tripService)
+                .registerSource('bookings', this.bookingService)
+                // After trips, so expenses of trips erased with the user go too
+                .registerSource('budgets', this.budgetService)
+                .registerSource('priceWatches', this.priceWatchService)
+                .registerSource('notifications', this.notificationService)
+                .registerSource('searches', this.searchHistory)
+                .registerSource('consents', this.consentService)
+                .registerSource('analytics', this.analyticsService);
+            this.retentionJob = new RetentionJob({ config, privacyService: this.privacyService });
+
             this.systemMonitor = new SystemMonitor(config);
             await this.systemMonitor.initialize();
 
@@ -110,7 +264,56 @@ class HolonicTravelSystem {
             });
             await this.orchestrator.initialize();
 
+            // Server push channel for status, trip, booking and notification events
+            if (config.get('realtime.enabled', true)) {
+                this.realtimeHub = new RealtimeHub(config);
+                registerRealtimeTopics(this.realtimeHub, {
+                    authService: this.authService,
+                    tripService: this.tripService,
+                    bookingService: this.bookingService,
+                    budgetService: this.budgetService,
+                    notificationService: this.notificationService,
+                    getSystemStatus: () => this.getStatusSummary()
+                });
+            }
+
+            this.apiRouter = createApiRouter({
+                config,
+                tokenService: this.tokenService,
+                authService: this.authService,
+                auditLog: this.auditLog,
+                tripService: this.tripService,
+                tripCollaborationService: this.tripCollaborationService,
+                searchAgent: this.searchAgent,
+                searchHistory: this.searchHistory,
+                bookingService: this.bookingService,
+                budgetService: this.budgetService,
+                priceWatchService: this.priceWatchService,
+                privacyService: this.privacyService,
+                consentService: this.consentService,
+                analyticsService: this.analyticsService,
+                featureFlagService: this.featureFlagService,
+                exchangeRates: this.exchangeRates,
+                realtimeHub: this.realtimeHub,
+                getHealthStatus: () => this.getHealthStatus()
+            });
+
+            this.priceWatchScheduler.start();
+            this.retentionJob.start();
+
+            this.watchConfiguration();
+
             this.isInitialized = true;
+
+            if (this.realtimeHub) {
+                this.realtimeHub.start();
+                this.statusBroadcastTimer = setInterval(
+                    () => this.broadcastSystemStatus(),
+                    config.get('realtime.statusInterval', 15000)
+                );
+                this.broadcastSystemStatus();
+            }
+
             logger.info('Holonic Travel System initialized successfully');
 
         } catch (error) {
@@ -119,9 +322,44 @@ class HolonicTravelSystem {
         }
     }
 
+    /**
+     * Apply the configuration changes that need no restart as the config
+     * files are reloaded
+     */
+    watchConfiguration() {
+        replaceRateLimiter(systemConfig.get('security.rateLimit'));
+        this.configWatchers = [
+            systemConfig.addWatcher('security.rateLimit', (rateLimitConfig) => {
+                replaceRateLimiter(rateLimitConfig);
+                logger.info(`Rate limit is now ${rateLimitConfig.max} requests per ${rateLimitConfig.windowMs} ms`);
+            }),
+            systemConfig.addWatcher('server.cors.allowedOrigins', (origins) => {
+                logger.info(`CORS origins are now ${origins.join(', ')}`);
+            }),
+            systemConfig.addWatcher('logging.level', (level) => {
+                logger.setLevel(level);
+                logger.info(`Log level is now ${level}`);
+            }),
+            // Searches already running keep the limit they started with
+            systemConfig.addWatcher('holonic.agents.search.maxConcurrentSearches', (limit) => {
+                this.searchAgent.concurrency = limit;
+                logger.info(`Search agent runs up to ${limit} provider searches at once`);
+            })
+        ];
+    }
+
     async shutdown() {
         logger.info('Shutting down Holonic Travel System...');
         
+        this.configWatchers.forEach(unwatch => unwatch());
+        systemConfig.close();
+        limiterStore?.shutdown();
+        
+        // Close push streams first so open connections do not hold the server
+        clearInterval(this.statusBroadcastTimer);
+        if (this.realtimeHub) {
+            this.realtimeHub.stop();
+        }
         if (this.orchestrator) {
             await this.orchestrator.shutdown();
         }
@@ -131,6 +369,27 @@ class HolonicTravelSystem {
         if (this.systemMonitor) {
             await this.systemMonitor.shutdown();
         }
+        if (this.priceWatchScheduler) {
+            this.priceWatchScheduler.stop();
+        }
+        if (this.retentionJob) {
+            this.retentionJob.stop();
+        }
+        if (this.budgetService) {
+            await this.budgetService.shutdown();
+        }
+        if (this.bookingService) {
+            await this.bookingService.shutdown();
+        }
+        if (this.searchCache) {
+            await this.searchCache.shutdown();
+        }
+        if (this.providers) {
+            await this.providers.shutdown();
+        }
+        if (this.stores) {
+            await this.stores.shutdown();
+        }
         if (this.dataManager) {
             await this.dataManager.shutdown();
         }
@@ -141,7 +400,7 @@ class HolonicTravelSystem {
         logger.info('Holonic Travel System shutdown complete');
     }
 
-    getHealthStatus() {
+    async getHealthStatus() {
         if (!this.isInitialized) {
             return { status: 'initializing', components: {} };
         }
@@ -154,18 +413,56 @@ class HolonicTravelSystem {
                 security: this.securityManager?.getStatus() || 'unknown',
                 data: this.dataManager?.getStatus() || 'unknown',
                 monitor: this.systemMonitor?.getStatus() || 'unknown',
-                api: this.apiGateway?.getStatus() || 'unknown'
+                api: this.apiGateway?.getStatus() || 'unknown',
+                storage: this.stores?.getStatus() || 'unknown',
+                auth: this.authService?.getStatus() || 'unknown',
+                audit: this.auditLog?.getStatus() || 'unknown',
+                providers: this.providers?.getStatus() || 'unknown',
+                currency: this.exchangeRates?.getStatus() || 'unknown',
+                budgets: this.budgetService?.getStatus() || 'unknown',
+                notifications: this.notificationService?.getStatus() || 'unknown',
+                priceWatches: this.priceWatchScheduler?.getStatus() || 'unknown',
+                privacy: this.retentionJob?.getStatus() || 'unknown',
+                analytics: this.analyticsService?.getStatus() || 'unknown',
+                featureFlags: this.featureFlagService?.getStatus() || 'unknown',
+                realtime: this.realtimeHub?.getStatus() || 'disabled'
+            },
+            cache: {
+                search: this.searchCache ? await this.searchCache.getMetrics() : 'unknown'
             }
         };
     }
+
+    /**
+     * Overall status for the realtime `system` topic, without volatile metrics
+     */
+    async getStatusSummary() {
+        const { status, timestamp } = await this.getHealthStatus();
+        return { status, timestamp };
+    }
+
+    /**
+     * Push the system status to subscribers when it changes
+     */
+    async broadcastSystemStatus() {
+        try {
+            const summary = await this.getStatusSummary();
+            if (summary.status !== this.lastBroadcastStatus) {
+                this.lastBroadcastStatus = summary.status;
+                this.realtimeHub.publish('system', 'system:status', summary);
+            }
+        } catch (error) {
+            logger.error('System status broadcast failed:', error);
+        }
+    }
 }
 
 // Initialize the holonic system
 const holonicSystem = new HolonicTravelSystem();
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-    const healthStatus = holonicSystem.getHealthStatus();
+app.get('/health', async (req, res) => {
+    const healthStatus = await holonicSystem.getHealthStatus();
     const statusCode = healthStatus.status === 'healthy' ? 200 : 503;
     res.status(statusCode).json(healthStatus);
 });
@@ -176,8 +473,13 @@ app.use('/api', async (req, res, next) => {
         return res.status(503).json({ error: 'System is initializing, please try again later' });
     }
     
-    // Route through the holonic API gateway
-    holonicSystem.apiGateway.handleRequest(req, res, next);
+    // In-process resource routes first, then the holonic API gateway
+    holonicSystem.apiRouter(req, res, (error) => {
+        if (error) {
+            return next(error);
+        }
+        holonicSystem.apiGateway.handleRequest(req, res, next);
+    });
 });
 
 // Serve React application for all other routes
@@ -202,7 +504,8 @@ app.use((error, req, res, next) => {
     const message = NODE_ENV === 'production' ? 'Internal Server Error' : error.message;
     
     res.status(statusCode).json({
-        error: message,
+        error: statusCode < 500 ? error.message : message,
+        details: error.details,
         timestamp: new Date().toISOString(),
         requestId: req.id || 'unknown'
     });
@@ -233,6 +536,12 @@ process.on('uncaughtException', (error) => {
 // Start the server
 async function startServer() {
     try {
+        // Validated configuration, reloaded from config/*.json with CONFIG_HOT_RELOAD
+        if (!systemConfig.isInitialized) {
+            await envConfig.initialize();
+            await systemConfig.initialize();
+        }
+        
         // Initialize the holonic system
         await holonicSystem.initialize();
         
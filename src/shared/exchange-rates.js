@@ -0,0 +1,80 @@
+// Exchange Rates
+// Holonic Travel Planner - Timestamped exchange-rate snapshots and conversion, shared by client and server
+
+const { CurrencyError, createMoney, isCurrencyCode } = require('./money');
+
+/**
+ * Exchange Rate Table
+ * Built from `{ base, snapshots: [{ asOf, rates: { CODE: unitsPerBase } }] }`.
+ * Conversions use the latest snapshot taken at or before the requested time
+ * (the earliest one for older times), crossing through the base currency.
+ */
+class ExchangeRateTable {
+    constructor({ base, snapshots = [] }) {
+        if (!isCurrencyCode(base)) {
+            throw new CurrencyError(`Invalid base currency: ${base}`, base);
+        }
+        if (snapshots.length === 0) {
+            throw new CurrencyError('An exchange-rate table needs at least one snapshot');
+        }
+
+        this.base = base;
+        this.snapshots = snapshots
+            .map(snapshot => ({
+                asOf: new Date(snapshot.asOf).toISOString(),
+                rates: { ...snapshot.rates, [base]: 1 }
+            }))
+            .sort((a, b) => a.asOf.localeCompare(b.asOf));
+    }
+
+    get latest() {
+        return this.snapshots[this.snapshots.length - 1];
+    }
+
+    get currencies() {
+        return Object.keys(this.latest.rates).sort();
+    }
+
+    snapshotAt(at = null) {
+        if (!at) {
+            return this.latest;
+        }
+        const time = new Date(at).toISOString();
+        const earlier = this.snapshots.filter(snapshot => snapshot.asOf <= time);
+        return earlier.length > 0 ? earlier[earlier.length - 1] : this.snapshots[0];
+    }
+
+    /**
+     * Units of `to` per unit of `from`
+     */
+    rate(from, to, at = null) {
+        const { rates } = this.snapshotAt(at);
+        for (const currency of [from, to]) {
+            if (!rates[currency]) {
+                throw new CurrencyError(`No exchange rate for ${currency}`, currency);
+            }
+        }
+        return rates[to] / rates[from];
+    }
+
+    /**
+     * Convert money to another currency. The result keeps the original
+     * amount, the rate used and the snapshot time.
+     */
+    convert(money, to, { at = null } = {}) {
+        const snapshot = this.snapshotAt(at);
+        const rate = money.currency === to ? 1 : this.rate(money.currency, to, at);
+        return {
+            ...createMoney(money.amount * rate, to),
+            original: { amount: money.amount, currency: money.currency },
+            rate,
+            ratesAsOf: snapshot.asOf
+        };
+    }
+
+    toJSON() {
+        return { base: this.base, snapshots: this.snapshots };
+    }
+}
+
+module.exports = { ExchangeRateTable };
@@ -0,0 +1,254 @@
+// Expense Ledger
+// Holonic Travel Planner - Budget summaries, cost splitting and settlement shared by client and server
+
+const { CurrencyError, minorUnits } = require('./money');
+
+const BUDGET_CATEGORIES = ['transport', 'lodging', 'food', 'activities', 'other'];
+const EXPENSE_STATUSES = ['planned', 'actual'];
+const SPLIT_METHODS = ['equal', 'shares', 'exact'];
+
+const OFFER_CATEGORIES = {
+    flight: 'transport',
+    car: 'transport',
+    hotel: 'lodging',
+    activity: 'activities'
+};
+
+// Amounts are handled in cents (the currency's minor unit: none for JPY,
+// thousandths for KWD) so splits always add up to the total
+const toCents = (amount, currency) => Math.round(Number(amount) * 10 ** minorUnits(currency));
+const fromCents = (cents, currency) => cents / 10 ** minorUnits(currency);
+
+// Expenses in another currency carry their amount converted into the budget currency
+const ledgerAmount = (expense) => expense.converted?.amount ?? expense.amount;
+const ledgerCurrency = (expense) => expense.converted?.currency || expense.currency || null;
+
+function categoryForOfferType(type) {
+    return OFFER_CATEGORIES[type] || 'other';
+}
+
+/**
+ * Validate an expense; returns a list of { field, message }.
+ * Participants must be trip members when the trip has any.
+ */
+function validateExpense(expense, memberIds = []) {
+    const errors = [];
+    const split = expense.split || {};
+
+    if (!expense.description || !String(expense.description).trim()) {
+        errors.push({ field: 'description', message: 'Description is required' });
+    }
+    if (!BUDGET_CATEGORIES.includes(expense.category)) {
+        errors.push({ field: 'category', message: `Category must be one of: ${BUDGET_CATEGORIES.join(', ')}` });
+    }
+    if (!EXPENSE_STATUSES.includes(expense.status)) {
+        errors.push({ field: 'status', message: `Status must be one of: ${EXPENSE_STATUSES.join(', ')}` });
+    }
+    if (!(Number(expense.amount) > 0)) {
+        errors.push({ field: 'amount', message: 'Amount must be greater than zero' });
+    }
+    if (!expense.paidBy) {
+        errors.push({ field: 'paidBy', message: 'Payer is required' });
+    }
+    if (!SPLIT_METHODS.includes(split.method)) {
+        errors.push({ field: 'split.method', message: `Split method must be one of: ${SPLIT_METHODS.join(', ')}` });
+        return errors;
+    }
+
+    const people = [expense.paidBy, ...participantsOf(split)].filter(Boolean);
+    if (memberIds.length > 0) {
+        for (const person of new Set(people)) {
+            if (!memberIds.includes(person)) {
+                errors.push({ field: 'split', message: `${person} is not a member of this trip` });
+            }
+        }
+    }
+
+    if (split.method === 'shares') {
+        const shares = Object.values(split.shares || {});
+        if (shares.length === 0 || shares.some(share => !(Number(share) > 0))) {
+            errors.push({ field: 'split.shares', message: 'Shares must be positive numbers' });
+        }
+    }
+    if (split.method === 'exact') {
+        const amounts = Object.values(split.amounts || {});
+        if (amounts.length === 0 || amounts.some(amount => !(Number(amount) >= 0))) {
+            errors.push({ field: 'split.amounts', message: 'Exact amounts must be zero or more' });
+        } else if (amounts.reduce((total, amount) => total + toCents(amount, expense.currency), 0) !== toCents(expense.amount, expense.currency)) {
+            errors.push({ field: 'split.amounts', message: 'Exact amounts must add up to the expense amount' });
+        }
+    }
+
+    return errors;
+}
+
+function participantsOf(split = {}) {
+    if (split.method === 'shares') {
+        return Object.keys(split.shares || {});
+    }
+    if (split.method === 'exact') {
+        return Object.keys(split.amounts || {});
+    }
+    return split.participants || [];
+}
+
+/**
+ * Amount owed by each traveler for one expense, in cents.
+ * Equal splits without participants are shared by all members (or the payer
+ * alone); leftover cents go to the first travelers in id order. Exact amounts
+ * of a converted expense are in its own currency and split it proportionally.
+ */
+function splitExpense(expense, memberIds = []) {
+    const total = toCents(ledgerAmount(expense), ledgerCurrency(expense));
+    const split = expense.split || { method: 'equal' };
+
+    if (split.method === 'exact' && !expense.converted) {
+        return Object.fromEntries(Object.entries(split.amounts).map(([userId, amount]) => [userId, toCents(amount, expense.currency)]));
+    }
+
+    let weights;
+    if (split.method === 'exact') {
+        weights = Object.entries(split.amounts).map(([userId, amount]) => [userId, toCents(amount, expense.currency)]);
+    } else if (split.method === 'shares') {
+        weights = Object.entries(split.shares).map(([userId, share]) => [userId, Number(share)]);
+    } else {
+        const participants = split.participants?.length ? split.participants : (memberIds.length ? memberIds : [expense.paidBy]);
+        weights = participants.map(userId => [userId, 1]);
+    }
+    weights.sort(([a], [b]) => a.localeCompare(b));
+
+    // Largest remainder: floor every portion, then hand out the missing cents
+    const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    const portions = weights.map(([userId, weight]) => {
+        const exact = total * weight / totalWeight;
+        return { userId, cents: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+    let missing = total - portions.reduce((sum, portion) => sum + portion.cents, 0);
+    for (const portion of [...portions].sort((a, b) => b.remainder - a.remainder)) {
+        if (missing === 0) {
+            break;
+        }
+        portion.cents += 1;
+        missing -= 1;
+    }
+
+    return Object.fromEntries(portions.map(portion => [portion.userId, portion.cents]));
+}
+
+/**
+ * Net balance per traveler over actual expenses with a known payer:
+ * positive means they are owed money. Amounts are in the ledger currency
+ * (the budget's, or the expenses' own without a budget); every expense must
+ * be kept in that currency, as amounts in different currencies do not add up.
+ */
+function computeBalances(expenses, memberIds = [], currency = null) {
+    const unit = currency || (expenses.length ? ledgerCurrency(expenses[0]) : null);
+    const cents = new Map(memberIds.map(userId => [userId, 0]));
+    const add = (userId, amount) => cents.set(userId, (cents.get(userId) || 0) + amount);
+
+    for (const expense of expenses.filter(e => e.status === 'actual' && e.paidBy)) {
+        if (ledgerCurrency(expense) && unit && ledgerCurrency(expense) !== unit) {
+            throw new CurrencyError(`Expense ${expense.id} is kept in ${ledgerCurrency(expense)}, not in the ledger currency ${unit}`, ledgerCurrency(expense));
+        }
+        add(expense.paidBy, toCents(ledgerAmount(expense), unit));
+        for (const [userId, owed] of Object.entries(splitExpense(expense, memberIds))) {
+            add(userId, -owed);
+        }
+    }
+
+    return Object.fromEntries([...cents].map(([userId, amount]) => [userId, fromCents(amount, unit)]));
+}
+
+/**
+ * Transfers that settle all balances. Debts that exactly match a credit are
+ * paired first, then the largest debtor pays the largest creditor; this needs
+ * at most one transfer fewer than the number of travelers with a balance.
+ */
+function settle(balances, currency = null) {
+    const debtors = [];
+    const creditors = [];
+    for (const [userId, amount] of Object.entries(balances)) {
+        const cents = toCents(amount, currency);
+        if (cents < 0) {
+            debtors.push({ userId, cents: -cents });
+        } else if (cents > 0) {
+            creditors.push({ userId, cents });
+        }
+    }
+
+    const transfers = [];
+    const pay = (debtor, creditor, cents) => {
+        transfers.push({ from: debtor.userId, to: creditor.userId, amount: fromCents(cents, currency) });
+        debtor.cents -= cents;
+        creditor.cents -= cents;
+    };
+
+    for (const debtor of debtors) {
+        const match = creditors.find(creditor => creditor.cents === debtor.cents);
+        if (match) {
+            pay(debtor, match, debtor.cents);
+        }
+    }
+
+    const byAmount = (a, b) => b.cents - a.cents || a.userId.localeCompare(b.userId);
+    let openDebtors = debtors.filter(d => d.cents > 0).sort(byAmount);
+    let openCreditors = creditors.filter(c => c.cents > 0).sort(byAmount);
+
+    while (openDebtors.length > 0 && openCreditors.length > 0) {
+        const [debtor] = openDebtors;
+        const [creditor] = openCreditors;
+        pay(debtor, creditor, Math.min(debtor.cents, creditor.cents));
+        openDebtors = openDebtors.filter(d => d.cents > 0).sort(byAmount);
+        openCreditors = openCreditors.filter(c => c.cents > 0).sort(byAmount);
+    }
+
+    return transfers;
+}
+
+/**
+ * Planned and actual spend per category against the budget caps.
+ * `burn` is the share of the cap already spent, null without a cap.
+ */
+function summarizeBudget(budget = {}, expenses = []) {
+    const caps = budget.caps || {};
+    const currency = budget.currency || (expenses.length ? ledgerCurrency(expenses[0]) : null);
+    const line = (cap, items) => {
+        const planned = items.filter(e => e.status === 'planned').reduce((sum, e) => sum + toCents(ledgerAmount(e), currency), 0);
+        const actual = items.filter(e => e.status === 'actual').reduce((sum, e) => sum + toCents(ledgerAmount(e), currency), 0);
+        const capCents = cap === null || cap === undefined ? null : toCents(cap, currency);
+        return {
+            cap: capCents === null ? null : fromCents(capCents, currency),
+            planned: fromCents(planned, currency),
+            actual: fromCents(actual, currency),
+            remaining: capCents === null ? null : fromCents(capCents - actual - planned, currency),
+            burn: capCents ? actual / capCents : null,
+            overCap: capCents !== null && actual + planned > capCents
+        };
+    };
+
+    const categories = BUDGET_CATEGORIES.map(category => ({
+        category,
+        ...line(caps[category], expenses.filter(e => e.category === category))
+    }));
+    const capValues = Object.values(caps).filter(cap => cap !== null && cap !== undefined);
+
+    return {
+        currency: budget.currency || null,
+        categories,
+        total: line(capValues.length ? capValues.reduce((sum, cap) => sum + Number(cap), 0) : null, expenses)
+    };
+}
+
+module.exports = {
+    BUDGET_CATEGORIES,
+    EXPENSE_STATUSES,
+    SPLIT_METHODS,
+    categoryForOfferType,
+    ledgerAmount,
+    ledgerCurrency,
+    validateExpense,
+    splitExpense,
+    computeBalances,
+    settle,
+    summarizeBudget
+};
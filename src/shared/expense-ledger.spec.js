@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { splitExpense, computeBalances, settle, summarizeBudget } from './expense-ledger';
+
+function expense(fields) {
+    return { id: 'e', status: 'actual', currency: 'EUR', split: { method: 'equal', participants: [] }, ...fields };
+}
+
+describe('splitExpense', () => {
+    it('hands leftover cents to the first travelers in id order', () => {
+        const owed = splitExpense(expense({ amount: 100, paidBy: 'ann', split: { method: 'equal', participants: ['cat', 'ann', 'bob'] } }));
+
+        expect(owed).toEqual({ ann: 3334, bob: 3333, cat: 3333 });
+    });
+
+    it('splits among all members when no participants are given', () => {
+        expect(splitExpense(expense({ amount: 10, paidBy: 'ann' }), ['ann', 'bob'])).toEqual({ ann: 500, bob: 500 });
+        expect(splitExpense(expense({ amount: 10, paidBy: 'ann' }))).toEqual({ ann: 1000 });
+    });
+
+    it('splits by shares with the largest remainders rounded up', () => {
+        const owed = splitExpense(expense({ amount: 10, paidBy: 'ann', split: { method: 'shares', shares: { ann: 1, bob: 2 } } }));
+
+        expect(owed).toEqual({ ann: 333, bob: 667 });
+    });
+
+    it('takes exact amounts as they are', () => {
+        const owed = splitExpense(expense({ amount: 30, paidBy: 'ann', split: { method: 'exact', amounts: { ann: 10.5, bob: 19.5 } } }));
+
+        expect(owed).toEqual({ ann: 1050, bob: 1950 });
+    });
+
+    it('splits exact amounts of a converted expense in proportion', () => {
+        const owed = splitExpense(expense({
+            amount: 30,
+            currency: 'USD',
+            converted: { amount: 27, currency: 'EUR' },
+            paidBy: 'ann',
+            split: { method: 'exact', amounts: { ann: 10, bob: 20 } }
+        }));
+
+        expect(owed).toEqual({ ann: 900, bob: 1800 });
+    });
+
+    it('works in the minor unit of the currency', () => {
+        const owed = splitExpense(expense({ amount: 1000, currency: 'JPY', paidBy: 'ann', split: { method: 'equal', participants: ['ann', 'bob', 'cat'] } }));
+
+        expect(owed).toEqual({ ann: 334, bob: 333, cat: 333 });
+    });
+});
+
+describe('computeBalances', () => {
+    it('nets what each traveler paid against what they owe', () => {
+        const balances = computeBalances([
+            expense({ id: 'dinner', amount: 90, paidBy: 'ann' }),
+            expense({ id: 'taxi', amount: 30, paidBy: 'bob' }),
+            expense({ id: 'museum', amount: 45, paidBy: 'cat', status: 'planned' })
+        ], ['ann', 'bob', 'cat'], 'EUR');
+
+        expect(balances).toEqual({ ann: 50, bob: -10, cat: -40 });
+        expect(Object.values(balances).reduce((sum, amount) => sum + amount, 0)).toBeCloseTo(0, 10);
+    });
+
+    it('adds up to zero when a split leaves a remainder', () => {
+        const balances = computeBalances([expense({ amount: 100, paidBy: 'ann' })], ['ann', 'bob', 'cat'], 'EUR');
+
+        expect(balances).toEqual({ ann: 66.66, bob: -33.33, cat: -33.33 });
+    });
+
+    it('uses converted amounts of expenses in other currencies', () => {
+        const balances = computeBalances([
+            expense({ id: 'hotel', amount: 200, paidBy: 'ann' }),
+            expense({ id: 'ramen', amount: 3000, currency: 'JPY', converted: { amount: 18, currency: 'EUR' }, paidBy: 'bob' })
+        ], ['ann', 'bob'], 'EUR');
+
+        expect(balances).toEqual({ ann: 91, bob: -91 });
+    });
+
+    it('refuses expenses kept in a currency other than the ledger currency', () => {
+        const expenses = [
+            expense({ id: 'hotel', amount: 200, currency: 'USD', paidBy: 'ann' }),
+            expense({ id: 'ramen', amount: 3000, currency: 'JPY', paidBy: 'bob' })
+        ];
+
+        expect(() => computeBalances(expenses, ['ann', 'bob'])).toThrow(/ramen is kept in JPY/);
+    });
+});
+
+describe('settle', () => {
+    it('pairs matching debts and credits first', () => {
+        const transfers = settle({ ann: 30, bob: 20, cat: -20, dan: -30 }, 'EUR');
+
+        expect(transfers).toEqual([
+            { from: 'cat', to: 'bob', amount: 20 },
+            { from: 'dan', to: 'ann', amount: 30 }
+        ]);
+    });
+
+    it('lets the largest debtor pay the largest creditor', () => {
+        const transfers = settle({ ann: 50, bob: 10, cat: -35, dan: -25 }, 'EUR');
+
+        expect(transfers).toEqual([
+            { from: 'cat', to: 'ann', amount: 35 },
+            { from: 'dan', to: 'ann', amount: 15 },
+            { from: 'dan', to: 'bob', amount: 10 }
+        ]);
+    });
+
+    it('settles balances computed with a remainder to the cent', () => {
+        const balances = computeBalances([expense({ amount: 100, paidBy: 'ann' })], ['ann', 'bob', 'cat'], 'EUR');
+
+        expect(settle(balances, 'EUR')).toEqual([
+            { from: 'bob', to: 'ann', amount: 33.33 },
+            { from: 'cat', to: 'ann', amount: 33.33 }
+        ]);
+    });
+
+    it('settles in whole yen', () => {
+        expect(settle({ ann: 667, bob: -333, cat: -334 }, 'JPY')).toEqual([
+            { from: 'cat', to: 'ann', amount: 334 },
+            { from: 'bob', to: 'ann', amount: 333 }
+        ]);
+    });
+});
+
+describe('summarizeBudget', () => {
+    it('compares planned and actual spend with the caps', () => {
+        const summary = summarizeBudget({ currency: 'EUR', caps: { food: 100 } }, [
+            expense({ amount: 60, category: 'food', paidBy: 'ann' }),
+            expense({ amount: 50, category: 'food', status: 'planned', paidBy: 'ann' })
+        ]);
+        const food = summary.categories.find(line => line.category === 'food');
+
+        expect(food).toMatchObject({ cap: 100, actual: 60, planned: 50, remaining: -10, burn: 0.6, overCap: true });
+    });
+});
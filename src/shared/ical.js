@@ -0,0 +1,496 @@
+// iCalendar Support
+// Holonic Travel Planner - RFC 5545 export and import of itinerary items
+//
+// Items with a `timeZone` are written with TZID parameters and a generated
+// VTIMEZONE; items without one are written as floating times, and UTC items
+// with a trailing Z. Imported events become itinerary items in the same shape.
+// Imported TZIDs are kept when they are IANA zones or known Windows zone
+// names; any other TZID is read as floating time.
+
+const PRODUCT_ID = '-//Holonic Travel Planner//Trip Calendar//EN';
+const UID_DOMAIN = 'holonic-travel-planner';
+const MAX_LINE_OCTETS = 75;
+
+// Times outside these years are rejected on import and never widen a VTIMEZONE
+const FIRST_YEAR = 1900;
+const LAST_YEAR = 2100;
+
+// Time zone offsets change at most once in this interval, so one step never skips a transition
+const TRANSITION_STEP_MS = 7 * 24 * 60 * 60 * 1000;
+
+const encoder = new TextEncoder();
+const offsetFormatters = new Map();
+
+class CalendarError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CalendarError';
+    }
+}
+
+// Windows zone names, as Outlook and Exchange write them, to IANA zones
+const WINDOWS_TIME_ZONES = {
+    'UTC': 'UTC',
+    'GMT Standard Time': 'Europe/London',
+    'Greenwich Standard Time': 'Atlantic/Reykjavik',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Central European Standard Time': 'Europe/Warsaw',
+    'GTB Standard Time': 'Europe/Bucharest',
+    'FLE Standard Time': 'Europe/Helsinki',
+    'E. Europe Standard Time': 'Europe/Chisinau',
+    'Turkey Standard Time': 'Europe/Istanbul',
+    'Russian Standard Time': 'Europe/Moscow',
+    'Israel Standard Time': 'Asia/Jerusalem',
+    'Egypt Standard Time': 'Africa/Cairo',
+    'South Africa Standard Time': 'Africa/Johannesburg',
+    'Arab Standard Time': 'Asia/Riyadh',
+    'Arabian Standard Time': 'Asia/Dubai',
+    'India Standard Time': 'Asia/Kolkata',
+    'SE Asia Standard Time': 'Asia/Bangkok',
+    'Singapore Standard Time': 'Asia/Singapore',
+    'China Standard Time': 'Asia/Shanghai',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'Korea Standard Time': 'Asia/Seoul',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'New Zealand Standard Time': 'Pacific/Auckland',
+    'Hawaiian Standard Time': 'Pacific/Honolulu',
+    'Alaskan Standard Time': 'America/Anchorage',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'Mountain Standard Time': 'America/Denver',
+    'US Mountain Standard Time': 'America/Phoenix',
+    'Central Standard Time': 'America/Chicago',
+    'Eastern Standard Time': 'America/New_York',
+    'Atlantic Standard Time': 'America/Halifax',
+    'E. South America Standard Time': 'America/Sao_Paulo',
+    'Argentina Standard Time': 'America/Argentina/Buenos_Aires'
+};
+
+/**
+ * Escape a TEXT property value
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Fold a content line at 75 octets without splitting multi-byte characters
+ */
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            chunks.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+/**
+ * "2026-05-01T10:30" -> "20260501T103000"
+ */
+function formatDateTime(wallClock) {
+    return `${wallClock.slice(0, 10).replace(/-/g, '')}T${wallClock.slice(11, 16).replace(':', '')}00`;
+}
+
+/**
+ * "20260501T103000[Z]" or "20260501" -> "2026-05-01T10:30", or null when the
+ * value is no real date and time within the supported years
+ */
+function parseDateTime(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+    if (!match) {
+        return null;
+    }
+
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(part => Number(part || 0));
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    const valid = year >= FIRST_YEAR && year <= LAST_YEAR
+        && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+        && hour < 24 && minute < 60 && second < 60;
+
+    return valid ? `${match[1]}-${match[2]}-${match[3]}T${match[4] || '00'}:${match[5] || '00'}` : null;
+}
+
+/**
+ * Year of a stored "YYYY-MM-DDTHH:mm" wall-clock time, or null when it is not one
+ */
+function wallClockYear(wallClock) {
+    const match = typeof wallClock === 'string' && /^(\d{4})-\d{2}-\d{2}T\d{2}:\d{2}/.exec(wallClock);
+    return match ? Number(match[1]) : null;
+}
+
+function formatUtcStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function isTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * IANA zone for a TZID, or null when it names no zone this runtime knows
+ */
+function resolveTimeZone(tzid) {
+    if (!tzid) {
+        return null;
+    }
+    const timeZone = WINDOWS_TIME_ZONES[tzid] || tzid;
+    return isTimeZone(timeZone) ? timeZone : null;
+}
+
+/**
+ * UTC offset of a time zone at an instant, in minutes
+ */
+function offsetMinutes(timeZone, utcMs) {
+    if (!offsetFormatters.has(timeZone)) {
+        offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    const parts = offsetFormatters.get(timeZone).formatToParts(new Date(utcMs));
+    const get = (type) => Number(parts.find(part => part.type === type).value);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return Math.round((asUtc - utcMs) / 60000);
+}
+
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Find offset transitions of a time zone between two instants
+ */
+function findTransitions(timeZone, fromMs, toMs) {
+    const transitions = [];
+    let low = fromMs;
+    let previous = offsetMinutes(timeZone, fromMs);
+
+    while (low < toMs) {
+        const high = Math.min(low + TRANSITION_STEP_MS, toMs);
+        const current = offsetMinutes(timeZone, high);
+        if (current !== previous) {
+            transitions.push({ at: bisectTransition(timeZone, low, high, previous), from: previous, to: current });
+            previous = current;
+        }
+        low = high;
+    }
+
+    return transitions;
+}
+
+/**
+ * First minute in (low, high] at which the offset is no longer `offset`
+ */
+function bisectTransition(timeZone, low, high, offset) {
+    while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (offsetMinutes(timeZone, middle) === offset) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return high;
+}
+
+/**
+ * Build a VTIMEZONE with one observance per offset change in the given years
+ */
+function buildTimeZone(timeZone, firstYear, lastYear) {
+    const fromMs = Date.UTC(firstYear, 0, 1);
+    const toMs = Date.UTC(lastYear + 1, 0, 1);
+    const initialOffset = offsetMinutes(timeZone, fromMs);
+    const transitions = findTransitions(timeZone, fromMs, toMs);
+    const initialIsDaylight = transitions.length > 0 && transitions[0].to < transitions[0].from;
+
+    const observance = (kind, atMs, from, to) => [
+        `BEGIN:${kind}`,
+        `DTSTART:${formatUtcStamp(new Date(atMs + from * 60000)).slice(0, 15)}`,
+        `TZOFFSETFROM:${formatOffset(from)}`,
+        `TZOFFSETTO:${formatOffset(to)}`,
+        `END:${kind}`
+    ];
+
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        ...observance(initialIsDaylight ? 'DAYLIGHT' : 'STANDARD', fromMs, initialOffset, initialOffset),
+        ...transitions.flatMap(({ at, from, to }) => observance(to > from ? 'DAYLIGHT' : 'STANDARD', at, from, to)),
+        'END:VTIMEZONE'
+    ];
+}
+
+function dateTimeProperty(name, wallClock, timeZone) {
+    if (timeZone === 'UTC') {
+        return `${name}:${formatDateTime(wallClock)}Z`;
+    }
+    return timeZone
+        ? `${name};TZID=${timeZone}:${formatDateTime(wallClock)}`
+        : `${name}:${formatDateTime(wallClock)}`;
+}
+
+/**
+ * Serialize itinerary items and all-day leg events into an iCalendar document
+ */
+function exportCalendar({ name, items = [], legs = [] }, { now = new Date() } = {}) {
+    const stamp = formatUtcStamp(now);
+    const scheduledLegs = new Set(items.filter(item => item.type === 'flight').map(item => item.legIndex));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+
+    // An event needs a start; zones nothing here can resolve are written as floating times
+    const events = items
+        .filter(item => wallClockYear(item.start) !== null)
+        .map(item => ({
+            ...item,
+            end: wallClockYear(item.end) !== null ? item.end : null,
+            timeZone: resolveTimeZone(item.timeZone)
+        }));
+
+    // Each VTIMEZONE covers the years of its events, kept within the supported years
+    const clampYear = (year) => Math.min(Math.max(year, FIRST_YEAR), LAST_YEAR);
+    const zones = new Map();
+    for (const item of events) {
+        if (item.timeZone && item.timeZone !== 'UTC') {
+            const years = zones.get(item.timeZone) || [Infinity, -Infinity];
+            const startYear = clampYear(wallClockYear(item.start));
+            const endYear = clampYear(wallClockYear(item.end || item.start));
+            zones.set(item.timeZone, [Math.min(years[0], startYear, endYear), Math.max(years[1], startYear, endYear)]);
+        }
+    }
+    for (const [timeZone, [firstYear, lastYear]] of zones) {
+        lines.push(...buildTimeZone(timeZone, firstYear, lastYear));
+    }
+
+    for (const item of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${item.id}@${UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            dateTimeProperty('DTSTART', item.start, item.timeZone)
+        );
+        if (item.end) {
+            lines.push(dateTimeProperty('DTEND', item.end, item.timeZone));
+        }
+        lines.push(`SUMMARY:${escapeText(item.title)}`);
+        if (item.location) {
+            lines.push(`LOCATION:${escapeText(item.location)}`);
+        }
+        if (item.bookingReference) {
+            lines.push(`DESCRIPTION:${escapeText(`Booking reference: ${item.bookingReference}`)}`);
+        }
+        lines.push(`X-HOLONIC-ITEM-TYPE:${item.type}`);
+        if (item.origin) {
+            lines.push(`X-HOLONIC-ORIGIN:${escapeText(item.origin)}`);
+        }
+        if (item.destination) {
+            lines.push(`X-HOLONIC-DESTINATION:${escapeText(item.destination)}`);
+        }
+        if (item.legIndex !== null && item.legIndex !== undefined) {
+            lines.push(`X-HOLONIC-LEG:${item.legIndex}`);
+        }
+        lines.push('END:VEVENT');
+    }
+
+    // Legs without a scheduled flight still get an all-day travel day
+    legs.forEach((leg, legIndex) => {
+        if (scheduledLegs.has(legIndex) || !leg.departureDate) {
+            return;
+        }
+        const date = leg.departureDate.replace(/-/g, '');
+        const nextDay = new Date(Date.parse(`${leg.departureDate}T00:00:00Z`) + 24 * 60 * 60 * 1000);
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:leg-${legIndex}-${date}@${UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${date}`,
+            `DTEND;VALUE=DATE:${nextDay.toISOString().slice(0, 10).replace(/-/g, '')}`,
+            `SUMMARY:${escapeText(`${leg.origin} → ${leg.destination}`)}`,
+            `X-HOLONIC-LEG:${legIndex}`,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split a document into unfolded content lines of { name, params, value }
+ */
+function parseLines(text) {
+    return text
+        .replace(/\r\n|\r/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            const colon = findValueSeparator(line);
+            const [name, ...rawParams] = line.slice(0, colon).split(';');
+            const params = {};
+            for (const param of rawParams) {
+                const [key, ...value] = param.split('=');
+                params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+            }
+            return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+        });
+}
+
+/**
+ * Index of the colon separating name/params from value, skipping quoted params
+ */
+function findValueSeparator(line) {
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            quoted = !quoted;
+        } else if (line[i] === ':' && !quoted) {
+            return i;
+        }
+    }
+    return line.length;
+}
+
+function toItemTime(property) {
+    const wallClock = parseDateTime(property.value);
+    if (!wallClock) {
+        throw new CalendarError(`Invalid ${property.name} "${property.value}": expected a date between ${FIRST_YEAR} and ${LAST_YEAR}`);
+    }
+    if (property.value.endsWith('Z')) {
+        return { wallClock, timeZone: 'UTC' };
+    }
+    return { wallClock, timeZone: resolveTimeZone(property.params.TZID) };
+}
+
+/**
+ * Parse an iCalendar document into itinerary items.
+ * Events from other calendars become fixed commitments; events this module
+ * exported keep their original item type, leg and id. Components nested in
+ * an event (VALARM) are separate components and their properties never
+ * replace the event's own. Throws a CalendarError for a DTSTART or DTEND
+ * that is not a valid date within the supported years.
+ */
+function importCalendar(text) {
+    const items = [];
+    let event = null;
+    const nested = [];
+
+    for (const property of parseLines(text)) {
+        if (!event) {
+            if (property.name === 'BEGIN' && property.value === 'VEVENT') {
+                event = {};
+            }
+        } else if (property.name === 'BEGIN') {
+            nested.push(property.value);
+        } else if (property.name === 'END' && nested.length > 0) {
+            nested.pop();
+        } else if (property.name === 'END' && property.value === 'VEVENT') {
+            const item = eventToItem(event);
+            if (item) {
+                items.push(item);
+            }
+            event = null;
+        } else if (nested.length === 0) {
+            event[property.name] = property;
+        }
+    }
+
+    return items;
+}
+
+function parseBookingReference(description) {
+    const match = description && /^Booking reference: (.+)$/.exec(unescapeText(description.value));
+    return match ? match[1] : null;
+}
+
+function eventToItem(event) {
+    if (!event.DTSTART) {
+        return null;
+    }
+
+    const start = toItemTime(event.DTSTART);
+    const allDay = event.DTSTART.params.VALUE === 'DATE' || event.DTSTART.value.length === 8;
+    let end = event.DTEND ? toItemTime(event.DTEND) : null;
+
+    if (!end) {
+        const durationDays = allDay ? 1 : 0;
+        const fallback = new Date(Date.parse(`${start.wallClock}:00Z`) + (durationDays * 24 * 60 + (allDay ? 0 : 60)) * 60000);
+        end = { wallClock: fallback.toISOString().slice(0, 16) };
+    }
+
+    const uid = event.UID ? event.UID.value : `${event.DTSTART.value}-${event.SUMMARY?.value || ''}`;
+    const exported = uid.endsWith(`@${UID_DOMAIN}`);
+    const type = event['X-HOLONIC-ITEM-TYPE'] ? event['X-HOLONIC-ITEM-TYPE'].value : 'commitment';
+    const leg = event['X-HOLONIC-LEG'] ? Number(event['X-HOLONIC-LEG'].value) : null;
+
+    // All-day leg markers describe trip legs, not schedulable items
+    if (exported && allDay && !event['X-HOLONIC-ITEM-TYPE']) {
+        return null;
+    }
+
+    return {
+        id: exported ? uid.slice(0, -(UID_DOMAIN.length + 1)) : `ics-${uid}`,
+        type,
+        title: event.SUMMARY ? unescapeText(event.SUMMARY.value) : 'Busy',
+        start: start.wallClock,
+        end: end.wallClock,
+        origin: event['X-HOLONIC-ORIGIN'] ? unescapeText(event['X-HOLONIC-ORIGIN'].value) : null,
+        destination: event['X-HOLONIC-DESTINATION'] ? unescapeText(event['X-HOLONIC-DESTINATION'].value) : null,
+        location: event.LOCATION ? unescapeText(event.LOCATION.value) : null,
+        timeZone: start.timeZone || null,
+        legIndex: leg,
+        fixed: !exported,
+        bookingReference: parseBookingReference(event.DESCRIPTION)
+    };
+}
+
+module.exports = {
+    CalendarError,
+    exportCalendar,
+    importCalendar,
+    buildTimeZone
+};
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { CalendarError, exportCalendar, importCalendar } from './ical';
+
+const NOW = new Date('2026-04-01T12:00:00Z');
+
+function calendar(...eventLines) {
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', ...eventLines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+}
+
+describe('iCalendar round trip', () => {
+    it('keeps exported items as they were', () => {
+        const items = [
+            {
+                id: 'flight-0',
+                type: 'flight',
+                title: 'LH 400, Frankfurt; New York',
+                start: '2026-05-01T10:30',
+                end: '2026-05-01T13:05',
+                timeZone: 'Europe/Berlin',
+                origin: 'FRA',
+                destination: 'JFK',
+                location: 'Terminal 1',
+                legIndex: 0,
+                bookingReference: 'ABC123'
+            },
+            {
+                id: 'dinner',
+                type: 'activity',
+                title: 'Dinner',
+                start: '2026-05-01T19:00',
+                end: '2026-05-01T21:00',
+                timeZone: null,
+                legIndex: null
+            }
+        ];
+
+        const imported = importCalendar(exportCalendar({ name: 'Trip', items }, { now: NOW }));
+
+        expect(imported).toEqual([
+            { ...items[0], fixed: false },
+            { ...items[1], origin: null, destination: null, location: null, fixed: false, bookingReference: null }
+        ]);
+    });
+
+    it('writes an item without an end as an event with only a start', () => {
+        const text = exportCalendar({ items: [{ id: 'a', type: 'activity', title: 'Check-in', start: '2026-05-01T15:00', timeZone: 'Europe/Paris' }] }, { now: NOW });
+
+        expect(text).toContain('DTSTART;TZID=Europe/Paris:20260501T150000');
+        expect(text).not.toContain('DTEND');
+        expect(importCalendar(text)[0]).toMatchObject({ start: '2026-05-01T15:00', timeZone: 'Europe/Paris' });
+    });
+
+    it('leaves out items without a start', () => {
+        const text = exportCalendar({ items: [{ id: 'a', type: 'activity', title: 'Someday' }] }, { now: NOW });
+
+        expect(text).not.toContain('BEGIN:VEVENT');
+    });
+
+    it('writes the daylight saving transitions of the exported years', () => {
+        const text = exportCalendar({ items: [{ id: 'a', type: 'activity', title: 'Museum', start: '2026-05-01T10:00', timeZone: 'Europe/Berlin' }] }, { now: NOW });
+
+        expect(text).toContain('BEGIN:DAYLIGHT\r\nDTSTART:20260329T020000\r\nTZOFFSETFROM:+0100\r\nTZOFFSETTO:+0200');
+        expect(text).toContain('BEGIN:STANDARD\r\nDTSTART:20261025T030000\r\nTZOFFSETFROM:+0200\r\nTZOFFSETTO:+0100');
+    });
+
+    it('keeps the time zone definition within the supported years', () => {
+        const items = [{ id: 'a', type: 'activity', title: 'Forever', start: '0001-01-01T00:00', end: '9999-12-31T00:00', timeZone: 'Europe/Berlin' }];
+
+        const text = exportCalendar({ items }, { now: NOW });
+
+        expect(text).toContain('DTSTART:19000101T');
+        expect(text).not.toMatch(/DTSTART:21[1-9]\d/);
+    });
+});
+
+describe('importCalendar', () => {
+    it('maps Windows time zone names to IANA zones and exports them again', () => {
+        const [item] = importCalendar(calendar(
+            'UID:meeting-1',
+            'DTSTART;TZID="W. Europe Standard Time":20260501T090000',
+            'DTEND;TZID="W. Europe Standard Time":20260501T100000',
+            'SUMMARY:Meeting'
+        ));
+
+        expect(item.timeZone).toBe('Europe/Berlin');
+        expect(exportCalendar({ items: [item] }, { now: NOW })).toContain('DTSTART;TZID=Europe/Berlin:20260501T090000');
+    });
+
+    it('reads an unknown TZID as floating time', () => {
+        const [item] = importCalendar(calendar(
+            'UID:meeting-2',
+            'DTSTART;TZID=Office Time:20260501T090000',
+            'DTEND;TZID=Office Time:20260501T100000',
+            'SUMMARY:Meeting'
+        ));
+
+        expect(item).toMatchObject({ start: '2026-05-01T09:00', end: '2026-05-01T10:00', timeZone: null });
+        expect(exportCalendar({ items: [item] }, { now: NOW })).toContain('DTSTART:20260501T090000');
+    });
+
+    it('exports items stored with a zone that does not resolve as floating times', () => {
+        const item = { id: 'a', type: 'activity', title: 'Meeting', start: '2026-05-01T09:00', end: '2026-05-01T10:00', timeZone: 'Office Time' };
+        const text = exportCalendar({ items: [item] }, { now: NOW });
+
+        expect(text).not.toContain('VTIMEZONE');
+        expect(text).toContain('DTEND:20260501T100000');
+    });
+
+    it('keeps alarm properties out of the event', () => {
+        const [item] = importCalendar(calendar(
+            'UID:flight-1',
+            'DTSTART:20260501T090000Z',
+            'DTEND:20260501T100000Z',
+            'SUMMARY:Flight',
+            'DESCRIPTION:Booking reference: XYZ789',
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            'DESCRIPTION:Reminder',
+            'SUMMARY:Alarm',
+            'TRIGGER:-PT1H',
+            'END:VALARM'
+        ));
+
+        expect(item).toMatchObject({ title: 'Flight', bookingReference: 'XYZ789', timeZone: 'UTC' });
+    });
+
+    it.each(['00010101', '99991231T000000', '20260230T090000', '20260501T250000', 'tomorrow'])('rejects the date %s', (value) => {
+        const text = calendar('UID:meeting-3', `DTSTART:${value}`, 'SUMMARY:Meeting');
+
+        expect(() => importCalendar(text)).toThrow(CalendarError);
+    });
+
+    it('rejects an end that is not a date', () => {
+        const text = calendar('UID:meeting-4', 'DTSTART:20260501T090000', 'DTEND:2026-05-01', 'SUMMARY:Meeting');
+
+        expect(() => importCalendar(text)).toThrow(CalendarError);
+    });
+});
@@ -0,0 +1,173 @@
+// Itinerary Leg Model
+// Holonic Travel Planner - Multi-leg and open-jaw itinerary normalization shared by client and server
+
+const TRIP_TYPES = {
+    ONE_WAY: 'one-way',
+    ROUND_TRIP: 'round-trip',
+    OPEN_JAW: 'open-jaw',
+    MULTI_CITY: 'multi-city'
+};
+
+const MAX_LEGS = 8;
+
+// Only text (or a number) counts as a value; null, objects and the like are left empty
+function legField(value) {
+    return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+/**
+ * Create a leg with the canonical field set. Anything that is not a leg
+ * object becomes an empty leg, which validateLegs rejects field by field.
+ */
+function createLeg(leg) {
+    const { origin, destination, departureDate } = leg !== null && typeof leg === 'object' && !Array.isArray(leg) ? leg : {};
+    return {
+        origin: legField(origin),
+        destination: legField(destination),
+        departureDate: legField(departureDate)
+    };
+}
+
+/**
+ * Build legs from search criteria.
+ * Legacy single-pair criteria become a one-way leg, or two legs when a returnDate is set.
+ */
+function legsFromCriteria(criteria = {}) {
+    if (Array.isArray(criteria.legs) && criteria.legs.length > 0) {
+        return criteria.legs.map(createLeg);
+    }
+
+    const { origin = '', destination = '', departureDate = '', returnDate = '' } = criteria;
+    const legs = [createLeg({ origin, destination, departureDate })];
+
+    if (returnDate) {
+        legs.push(createLeg({ origin: destination, destination: origin, departureDate: returnDate }));
+    }
+
+    return legs;
+}
+
+/**
+ * Compare two place codes case-insensitively
+ */
+function samePlace(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Classify an itinerary by the shape of its legs
+ */
+function classifyTrip(legs) {
+    if (legs.length === 1) {
+        return TRIP_TYPES.ONE_WAY;
+    }
+
+    if (legs.length === 2) {
+        const [outbound, inbound] = legs;
+        const returnsHome = samePlace(inbound.destination, outbound.origin);
+        const departsFromArrival = samePlace(inbound.origin, outbound.destination);
+
+        if (returnsHome && departsFromArrival) {
+            return TRIP_TYPES.ROUND_TRIP;
+        }
+        if (returnsHome || departsFromArrival) {
+            return TRIP_TYPES.OPEN_JAW;
+        }
+    }
+
+    return TRIP_TYPES.MULTI_CITY;
+}
+
+/**
+ * Validate legs, returning a list of { legIndex, field, message } errors
+ */
+function validateLegs(legs) {
+    const errors = [];
+
+    if (!Array.isArray(legs) || legs.length === 0) {
+        return [{ legIndex: null, field: 'legs', message: 'At least one leg is required' }];
+    }
+
+    if (legs.length > MAX_LEGS) {
+        errors.push({ legIndex: null, field: 'legs', message: `A trip may have at most ${MAX_LEGS} legs` });
+    }
+
+    legs.forEach((leg, legIndex) => {
+        if (!leg.origin) {
+            errors.push({ legIndex, field: 'origin', message: 'Origin is required' });
+        }
+        if (!leg.destination) {
+            errors.push({ legIndex, field: 'destination', message: 'Destination is required' });
+        }
+        if (samePlace(leg.origin, leg.destination)) {
+            errors.push({ legIndex, field: 'destination', message: 'Destination must differ from origin' });
+        }
+
+        if (!leg.departureDate) {
+            errors.push({ legIndex, field: 'departureDate', message: 'Departure date is required' });
+        } else if (Number.isNaN(Date.parse(leg.departureDate))) {
+            errors.push({ legIndex, field: 'departureDate', message: 'Departure date is not a valid date' });
+        } else if (legIndex > 0) {
+            const previous = Date.parse(legs[legIndex - 1].departureDate);
+            if (!Number.isNaN(previous) && Date.parse(leg.departureDate) < previous) {
+                errors.push({ legIndex, field: 'departureDate', message: 'Legs must be in chronological order' });
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Normalize search criteria into the multi-leg model.
+ * The legacy origin/destination/departureDate/returnDate fields are kept in sync
+ * so consumers that only understand a single pair keep working.
+ */
+function normalizeSearchCriteria(criteria = {}) {
+    const legs = legsFromCriteria(criteria);
+    const tripType = classifyTrip(legs);
+    const first = legs[0];
+    const last = legs[legs.length - 1];
+
+    return {
+        ...criteria,
+        legs,
+        tripType,
+        origin: first.origin,
+        destination: first.destination,
+        departureDate: first.departureDate,
+        returnDate: tripType === TRIP_TYPES.ROUND_TRIP ? last.departureDate : ''
+    };
+}
+
+/**
+ * Group search results per leg.
+ * Accepts either a { legs: [{ results }] } response or a flat array whose items carry a legIndex.
+ */
+function groupResultsByLeg(results, legs) {
+    if (results && Array.isArray(results.legs)) {
+        return legs.map((leg, legIndex) => ({
+            ...leg,
+            legIndex,
+            results: results.legs[legIndex]?.results || []
+        }));
+    }
+
+    const items = Array.isArray(results) ? results : [];
+    return legs.map((leg, legIndex) => ({
+        ...leg,
+        legIndex,
+        results: items.filter(item => (item.legIndex ?? 0) === legIndex)
+    }));
+}
+
+module.exports = {
+    TRIP_TYPES,
+    MAX_LEGS,
+    createLeg,
+    legsFromCriteria,
+    classifyTrip,
+    validateLegs,
+    normalizeSearchCriteria,
+    groupResultsByLeg
+};
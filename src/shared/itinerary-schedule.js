@@ -0,0 +1,245 @@
+// Itinerary Schedule
+// Holonic Travel Planner - Day-by-day scheduling and conflict detection for itinerary items
+//
+// Item times are floating wall-clock strings ("YYYY-MM-DDTHH:mm") in the local
+// time of the place they happen, with an optional IANA `timeZone`.
+
+const ITEM_TYPES = ['flight', 'hotel', 'car', 'activity', 'commitment'];
+
+// Minimum time between landing and the next departure from the same place
+const MIN_CONNECTION_MINUTES = 45;
+
+// Default duration for items that only carry a start time
+const DEFAULT_DURATION_MINUTES = 60;
+
+/**
+ * Convert a wall-clock string to minutes since the epoch, treating it as UTC
+ * so all floating times compare consistently.
+ */
+function toMinutes(dateTime) {
+    const time = Date.parse(`${dateTime.slice(0, 16)}:00Z`);
+    return Number.isNaN(time) ? NaN : time / 60000;
+}
+
+/**
+ * Convert minutes since the epoch back to a wall-clock string
+ */
+function fromMinutes(minutes) {
+    return new Date(minutes * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Normalize a date or date-time value to "YYYY-MM-DDTHH:mm"
+ */
+function toWallClock(value, defaultTime = '00:00') {
+    if (!value) {
+        return null;
+    }
+    const text = String(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        return `${text}T${defaultTime}`;
+    }
+    return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text) ? text.slice(0, 16) : null;
+}
+
+/**
+ * Map a selected option onto a schedule item. Options are read tolerantly
+ * since provider payloads name their time fields differently.
+ */
+function toScheduleItem(option, legIndex = null) {
+    const type = ITEM_TYPES.includes(option.type) ? option.type : 'activity';
+    let start;
+    let end;
+
+    if (type === 'hotel') {
+        start = toWallClock(option.checkIn || option.checkInDate || option.start, '15:00');
+        end = toWallClock(option.checkOut || option.checkOutDate || option.end, '11:00');
+    } else if (type === 'flight') {
+        start = toWallClock(option.departureTime || option.departure || option.start);
+        end = toWallClock(option.arrivalTime || option.arrival || option.end);
+    } else {
+        start = toWallClock(option.startTime || option.pickupTime || option.date || option.start, '09:00');
+        end = toWallClock(option.endTime || option.dropoffTime || option.end);
+    }
+
+    if (!start) {
+        return null;
+    }
+    if (!end || toMinutes(end) <= toMinutes(start)) {
+        end = fromMinutes(toMinutes(start) + (option.durationMinutes || DEFAULT_DURATION_MINUTES));
+    }
+
+    return {
+        id: String(option.id || `${type}-${start}-${option.name || option.title || ''}`),
+        type,
+        title: option.title || option.name || (type === 'flight'
+            ? `${option.origin || ''} → ${option.destination || ''}`.trim()
+            : type),
+        start,
+        end,
+        origin: option.origin || null,
+        destination: option.destination || null,
+        location: option.location || option.city || option.destination || null,
+        timeZone: option.timeZone || null,
+        legIndex,
+        fixed: !!option.fixed,
+        bookingReference: option.bookingReference || null
+    };
+}
+
+/**
+ * Flatten per-leg selections ({ [legIndex]: option | option[] }) into schedule items
+ */
+function itemsFromSelections(selectedOptions = {}) {
+    const items = [];
+
+    for (const [legKey, selection] of Object.entries(selectedOptions)) {
+        const options = Array.isArray(selection) ? selection : Object.values(selection || {});
+        const legIndex = Number.isNaN(Number(legKey)) ? null : Number(legKey);
+
+        for (const option of options) {
+            if (option && typeof option === 'object') {
+                const item = toScheduleItem(option, legIndex);
+                if (item) {
+                    items.push(item);
+                }
+            }
+        }
+    }
+
+    return sortItems(items);
+}
+
+function sortItems(items) {
+    return [...items].sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end));
+}
+
+/**
+ * Merge freshly derived items with an existing schedule: items the user has
+ * already placed keep their times, new items are added, dropped ones removed.
+ * Items not derived from selections (e.g. imported commitments) are kept.
+ */
+function mergeSchedule(existingItems, derivedItems) {
+    const existingById = new Map(existingItems.map(item => [item.id, item]));
+    const derivedIds = new Set(derivedItems.map(item => item.id));
+
+    const merged = derivedItems.map(item => {
+        const existing = existingById.get(item.id);
+        return existing ? { ...item, start: existing.start, end: existing.end } : item;
+    });
+
+    const manual = existingItems.filter(item => !derivedIds.has(item.id) && item.legIndex === null);
+    return sortItems([...merged, ...manual]);
+}
+
+/**
+ * Group items into days between the first start and last end
+ */
+function buildDays(items) {
+    if (items.length === 0) {
+        return [];
+    }
+
+    const sorted = sortItems(items);
+    const firstDay = toMinutes(`${sorted[0].start.slice(0, 10)}T00:00`);
+    const lastDay = toMinutes(`${sorted.reduce((max, item) => (item.end > max ? item.end : max), sorted[0].end).slice(0, 10)}T00:00`);
+    const days = [];
+
+    for (let day = firstDay; day <= lastDay; day += 24 * 60) {
+        const date = fromMinutes(day).slice(0, 10);
+        days.push({ date, items: sorted.filter(item => item.start.slice(0, 10) === date) });
+    }
+
+    return days;
+}
+
+/**
+ * Move an item to a new start time, keeping its duration. Fixed items do not move.
+ */
+function moveItem(items, itemId, newStart) {
+    return sortItems(items.map(item => {
+        if (item.id !== itemId || item.fixed) {
+            return item;
+        }
+        const duration = toMinutes(item.end) - toMinutes(item.start);
+        return { ...item, start: newStart, end: fromMinutes(toMinutes(newStart) + duration) };
+    }));
+}
+
+function samePlace(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Detect scheduling problems. Returns { type, itemIds, message } entries:
+ *  - overlap: two timed items (other than hotel stays) at the same time
+ *  - impossible-connection: departing before arriving, too-short connections,
+ *    or checking into a hotel before the flight to it has landed
+ */
+function detectConflicts(items) {
+    const conflicts = [];
+    const sorted = sortItems(items);
+    const timed = sorted.filter(item => item.type !== 'hotel');
+    const flights = sorted.filter(item => item.type === 'flight');
+
+    for (let i = 0; i < timed.length; i++) {
+        for (let j = i + 1; j < timed.length; j++) {
+            const a = timed[i];
+            const b = timed[j];
+            if (toMinutes(b.start) >= toMinutes(a.end)) {
+                break;
+            }
+            conflicts.push({
+                type: 'overlap',
+                itemIds: [a.id, b.id],
+                message: `"${a.title}" overlaps with "${b.title}"`
+            });
+        }
+    }
+
+    for (let i = 0; i < flights.length - 1; i++) {
+        const arriving = flights[i];
+        const departing = flights[i + 1];
+        if (!samePlace(arriving.destination, departing.origin)) {
+            continue;
+        }
+        const gap = toMinutes(departing.start) - toMinutes(arriving.end);
+        if (gap >= 0 && gap < MIN_CONNECTION_MINUTES) {
+            conflicts.push({
+                type: 'impossible-connection',
+                itemIds: [arriving.id, departing.id],
+                message: `Only ${gap} minutes to connect from "${arriving.title}" to "${departing.title}"`
+            });
+        }
+    }
+
+    for (const hotel of sorted.filter(item => item.type === 'hotel')) {
+        const inbound = flights.find(flight =>
+            flight.end.slice(0, 10) === hotel.start.slice(0, 10) &&
+            (!hotel.location || !flight.destination || samePlace(flight.destination, hotel.location)) &&
+            toMinutes(flight.end) > toMinutes(hotel.start)
+        );
+        if (inbound) {
+            conflicts.push({
+                type: 'impossible-connection',
+                itemIds: [inbound.id, hotel.id],
+                message: `Check-in at "${hotel.title}" is before "${inbound.title}" lands`
+            });
+        }
+    }
+
+    return conflicts;
+}
+
+module.exports = {
+    ITEM_TYPES,
+    MIN_CONNECTION_MINUTES,
+    toMinutes,
+    fromMinutes,
+    toScheduleItem,
+    itemsFromSelections,
+    mergeSchedule,
+    buildDays,
+    moveItem,
+    detectConflicts
+};
@@ -0,0 +1,80 @@
+// Money
+// Holonic Travel Planner - Amounts that always carry their currency, shared by client and server
+
+// ISO 4217 currencies whose minor unit is not cents
+const MINOR_UNITS = {
+    BHD: 3, CLP: 0, ISK: 0, JOD: 3, JPY: 0, KRW: 0, KWD: 3, OMR: 3, TND: 3, UGX: 0, VND: 0
+};
+
+class CurrencyError extends Error {
+    constructor(message, currency = null) {
+        super(message);
+        this.name = 'CurrencyError';
+        this.currency = currency;
+    }
+}
+
+function minorUnits(currency) {
+    return MINOR_UNITS[currency] ?? 2;
+}
+
+function isCurrencyCode(value) {
+    return typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+}
+
+function roundAmount(amount, currency) {
+    const factor = 10 ** minorUnits(currency);
+    return Math.round(Number(amount) * factor) / factor;
+}
+
+/**
+ * Create a money value: { amount, currency }, rounded to the currency's minor unit
+ */
+function createMoney(amount, currency) {
+    const code = typeof currency === 'string' ? currency.trim().toUpperCase() : currency;
+    if (!isCurrencyCode(code)) {
+        throw new CurrencyError(`Invalid currency code: ${currency}`, currency);
+    }
+    if (!Number.isFinite(Number(amount))) {
+        throw new CurrencyError(`Invalid amount: ${amount}`, code);
+    }
+    return { amount: roundAmount(amount, code), currency: code };
+}
+
+function isMoney(value) {
+    return !!value && Number.isFinite(value.amount) && isCurrencyCode(value.currency);
+}
+
+/**
+ * Add money values of one currency
+ */
+function sumMoney(values, currency = values[0]?.currency) {
+    const mismatched = values.find(value => value.currency !== currency);
+    if (mismatched) {
+        throw new CurrencyError(`Cannot add ${mismatched.currency} to ${currency} without conversion`, mismatched.currency);
+    }
+    const factor = 10 ** minorUnits(currency);
+    return { amount: values.reduce((total, value) => total + Math.round(value.amount * factor), 0) / factor, currency };
+}
+
+function formatMoney(money, locale = undefined) {
+    if (!isMoney(money)) {
+        return '—';
+    }
+    try {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency: money.currency }).format(money.amount);
+    } catch (error) {
+        return `${money.amount.toFixed(minorUnits(money.currency))} ${money.currency}`;
+    }
+}
+
+module.exports = {
+    CurrencyError,
+    minorUnits,
+    isCurrencyCode,
+    roundAmount,
+    createMoney,
+    isMoney,
+    sumMoney,
+    formatMoney
+};
@@ -0,0 +1,47 @@
+// Permissions
+// Holonic Travel Planner - Roles and what they may do, shared by client and server
+
+const ROLES = ['traveler', 'agent', 'admin'];
+
+// Travelers act on their own trips and bookings, which needs no permission
+const AGENT_PERMISSIONS = [
+    'admin:access',
+    'users:read',
+    'bookings:read',
+    'bookings:cancel',
+    'watches:read',
+    'system:read'
+];
+
+const ROLE_PERMISSIONS = {
+    traveler: [],
+    agent: AGENT_PERMISSIONS,
+    admin: [
+        ...AGENT_PERMISSIONS,
+        'bookings:refund',
+        'users:manage',
+        'users:impersonate',
+        'audit:read',
+        'analytics:read'
+    ]
+};
+
+function isRole(role) {
+    return ROLES.includes(role);
+}
+
+function permissionsFor(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+    return permissionsFor(role).includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    isRole,
+    permissionsFor,
+    hasPermission
+};
@@ -1,17 +1,14 @@
 /// <reference types="vitest" />
 import { defineConfig } from 'vite';
-import react from '@vitejs/plugin-react';
 import path from 'path';
 
 export default defineConfig({
-  plugins: [react()],
   test: {
-    // Test environment configuration
-    environment: 'jsdom',
+    // Test environment configuration; the specs cover backend and shared modules
+    environment: 'node',
     
     // Global test setup
     globals: true,
-    setupFiles: ['./src/test/setup.ts'],
     
     // Coverage configuration
     coverage: {
@@ -60,15 +57,9 @@ export default defineConfig({
     hookTimeout: 10000,
     
     // Reporter configuration
-    reporter: ['verbose', 'json', 'html'],
+    reporters: ['verbose', 'json'],
     outputFile: {
-      json: './coverage/test-results.json',
-      html: './coverage/test-results.html'
-    },
-    
-    // Mock configuration
-    deps: {
-      inline: ['@testing-library/jest-dom']
+      json: './coverage/test-results.json'
     },
     
     // Environment variables for testing
@@ -89,16 +80,7 @@ export default defineConfig({
     },
     
     // Watch configuration
-    watch: {
-      exclude: ['node_modules', 'dist', 'coverage']
-    },
-    
-    // UI configuration for test UI
-    ui: {
-      enabled: true,
-      open: false,
-      port: 51204
-    }
+    watchExclude: ['node_modules', 'dist', 'coverage']
   },
   
   // Resolve configuration for tests
@@ -121,16 +103,5 @@ export default defineConfig({
     __TEST__: true,
     __DEV__: false,
     __PROD__: false
-  },
-  
-  // Optimizations for testing
-  optimizeDeps: {
-    include: [
-      'react',
-      'react-dom',
-      '@testing-library/react',
-      '@testing-library/jest-dom',
-      '@testing-library/user-event'
-    ]
   }
 });
\ No newline at end of file
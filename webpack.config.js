@@ -1,11 +1,54 @@
 const path = require('path');
+const crypto = require('crypto');
+const { Compilation, sources } = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 
+const SERVICE_WORKER = 'sw.js';
+
+// Prepends the list of emitted assets to the service worker so it can precache the app shell.
+// The version changes with any asset, which gives each build its own cache.
+class PrecacheManifestPlugin {
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap('PrecacheManifestPlugin', (compilation) => {
+      compilation.hooks.processAssets.tap(
+        { name: 'PrecacheManifestPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE },
+        (assets) => {
+          const serviceWorker = compilation.getAsset(SERVICE_WORKER);
+          if (!serviceWorker) {
+            return;
+          }
+
+          const names = Object.keys(assets).filter(name => name !== SERVICE_WORKER && !name.endsWith('.map')).sort();
+          const hash = crypto.createHash('sha256');
+          names.forEach(name => hash.update(name).update(assets[name].source()));
+          const manifest = {
+            version: hash.digest('hex').slice(0, 12),
+            assets: names.filter(name => name !== 'index.html')
+          };
+
+          compilation.updateAsset(SERVICE_WORKER, new sources.ConcatSource(
+            `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n`,
+            serviceWorker.source
+          ));
+        }
+      );
+    });
+  }
+}
+
 module.exports = {
-  entry: './src/frontend/index.js',
+  entry: {
+    main: './src/frontend/index.js',
+    sw: './src/frontend/service-worker.js'
+  },
   output: {
     path: path.resolve(__dirname, 'dist'),
-    filename: 'bundle.js',
+    // The service worker must keep a stable name at the site root
+    filename: (pathData) => (pathData.chunk.name === 'sw' ? SERVICE_WORKER : 'bundle.js'),
+    // Lazily loaded chunks, e.g. locale catalogs (locale-de.[hash].js)
+    chunkFilename: '[name].[contenthash].js',
+    // Absolute URLs, so deep links such as /trips/:id load the bundle from the root
+    publicPath: '/',
     clean: true
   },
   module: {
@@ -28,8 +71,10 @@ module.exports = {
   },
   plugins: [
     new HtmlWebpackPlugin({
-      template: './index.html'
-    })
+      template: './index.html',
+      excludeChunks: ['sw']
+    }),
+    new PrecacheManifestPlugin()
   ],
   resolve: {
     extensions: ['.js', '.jsx'],
@@ -48,6 +93,8 @@ module.exports = {
   devServer: {
     contentBase: path.join(__dirname, 'dist'),
     compress: true,
-    port: 3000
+    port: 3000,
+    // Client-side routes are answered with the app shell, as the server does
+    historyApiFallback: true
   }
 };
\ No newline at end of file